@@ -0,0 +1,61 @@
+/**
+ * Scopes for developer API keys, and the endpoints each one unlocks.
+ *
+ * API keys only work on the endpoints listed here. A key created with scopes can call
+ * the endpoints for those scopes; a key created without scopes can call all of them.
+ * Everything else (account settings, billing, API key management, admin) needs a session token.
+ */
+
+const API_KEY_SCOPES = [
+  'images:generate',
+  'images:read',
+  'images:delete',
+  'posters:generate',
+  'posters:read',
+  'thumbnails:generate',
+  'thumbnails:read',
+  'logos:generate',
+  'jobs:read',
+  'credits:read',
+  'library:read',
+  'library:write'
+];
+
+// [method, path pattern, scope]; paths are matched without the query string or a trailing slash
+const API_KEY_ROUTES = [
+  ['POST', /^\/api\/images\/(generate|transform|batch|suggest-styles|analyze-prompt)$/, 'images:generate'],
+  ['POST', /^\/api\/images\/[^/]+\/(upscale|inpaint|outpaint|variations|remix)$/, 'images:generate'],
+  ['GET', /^\/api\/images(\/options|\/(batches|exports)\/[^/]+|\/[^/]+(\/lineage)?)?$/, 'images:read'],
+  ['POST', /^\/api\/images\/export$/, 'images:read'],
+  ['DELETE', /^\/api\/images\/[^/]+$/, 'images:delete'],
+  ['POST', /^\/api\/posters\/generate$/, 'posters:generate'],
+  ['GET', /^\/api\/posters(\/[^/]+)?$/, 'posters:read'],
+  ['POST', /^\/api\/thumbnails\/generate$/, 'thumbnails:generate'],
+  ['GET', /^\/api\/thumbnails(\/[^/]+)?$/, 'thumbnails:read'],
+  ['POST', /^\/api\/logos\/generate$/, 'logos:generate'],
+  ['GET', /^\/api\/jobs(\/[^/]+(\/events)?)?$/, 'jobs:read'],
+  ['GET', /^\/api\/users\/me\/credits(\/history)?$/, 'credits:read'],
+  ['GET', /^\/api\/library\/(collections(\/[^/]+(\/items)?)?|tags)$/, 'library:read'],
+  ['GET', /^\/api\/search$/, 'library:read'],
+  ['POST', /^\/api\/library\/collections(\/[^/]+\/items(\/remove|\/move)?)?$/, 'library:write'],
+  ['PATCH', /^\/api\/library\/(collections\/[^/]+|items)$/, 'library:write'],
+  ['DELETE', /^\/api\/library\/collections\/[^/]+$/, 'library:write']
+];
+
+/**
+ * Find the scope an API key needs to call an endpoint
+ * @param {string} method - The HTTP method
+ * @param {string} url - The request URL (e.g. req.originalUrl)
+ * @returns {string|null} - The scope, or null if API keys can't call the endpoint
+ */
+const getApiKeyScope = (method, url) => {
+  const path = url.split('?')[0].replace(/\/+$/, '') || '/';
+  const route = API_KEY_ROUTES.find(([routeMethod, pattern]) => routeMethod === method && pattern.test(path));
+
+  return route ? route[2] : null;
+};
+
+module.exports = {
+  API_KEY_SCOPES,
+  getApiKeyScope
+};
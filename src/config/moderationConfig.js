@@ -0,0 +1,92 @@
+const fs = require('fs');
+
+/**
+ * Prompt moderation rules.
+ *
+ * Each category has:
+ *   - action: 'block' rejects the prompt, 'flag' lets it through but records it for review
+ *   - terms: words or phrases matched as whole words, ignoring case, accents and punctuation;
+ *     a hyphenated word counts as one word ("gore" doesn't match "Gore-Tex", "self harm" matches "self-harm")
+ *   - patterns: regular expressions (source strings) matched case-insensitively against the prompt
+ *
+ * Set MODERATION_RULES_PATH to a JSON file with the same shape ({ categories: { ... } }) to
+ * change a category's action or add terms and patterns; new categories can be added the same way.
+ * Set MODERATION_ENABLED=false to turn prompt screening off.
+ *
+ * MODERATION_REPORT_THRESHOLD is how many users have to report an image before it is hidden
+ * automatically, pending review (default 3; 0 turns auto-hiding off).
+ */
+
+const MINOR_TERMS = 'child|children|kid|kids|minor|minors|underage|under-age|preteen|pre-teen|toddler|infant|schoolgirl|schoolboy|little girl|little boy|young girl|young boy';
+const SEXUAL_TERMS = 'nude|naked|nsfw|sex|sexual|sexy|porn|porno|erotic|explicit|lingerie|topless|undressed|seductive';
+
+const DEFAULT_CATEGORIES = {
+  sexual_minors: {
+    action: 'block',
+    terms: ['loli', 'lolicon', 'shota', 'shotacon', 'jailbait'],
+    patterns: [
+      `\\b(${MINOR_TERMS})\\b.*\\b(${SEXUAL_TERMS})\\b`,
+      `\\b(${SEXUAL_TERMS})\\b.*\\b(${MINOR_TERMS})\\b`
+    ]
+  },
+  sexual: {
+    action: 'block',
+    terms: ['porn', 'porno', 'pornographic', 'hentai', 'nsfw', 'nude', 'naked', 'xxx', 'genitals', 'topless', 'explicit sex', 'sex scene', 'sex act'],
+    patterns: []
+  },
+  graphic_violence: {
+    action: 'block',
+    terms: ['gore', 'gory', 'dismembered', 'dismemberment', 'decapitated', 'decapitation', 'beheading', 'disemboweled', 'mutilated', 'mutilation'],
+    patterns: []
+  },
+  hate: {
+    action: 'block',
+    terms: ['nazi propaganda', 'white power', 'ethnic cleansing', 'kkk', 'heil hitler'],
+    patterns: []
+  },
+  self_harm: {
+    action: 'flag',
+    terms: ['suicide', 'self harm', 'slit wrists', 'kill myself'],
+    patterns: []
+  }
+};
+
+/**
+ * Load the moderation rules, merging MODERATION_RULES_PATH over the defaults
+ * @returns {Object} - { enabled, categories, reportThreshold }
+ */
+const loadModerationConfig = () => {
+  const categories = JSON.parse(JSON.stringify(DEFAULT_CATEGORIES));
+
+  if (process.env.MODERATION_RULES_PATH) {
+    try {
+      const overrides = JSON.parse(fs.readFileSync(process.env.MODERATION_RULES_PATH, 'utf8')).categories || {};
+
+      for (const [name, rule] of Object.entries(overrides)) {
+        const current = categories[name] || { action: 'block', terms: [], patterns: [] };
+
+        categories[name] = {
+          action: rule.action || current.action,
+          terms: [...current.terms, ...(rule.terms || [])],
+          patterns: [...current.patterns, ...(rule.patterns || [])]
+        };
+      }
+    } catch (error) {
+      console.error(`❌ Failed to load moderation rules from ${process.env.MODERATION_RULES_PATH}:`, error.message);
+      throw new Error('Moderation rules are not properly configured');
+    }
+  }
+
+  const reportThreshold = parseInt(process.env.MODERATION_REPORT_THRESHOLD || '3', 10);
+
+  return {
+    enabled: process.env.MODERATION_ENABLED !== 'false',
+    categories,
+    reportThreshold: Number.isInteger(reportThreshold) && reportThreshold > 0 ? reportThreshold : 0
+  };
+};
+
+module.exports = {
+  DEFAULT_CATEGORIES,
+  loadModerationConfig
+};
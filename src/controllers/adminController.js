@@ -1,5 +1,15 @@
 const asyncHandler = require('express-async-handler');
-const { addCredits, deductCredits } = require('../services/creditService');
+const { addCredits, deductCredits, getCreditReconciliationReport } = require('../services/creditService');
+const {
+  listModerationDecisions,
+  listModerationFlags,
+  getModerationFlag,
+  resolveModerationFlag,
+  MODERATION_ACTIONS,
+  FLAG_SOURCES,
+  FLAG_STATUSES
+} = require('../services/moderationService');
+const { suspendUser, reactivateUser } = require('../services/userService');
 const { supabase } = require('../config/supabaseClient');
 const { ApiError } = require('../middlewares/errorMiddleware');
 
@@ -11,6 +21,8 @@ const { ApiError } = require('../middlewares/errorMiddleware');
 const adjustUserCredits = asyncHandler(async (req, res) => {
   const { amount, reason } = req.body;
   const userId = req.params.id;
+  // Optional client-supplied key so a retried adjustment is only applied once
+  const idempotencyKey = req.get('Idempotency-Key') || null;
   
   if (amount === undefined || !reason) {
     throw new ApiError('Amount and reason are required', 400);
@@ -35,7 +47,8 @@ const adjustUserCredits = asyncHandler(async (req, res) => {
       userId,
       amount,
       'admin_adjustment',
-      reason
+      reason,
+      idempotencyKey
     );
   } else if (amount < 0) {
     // Remove credits (use positive number for deduction)
@@ -43,7 +56,8 @@ const adjustUserCredits = asyncHandler(async (req, res) => {
       userId,
       Math.abs(amount),
       'admin_adjustment',
-      reason
+      reason,
+      idempotencyKey
     );
   } else {
     // Amount is 0, no change needed
@@ -57,6 +71,47 @@ const adjustUserCredits = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * @desc    Suspend a user's account
+ * @route   POST /api/admin/users/:id/suspend
+ * @access  Private/Admin
+ */
+const suspendUserAccount = asyncHandler(async (req, res) => {
+  const { reason, until } = req.body;
+  
+  const profile = await suspendUser(req.params.id, {
+    reason,
+    until,
+    suspendedBy: req.user.id
+  });
+  
+  res.status(200).json({
+    success: true,
+    message: 'User suspended',
+    data: profile
+  });
+});
+
+/**
+ * @desc    Reactivate a suspended user's account
+ * @route   POST /api/admin/users/:id/reactivate
+ * @access  Private/Admin
+ */
+const reactivateUserAccount = asyncHandler(async (req, res) => {
+  const { reason } = req.body;
+  
+  const profile = await reactivateUser(req.params.id, {
+    reason: reason || null,
+    reactivatedBy: req.user.id
+  });
+  
+  res.status(200).json({
+    success: true,
+    message: 'User reactivated',
+    data: profile
+  });
+});
+
 /**
  * @desc    Get all image generation stats
  * @route   GET /api/admin/stats/images
@@ -289,9 +344,118 @@ const getUserStats = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * @desc    Compare each profile's credit balance with its ledger
+ * @route   GET /api/admin/credits/reconciliation
+ * @access  Private/Admin
+ */
+const getCreditReconciliation = asyncHandler(async (req, res) => {
+  // Pass ?all=true to include profiles whose balance matches the ledger
+  const onlyMismatched = req.query.all !== 'true';
+  
+  const report = await getCreditReconciliationReport({ onlyMismatched });
+  
+  res.status(200).json(report);
+});
+
+/**
+ * @desc    List prompt moderation decisions and provider content-filter rejections
+ * @route   GET /api/admin/moderation/decisions
+ * @access  Private/Admin
+ */
+const getModerationDecisions = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20, action, source, userId, category } = req.query;
+  
+  if (action && !MODERATION_ACTIONS.includes(action)) {
+    throw new ApiError(`action must be one of: ${MODERATION_ACTIONS.join(', ')}`, 400);
+  }
+  
+  const result = await listModerationDecisions(
+    { action, source, userId, category },
+    parseInt(page, 10),
+    parseInt(limit, 10)
+  );
+  
+  res.status(200).json({
+    success: true,
+    data: result
+  });
+});
+
+/**
+ * @desc    List the moderation queue of flagged generations and reported images
+ * @route   GET /api/admin/moderation
+ * @access  Private/Admin
+ */
+const getModerationQueue = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20, status = 'open', source, category, userId, imageId } = req.query;
+  
+  // Pass ?status=all to list flags in every status
+  if (status !== 'all' && !FLAG_STATUSES.includes(status)) {
+    throw new ApiError(`status must be one of: all, ${FLAG_STATUSES.join(', ')}`, 400);
+  }
+  
+  if (source && !FLAG_SOURCES.includes(source)) {
+    throw new ApiError(`source must be one of: ${FLAG_SOURCES.join(', ')}`, 400);
+  }
+  
+  const result = await listModerationFlags(
+    { status: status === 'all' ? null : status, source, category, userId, imageId },
+    parseInt(page, 10),
+    parseInt(limit, 10)
+  );
+  
+  res.status(200).json({
+    success: true,
+    data: result
+  });
+});
+
+/**
+ * @desc    Get a moderation flag with its image and screening decision
+ * @route   GET /api/admin/moderation/:id
+ * @access  Private/Admin
+ */
+const getModerationFlagById = asyncHandler(async (req, res) => {
+  const flag = await getModerationFlag(req.params.id);
+  
+  res.status(200).json({
+    success: true,
+    data: flag
+  });
+});
+
+/**
+ * @desc    Act on a moderation flag: approve, hide the image, refund its credits or suspend the user
+ * @route   POST /api/admin/moderation/:id/actions
+ * @access  Private/Admin
+ */
+const resolveModerationFlagAction = asyncHandler(async (req, res) => {
+  const { actions, note, amount, suspendUntil } = req.body;
+  
+  const flag = await resolveModerationFlag(req.params.id, req.user.id, {
+    actions: typeof actions === 'string' ? [actions] : actions,
+    note,
+    amount: amount !== undefined ? parseInt(amount, 10) : undefined,
+    suspendUntil
+  });
+  
+  res.status(200).json({
+    success: true,
+    data: flag
+  });
+});
+
 module.exports = {
   adjustUserCredits,
+  suspendUserAccount,
+  reactivateUserAccount,
   getImageStats,
   getCreditStats,
-  getUserStats
+  getUserStats,
+  getCreditReconciliation,
+  getModerationDecisions,
+  getModerationQueue,
+  getModerationFlagById,
+  resolveModerationFlagAction
 }; 
\ No newline at end of file
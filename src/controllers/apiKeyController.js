@@ -0,0 +1,84 @@
+const asyncHandler = require('express-async-handler');
+const {
+  createApiKey,
+  listApiKeys,
+  revokeApiKey,
+  rotateApiKey
+} = require('../services/apiKeyService');
+
+/**
+ * @desc    Create an API key
+ * @route   POST /api/users/me/api-keys
+ * @access  Private
+ */
+const createKey = asyncHandler(async (req, res) => {
+  const { name, scopes } = req.body;
+  
+  const { key, apiKey } = await createApiKey(req.user.id, { name, scopes: scopes || [] });
+  
+  res.status(201).json({
+    success: true,
+    message: 'Copy this key now. It won\'t be shown again.',
+    data: {
+      ...apiKey,
+      key
+    }
+  });
+});
+
+/**
+ * @desc    List the current user's API keys
+ * @route   GET /api/users/me/api-keys
+ * @access  Private
+ */
+const getKeys = asyncHandler(async (req, res) => {
+  // Pass ?includeRevoked=true to include revoked keys
+  const keys = await listApiKeys(req.user.id, {
+    includeRevoked: req.query.includeRevoked === 'true'
+  });
+  
+  res.status(200).json({
+    success: true,
+    data: keys
+  });
+});
+
+/**
+ * @desc    Revoke an API key
+ * @route   DELETE /api/users/me/api-keys/:id
+ * @access  Private
+ */
+const revokeKey = asyncHandler(async (req, res) => {
+  const apiKey = await revokeApiKey(req.params.id, req.user.id);
+  
+  res.status(200).json({
+    success: true,
+    message: 'API key revoked',
+    data: apiKey
+  });
+});
+
+/**
+ * @desc    Replace an API key with a new one, revoking the old key
+ * @route   POST /api/users/me/api-keys/:id/rotate
+ * @access  Private
+ */
+const rotateKey = asyncHandler(async (req, res) => {
+  const { key, apiKey } = await rotateApiKey(req.params.id, req.user.id);
+  
+  res.status(201).json({
+    success: true,
+    message: 'Copy this key now. It won\'t be shown again. The old key no longer works.',
+    data: {
+      ...apiKey,
+      key
+    }
+  });
+});
+
+module.exports = {
+  createKey,
+  getKeys,
+  revokeKey,
+  rotateKey
+};
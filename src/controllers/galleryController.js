@@ -0,0 +1,132 @@
+const asyncHandler = require('express-async-handler');
+const {
+  listGalleryImages,
+  getPublicImage,
+  getSharedImage,
+  likeImage,
+  unlikeImage,
+  listLikedImages,
+  getCreatorProfile
+} = require('../services/galleryService');
+
+/**
+ * @desc    List public images
+ * @route   GET /api/gallery
+ * @access  Public
+ */
+const getGallery = asyncHandler(async (req, res) => {
+  const { sort = 'trending', page = 1, limit = 20, generationType } = req.query;
+  
+  const result = await listGalleryImages({
+    sort,
+    page: parseInt(page, 10),
+    limit: parseInt(limit, 10),
+    generationType
+  });
+  
+  res.status(200).json({
+    success: true,
+    data: result
+  });
+});
+
+/**
+ * @desc    Get a public image
+ * @route   GET /api/gallery/images/:id
+ * @access  Public
+ */
+const getGalleryImage = asyncHandler(async (req, res) => {
+  const image = await getPublicImage(req.params.id, { userId: req.user ? req.user.id : null, ip: req.ip });
+  
+  res.status(200).json({
+    success: true,
+    data: image
+  });
+});
+
+/**
+ * @desc    Open an image through a share link
+ * @route   GET /api/gallery/shared/:token
+ * @access  Public
+ */
+const getShared = asyncHandler(async (req, res) => {
+  const image = await getSharedImage(req.params.token, { userId: req.user ? req.user.id : null, ip: req.ip });
+  
+  res.status(200).json({
+    success: true,
+    data: image
+  });
+});
+
+/**
+ * @desc    Like an unlisted or public image
+ * @route   POST /api/gallery/images/:id/like
+ * @access  Private
+ */
+const like = asyncHandler(async (req, res) => {
+  const result = await likeImage(req.params.id, req.user.id);
+  
+  res.status(200).json({
+    success: true,
+    data: result
+  });
+});
+
+/**
+ * @desc    Remove a like
+ * @route   DELETE /api/gallery/images/:id/like
+ * @access  Private
+ */
+const unlike = asyncHandler(async (req, res) => {
+  const result = await unlikeImage(req.params.id, req.user.id);
+  
+  res.status(200).json({
+    success: true,
+    data: result
+  });
+});
+
+/**
+ * @desc    List the images the current user has liked
+ * @route   GET /api/users/me/likes
+ * @access  Private
+ */
+const getMyLikes = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20 } = req.query;
+  
+  const result = await listLikedImages(req.user.id, parseInt(page, 10), parseInt(limit, 10));
+  
+  res.status(200).json({
+    success: true,
+    data: result
+  });
+});
+
+/**
+ * @desc    Get a creator's public profile and public images
+ * @route   GET /api/gallery/creators/:id
+ * @access  Public
+ */
+const getCreator = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20 } = req.query;
+  
+  const creator = await getCreatorProfile(req.params.id, {
+    page: parseInt(page, 10),
+    limit: parseInt(limit, 10)
+  });
+  
+  res.status(200).json({
+    success: true,
+    data: creator
+  });
+});
+
+module.exports = {
+  getGallery,
+  getGalleryImage,
+  getShared,
+  like,
+  unlike,
+  getMyLikes,
+  getCreator
+};
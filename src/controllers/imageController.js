@@ -4,10 +4,18 @@ const {
   getUserImages, 
   getImageById, 
   deleteImage,
-  createImage
+  createImage,
+  transformImage,
+  upscaleImage,
+  inpaintImage,
+  outpaintImage,
+  createImageVariations,
+  remixImage,
+  getImageLineage,
+  createImageBatch,
+  getImageBatch
 } = require('../services/imageService');
 const { 
-  MODELS, 
   RESOLUTIONS, 
   STYLES,
   GENERATION_TYPES, 
@@ -18,8 +26,78 @@ const {
   enhanceNegativePrompt
 } = require('../services/stabilityAIService');
 const logoService = require('../services/logoService');
+const { reportImage } = require('../services/moderationService');
+const {
+  updateImageSharing,
+  createShareLink,
+  listShareLinks,
+  revokeShareLink
+} = require('../services/galleryService');
+const { parseLibraryFilters } = require('../services/libraryService');
+const { createImageExport, getImageExport } = require('../services/exportService');
+const { getImageProvider } = require('../services/imageProviders');
 const { ApiError } = require('../middlewares/errorMiddleware');
 const { isUserOnFreePlan } = require('../services/planService');
+const { enqueueJob } = require('../services/jobService');
+const { wantsAsyncResponse, describeUploadedFile, sendJobAccepted } = require('../utils/jobUtils');
+
+/**
+ * HTTP status for the error codes returned by createImage
+ * @param {string} code - The error code
+ * @returns {number} - The HTTP status code
+ */
+const getCreateImageErrorStatus = (code) => {
+  if (code === 'DAILY_LIMIT_REACHED' || code === 'NO_CREDITS_NO_FREE_GENERATIONS' || code === 'BATCH_LIMIT_EXCEEDED') {
+    return 403;
+  }
+  if (code === 'INSUFFICIENT_CREDITS') {
+    return 402;
+  }
+  if (code === 'SOURCE_IMAGE_NOT_FOUND') {
+    return 404;
+  }
+  if (code === 'PROMPT_BLOCKED' || code === 'CONTENT_FILTERED') {
+    return 422;
+  }
+  if (code === 'JOB_QUEUE_FULL') {
+    return 429;
+  }
+  return 400;
+};
+
+/**
+ * Send the { error, code } result of a failed image pipeline
+ * @param {Object} res - Express response object
+ * @param {Object} result - The pipeline result
+ */
+const sendPipelineError = (res, result) => {
+  res.status(getCreateImageErrorStatus(result.code)).json({
+    error: result.error,
+    code: result.code,
+    ...(result.categories && { categories: result.categories })
+  });
+};
+
+/**
+ * Queue an image pipeline that reports failures as { error, code } to run as a background job
+ * @param {string} userId - The user ID
+ * @param {Object} params - Request parameters to store with the job
+ * @param {Function} run - Called with the job's progress callback; resolves to the pipeline result
+ * @returns {Promise<Object>} - The queued job
+ */
+const enqueueImagePipeline = (userId, params, run) => {
+  return enqueueJob(userId, 'image', params, async ({ reportProgress }) => {
+    const result = await run(reportProgress);
+    
+    if (result.error) {
+      const error = new ApiError(result.error, getCreateImageErrorStatus(result.code), result.categories ? { categories: result.categories } : null);
+      error.code = result.code;
+      throw error;
+    }
+    
+    return result;
+  });
+};
 
 /**
  * @desc    Generate a new image
@@ -31,20 +109,26 @@ const generateImage = async (req, res) => {
     const userId = req.user.id;
     const imageParams = req.body;
     
-    // Validate required parameters
-    if (!imageParams.prompt) {
+    // Validate required parameters (a remix can reuse the prompt of the image it remixes)
+    if (!imageParams.prompt && !imageParams.remixed_from) {
       return res.status(400).json({ error: 'Prompt is required' });
     }
     
+    // Run in the background if the client asked for it
+    if (wantsAsyncResponse(req)) {
+      const job = await enqueueImagePipeline(userId, imageParams, (onProgress) => {
+        return createImage(userId, imageParams, { onProgress });
+      });
+      
+      return sendJobAccepted(res, job);
+    }
+    
     // Use the new createImage function
     const result = await createImage(userId, imageParams);
     
     if (result.error) {
       // Handle specific error codes
-      if (result.code === 'DAILY_LIMIT_REACHED' || result.code === 'NO_CREDITS_NO_FREE_GENERATIONS') {
-        return res.status(403).json({ error: result.error, code: result.code });
-      }
-      return res.status(400).json({ error: result.error });
+      return sendPipelineError(res, result);
     }
     
     // Add a message about quality restrictions for free generations
@@ -54,11 +138,58 @@ const generateImage = async (req, res) => {
     
     return res.status(201).json(result);
   } catch (error) {
+    if (error.code === 'JOB_QUEUE_FULL') {
+      return sendPipelineError(res, { error: error.message, code: error.code });
+    }
+    
     console.error('Error in generateImage controller:', error);
     return res.status(500).json({ error: 'Server error' });
   }
 };
 
+/**
+ * @desc    Transform an uploaded or existing image with a prompt (image-to-image)
+ * @route   POST /api/images/transform
+ * @access  Private
+ */
+const imageToImage = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const params = req.body;
+    const file = req.file || null;
+    
+    // Run in the background if the client asked for it
+    if (wantsAsyncResponse(req)) {
+      const jobParams = { ...params, ...(file && { image: describeUploadedFile(file) }) };
+      
+      const job = await enqueueImagePipeline(userId, jobParams, (onProgress) => {
+        return transformImage(userId, params, file, { onProgress });
+      });
+      
+      return sendJobAccepted(res, job);
+    }
+    
+    const result = await transformImage(userId, params, file);
+    
+    if (result.error) {
+      return sendPipelineError(res, result);
+    }
+    
+    if (result.meta && result.meta.free_generations) {
+      result.message = "This is a free generation with limited quality and watermark. Purchase credits for high-quality images.";
+    }
+    
+    return res.status(201).json(result);
+  } catch (error) {
+    if (error.code === 'JOB_QUEUE_FULL') {
+      return sendPipelineError(res, { error: error.message, code: error.code });
+    }
+    
+    console.error('Error in imageToImage controller:', error);
+    return res.status(500).json({ error: 'Server error' });
+  }
+};
+
 /**
  * @desc    Get user's generated images
  * @route   GET /api/images
@@ -67,8 +198,17 @@ const generateImage = async (req, res) => {
 const getImages = asyncHandler(async (req, res) => {
   const page = parseInt(req.query.page) || 1;
   const limit = parseInt(req.query.limit) || 20;
+  const { tags, favorite, collectionId, sort } = parseLibraryFilters(req.query);
   
-  const images = await getUserImages(req.user.id, { page, limit });
+  const images = await getUserImages(req.user.id, {
+    page,
+    limit,
+    generationType: req.query.generationType || null,
+    tags,
+    favorite,
+    collectionId,
+    sort
+  });
   
   res.status(200).json(images);
 });
@@ -84,6 +224,17 @@ const getImage = asyncHandler(async (req, res) => {
   res.status(200).json(image);
 });
 
+/**
+ * @desc    Get the version tree an image belongs to
+ * @route   GET /api/images/:id/lineage
+ * @access  Private
+ */
+const getLineage = asyncHandler(async (req, res) => {
+  const lineage = await getImageLineage(req.params.id, req.user.id);
+  
+  res.status(200).json(lineage);
+});
+
 /**
  * @desc    Delete image by ID
  * @route   DELETE /api/images/:id
@@ -95,6 +246,328 @@ const removeImage = asyncHandler(async (req, res) => {
   res.status(200).json({ message: 'Image deleted successfully' });
 });
 
+/**
+ * @desc    Upscale an image and save the result as a new linked image
+ * @route   POST /api/images/:id/upscale
+ * @access  Private
+ */
+const upscale = asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+  const imageId = req.params.id;
+  const params = { width: req.body.width };
+  
+  // Run in the background if the client asked for it
+  if (wantsAsyncResponse(req)) {
+    const job = await enqueueJob(userId, 'image', { imageId, ...params, operation: 'upscale' }, ({ reportProgress }) => {
+      return upscaleImage(imageId, userId, params, { onProgress: reportProgress });
+    });
+    
+    return sendJobAccepted(res, job);
+  }
+  
+  const result = await upscaleImage(imageId, userId, params);
+  
+  res.status(201).json(result);
+});
+
+/**
+ * @desc    Regenerate a masked region of an image and save it as a new version
+ * @route   POST /api/images/:id/inpaint
+ * @access  Private
+ */
+const inpaint = asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+  const imageId = req.params.id;
+  const params = req.body;
+  const maskFile = req.file || null;
+  
+  // Run in the background if the client asked for it
+  if (wantsAsyncResponse(req)) {
+    const jobParams = { imageId, ...params, operation: 'inpaint', ...(maskFile && { mask: describeUploadedFile(maskFile) }) };
+    
+    const job = await enqueueJob(userId, 'image', jobParams, ({ reportProgress }) => {
+      return inpaintImage(imageId, userId, params, maskFile, { onProgress: reportProgress });
+    });
+    
+    return sendJobAccepted(res, job);
+  }
+  
+  const result = await inpaintImage(imageId, userId, params, maskFile);
+  
+  res.status(201).json(result);
+});
+
+/**
+ * @desc    Extend the canvas of an image and save it as a new version
+ * @route   POST /api/images/:id/outpaint
+ * @access  Private
+ */
+const outpaint = asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+  const imageId = req.params.id;
+  const params = req.body;
+  
+  // Run in the background if the client asked for it
+  if (wantsAsyncResponse(req)) {
+    const job = await enqueueJob(userId, 'image', { imageId, ...params, operation: 'outpaint' }, ({ reportProgress }) => {
+      return outpaintImage(imageId, userId, params, { onProgress: reportProgress });
+    });
+    
+    return sendJobAccepted(res, job);
+  }
+  
+  const result = await outpaintImage(imageId, userId, params);
+  
+  res.status(201).json(result);
+});
+
+/**
+ * @desc    Generate variations of an image with seeds next to the original's
+ * @route   POST /api/images/:id/variations
+ * @access  Private
+ */
+const variations = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const imageId = req.params.id;
+    const params = { count: req.body.count };
+    
+    // Run in the background if the client asked for it
+    if (wantsAsyncResponse(req)) {
+      const job = await enqueueImagePipeline(userId, { imageId, ...params, operation: 'variation' }, (onProgress) => {
+        return createImageVariations(imageId, userId, params, { onProgress });
+      });
+      
+      return sendJobAccepted(res, job);
+    }
+    
+    const result = await createImageVariations(imageId, userId, params);
+    
+    if (result.error) {
+      return sendPipelineError(res, result);
+    }
+    
+    return res.status(201).json(result);
+  } catch (error) {
+    if (error.code === 'JOB_QUEUE_FULL') {
+      return sendPipelineError(res, { error: error.message, code: error.code });
+    }
+    
+    console.error('Error in variations controller:', error);
+    return res.status(500).json({ error: 'Server error' });
+  }
+};
+
+/**
+ * @desc    Re-run an image with a new prompt and the same seed
+ * @route   POST /api/images/:id/remix
+ * @access  Private
+ */
+const remix = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const imageId = req.params.id;
+    const params = req.body;
+    
+    // Run in the background if the client asked for it
+    if (wantsAsyncResponse(req)) {
+      const job = await enqueueImagePipeline(userId, { imageId, ...params, operation: 'remix' }, (onProgress) => {
+        return remixImage(imageId, userId, params, { onProgress });
+      });
+      
+      return sendJobAccepted(res, job);
+    }
+    
+    const result = await remixImage(imageId, userId, params);
+    
+    if (result.error) {
+      return sendPipelineError(res, result);
+    }
+    
+    return res.status(201).json(result);
+  } catch (error) {
+    if (error.code === 'JOB_QUEUE_FULL') {
+      return sendPipelineError(res, { error: error.message, code: error.code });
+    }
+    
+    console.error('Error in remix controller:', error);
+    return res.status(500).json({ error: 'Server error' });
+  }
+};
+
+/**
+ * @desc    Queue a batch of generations: N samples of one prompt or a list of prompts
+ * @route   POST /api/images/batch
+ * @access  Private
+ */
+const generateBatch = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const result = await createImageBatch(userId, req.body);
+    
+    if (result.error) {
+      return sendPipelineError(res, result);
+    }
+    
+    const { batch, job } = result;
+    const statusUrl = `/api/images/batches/${batch.id}`;
+    
+    return res.status(202).location(statusUrl).json({
+      success: true,
+      message: 'Image batch queued',
+      data: {
+        batchId: batch.id,
+        jobId: job.id,
+        status: batch.status,
+        totalCount: batch.totalCount,
+        creditsReserved: batch.creditsReserved,
+        statusUrl
+      }
+    });
+  } catch (error) {
+    console.error('Error in generateBatch controller:', error);
+    return res.status(500).json({ error: 'Server error' });
+  }
+};
+
+/**
+ * @desc    Get a batch and the status of every image in it
+ * @route   GET /api/images/batches/:id
+ * @access  Private
+ */
+const getBatch = asyncHandler(async (req, res) => {
+  const batch = await getImageBatch(req.params.id, req.user.id);
+  
+  res.status(200).json({
+    success: true,
+    data: batch
+  });
+});
+
+/**
+ * @desc    Report an image for moderation
+ * @route   POST /api/images/:id/report
+ * @access  Private
+ */
+const report = asyncHandler(async (req, res) => {
+  const { reason, details, shareToken } = req.body;
+  
+  const result = await reportImage(req.params.id, req.user.id, { reason, details, shareToken });
+  
+  // Reporting the same image again is not an error, but nothing new is recorded
+  res.status(result.alreadyReported ? 200 : 201).json({
+    success: true,
+    message: result.alreadyReported
+      ? 'You have already reported this image'
+      : 'Thanks for your report. Our moderation team will review this image.',
+    data: {
+      reportId: result.report.id,
+      reason: result.report.reason,
+      alreadyReported: result.alreadyReported
+    }
+  });
+});
+
+/**
+ * @desc    Change who can see an image and whether its prompt is shown
+ * @route   PATCH /api/images/:id/sharing
+ * @access  Private
+ */
+const updateSharing = asyncHandler(async (req, res) => {
+  const { visibility, showPrompt } = req.body;
+  
+  const sharing = await updateImageSharing(req.params.id, req.user.id, { visibility, showPrompt });
+  
+  res.status(200).json({
+    success: true,
+    data: sharing
+  });
+});
+
+/**
+ * @desc    Create a share link for an image
+ * @route   POST /api/images/:id/share-links
+ * @access  Private
+ */
+const createShare = asyncHandler(async (req, res) => {
+  const { link, sharing } = await createShareLink(req.params.id, req.user.id, {
+    expiresAt: req.body.expiresAt
+  });
+  
+  res.status(201).json({
+    success: true,
+    data: {
+      ...link,
+      sharing
+    }
+  });
+});
+
+/**
+ * @desc    List an image's share links
+ * @route   GET /api/images/:id/share-links
+ * @access  Private
+ */
+const getShareLinks = asyncHandler(async (req, res) => {
+  const links = await listShareLinks(req.params.id, req.user.id);
+  
+  res.status(200).json({
+    success: true,
+    data: links
+  });
+});
+
+/**
+ * @desc    Revoke a share link
+ * @route   DELETE /api/images/:id/share-links/:linkId
+ * @access  Private
+ */
+const revokeShare = asyncHandler(async (req, res) => {
+  const link = await revokeShareLink(req.params.linkId, req.params.id, req.user.id);
+  
+  res.status(200).json({
+    success: true,
+    data: link
+  });
+});
+
+/**
+ * @desc    Export images, posters, thumbnails and logos as a ZIP with a manifest.
+ *          The ZIP is built in the background and the download link is emailed.
+ * @route   POST /api/images/export
+ * @access  Private
+ */
+const exportImages = asyncHandler(async (req, res) => {
+  const { collectionId, from, to, type } = req.body;
+  
+  const { export: imageExport, job } = await createImageExport(req.user.id, { collectionId, from, to, type });
+  const statusUrl = `/api/images/exports/${imageExport.id}`;
+  
+  res.status(202).location(statusUrl).json({
+    success: true,
+    message: 'Export queued',
+    data: {
+      ...imageExport,
+      jobId: job.id,
+      statusUrl
+    }
+  });
+});
+
+/**
+ * @desc    Get an export and, once it's ready, its download link
+ * @route   GET /api/images/exports/:id
+ * @access  Private
+ */
+const getExport = asyncHandler(async (req, res) => {
+  const imageExport = await getImageExport(req.params.id, req.user.id);
+  
+  res.status(200).json({
+    success: true,
+    data: imageExport
+  });
+});
+
 /**
  * @desc    Get available models, resolutions, and generation types
  * @route   GET /api/images/options
@@ -111,7 +584,7 @@ const getImageOptions = asyncHandler(async (req, res) => {
   };
   
   res.status(200).json({
-    models: Object.entries(MODELS).map(([key, value]) => ({
+    models: Object.entries(getImageProvider().models).map(([key, value]) => ({
       id: value,
       name: key.replace(/_/g, ' ').replace(/\b\w/g, l => l.toUpperCase())
     })),
@@ -229,8 +702,24 @@ const analyzePrompt = asyncHandler(async (req, res) => {
 
 module.exports = {
   generateImage,
+  imageToImage,
+  upscale,
+  inpaint,
+  outpaint,
+  variations,
+  remix,
+  generateBatch,
+  getBatch,
+  report,
+  updateSharing,
+  createShare,
+  getShareLinks,
+  revokeShare,
+  exportImages,
+  getExport,
   getImages,
   getImage,
+  getLineage,
   removeImage,
   getImageOptions,
   suggestStyles,
@@ -0,0 +1,174 @@
+const asyncHandler = require('express-async-handler');
+const {
+  getJob,
+  listJobs,
+  getJobEvents,
+  subscribeToJobEvents,
+  JOB_TYPES,
+  JOB_STATUSES
+} = require('../services/jobService');
+const { ApiError } = require('../middlewares/errorMiddleware');
+
+// Comment line sent periodically so proxies don't close an idle stream
+const SSE_HEARTBEAT_INTERVAL_MS = 15 * 1000;
+
+// How often a stream checks the database for jobs this process isn't running
+const SSE_STATUS_POLL_INTERVAL_MS = 5 * 1000;
+
+/**
+ * Write one Server-Sent Event
+ * @param {Object} res - Express response object
+ * @param {Object} entry - The event ({ id, event, data })
+ */
+const writeEvent = (res, entry) => {
+  res.write(`id: ${entry.id}\nevent: ${entry.event}\ndata: ${JSON.stringify(entry.data)}\n\n`);
+};
+
+/**
+ * Build the final event for a finished job from its database record
+ * @param {Object} job - The formatted job
+ * @param {number} id - The event ID to use
+ * @returns {Object} - The complete event
+ */
+const buildCompleteEvent = (job, id) => ({
+  id,
+  event: 'complete',
+  data: {
+    status: job.status,
+    result: job.result,
+    error: job.error,
+    at: job.completedAt
+  }
+});
+
+/**
+ * @desc    Get a generation job's status and result
+ * @route   GET /api/jobs/:id
+ * @access  Private
+ */
+const getJobStatus = asyncHandler(async (req, res) => {
+  const job = await getJob(req.params.id, req.user.id);
+  
+  res.status(200).json({
+    success: true,
+    data: job
+  });
+});
+
+/**
+ * @desc    List the user's generation jobs
+ * @route   GET /api/jobs
+ * @access  Private
+ */
+const getJobs = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20, status, type } = req.query;
+  
+  if (status && !JOB_STATUSES.includes(status)) {
+    throw new ApiError(`status must be one of: ${JOB_STATUSES.join(', ')}`, 400);
+  }
+  
+  if (type && !JOB_TYPES.includes(type)) {
+    throw new ApiError(`type must be one of: ${JOB_TYPES.join(', ')}`, 400);
+  }
+  
+  const result = await listJobs(
+    req.user.id,
+    { status, type },
+    parseInt(page, 10),
+    parseInt(limit, 10)
+  );
+  
+  res.status(200).json({
+    success: true,
+    data: result
+  });
+});
+
+/**
+ * @desc    Stream a generation job's progress as Server-Sent Events
+ * @route   GET /api/jobs/:id/events
+ * @access  Private
+ */
+const streamJobEvents = asyncHandler(async (req, res) => {
+  const job = await getJob(req.params.id, req.user.id);
+  const lastEventId = parseInt(req.get('Last-Event-ID') || req.query.lastEventId, 10) || 0;
+  const finished = job.status === 'succeeded' || job.status === 'failed';
+  const history = getJobEvents(job.id, lastEventId);
+  
+  // A client that already received the final event has nothing left to read;
+  // 204 tells EventSource to stop reconnecting
+  if (finished && history && history.length === 0) {
+    return res.status(204).end();
+  }
+  
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write('retry: 3000\n\n');
+  
+  // This process has no history for the job (it ran elsewhere or the history
+  // expired), so fall back to what the database knows
+  if (!history) {
+    if (finished) {
+      writeEvent(res, buildCompleteEvent(job, lastEventId + 1));
+      return res.end();
+    }
+    
+    res.write(`event: status\ndata: ${JSON.stringify({ status: job.status, stage: job.stage })}\n\n`);
+  } else {
+    history.forEach(entry => writeEvent(res, entry));
+    
+    if (history.some(entry => entry.event === 'complete')) {
+      return res.end();
+    }
+  }
+  
+  let closed = false;
+  
+  const close = () => {
+    if (closed) {
+      return;
+    }
+    closed = true;
+    unsubscribe();
+    clearInterval(heartbeat);
+    clearInterval(statusPoll);
+    res.end();
+  };
+  
+  const unsubscribe = subscribeToJobEvents(job.id, (entry) => {
+    writeEvent(res, entry);
+    
+    if (entry.event === 'complete') {
+      close();
+    }
+  });
+  
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), SSE_HEARTBEAT_INTERVAL_MS);
+  
+  // Catch completion of jobs run by another process, which never reach our subscribers
+  const statusPoll = setInterval(async () => {
+    try {
+      const current = await getJob(job.id, req.user.id);
+      
+      if (!closed && !getJobEvents(job.id) && (current.status === 'succeeded' || current.status === 'failed')) {
+        writeEvent(res, buildCompleteEvent(current, lastEventId + 1));
+        close();
+      }
+    } catch (error) {
+      console.error(`Error polling job ${job.id} for event stream:`, error);
+    }
+  }, SSE_STATUS_POLL_INTERVAL_MS);
+  
+  req.on('close', close);
+});
+
+module.exports = {
+  getJobStatus,
+  getJobs,
+  streamJobEvents
+};
@@ -0,0 +1,198 @@
+const asyncHandler = require('express-async-handler');
+const {
+  createCollection,
+  listCollections,
+  getCollection,
+  updateCollection,
+  deleteCollection,
+  listCollectionItems,
+  addCollectionItems,
+  removeCollectionItems,
+  moveCollectionItems,
+  updateLibraryItems,
+  listLibraryTags
+} = require('../services/libraryService');
+
+/**
+ * @desc    Create a collection
+ * @route   POST /api/library/collections
+ * @access  Private
+ */
+const createNewCollection = asyncHandler(async (req, res) => {
+  const { name, description } = req.body;
+  
+  const collection = await createCollection(req.user.id, { name, description });
+  
+  res.status(201).json({
+    success: true,
+    data: collection
+  });
+});
+
+/**
+ * @desc    List the current user's collections
+ * @route   GET /api/library/collections
+ * @access  Private
+ */
+const getCollections = asyncHandler(async (req, res) => {
+  const collections = await listCollections(req.user.id);
+  
+  res.status(200).json({
+    success: true,
+    data: collections
+  });
+});
+
+/**
+ * @desc    Get a collection
+ * @route   GET /api/library/collections/:id
+ * @access  Private
+ */
+const getCollectionById = asyncHandler(async (req, res) => {
+  const collection = await getCollection(req.params.id, req.user.id);
+  
+  res.status(200).json({
+    success: true,
+    data: collection
+  });
+});
+
+/**
+ * @desc    Rename a collection or change its description
+ * @route   PATCH /api/library/collections/:id
+ * @access  Private
+ */
+const updateCollectionById = asyncHandler(async (req, res) => {
+  const { name, description } = req.body;
+  
+  const collection = await updateCollection(req.params.id, req.user.id, { name, description });
+  
+  res.status(200).json({
+    success: true,
+    data: collection
+  });
+});
+
+/**
+ * @desc    Delete a collection (the items in it are kept)
+ * @route   DELETE /api/library/collections/:id
+ * @access  Private
+ */
+const deleteCollectionById = asyncHandler(async (req, res) => {
+  await deleteCollection(req.params.id, req.user.id);
+  
+  res.status(200).json({
+    success: true,
+    message: 'Collection deleted'
+  });
+});
+
+/**
+ * @desc    List the items in a collection
+ * @route   GET /api/library/collections/:id/items
+ * @access  Private
+ */
+const getCollectionItems = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20, type } = req.query;
+  
+  const result = await listCollectionItems(
+    req.params.id,
+    req.user.id,
+    { type },
+    parseInt(page, 10),
+    parseInt(limit, 10)
+  );
+  
+  res.status(200).json({
+    success: true,
+    data: result
+  });
+});
+
+/**
+ * @desc    Add items to a collection
+ * @route   POST /api/library/collections/:id/items
+ * @access  Private
+ */
+const addItems = asyncHandler(async (req, res) => {
+  const result = await addCollectionItems(req.params.id, req.user.id, req.body.items);
+  
+  res.status(200).json({
+    success: true,
+    data: result
+  });
+});
+
+/**
+ * @desc    Remove items from a collection
+ * @route   POST /api/library/collections/:id/items/remove
+ * @access  Private
+ */
+const removeItems = asyncHandler(async (req, res) => {
+  const result = await removeCollectionItems(req.params.id, req.user.id, req.body.items);
+  
+  res.status(200).json({
+    success: true,
+    data: result
+  });
+});
+
+/**
+ * @desc    Move items from a collection to another one
+ * @route   POST /api/library/collections/:id/items/move
+ * @access  Private
+ */
+const moveItems = asyncHandler(async (req, res) => {
+  const { targetCollectionId, items } = req.body;
+  
+  const result = await moveCollectionItems(req.params.id, req.user.id, targetCollectionId, items);
+  
+  res.status(200).json({
+    success: true,
+    data: result
+  });
+});
+
+/**
+ * @desc    Tag, untag, favorite or unfavorite items
+ * @route   PATCH /api/library/items
+ * @access  Private
+ */
+const updateItems = asyncHandler(async (req, res) => {
+  const { items, addTags, removeTags, isFavorite } = req.body;
+  
+  const result = await updateLibraryItems(req.user.id, { items, addTags, removeTags, isFavorite });
+  
+  res.status(200).json({
+    success: true,
+    data: result
+  });
+});
+
+/**
+ * @desc    List the current user's tags with how many items have each
+ * @route   GET /api/library/tags
+ * @access  Private
+ */
+const getTags = asyncHandler(async (req, res) => {
+  const tags = await listLibraryTags(req.user.id);
+  
+  res.status(200).json({
+    success: true,
+    data: tags
+  });
+});
+
+module.exports = {
+  createNewCollection,
+  getCollections,
+  getCollectionById,
+  updateCollectionById,
+  deleteCollectionById,
+  getCollectionItems,
+  addItems,
+  removeItems,
+  moveItems,
+  updateItems,
+  getTags
+};
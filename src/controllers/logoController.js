@@ -1,7 +1,62 @@
 const asyncHandler = require('express-async-handler');
 const logoService = require('../services/logoService');
 const { ApiError } = require('../middlewares/errorMiddleware');
-const { deductCredits, getCreditCost } = require('../services/creditService');
+const { getCreditCost, holdCredits, captureCreditHold, releaseCreditHold } = require('../services/creditService');
+const { enqueueJob } = require('../services/jobService');
+const { assertPromptAllowed } = require('../services/moderationService');
+const { wantsAsyncResponse, sendJobAccepted } = require('../utils/jobUtils');
+
+/**
+ * Reserve credits, generate the logo and charge the credits once it exists
+ * @param {string} userId - The user ID
+ * @param {Object} params - Logo parameters from the request body
+ * @returns {Promise<Object>} - The generated logo and its credit cost
+ */
+const createLogo = async (userId, { name, description, colorTheme, style, industry }) => {
+  // Screen the logo prompt before reserving credits; throws a 422 if it is blocked
+  await assertPromptAllowed({
+    userId,
+    source: 'logo',
+    prompt: logoService.buildLogoPrompt({ name: name.trim(), description, colorTheme, style, industry })
+  });
+  
+  // Calculate credit cost
+  const creditCost = await getCreditCost('LOGO', null, userId);
+  
+  // Reserve the credits before calling the generator
+  const hold = await holdCredits(userId, creditCost, 'logo_generation');
+  
+  let result;
+  
+  try {
+    // Generate the logo
+    result = await logoService.generateLogo({
+      name,
+      description,
+      colorTheme,
+      style,
+      industry,
+      userId
+    });
+    
+    // Store it before charging, so a logo is never paid for but missing from the library
+    await logoService.saveLogo(userId, result, creditCost);
+  } catch (error) {
+    // Give the reserved credits back
+    try {
+      await releaseCreditHold(hold);
+    } catch (releaseError) {
+      console.error('Error releasing credit hold:', releaseError);
+    }
+    
+    throw error;
+  }
+  
+  // Charge the reserved credits now that the logo exists
+  await captureCreditHold(hold);
+  
+  return { logo: result, creditCost };
+};
 
 /**
  * @desc    Generate a logo with enhanced text and color handling
@@ -17,8 +72,8 @@ const generateLogo = asyncHandler(async (req, res) => {
     industry
   } = req.body;
   
-  // Validate required fields
-  if (!name) {
+  // Validate required fields before any moderation or credit work
+  if (typeof name !== 'string' || !name.trim()) {
     throw new ApiError('Brand name is required', 400);
   }
   
@@ -26,42 +81,27 @@ const generateLogo = asyncHandler(async (req, res) => {
   console.log(`Generating logo for brand: "${name}"`);
   console.log(`Style: ${style || 'minimalist'}, Colors: ${colorTheme || 'not specified'}`);
   
-  try {
-    // Calculate credit cost
-    const creditCost = await getCreditCost('LOGO', null, req.user.id);
-    
-    // Deduct credits
-    await deductCredits(req.user.id, creditCost, 'logo_generation');
-    
-    // Generate the logo
-    const result = await logoService.generateLogo({
-      name,
-      description,
-      colorTheme,
-      style,
-      industry,
-      userId: req.user.id
-    });
-    
-    // Return the result
-    res.status(201).json({
-      success: true,
-      message: 'Logo generated successfully',
-      data: result,
-      creditCost
+  const params = { name, description, colorTheme, style, industry };
+  
+  // Run in the background if the client asked for it
+  if (wantsAsyncResponse(req)) {
+    const job = await enqueueJob(req.user.id, 'logo', params, async () => {
+      const { logo } = await createLogo(req.user.id, params);
+      return logo;
     });
-  } catch (error) {
-    // If credits were deducted but generation failed, refund them
-    if (error.message !== 'Insufficient credits') {
-      try {
-        await deductCredits(req.user.id, -creditCost, 'refund_failed_generation');
-      } catch (refundError) {
-        console.error('Error refunding credits:', refundError);
-      }
-    }
     
-    throw error;
+    return sendJobAccepted(res, job);
   }
+  
+  const { logo, creditCost } = await createLogo(req.user.id, params);
+  
+  // Return the result
+  res.status(201).json({
+    success: true,
+    message: 'Logo generated successfully',
+    data: logo,
+    creditCost
+  });
 });
 
 /**
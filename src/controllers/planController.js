@@ -15,7 +15,8 @@ const subscribe = asyncHandler(async (req, res) => {
     throw new ApiError('Plan is required', 400);
   }
 
-  const result = await subscribeToPlan(userId, plan);
+  // Optional client-supplied key so a retried subscription is only charged once
+  const result = await subscribeToPlan(userId, plan, req.get('Idempotency-Key') || null);
   res.status(200).json(result);
 });
 
@@ -1,5 +1,8 @@
 const PosterService = require('../services/posterService');
 const { ApiError } = require('../middlewares/errorMiddleware');
+const { enqueueJob } = require('../services/jobService');
+const { wantsAsyncResponse, describeUploadedFile, sendJobAccepted } = require('../utils/jobUtils');
+const { parseLibraryFilters } = require('../services/libraryService');
 
 /**
  * Controller for AI poster generation
@@ -47,8 +50,7 @@ class PosterController {
         }
       }
       
-      // Generate poster
-      const result = await PosterService.generatePoster(userId, {
+      const params = {
         title,
         slogan,
         additionalText,
@@ -60,7 +62,24 @@ class PosterController {
         customDimensions: aspectRatio === 'custom' ? customDimensions : undefined,
         logoAsset,
         productImage
-      });
+      };
+      
+      // Run in the background if the client asked for it
+      if (wantsAsyncResponse(req)) {
+        const job = await enqueueJob(userId, 'poster', {
+          ...params,
+          logoAsset: logoAsset ? describeUploadedFile(logoAsset) : null,
+          productImage: productImage ? describeUploadedFile(productImage) : null
+        }, async () => {
+          const result = await PosterService.generatePoster(userId, params);
+          return result.data;
+        });
+        
+        return sendJobAccepted(res, job);
+      }
+      
+      // Generate poster
+      const result = await PosterService.generatePoster(userId, params);
       
       res.status(201).json(result);
     } catch (error) {
@@ -77,12 +96,18 @@ class PosterController {
   static async getPosters(req, res, next) {
     try {
       const userId = req.user.id;
-      const { page = 1, limit = 20, posterType, stylePreference } = req.query;
+      const { page = 1, limit = 20, posterType, stylePreference, startDate, endDate } = req.query;
+      
+      if ((startDate && isNaN(Date.parse(startDate))) || (endDate && isNaN(Date.parse(endDate)))) {
+        throw new ApiError('startDate and endDate must be valid dates', 400);
+      }
       
-      // Build filters
-      const filters = {};
+      // Build filters (tag, favorite, collectionId and sort are shared with the other galleries)
+      const filters = parseLibraryFilters(req.query);
       if (posterType) filters.posterType = posterType;
       if (stylePreference) filters.stylePreference = stylePreference;
+      if (startDate) filters.startDate = startDate;
+      if (endDate) filters.endDate = endDate;
       
       // Get posters
       const posters = await PosterService.listPosters(
@@ -0,0 +1,20 @@
+const asyncHandler = require('express-async-handler');
+const { searchGenerations } = require('../services/searchService');
+
+/**
+ * @desc    Search the current user's images, posters, thumbnails and logos
+ * @route   GET /api/search
+ * @access  Private
+ */
+const search = asyncHandler(async (req, res) => {
+  const result = await searchGenerations(req.user.id, req.query);
+  
+  res.status(200).json({
+    success: true,
+    data: result
+  });
+});
+
+module.exports = {
+  search
+};
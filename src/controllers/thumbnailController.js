@@ -1,5 +1,9 @@
 const ThumbnailService = require('../services/thumbnailService');
 const { ApiError } = require('../middlewares/errorMiddleware');
+const { getImageProvider } = require('../services/imageProviders');
+const { enqueueJob } = require('../services/jobService');
+const { wantsAsyncResponse, describeUploadedFile, sendJobAccepted } = require('../utils/jobUtils');
+const { parseLibraryFilters } = require('../services/libraryService');
 
 /**
  * Controller for YouTube thumbnail generation
@@ -102,12 +106,12 @@ class ThumbnailController {
       const thumbnailService = new ThumbnailService();
       
       // Initialize service dependencies
-      const StabilityAIServiceModule = require('../services/stabilityAIService');
-      thumbnailService.stabilityAIService = new StabilityAIServiceModule.StabilityAIService();
+      thumbnailService.imageProvider = getImageProvider();
       thumbnailService.cloudinaryService = require('../services/cloudinaryService');
       
       // Prepare options for the thumbnail generation
       const options = {
+        userId,
         title,
         subtitle,
         tags: Array.isArray(tags) ? tags : (tags ? [tags] : []),
@@ -120,6 +124,19 @@ class ThumbnailController {
         composition
       };
       
+      // Run in the background if the client asked for it
+      if (wantsAsyncResponse(req)) {
+        const job = await enqueueJob(userId, 'thumbnail', {
+          ...options,
+          userImages: userImages.map(describeUploadedFile)
+        }, ({ reportProgress }) => thumbnailService.generateThumbnail({
+          ...options,
+          onProgress: reportProgress
+        }));
+        
+        return sendJobAccepted(res, job);
+      }
+      
       // Generate thumbnail
       const result = await thumbnailService.generateThumbnail(options);
       
@@ -142,12 +159,18 @@ class ThumbnailController {
   static async getThumbnails(req, res, next) {
     try {
       const userId = req.user.id;
-      const { page = 1, limit = 20, contentCategory, stylePreference } = req.query;
+      const { page = 1, limit = 20, contentCategory, stylePreference, startDate, endDate } = req.query;
+      
+      if ((startDate && isNaN(Date.parse(startDate))) || (endDate && isNaN(Date.parse(endDate)))) {
+        throw new ApiError('startDate and endDate must be valid dates', 400);
+      }
       
-      // Build filters
-      const filters = {};
+      // Build filters (tag, favorite, collectionId and sort are shared with the other galleries)
+      const filters = parseLibraryFilters(req.query);
       if (contentCategory) filters.contentCategory = contentCategory;
       if (stylePreference) filters.stylePreference = stylePreference;
+      if (startDate) filters.startDate = startDate;
+      if (endDate) filters.endDate = endDate;
       
       // Get thumbnails
       const thumbnails = await ThumbnailService.listThumbnails(
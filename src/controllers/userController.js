@@ -13,6 +13,8 @@ const {
 const { ApiError } = require('../middlewares/errorMiddleware');
 const { isValidPhoneNumber, getPhoneValidationErrorMessage } = require('../utils/validationUtils');
 
+const MAX_DISPLAY_NAME_LENGTH = 50;
+
 /**
  * @desc    Get current user profile
  * @route   GET /api/users/me
@@ -36,6 +38,7 @@ const updateProfile = asyncHandler(async (req, res) => {
   // Sanitize input - only allow specific fields to be updated
   const allowedFields = [
     'full_name', 
+    'display_name',
     'avatar_url', 
     'country', 
     'country_code', 
@@ -58,6 +61,17 @@ const updateProfile = asyncHandler(async (req, res) => {
     throw new ApiError('No valid fields to update', 400);
   }
 
+  // Shown on the public creator profile; empty clears it
+  if (updateData.display_name !== undefined) {
+    if (updateData.display_name !== null && typeof updateData.display_name !== 'string') {
+      throw new ApiError('display_name must be text', 400);
+    }
+    updateData.display_name = updateData.display_name ? updateData.display_name.trim() : null;
+    if (updateData.display_name && updateData.display_name.length > MAX_DISPLAY_NAME_LENGTH) {
+      throw new ApiError(`display_name must be at most ${MAX_DISPLAY_NAME_LENGTH} characters`, 400);
+    }
+  }
+  
   // Validate phone number if provided
   if (updateData.phone !== undefined) {
     if (!updateData.phone) {
@@ -166,7 +180,7 @@ const getUserFullProfile = asyncHandler(async (req, res) => {
  * @access  Private
  */
 const updateAccountSettings = asyncHandler(async (req, res) => {
-  const { email_notifications, marketing_emails, app_notifications } = req.body;
+  const { email_notifications, marketing_emails, app_notifications, public_profile, remix_attribution } = req.body;
   
   const updateData = {};
   
@@ -183,6 +197,16 @@ const updateAccountSettings = asyncHandler(async (req, res) => {
     updateData.app_notifications = Boolean(app_notifications);
   }
   
+  // Privacy: whether the user has a public creator profile (and is named on their
+  // public images), and whether remixes of their images credit them
+  if (public_profile !== undefined) {
+    updateData.public_profile = Boolean(public_profile);
+  }
+  
+  if (remix_attribution !== undefined) {
+    updateData.remix_attribution = Boolean(remix_attribution);
+  }
+  
   if (Object.keys(updateData).length === 0) {
     throw new ApiError('No valid settings to update', 400);
   }
@@ -195,7 +219,9 @@ const updateAccountSettings = asyncHandler(async (req, res) => {
     data: {
       email_notifications: updatedUser.email_notifications,
       marketing_emails: updatedUser.marketing_emails,
-      app_notifications: updatedUser.app_notifications
+      app_notifications: updatedUser.app_notifications,
+      public_profile: updatedUser.public_profile,
+      remix_attribution: updatedUser.remix_attribution
     }
   });
 });
@@ -3,6 +3,7 @@ const { supabase } = require('../config/supabaseClient');
 const { ApiError } = require('../middlewares/errorMiddleware');
 const crypto = require('crypto');
 const cashfreeConfig = require('../config/cashfreeConfig');
+const { dispatchWebhookEvent } = require('../services/webhookService');
 
 const CASHFREE_CLIENT_SECRET = cashfreeConfig.clientSecret;
 // Set to true for development/testing to bypass signature verification
@@ -365,6 +366,16 @@ const handleCashfreeWebhook = asyncHandler(async (req, res) => {
             console.error('❌ Failed to update user to professional:', updateError);
           } else {
             console.log(`✅ User ${userId} upgraded to professional with RS2000 plan`);
+            
+            dispatchWebhookEvent(userId, 'payment.succeeded', {
+              orderId,
+              paymentId,
+              amount: orderAmount,
+              currency: 'INR',
+              purchase: 'plan',
+              plan: 'professional',
+              planExpiry: expiryDate.toISOString()
+            }, { eventKey: `payment:${orderId}` });
           }
         } else {
           // Regular payment - Add credits to user's account
@@ -376,7 +387,8 @@ const handleCashfreeWebhook = asyncHandler(async (req, res) => {
               p_user_id: userId,
               p_amount: orderAmount,
               p_source: 'payment',
-              p_reference_id: orderId
+              p_reference_id: orderId,
+              p_idempotency_key: `payment:${orderId}`
             });
             
             if (transactionError) {
@@ -388,6 +400,16 @@ const handleCashfreeWebhook = asyncHandler(async (req, res) => {
               console.log(`⚠️ Payment ${orderId} already processed, skipping credit addition. Current balance: ${result.new_balance}`);
             } else {
               console.log(`✅ Added ₹${orderAmount} credits to user ${userId}, previous balance: ${result.previous_balance}, new balance: ${result.new_balance}`);
+              
+              dispatchWebhookEvent(userId, 'payment.succeeded', {
+                orderId,
+                paymentId,
+                amount: orderAmount,
+                currency: 'INR',
+                purchase: 'credits',
+                creditsAdded: orderAmount,
+                balance: result.new_balance
+              }, { eventKey: `payment:${orderId}` });
             }
           } catch (error) {
             console.error('❌ Error processing credit addition:', error);
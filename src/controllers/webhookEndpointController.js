@@ -0,0 +1,140 @@
+const asyncHandler = require('express-async-handler');
+const { ApiError } = require('../middlewares/errorMiddleware');
+const {
+  createWebhookEndpoint,
+  listWebhookEndpoints,
+  updateWebhookEndpoint,
+  deleteWebhookEndpoint,
+  listWebhookDeliveries,
+  redeliverWebhook,
+  WEBHOOK_EVENTS,
+  WEBHOOK_DELIVERY_STATUSES
+} = require('../services/webhookService');
+
+/**
+ * @desc    Register a webhook endpoint
+ * @route   POST /api/users/me/webhooks
+ * @access  Private
+ */
+const createEndpoint = asyncHandler(async (req, res) => {
+  const { url, events, description } = req.body;
+  
+  const { secret, endpoint } = await createWebhookEndpoint(req.user.id, { url, events, description });
+  
+  res.status(201).json({
+    success: true,
+    message: 'Copy this signing secret now. It won\'t be shown again.',
+    data: {
+      ...endpoint,
+      secret
+    }
+  });
+});
+
+/**
+ * @desc    List the current user's webhook endpoints
+ * @route   GET /api/users/me/webhooks
+ * @access  Private
+ */
+const getEndpoints = asyncHandler(async (req, res) => {
+  const endpoints = await listWebhookEndpoints(req.user.id);
+  
+  res.status(200).json({
+    success: true,
+    data: {
+      endpoints,
+      events: WEBHOOK_EVENTS
+    }
+  });
+});
+
+/**
+ * @desc    Update a webhook endpoint
+ * @route   PATCH /api/users/me/webhooks/:id
+ * @access  Private
+ */
+const updateEndpoint = asyncHandler(async (req, res) => {
+  const { url, events, description, isActive } = req.body;
+  
+  const endpoint = await updateWebhookEndpoint(req.params.id, req.user.id, {
+    url,
+    events,
+    description,
+    isActive
+  });
+  
+  res.status(200).json({
+    success: true,
+    data: endpoint
+  });
+});
+
+/**
+ * @desc    Delete a webhook endpoint and its delivery log
+ * @route   DELETE /api/users/me/webhooks/:id
+ * @access  Private
+ */
+const deleteEndpoint = asyncHandler(async (req, res) => {
+  await deleteWebhookEndpoint(req.params.id, req.user.id);
+  
+  res.status(200).json({
+    success: true,
+    message: 'Webhook endpoint deleted'
+  });
+});
+
+/**
+ * @desc    List a webhook endpoint's deliveries
+ * @route   GET /api/users/me/webhooks/:id/deliveries
+ * @access  Private
+ */
+const getDeliveries = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20, status, event } = req.query;
+  
+  if (status && !WEBHOOK_DELIVERY_STATUSES.includes(status)) {
+    throw new ApiError(`status must be one of: ${WEBHOOK_DELIVERY_STATUSES.join(', ')}`, 400);
+  }
+  
+  if (event && !WEBHOOK_EVENTS.includes(event)) {
+    throw new ApiError(`event must be one of: ${WEBHOOK_EVENTS.join(', ')}`, 400);
+  }
+  
+  const result = await listWebhookDeliveries(
+    req.params.id,
+    req.user.id,
+    { status, event },
+    parseInt(page, 10),
+    parseInt(limit, 10)
+  );
+  
+  res.status(200).json({
+    success: true,
+    data: result
+  });
+});
+
+/**
+ * @desc    Send a delivery to its endpoint again
+ * @route   POST /api/users/me/webhooks/:id/deliveries/:deliveryId/redeliver
+ * @access  Private
+ */
+const redeliver = asyncHandler(async (req, res) => {
+  const delivery = await redeliverWebhook(req.params.deliveryId, req.params.id, req.user.id);
+  
+  res.status(201).json({
+    success: true,
+    message: delivery.status === 'succeeded'
+      ? 'Webhook redelivered'
+      : 'Redelivery attempted; it will be retried if it failed',
+    data: delivery
+  });
+});
+
+module.exports = {
+  createEndpoint,
+  getEndpoints,
+  updateEndpoint,
+  deleteEndpoint,
+  getDeliveries,
+  redeliver
+};
@@ -0,0 +1,36 @@
+-- API key usage counters, called through supabase.rpc().
+--
+-- record_api_key_usage adds to a key's request and credit counters in one
+-- statement, so concurrent requests don't lose updates, and tags the ledger
+-- debit the credits were charged with.
+--
+-- Run after src/db/schema/api_keys.sql.
+
+CREATE OR REPLACE FUNCTION record_api_key_usage(
+  p_key_id UUID,
+  p_requests INTEGER DEFAULT 0,
+  p_credits INTEGER DEFAULT 0,
+  p_transaction_id UUID DEFAULT NULL
+)
+RETURNS VOID
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+BEGIN
+  UPDATE api_keys
+  SET request_count = request_count + COALESCE(p_requests, 0),
+      credits_used = credits_used + COALESCE(p_credits, 0),
+      last_used_at = CASE WHEN COALESCE(p_requests, 0) > 0 THEN NOW() ELSE last_used_at END
+  WHERE id = p_key_id;
+
+  IF p_transaction_id IS NOT NULL THEN
+    UPDATE credit_transactions
+    SET api_key_id = p_key_id
+    WHERE id = p_transaction_id;
+  END IF;
+END;
+$$;
+
+-- Only the backend (the service role) may update the usage counters.
+REVOKE EXECUTE ON FUNCTION record_api_key_usage(UUID, INTEGER, INTEGER, UUID) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION record_api_key_usage(UUID, INTEGER, INTEGER, UUID) TO service_role;
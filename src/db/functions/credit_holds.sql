@@ -0,0 +1,206 @@
+-- Credit reservation functions, called through supabase.rpc().
+--
+-- A generation reserves its estimated cost with hold_credits before calling
+-- the provider, then either captures the hold (writing the ledger debit) on
+-- success or releases it on failure. Held credits are tracked in
+-- profiles.credit_held and can't be spent by other debits or holds. Holds
+-- that are never resolved are expired by expire_credit_holds.
+--
+-- Run after credit_ledger.sql.
+
+CREATE OR REPLACE FUNCTION expire_credit_holds(p_user_id UUID DEFAULT NULL)
+RETURNS INTEGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+  v_count INTEGER;
+BEGIN
+  WITH expired AS (
+    UPDATE credit_holds
+    SET status = 'expired', resolved_at = NOW()
+    WHERE status = 'held'
+      AND expires_at <= NOW()
+      AND (p_user_id IS NULL OR user_id = p_user_id)
+    RETURNING user_id, amount
+  ), returned AS (
+    UPDATE profiles p
+    SET credit_held = GREATEST(p.credit_held - t.amount, 0)
+    FROM (SELECT user_id, SUM(amount) AS amount FROM expired GROUP BY user_id) t
+    WHERE p.id = t.user_id
+    RETURNING p.id
+  )
+  SELECT COUNT(*) INTO v_count FROM expired;
+
+  RETURN v_count;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION hold_credits(
+  p_user_id UUID,
+  p_amount INTEGER,
+  p_source TEXT,
+  p_reference_id TEXT DEFAULT NULL,
+  p_ttl_seconds INTEGER DEFAULT 900
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+  v_available INTEGER;
+  v_hold_id UUID;
+  v_expires_at TIMESTAMPTZ;
+BEGIN
+  IF p_amount IS NULL OR p_amount <= 0 THEN
+    RAISE EXCEPTION 'Hold amount must be a positive integer' USING ERRCODE = '22023';
+  END IF;
+
+  -- Stale holds for this user shouldn't block a new reservation
+  PERFORM expire_credit_holds(p_user_id);
+
+  UPDATE profiles
+  SET credit_held = credit_held + p_amount
+  WHERE id = p_user_id AND credit_balance - credit_held >= p_amount
+  RETURNING credit_balance - credit_held INTO v_available;
+
+  IF NOT FOUND THEN
+    IF NOT EXISTS (SELECT 1 FROM profiles WHERE id = p_user_id) THEN
+      RAISE EXCEPTION 'User % not found', p_user_id USING ERRCODE = 'P0002';
+    END IF;
+
+    RETURN jsonb_build_object(
+      'status', 'insufficient_credits',
+      'available_balance', (SELECT credit_balance - credit_held FROM profiles WHERE id = p_user_id)
+    );
+  END IF;
+
+  INSERT INTO credit_holds (user_id, amount, source, reference_id, expires_at)
+  VALUES (p_user_id, p_amount, p_source, p_reference_id, NOW() + make_interval(secs => p_ttl_seconds))
+  RETURNING id, expires_at INTO v_hold_id, v_expires_at;
+
+  RETURN jsonb_build_object(
+    'status', 'held',
+    'hold_id', v_hold_id,
+    'expires_at', v_expires_at,
+    'available_balance', v_available
+  );
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION capture_credit_hold(
+  p_hold_id UUID,
+  p_amount INTEGER DEFAULT NULL
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+  v_hold credit_holds%ROWTYPE;
+  v_amount INTEGER;
+  v_new_balance INTEGER;
+  v_transaction_id UUID;
+BEGIN
+  SELECT * INTO v_hold FROM credit_holds WHERE id = p_hold_id FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Credit hold % not found', p_hold_id USING ERRCODE = 'P0002';
+  END IF;
+
+  IF v_hold.status = 'captured' THEN
+    RETURN jsonb_build_object(
+      'status', 'already_processed',
+      'new_balance', (SELECT credit_balance FROM profiles WHERE id = v_hold.user_id)
+    );
+  END IF;
+
+  v_amount := COALESCE(p_amount, v_hold.amount);
+
+  IF v_amount < 0 OR v_amount > v_hold.amount THEN
+    RAISE EXCEPTION 'Capture amount must be between 0 and the held amount' USING ERRCODE = '22023';
+  END IF;
+
+  IF v_hold.status = 'held' THEN
+    UPDATE profiles
+    SET credit_held = GREATEST(credit_held - v_hold.amount, 0),
+        credit_balance = credit_balance - v_amount
+    WHERE id = v_hold.user_id
+    RETURNING credit_balance INTO v_new_balance;
+  ELSE
+    -- The hold expired or was released before the generation finished, so
+    -- only charge if the credits are still spendable
+    UPDATE profiles
+    SET credit_balance = credit_balance - v_amount
+    WHERE id = v_hold.user_id AND credit_balance - credit_held >= v_amount
+    RETURNING credit_balance INTO v_new_balance;
+
+    IF NOT FOUND THEN
+      RETURN jsonb_build_object(
+        'status', 'insufficient_credits',
+        'new_balance', (SELECT credit_balance FROM profiles WHERE id = v_hold.user_id)
+      );
+    END IF;
+  END IF;
+
+  IF v_amount > 0 THEN
+    v_transaction_id := uuid_generate_v4();
+
+    INSERT INTO credit_transactions (id, user_id, amount, type, source, reference_id, idempotency_key, balance_after)
+    VALUES (v_transaction_id, v_hold.user_id, v_amount, 'debit', v_hold.source, v_hold.reference_id, 'hold:' || v_hold.id, v_new_balance);
+  END IF;
+
+  UPDATE credit_holds
+  SET status = 'captured', captured_amount = v_amount, resolved_at = NOW()
+  WHERE id = v_hold.id;
+
+  RETURN jsonb_build_object(
+    'status', 'captured',
+    'transaction_id', v_transaction_id,
+    'previous_balance', v_new_balance + v_amount,
+    'new_balance', v_new_balance
+  );
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION release_credit_hold(p_hold_id UUID)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+  v_hold credit_holds%ROWTYPE;
+BEGIN
+  SELECT * INTO v_hold FROM credit_holds WHERE id = p_hold_id FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Credit hold % not found', p_hold_id USING ERRCODE = 'P0002';
+  END IF;
+
+  -- Captured, released and expired holds no longer reserve anything
+  IF v_hold.status <> 'held' THEN
+    RETURN jsonb_build_object('status', v_hold.status);
+  END IF;
+
+  UPDATE profiles
+  SET credit_held = GREATEST(credit_held - v_hold.amount, 0)
+  WHERE id = v_hold.user_id;
+
+  UPDATE credit_holds
+  SET status = 'released', resolved_at = NOW()
+  WHERE id = v_hold.id;
+
+  RETURN jsonb_build_object('status', 'released');
+END;
+$$;
+
+-- Only the backend (the service role) may place, capture, release or expire holds.
+-- PostgREST would otherwise let anyone with the anon key lock another user's balance.
+REVOKE EXECUTE ON FUNCTION expire_credit_holds(UUID) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION hold_credits(UUID, INTEGER, TEXT, TEXT, INTEGER) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION capture_credit_hold(UUID, INTEGER) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION release_credit_hold(UUID) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION expire_credit_holds(UUID) TO service_role;
+GRANT EXECUTE ON FUNCTION hold_credits(UUID, INTEGER, TEXT, TEXT, INTEGER) TO service_role;
+GRANT EXECUTE ON FUNCTION capture_credit_hold(UUID, INTEGER) TO service_role;
+GRANT EXECUTE ON FUNCTION release_credit_hold(UUID) TO service_role;
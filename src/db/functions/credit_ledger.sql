@@ -0,0 +1,268 @@
+-- Atomic credit ledger functions, called through supabase.rpc().
+--
+-- Each function updates profiles.credit_balance and writes the matching
+-- credit_transactions row in a single transaction. When an idempotency key
+-- is supplied, a retry with the same key returns status 'already_processed'
+-- instead of changing the balance twice.
+
+CREATE OR REPLACE FUNCTION add_credits(
+  p_user_id UUID,
+  p_amount INTEGER,
+  p_source TEXT,
+  p_reference_id TEXT DEFAULT NULL,
+  p_idempotency_key TEXT DEFAULT NULL
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+  v_new_balance INTEGER;
+  v_transaction_id UUID := uuid_generate_v4();
+BEGIN
+  IF p_amount IS NULL OR p_amount < 0 THEN
+    RAISE EXCEPTION 'Credit amount must be a non-negative integer' USING ERRCODE = '22023';
+  END IF;
+
+  IF p_idempotency_key IS NOT NULL AND EXISTS (
+    SELECT 1 FROM credit_transactions WHERE idempotency_key = p_idempotency_key
+  ) THEN
+    RETURN jsonb_build_object(
+      'status', 'already_processed',
+      'new_balance', (SELECT credit_balance FROM profiles WHERE id = p_user_id)
+    );
+  END IF;
+
+  BEGIN
+    UPDATE profiles
+    SET credit_balance = credit_balance + p_amount
+    WHERE id = p_user_id
+    RETURNING credit_balance INTO v_new_balance;
+
+    IF NOT FOUND THEN
+      RAISE EXCEPTION 'User % not found', p_user_id USING ERRCODE = 'P0002';
+    END IF;
+
+    INSERT INTO credit_transactions (id, user_id, amount, type, source, reference_id, idempotency_key, balance_after)
+    VALUES (v_transaction_id, p_user_id, p_amount, 'credit', p_source, p_reference_id, p_idempotency_key, v_new_balance);
+  EXCEPTION WHEN unique_violation THEN
+    -- A concurrent call with the same key won the race; the update above is rolled back
+    RETURN jsonb_build_object(
+      'status', 'already_processed',
+      'new_balance', (SELECT credit_balance FROM profiles WHERE id = p_user_id)
+    );
+  END;
+
+  RETURN jsonb_build_object(
+    'status', 'applied',
+    'transaction_id', v_transaction_id,
+    'previous_balance', v_new_balance - p_amount,
+    'new_balance', v_new_balance
+  );
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION deduct_credits(
+  p_user_id UUID,
+  p_amount INTEGER,
+  p_source TEXT,
+  p_reference_id TEXT DEFAULT NULL,
+  p_idempotency_key TEXT DEFAULT NULL
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+  v_new_balance INTEGER;
+  v_transaction_id UUID := uuid_generate_v4();
+BEGIN
+  IF p_amount IS NULL OR p_amount < 0 THEN
+    RAISE EXCEPTION 'Credit amount must be a non-negative integer' USING ERRCODE = '22023';
+  END IF;
+
+  IF p_idempotency_key IS NOT NULL AND EXISTS (
+    SELECT 1 FROM credit_transactions WHERE idempotency_key = p_idempotency_key
+  ) THEN
+    RETURN jsonb_build_object(
+      'status', 'already_processed',
+      'new_balance', (SELECT credit_balance FROM profiles WHERE id = p_user_id)
+    );
+  END IF;
+
+  BEGIN
+    -- The balance check and the update are one statement, so concurrent
+    -- debits can't both pass the check against the same balance. Credits
+    -- reserved by active holds (see credit_holds.sql) are not spendable.
+    UPDATE profiles
+    SET credit_balance = credit_balance - p_amount
+    WHERE id = p_user_id AND credit_balance - credit_held >= p_amount
+    RETURNING credit_balance INTO v_new_balance;
+
+    IF NOT FOUND THEN
+      IF NOT EXISTS (SELECT 1 FROM profiles WHERE id = p_user_id) THEN
+        RAISE EXCEPTION 'User % not found', p_user_id USING ERRCODE = 'P0002';
+      END IF;
+
+      RETURN jsonb_build_object(
+        'status', 'insufficient_credits',
+        'new_balance', (SELECT credit_balance FROM profiles WHERE id = p_user_id)
+      );
+    END IF;
+
+    INSERT INTO credit_transactions (id, user_id, amount, type, source, reference_id, idempotency_key, balance_after)
+    VALUES (v_transaction_id, p_user_id, p_amount, 'debit', p_source, p_reference_id, p_idempotency_key, v_new_balance);
+  EXCEPTION WHEN unique_violation THEN
+    RETURN jsonb_build_object(
+      'status', 'already_processed',
+      'new_balance', (SELECT credit_balance FROM profiles WHERE id = p_user_id)
+    );
+  END;
+
+  RETURN jsonb_build_object(
+    'status', 'applied',
+    'transaction_id', v_transaction_id,
+    'previous_balance', v_new_balance + p_amount,
+    'new_balance', v_new_balance
+  );
+END;
+$$;
+
+-- Charge for a plan and apply it in one transaction, so a user is never charged
+-- without getting the plan. A retry with the same idempotency key changes
+-- nothing and returns the plan the profile has now.
+CREATE OR REPLACE FUNCTION subscribe_to_plan(
+  p_user_id UUID,
+  p_amount INTEGER,
+  p_plan TEXT,
+  p_role TEXT,
+  p_duration_days INTEGER,
+  p_reference_id TEXT DEFAULT NULL,
+  p_idempotency_key TEXT DEFAULT NULL
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+  v_new_balance INTEGER;
+  v_plan_expiry TIMESTAMPTZ := NOW() + make_interval(days => p_duration_days);
+  v_transaction_id UUID := uuid_generate_v4();
+BEGIN
+  IF p_amount IS NULL OR p_amount < 0 THEN
+    RAISE EXCEPTION 'Credit amount must be a non-negative integer' USING ERRCODE = '22023';
+  END IF;
+
+  IF p_idempotency_key IS NOT NULL AND EXISTS (
+    SELECT 1 FROM credit_transactions WHERE idempotency_key = p_idempotency_key
+  ) THEN
+    RETURN (
+      SELECT jsonb_build_object(
+        'status', 'already_processed',
+        'new_balance', credit_balance,
+        'plan', current_plan,
+        'plan_expiry', plan_expiry
+      )
+      FROM profiles WHERE id = p_user_id
+    );
+  END IF;
+
+  BEGIN
+    UPDATE profiles
+    SET credit_balance = credit_balance - p_amount,
+        current_plan = p_plan,
+        plan_expiry = v_plan_expiry,
+        role = COALESCE(p_role, role)
+    WHERE id = p_user_id AND credit_balance - credit_held >= p_amount
+    RETURNING credit_balance INTO v_new_balance;
+
+    IF NOT FOUND THEN
+      IF NOT EXISTS (SELECT 1 FROM profiles WHERE id = p_user_id) THEN
+        RAISE EXCEPTION 'User % not found', p_user_id USING ERRCODE = 'P0002';
+      END IF;
+
+      RETURN jsonb_build_object(
+        'status', 'insufficient_credits',
+        'new_balance', (SELECT credit_balance FROM profiles WHERE id = p_user_id)
+      );
+    END IF;
+
+    -- Free plans have nothing to record in the ledger
+    IF p_amount > 0 THEN
+      INSERT INTO credit_transactions (id, user_id, amount, type, source, reference_id, idempotency_key, balance_after)
+      VALUES (v_transaction_id, p_user_id, p_amount, 'debit', 'plan_subscription', p_reference_id, p_idempotency_key, v_new_balance);
+    ELSE
+      v_transaction_id := NULL;
+    END IF;
+  EXCEPTION WHEN unique_violation THEN
+    -- A concurrent call with the same key won the race; the plan update above is rolled back
+    RETURN (
+      SELECT jsonb_build_object(
+        'status', 'already_processed',
+        'new_balance', credit_balance,
+        'plan', current_plan,
+        'plan_expiry', plan_expiry
+      )
+      FROM profiles WHERE id = p_user_id
+    );
+  END;
+
+  RETURN jsonb_build_object(
+    'status', 'applied',
+    'transaction_id', v_transaction_id,
+    'previous_balance', v_new_balance + p_amount,
+    'new_balance', v_new_balance,
+    'plan', p_plan,
+    'plan_expiry', v_plan_expiry
+  );
+END;
+$$;
+
+-- Compare every profile's balance with the sum of its ledger
+CREATE OR REPLACE FUNCTION credit_reconciliation_report(p_only_mismatched BOOLEAN DEFAULT TRUE)
+RETURNS TABLE (
+  user_id UUID,
+  email TEXT,
+  credit_balance INTEGER,
+  ledger_balance BIGINT,
+  difference BIGINT,
+  transaction_count BIGINT,
+  last_transaction_at TIMESTAMPTZ
+)
+LANGUAGE sql
+SECURITY DEFINER
+AS $$
+  SELECT
+    p.id AS user_id,
+    p.email,
+    p.credit_balance,
+    COALESCE(l.ledger_balance, 0) AS ledger_balance,
+    p.credit_balance - COALESCE(l.ledger_balance, 0) AS difference,
+    COALESCE(l.transaction_count, 0) AS transaction_count,
+    l.last_transaction_at
+  FROM profiles p
+  LEFT JOIN (
+    SELECT
+      ct.user_id,
+      SUM(CASE WHEN ct.type = 'credit' THEN ct.amount ELSE -ct.amount END) AS ledger_balance,
+      COUNT(*) AS transaction_count,
+      MAX(ct.created_at) AS last_transaction_at
+    FROM credit_transactions ct
+    GROUP BY ct.user_id
+  ) l ON l.user_id = p.id
+  WHERE NOT p_only_mismatched
+    OR p.credit_balance <> COALESCE(l.ledger_balance, 0)
+  ORDER BY ABS(p.credit_balance - COALESCE(l.ledger_balance, 0)) DESC, p.id;
+$$;
+
+-- These run as their owner and skip RLS, so only the backend (the service role) may
+-- call them. PostgREST would otherwise let anyone with the anon key add credits or
+-- read every balance.
+REVOKE EXECUTE ON FUNCTION add_credits(UUID, INTEGER, TEXT, TEXT, TEXT) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION deduct_credits(UUID, INTEGER, TEXT, TEXT, TEXT) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION subscribe_to_plan(UUID, INTEGER, TEXT, TEXT, INTEGER, TEXT, TEXT) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION credit_reconciliation_report(BOOLEAN) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION add_credits(UUID, INTEGER, TEXT, TEXT, TEXT) TO service_role;
+GRANT EXECUTE ON FUNCTION deduct_credits(UUID, INTEGER, TEXT, TEXT, TEXT) TO service_role;
+GRANT EXECUTE ON FUNCTION subscribe_to_plan(UUID, INTEGER, TEXT, TEXT, INTEGER, TEXT, TEXT) TO service_role;
+GRANT EXECUTE ON FUNCTION credit_reconciliation_report(BOOLEAN) TO service_role;
@@ -0,0 +1,172 @@
+-- Gallery helpers, called through supabase.rpc(), and the triggers that keep the
+-- images like and remix counters up to date.
+--
+-- gallery_trending lists the public images published in the last p_window_days days,
+-- scored by their likes, remixes and views. The score drops as an image gets older,
+-- so new images can overtake ones that were popular last week.
+--
+-- record_image_view counts a view of an image, at most once per viewer per
+-- p_window_minutes, and returns whether it was counted. record_share_link_view does
+-- the same for an opening of a share link, which is also a view of its image.
+--
+-- creator_gallery_totals adds up a creator's public images and what they received.
+--
+-- Run after src/db/schema/image_share_links.sql, src/db/schema/image_likes.sql and
+-- src/db/schema/image_views.sql.
+
+CREATE OR REPLACE FUNCTION gallery_trending(p_window_days INTEGER DEFAULT 7)
+RETURNS SETOF images
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+AS $$
+  SELECT i.*
+  FROM images i
+  WHERE i.visibility = 'public'
+    AND NOT i.is_hidden
+    AND i.published_at > NOW() - make_interval(days => p_window_days)
+  ORDER BY
+    (1 + i.like_count + 2 * i.remix_count + 0.1 * i.view_count)
+      / power(EXTRACT(EPOCH FROM NOW() - i.published_at) / 3600 + 2, 1.5) DESC,
+    i.published_at DESC,
+    i.id DESC;
+$$;
+
+-- Replace the one-argument versions, which counted every request as a view
+DROP FUNCTION IF EXISTS record_image_view(UUID);
+DROP FUNCTION IF EXISTS record_share_link_view(UUID);
+
+CREATE OR REPLACE FUNCTION record_image_view(
+  p_image_id UUID,
+  p_viewer_key TEXT,
+  p_window_minutes INTEGER DEFAULT 60
+)
+RETURNS BOOLEAN
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+  v_counted BOOLEAN;
+BEGIN
+  -- A repeat view within the window matches the WHERE of neither branch and returns no row
+  INSERT INTO image_views (image_id, viewer_key, viewed_at)
+  VALUES (p_image_id, p_viewer_key, NOW())
+  ON CONFLICT (image_id, viewer_key) DO UPDATE
+    SET viewed_at = NOW()
+    WHERE image_views.viewed_at <= NOW() - make_interval(mins => p_window_minutes)
+  RETURNING TRUE INTO v_counted;
+
+  IF v_counted IS NULL THEN
+    RETURN FALSE;
+  END IF;
+
+  UPDATE images SET view_count = view_count + 1 WHERE id = p_image_id;
+
+  DELETE FROM image_views
+  WHERE image_id = p_image_id
+    AND viewed_at <= NOW() - make_interval(mins => p_window_minutes);
+
+  RETURN TRUE;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION record_share_link_view(
+  p_link_id UUID,
+  p_viewer_key TEXT,
+  p_window_minutes INTEGER DEFAULT 60
+)
+RETURNS BOOLEAN
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+  v_image_id UUID;
+  v_counted BOOLEAN;
+BEGIN
+  UPDATE image_share_links SET last_viewed_at = NOW()
+  WHERE id = p_link_id
+  RETURNING image_id INTO v_image_id;
+
+  IF v_image_id IS NULL THEN
+    RETURN FALSE;
+  END IF;
+
+  v_counted := record_image_view(v_image_id, p_viewer_key, p_window_minutes);
+
+  IF v_counted THEN
+    UPDATE image_share_links SET view_count = view_count + 1 WHERE id = p_link_id;
+  END IF;
+
+  RETURN v_counted;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION creator_gallery_totals(p_user_id UUID)
+RETURNS TABLE (public_images BIGINT, likes BIGINT, views BIGINT, remixes BIGINT)
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+AS $$
+  SELECT
+    COUNT(*),
+    COALESCE(SUM(like_count), 0),
+    COALESCE(SUM(view_count), 0),
+    COALESCE(SUM(remix_count), 0)
+  FROM images
+  WHERE user_id = p_user_id AND visibility = 'public' AND NOT is_hidden;
+$$;
+
+CREATE OR REPLACE FUNCTION update_image_like_count()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF TG_OP = 'INSERT' THEN
+    UPDATE images SET like_count = like_count + 1 WHERE id = NEW.image_id;
+  ELSE
+    UPDATE images SET like_count = GREATEST(like_count - 1, 0) WHERE id = OLD.image_id;
+  END IF;
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS update_image_like_count ON image_likes;
+CREATE TRIGGER update_image_like_count
+AFTER INSERT OR DELETE ON image_likes
+FOR EACH ROW
+EXECUTE FUNCTION update_image_like_count();
+
+CREATE OR REPLACE FUNCTION update_image_remix_count()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF TG_OP = 'INSERT' THEN
+    UPDATE images SET remix_count = remix_count + 1 WHERE id = NEW.remixed_from_image_id;
+  ELSE
+    UPDATE images SET remix_count = GREATEST(remix_count - 1, 0) WHERE id = OLD.remixed_from_image_id;
+  END IF;
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS update_image_remix_count_insert ON images;
+CREATE TRIGGER update_image_remix_count_insert
+AFTER INSERT ON images
+FOR EACH ROW
+WHEN (NEW.remixed_from_image_id IS NOT NULL)
+EXECUTE FUNCTION update_image_remix_count();
+
+DROP TRIGGER IF EXISTS update_image_remix_count_delete ON images;
+CREATE TRIGGER update_image_remix_count_delete
+AFTER DELETE ON images
+FOR EACH ROW
+WHEN (OLD.remixed_from_image_id IS NOT NULL)
+EXECUTE FUNCTION update_image_remix_count();
+
+-- Only the backend (the service role) may call these. PostgREST would otherwise let
+-- anyone with the anon key count views of any image, private ones included.
+REVOKE EXECUTE ON FUNCTION gallery_trending(INTEGER) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION record_image_view(UUID, TEXT, INTEGER) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION record_share_link_view(UUID, TEXT, INTEGER) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION creator_gallery_totals(UUID) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION gallery_trending(INTEGER) TO service_role;
+GRANT EXECUTE ON FUNCTION record_image_view(UUID, TEXT, INTEGER) TO service_role;
+GRANT EXECUTE ON FUNCTION record_share_link_view(UUID, TEXT, INTEGER) TO service_role;
+GRANT EXECUTE ON FUNCTION creator_gallery_totals(UUID) TO service_role;
@@ -0,0 +1,91 @@
+-- Tag helpers for the image library, called through supabase.rpc().
+--
+-- update_library_tags adds and removes tags on many of a user's items in one
+-- statement, so concurrent edits don't overwrite each other's tags. p_table is
+-- checked against the tables that have tags before it is used.
+--
+-- library_tag_counts lists every tag a user has used, with how many items have it.
+--
+-- Run after src/db/schema/collections.sql.
+
+CREATE OR REPLACE FUNCTION update_library_tags(
+  p_table TEXT,
+  p_user_id UUID,
+  p_ids UUID[],
+  p_add TEXT[] DEFAULT '{}',
+  p_remove TEXT[] DEFAULT '{}',
+  p_max_tags INTEGER DEFAULT 20
+)
+RETURNS INTEGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+  v_too_many BOOLEAN;
+  v_updated INTEGER;
+BEGIN
+  IF p_table NOT IN ('images', 'posters', 'thumbnails', 'logos') THEN
+    RAISE EXCEPTION 'Unknown library table: %', p_table;
+  END IF;
+
+  -- Refuse the whole change if any item would end up with too many tags
+  EXECUTE format(
+    'SELECT EXISTS (
+       SELECT 1 FROM %I
+       WHERE user_id = $1 AND id = ANY($2)
+         AND (SELECT COUNT(DISTINCT t) FROM unnest(user_tags || $3) t WHERE NOT (t = ANY($4))) > $5
+     )',
+    p_table
+  )
+  INTO v_too_many
+  USING p_user_id, p_ids, COALESCE(p_add, '{}'), COALESCE(p_remove, '{}'), p_max_tags;
+
+  IF v_too_many THEN
+    RAISE EXCEPTION 'An item can have at most % tags', p_max_tags USING ERRCODE = '22023';
+  END IF;
+
+  EXECUTE format(
+    'UPDATE %I
+     SET user_tags = ARRAY(
+       SELECT DISTINCT t FROM unnest(user_tags || $3) t
+       WHERE NOT (t = ANY($4))
+       ORDER BY t
+     )
+     WHERE user_id = $1 AND id = ANY($2)',
+    p_table
+  )
+  USING p_user_id, p_ids, COALESCE(p_add, '{}'), COALESCE(p_remove, '{}');
+
+  GET DIAGNOSTICS v_updated = ROW_COUNT;
+
+  RETURN v_updated;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION library_tag_counts(p_user_id UUID)
+RETURNS TABLE (tag TEXT, item_count BIGINT)
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+AS $$
+  SELECT tags.tag, COUNT(*) AS item_count
+  FROM (
+    SELECT unnest(user_tags) AS tag FROM images WHERE user_id = p_user_id AND NOT is_hidden
+    UNION ALL
+    SELECT unnest(user_tags) FROM posters WHERE user_id = p_user_id
+    UNION ALL
+    SELECT unnest(user_tags) FROM thumbnails WHERE user_id = p_user_id
+    UNION ALL
+    SELECT unnest(user_tags) FROM logos WHERE user_id = p_user_id
+  ) tags
+  GROUP BY tags.tag
+  ORDER BY item_count DESC, tags.tag;
+$$;
+
+-- These take the user ID as an argument and skip RLS, so only the backend (the
+-- service role) may call them. PostgREST would otherwise let anyone with the anon
+-- key read or rewrite another user's tags.
+REVOKE EXECUTE ON FUNCTION update_library_tags(TEXT, UUID, UUID[], TEXT[], TEXT[], INTEGER) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION library_tag_counts(UUID) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION update_library_tags(TEXT, UUID, UUID[], TEXT[], TEXT[], INTEGER) TO service_role;
+GRANT EXECUTE ON FUNCTION library_tag_counts(UUID) TO service_role;
@@ -0,0 +1,176 @@
+-- Full-text search over a user's generation history, called through supabase.rpc().
+--
+-- search_generations returns one page of matches, best first (newest first when
+-- there is no query). Pages are keyed on (rank, created_at, id): pass the last row
+-- of a page as the p_cursor_* arguments to get the next one. headline marks the
+-- matched words in body with chr(2) and chr(3) so the caller can escape the text
+-- before turning them into tags.
+--
+-- search_generation_facets counts the matches by item type, generation type, style,
+-- model, resolution and month. Each facet is counted with every filter except its
+-- own, so picking a style still shows how many matches the other styles have.
+--
+-- Run after src/db/schema/search.sql.
+
+CREATE OR REPLACE FUNCTION search_generations(
+  p_user_id UUID,
+  p_query TEXT DEFAULT NULL,
+  p_item_types TEXT[] DEFAULT NULL,
+  p_generation_types TEXT[] DEFAULT NULL,
+  p_styles TEXT[] DEFAULT NULL,
+  p_model_ids TEXT[] DEFAULT NULL,
+  p_resolutions TEXT[] DEFAULT NULL,
+  p_from TIMESTAMPTZ DEFAULT NULL,
+  p_to TIMESTAMPTZ DEFAULT NULL,
+  p_cursor_rank REAL DEFAULT NULL,
+  p_cursor_created_at TIMESTAMPTZ DEFAULT NULL,
+  p_cursor_id UUID DEFAULT NULL,
+  p_limit INTEGER DEFAULT 20
+)
+RETURNS TABLE (
+  item_type TEXT,
+  id UUID,
+  title TEXT,
+  body TEXT,
+  headline TEXT,
+  url TEXT,
+  generation_type TEXT,
+  style TEXT,
+  model_id TEXT,
+  resolution TEXT,
+  created_at TIMESTAMPTZ,
+  rank REAL
+)
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+AS $$
+  WITH q AS (
+    SELECT CASE
+      WHEN btrim(COALESCE(p_query, '')) = '' THEN NULL
+      ELSE websearch_to_tsquery('english', p_query)
+    END AS query
+  ),
+  matches AS (
+    SELECT
+      d.*,
+      (CASE WHEN q.query IS NULL THEN 0 ELSE ts_rank(d.search_vector, q.query) END)::REAL AS rank
+    FROM search_documents d, q
+    WHERE d.user_id = p_user_id
+      AND (q.query IS NULL OR d.search_vector @@ q.query)
+      AND (p_item_types IS NULL OR d.item_type = ANY(p_item_types))
+      AND (p_generation_types IS NULL OR d.generation_type = ANY(p_generation_types))
+      AND (p_styles IS NULL OR d.style = ANY(p_styles))
+      AND (p_model_ids IS NULL OR d.model_id = ANY(p_model_ids))
+      AND (p_resolutions IS NULL OR d.resolution = ANY(p_resolutions))
+      AND (p_from IS NULL OR d.created_at >= p_from)
+      AND (p_to IS NULL OR d.created_at < p_to)
+  ),
+  -- Page first so ts_headline only runs on the rows returned
+  page AS (
+    SELECT * FROM matches m
+    WHERE p_cursor_id IS NULL
+      OR (m.rank, m.created_at, m.id) < (p_cursor_rank, p_cursor_created_at, p_cursor_id)
+    ORDER BY m.rank DESC, m.created_at DESC, m.id DESC
+    LIMIT LEAST(GREATEST(COALESCE(p_limit, 20), 1), 101)
+  )
+  SELECT
+    page.item_type,
+    page.id,
+    page.title,
+    page.body,
+    CASE
+      WHEN q.query IS NULL OR page.body IS NULL THEN page.body
+      ELSE ts_headline(
+        'english',
+        page.body,
+        q.query,
+        'StartSel=' || chr(2) || ', StopSel=' || chr(3) || ', MinWords=15, MaxWords=35'
+      )
+    END AS headline,
+    page.url,
+    page.generation_type,
+    page.style,
+    page.model_id,
+    page.resolution,
+    page.created_at,
+    page.rank
+  FROM page, q
+  ORDER BY page.rank DESC, page.created_at DESC, page.id DESC;
+$$;
+
+CREATE OR REPLACE FUNCTION search_generation_facets(
+  p_user_id UUID,
+  p_query TEXT DEFAULT NULL,
+  p_item_types TEXT[] DEFAULT NULL,
+  p_generation_types TEXT[] DEFAULT NULL,
+  p_styles TEXT[] DEFAULT NULL,
+  p_model_ids TEXT[] DEFAULT NULL,
+  p_resolutions TEXT[] DEFAULT NULL,
+  p_from TIMESTAMPTZ DEFAULT NULL,
+  p_to TIMESTAMPTZ DEFAULT NULL
+)
+RETURNS TABLE (facet TEXT, value TEXT, item_count BIGINT)
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+AS $$
+  WITH q AS (
+    SELECT CASE
+      WHEN btrim(COALESCE(p_query, '')) = '' THEN NULL
+      ELSE websearch_to_tsquery('english', p_query)
+    END AS query
+  ),
+  matches AS (
+    SELECT
+      d.item_type,
+      d.generation_type,
+      d.style,
+      d.model_id,
+      d.resolution,
+      to_char(d.created_at AT TIME ZONE 'UTC', 'YYYY-MM') AS month,
+      (p_item_types IS NULL OR d.item_type = ANY(p_item_types)) AS in_item_types,
+      (p_generation_types IS NULL OR d.generation_type = ANY(p_generation_types)) AS in_generation_types,
+      (p_styles IS NULL OR d.style = ANY(p_styles)) AS in_styles,
+      (p_model_ids IS NULL OR d.model_id = ANY(p_model_ids)) AS in_model_ids,
+      (p_resolutions IS NULL OR d.resolution = ANY(p_resolutions)) AS in_resolutions,
+      ((p_from IS NULL OR d.created_at >= p_from) AND (p_to IS NULL OR d.created_at < p_to)) AS in_dates
+    FROM search_documents d, q
+    WHERE d.user_id = p_user_id
+      AND (q.query IS NULL OR d.search_vector @@ q.query)
+  )
+  SELECT 'itemType', item_type, COUNT(*) FROM matches
+  WHERE in_generation_types AND in_styles AND in_model_ids AND in_resolutions AND in_dates
+  GROUP BY item_type
+  UNION ALL
+  SELECT 'generationType', generation_type, COUNT(*) FROM matches
+  WHERE in_item_types AND in_styles AND in_model_ids AND in_resolutions AND in_dates
+  GROUP BY generation_type
+  UNION ALL
+  SELECT 'style', style, COUNT(*) FROM matches
+  WHERE style IS NOT NULL
+    AND in_item_types AND in_generation_types AND in_model_ids AND in_resolutions AND in_dates
+  GROUP BY style
+  UNION ALL
+  SELECT 'modelId', model_id, COUNT(*) FROM matches
+  WHERE model_id IS NOT NULL
+    AND in_item_types AND in_generation_types AND in_styles AND in_resolutions AND in_dates
+  GROUP BY model_id
+  UNION ALL
+  SELECT 'resolution', resolution, COUNT(*) FROM matches
+  WHERE resolution IS NOT NULL
+    AND in_item_types AND in_generation_types AND in_styles AND in_model_ids AND in_dates
+  GROUP BY resolution
+  UNION ALL
+  SELECT 'month', month, COUNT(*) FROM matches
+  WHERE in_item_types AND in_generation_types AND in_styles AND in_model_ids AND in_resolutions
+  GROUP BY month;
+$$;
+
+-- These take the user ID as an argument and skip the RLS of search_documents, so
+-- only the backend (the service role) may call them. PostgREST would otherwise let
+-- anyone with the anon key search another user's history.
+REVOKE EXECUTE ON FUNCTION search_generations(UUID, TEXT, TEXT[], TEXT[], TEXT[], TEXT[], TEXT[], TIMESTAMPTZ, TIMESTAMPTZ, REAL, TIMESTAMPTZ, UUID, INTEGER) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION search_generation_facets(UUID, TEXT, TEXT[], TEXT[], TEXT[], TEXT[], TEXT[], TIMESTAMPTZ, TIMESTAMPTZ) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION search_generations(UUID, TEXT, TEXT[], TEXT[], TEXT[], TEXT[], TEXT[], TIMESTAMPTZ, TIMESTAMPTZ, REAL, TIMESTAMPTZ, UUID, INTEGER) TO service_role;
+GRANT EXECUTE ON FUNCTION search_generation_facets(UUID, TEXT, TEXT[], TEXT[], TEXT[], TEXT[], TEXT[], TIMESTAMPTZ, TIMESTAMPTZ) TO service_role;
@@ -0,0 +1,26 @@
+-- Account status history: every suspension and reactivation, with who made it and why.
+-- actor_id is NULL when a suspension expired and was lifted automatically.
+CREATE TABLE IF NOT EXISTS account_status_events (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID REFERENCES profiles(id) ON DELETE CASCADE NOT NULL,
+  action TEXT NOT NULL CHECK (action IN ('suspend', 'reactivate')),
+  reason TEXT,
+  suspended_until TIMESTAMPTZ,
+  actor_id UUID REFERENCES profiles(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Enable RLS
+ALTER TABLE account_status_events ENABLE ROW LEVEL SECURITY;
+
+-- Create policies
+CREATE POLICY "Admins can view all account status events"
+  ON account_status_events FOR SELECT
+  USING (EXISTS (
+    SELECT 1 FROM profiles
+    WHERE profiles.id = auth.uid() AND profiles.role = 'admin'
+  ));
+
+-- Create indexes
+CREATE INDEX IF NOT EXISTS account_status_events_user_id_idx ON account_status_events(user_id);
+CREATE INDEX IF NOT EXISTS account_status_events_created_at_idx ON account_status_events(created_at);
@@ -0,0 +1,41 @@
+-- Developer API keys. Only a SHA-256 hash of each key is stored; the key itself
+-- is shown once, when it is created or rotated. Run after credit_transactions.sql.
+CREATE TABLE IF NOT EXISTS api_keys (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID REFERENCES profiles(id) ON DELETE CASCADE NOT NULL,
+  name TEXT NOT NULL,
+  -- The start of the key (e.g. ock_AbC123xY), so users can tell their keys apart
+  key_prefix TEXT NOT NULL,
+  key_hash TEXT NOT NULL UNIQUE,
+  -- Empty means the key can use every scope
+  scopes TEXT[] NOT NULL DEFAULT '{}',
+  request_count BIGINT NOT NULL DEFAULT 0,
+  credits_used BIGINT NOT NULL DEFAULT 0,
+  last_used_at TIMESTAMPTZ,
+  -- Set on the new key when a key is rotated
+  rotated_from_id UUID REFERENCES api_keys(id) ON DELETE SET NULL,
+  revoked_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- The API key a debit was made with, if any
+ALTER TABLE credit_transactions ADD COLUMN IF NOT EXISTS api_key_id UUID REFERENCES api_keys(id) ON DELETE SET NULL;
+
+-- Enable RLS
+ALTER TABLE api_keys ENABLE ROW LEVEL SECURITY;
+
+-- Create policies
+CREATE POLICY "Users can view their own API keys"
+  ON api_keys FOR SELECT
+  USING (auth.uid() = user_id);
+
+CREATE POLICY "Admins can view all API keys"
+  ON api_keys FOR SELECT
+  USING (EXISTS (
+    SELECT 1 FROM profiles
+    WHERE profiles.id = auth.uid() AND profiles.role = 'admin'
+  ));
+
+-- Create indexes
+CREATE INDEX IF NOT EXISTS api_keys_user_id_idx ON api_keys(user_id);
+CREATE INDEX IF NOT EXISTS credit_transactions_api_key_id_idx ON credit_transactions(api_key_id);
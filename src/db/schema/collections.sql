@@ -0,0 +1,51 @@
+-- User-defined collections of images, posters, thumbnails and logos. Each item row
+-- points at exactly one of them, so galleries can filter with a join on the column.
+-- Run after images.sql, posters.sql, thumbnails.sql and logos.sql.
+CREATE TABLE IF NOT EXISTS collections (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID REFERENCES profiles(id) ON DELETE CASCADE NOT NULL,
+  name TEXT NOT NULL,
+  description TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE(user_id, name)
+);
+
+CREATE TABLE IF NOT EXISTS collection_items (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  collection_id UUID REFERENCES collections(id) ON DELETE CASCADE NOT NULL,
+  image_id UUID REFERENCES images(id) ON DELETE CASCADE,
+  poster_id UUID REFERENCES posters(id) ON DELETE CASCADE,
+  thumbnail_id UUID REFERENCES thumbnails(id) ON DELETE CASCADE,
+  logo_id UUID REFERENCES logos(id) ON DELETE CASCADE,
+  added_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CHECK (num_nonnulls(image_id, poster_id, thumbnail_id, logo_id) = 1),
+  UNIQUE(collection_id, image_id),
+  UNIQUE(collection_id, poster_id),
+  UNIQUE(collection_id, thumbnail_id),
+  UNIQUE(collection_id, logo_id)
+);
+
+-- Enable RLS
+ALTER TABLE collections ENABLE ROW LEVEL SECURITY;
+ALTER TABLE collection_items ENABLE ROW LEVEL SECURITY;
+
+-- Create policies
+CREATE POLICY "Users can view their own collections"
+  ON collections FOR SELECT
+  USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can view items in their own collections"
+  ON collection_items FOR SELECT
+  USING (EXISTS (
+    SELECT 1 FROM collections
+    WHERE collections.id = collection_items.collection_id AND collections.user_id = auth.uid()
+  ));
+
+-- Create indexes
+CREATE INDEX IF NOT EXISTS collections_user_id_idx ON collections(user_id);
+CREATE INDEX IF NOT EXISTS collection_items_collection_id_idx ON collection_items(collection_id, added_at);
+CREATE INDEX IF NOT EXISTS collection_items_image_id_idx ON collection_items(image_id);
+CREATE INDEX IF NOT EXISTS collection_items_poster_id_idx ON collection_items(poster_id);
+CREATE INDEX IF NOT EXISTS collection_items_thumbnail_id_idx ON collection_items(thumbnail_id);
+CREATE INDEX IF NOT EXISTS collection_items_logo_id_idx ON collection_items(logo_id);
@@ -0,0 +1,38 @@
+-- Credit holds table for reserving credits while a generation is running
+CREATE TABLE IF NOT EXISTS credit_holds (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID REFERENCES profiles(id) ON DELETE CASCADE NOT NULL,
+  amount INTEGER NOT NULL CHECK (amount > 0),
+  captured_amount INTEGER,
+  source TEXT NOT NULL,
+  reference_id TEXT,
+  status TEXT NOT NULL DEFAULT 'held' CHECK (status IN ('held', 'captured', 'released', 'expired')),
+  expires_at TIMESTAMPTZ NOT NULL,
+  resolved_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Credits currently reserved by active holds; the spendable balance is
+-- credit_balance - credit_held
+ALTER TABLE profiles ADD COLUMN IF NOT EXISTS credit_held INTEGER NOT NULL DEFAULT 0;
+
+-- Enable RLS
+ALTER TABLE credit_holds ENABLE ROW LEVEL SECURITY;
+
+-- Create policies
+CREATE POLICY "Users can view their own credit holds"
+  ON credit_holds FOR SELECT
+  USING (auth.uid() = user_id);
+
+CREATE POLICY "Admins can view all credit holds"
+  ON credit_holds FOR SELECT
+  USING (EXISTS (
+    SELECT 1 FROM profiles
+    WHERE profiles.id = auth.uid() AND profiles.role = 'admin'
+  ));
+
+-- Create indexes
+CREATE INDEX IF NOT EXISTS credit_holds_user_id_idx ON credit_holds(user_id);
+CREATE INDEX IF NOT EXISTS credit_holds_active_expires_at_idx
+  ON credit_holds(expires_at)
+  WHERE status = 'held';
@@ -0,0 +1,37 @@
+-- Credit transactions table (ledger of every balance change)
+CREATE TABLE IF NOT EXISTS credit_transactions (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID REFERENCES profiles(id) ON DELETE CASCADE NOT NULL,
+  amount INTEGER NOT NULL,
+  type TEXT NOT NULL,
+  source TEXT NOT NULL,
+  reference_id TEXT,
+  idempotency_key TEXT,
+  balance_after INTEGER NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Existing installs created the table before idempotency keys were added
+ALTER TABLE credit_transactions ADD COLUMN IF NOT EXISTS idempotency_key TEXT;
+
+-- Enable RLS
+ALTER TABLE credit_transactions ENABLE ROW LEVEL SECURITY;
+
+-- Create policies
+CREATE POLICY "Users can view their own transactions"
+  ON credit_transactions FOR SELECT
+  USING (auth.uid() = user_id);
+
+CREATE POLICY "Admins can view all transactions"
+  ON credit_transactions FOR SELECT
+  USING (EXISTS (
+    SELECT 1 FROM profiles
+    WHERE profiles.id = auth.uid() AND profiles.role = 'admin'
+  ));
+
+-- Create indexes
+CREATE INDEX IF NOT EXISTS credit_transactions_user_id_idx ON credit_transactions(user_id);
+CREATE INDEX IF NOT EXISTS credit_transactions_reference_id_idx ON credit_transactions(reference_id);
+CREATE UNIQUE INDEX IF NOT EXISTS credit_transactions_idempotency_key_idx
+  ON credit_transactions(idempotency_key)
+  WHERE idempotency_key IS NOT NULL;
@@ -0,0 +1,44 @@
+-- Generation jobs table for asynchronous image, poster, thumbnail and logo generation,
+-- and for library exports
+CREATE TABLE IF NOT EXISTS generation_jobs (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID REFERENCES profiles(id) ON DELETE CASCADE NOT NULL,
+  type TEXT NOT NULL CHECK (type IN ('image', 'poster', 'thumbnail', 'logo', 'export')),
+  status TEXT NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'running', 'succeeded', 'failed')),
+  stage TEXT,
+  params JSONB NOT NULL DEFAULT '{}',
+  result JSONB,
+  error JSONB,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  started_at TIMESTAMPTZ,
+  completed_at TIMESTAMPTZ,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Existing installs created the table before progress stages were recorded
+ALTER TABLE generation_jobs ADD COLUMN IF NOT EXISTS stage TEXT;
+
+-- Existing installs created the table before exports ran as jobs
+ALTER TABLE generation_jobs DROP CONSTRAINT IF EXISTS generation_jobs_type_check;
+ALTER TABLE generation_jobs ADD CONSTRAINT generation_jobs_type_check
+  CHECK (type IN ('image', 'poster', 'thumbnail', 'logo', 'export'));
+
+-- Enable RLS
+ALTER TABLE generation_jobs ENABLE ROW LEVEL SECURITY;
+
+-- Create policies
+CREATE POLICY "Users can view their own generation jobs"
+  ON generation_jobs FOR SELECT
+  USING (auth.uid() = user_id);
+
+CREATE POLICY "Admins can view all generation jobs"
+  ON generation_jobs FOR SELECT
+  USING (EXISTS (
+    SELECT 1 FROM profiles
+    WHERE profiles.id = auth.uid() AND profiles.role = 'admin'
+  ));
+
+-- Create indexes
+CREATE INDEX IF NOT EXISTS generation_jobs_user_id_idx ON generation_jobs(user_id);
+CREATE INDEX IF NOT EXISTS generation_jobs_status_idx ON generation_jobs(status);
+CREATE INDEX IF NOT EXISTS generation_jobs_created_at_idx ON generation_jobs(created_at);
@@ -0,0 +1,69 @@
+-- Batch generation: one row per batch request and one row per image it asked for
+CREATE TABLE IF NOT EXISTS image_batches (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID REFERENCES profiles(id) ON DELETE CASCADE NOT NULL,
+  job_id UUID REFERENCES generation_jobs(id) ON DELETE SET NULL,
+  status TEXT NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'running', 'completed', 'failed')),
+  total_count INTEGER NOT NULL CHECK (total_count > 0),
+  succeeded_count INTEGER NOT NULL DEFAULT 0,
+  failed_count INTEGER NOT NULL DEFAULT 0,
+  credit_cost_per_image INTEGER NOT NULL DEFAULT 0,
+  credits_reserved INTEGER NOT NULL DEFAULT 0,
+  credits_charged INTEGER NOT NULL DEFAULT 0,
+  params JSONB NOT NULL DEFAULT '{}',
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  started_at TIMESTAMPTZ,
+  completed_at TIMESTAMPTZ,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS image_batch_items (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  batch_id UUID REFERENCES image_batches(id) ON DELETE CASCADE NOT NULL,
+  position INTEGER NOT NULL,
+  prompt TEXT NOT NULL,
+  seed BIGINT,
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'running', 'succeeded', 'failed')),
+  image_id UUID REFERENCES images(id) ON DELETE SET NULL,
+  credit_cost INTEGER NOT NULL DEFAULT 0,
+  error TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  completed_at TIMESTAMPTZ,
+  UNIQUE (batch_id, position)
+);
+
+-- Enable RLS
+ALTER TABLE image_batches ENABLE ROW LEVEL SECURITY;
+ALTER TABLE image_batch_items ENABLE ROW LEVEL SECURITY;
+
+-- Create policies
+CREATE POLICY "Users can view their own image batches"
+  ON image_batches FOR SELECT
+  USING (auth.uid() = user_id);
+
+CREATE POLICY "Admins can view all image batches"
+  ON image_batches FOR SELECT
+  USING (EXISTS (
+    SELECT 1 FROM profiles
+    WHERE profiles.id = auth.uid() AND profiles.role = 'admin'
+  ));
+
+CREATE POLICY "Users can view their own image batch items"
+  ON image_batch_items FOR SELECT
+  USING (EXISTS (
+    SELECT 1 FROM image_batches
+    WHERE image_batches.id = image_batch_items.batch_id AND image_batches.user_id = auth.uid()
+  ));
+
+CREATE POLICY "Admins can view all image batch items"
+  ON image_batch_items FOR SELECT
+  USING (EXISTS (
+    SELECT 1 FROM profiles
+    WHERE profiles.id = auth.uid() AND profiles.role = 'admin'
+  ));
+
+-- Create indexes
+CREATE INDEX IF NOT EXISTS image_batches_user_id_idx ON image_batches(user_id);
+CREATE INDEX IF NOT EXISTS image_batches_created_at_idx ON image_batches(created_at);
+CREATE INDEX IF NOT EXISTS image_batch_items_batch_id_idx ON image_batch_items(batch_id);
+CREATE INDEX IF NOT EXISTS image_batch_items_image_id_idx ON image_batch_items(image_id);
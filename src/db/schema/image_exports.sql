@@ -0,0 +1,30 @@
+-- Library exports: ZIP files of a user's generations with a manifest, built in the
+-- background and stored as private Cloudinary files until they expire
+CREATE TABLE IF NOT EXISTS image_exports (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID REFERENCES profiles(id) ON DELETE CASCADE NOT NULL,
+  job_id UUID REFERENCES generation_jobs(id) ON DELETE SET NULL,
+  status TEXT NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'running', 'completed', 'failed', 'expired')),
+  filters JSONB NOT NULL DEFAULT '{}',
+  file_count INTEGER NOT NULL DEFAULT 0,
+  failed_count INTEGER NOT NULL DEFAULT 0,
+  size_bytes BIGINT,
+  public_id TEXT,
+  error TEXT,
+  expires_at TIMESTAMPTZ,
+  emailed_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  completed_at TIMESTAMPTZ
+);
+
+-- Enable RLS
+ALTER TABLE image_exports ENABLE ROW LEVEL SECURITY;
+
+-- Create policies
+CREATE POLICY "Users can view their own exports"
+  ON image_exports FOR SELECT
+  USING (auth.uid() = user_id);
+
+-- Create indexes
+CREATE INDEX IF NOT EXISTS image_exports_user_id_idx ON image_exports(user_id, created_at);
+CREATE INDEX IF NOT EXISTS image_exports_status_idx ON image_exports(status, expires_at);
@@ -0,0 +1,19 @@
+-- Likes on shared images: one per user per image. images.like_count is kept up to
+-- date by a trigger (src/db/functions/gallery.sql).
+CREATE TABLE IF NOT EXISTS image_likes (
+  image_id UUID REFERENCES images(id) ON DELETE CASCADE NOT NULL,
+  user_id UUID REFERENCES profiles(id) ON DELETE CASCADE NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (image_id, user_id)
+);
+
+-- Enable RLS
+ALTER TABLE image_likes ENABLE ROW LEVEL SECURITY;
+
+-- Create policies
+CREATE POLICY "Users can view their own likes"
+  ON image_likes FOR SELECT
+  USING (auth.uid() = user_id);
+
+-- Create indexes
+CREATE INDEX IF NOT EXISTS image_likes_user_id_idx ON image_likes(user_id, created_at);
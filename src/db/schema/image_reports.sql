@@ -0,0 +1,35 @@
+-- Image reports: one row per user per reported image. Open reports on an image share
+-- a single user_report flag in the moderation queue. Run after moderation_flags.sql.
+CREATE TABLE IF NOT EXISTS image_reports (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  image_id UUID REFERENCES images(id) ON DELETE CASCADE NOT NULL,
+  reporter_id UUID REFERENCES profiles(id) ON DELETE CASCADE NOT NULL,
+  flag_id UUID REFERENCES moderation_flags(id) ON DELETE SET NULL,
+  reason TEXT NOT NULL CHECK (reason IN ('sexual', 'violence', 'hate', 'harassment', 'self_harm', 'spam', 'copyright', 'other')),
+  details TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (image_id, reporter_id)
+);
+
+-- Number of reports behind a user_report flag
+ALTER TABLE moderation_flags ADD COLUMN IF NOT EXISTS report_count INTEGER NOT NULL DEFAULT 0;
+
+-- Enable RLS
+ALTER TABLE image_reports ENABLE ROW LEVEL SECURITY;
+
+-- Create policies
+CREATE POLICY "Users can view their own image reports"
+  ON image_reports FOR SELECT
+  USING (auth.uid() = reporter_id);
+
+CREATE POLICY "Admins can view all image reports"
+  ON image_reports FOR SELECT
+  USING (EXISTS (
+    SELECT 1 FROM profiles
+    WHERE profiles.id = auth.uid() AND profiles.role = 'admin'
+  ));
+
+-- Create indexes
+CREATE INDEX IF NOT EXISTS image_reports_image_id_idx ON image_reports(image_id);
+CREATE INDEX IF NOT EXISTS image_reports_flag_id_idx ON image_reports(flag_id);
+CREATE INDEX IF NOT EXISTS image_reports_reporter_id_idx ON image_reports(reporter_id);
@@ -0,0 +1,24 @@
+-- Share links: unguessable tokens that let anyone open an unlisted or public image
+-- without signing in, until they expire or the owner revokes them
+CREATE TABLE IF NOT EXISTS image_share_links (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  image_id UUID REFERENCES images(id) ON DELETE CASCADE NOT NULL,
+  user_id UUID REFERENCES profiles(id) ON DELETE CASCADE NOT NULL,
+  token TEXT NOT NULL UNIQUE,
+  expires_at TIMESTAMPTZ,
+  revoked_at TIMESTAMPTZ,
+  view_count INTEGER NOT NULL DEFAULT 0,
+  last_viewed_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Enable RLS
+ALTER TABLE image_share_links ENABLE ROW LEVEL SECURITY;
+
+-- Create policies
+CREATE POLICY "Users can view their own share links"
+  ON image_share_links FOR SELECT
+  USING (auth.uid() = user_id);
+
+-- Create indexes
+CREATE INDEX IF NOT EXISTS image_share_links_image_id_idx ON image_share_links(image_id, created_at);
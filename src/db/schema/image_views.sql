@@ -0,0 +1,13 @@
+-- Recent viewers of shared images, so that each viewer counts at most one view per
+-- image per window (see record_image_view in src/db/functions/gallery.sql). viewer_key
+-- is 'user:<profile id>' or 'ip:<HMAC of the IP address>'; addresses are never stored.
+-- Rows older than the window are pruned as the image is viewed again.
+CREATE TABLE IF NOT EXISTS image_views (
+  image_id UUID REFERENCES images(id) ON DELETE CASCADE NOT NULL,
+  viewer_key TEXT NOT NULL,
+  viewed_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (image_id, viewer_key)
+);
+
+-- Enable RLS (no policies: only the backend reads or writes views)
+ALTER TABLE image_views ENABLE ROW LEVEL SECURITY;
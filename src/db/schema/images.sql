@@ -22,13 +22,121 @@ CREATE TABLE IF NOT EXISTS images (
   has_watermark BOOLEAN DEFAULT FALSE,
   is_free_user BOOLEAN DEFAULT FALSE,
   created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
-  is_free_generation BOOLEAN DEFAULT FALSE
+  is_free_generation BOOLEAN DEFAULT FALSE,
+  source_image_url TEXT,
+  image_strength NUMERIC(3, 2),
+  -- Version history: the image this one was made from, the original generation
+  -- at the top of the tree (kept as a grouping key even if that row is deleted)
+  -- and how it was made (generate, transform, upscale, inpaint, outpaint, variation, remix)
+  parent_image_id UUID REFERENCES images(id) ON DELETE SET NULL,
+  root_image_id UUID,
+  operation TEXT NOT NULL DEFAULT 'generate',
+  -- Set when moderation takes the image down; hidden images aren't returned to anyone but admins
+  is_hidden BOOLEAN NOT NULL DEFAULT FALSE,
+  hidden_at TIMESTAMPTZ,
+  hidden_reason TEXT,
+  -- Organization: free-form tags set by the owner (lowercase), and whether they favorited it
+  user_tags TEXT[] NOT NULL DEFAULT '{}',
+  is_favorite BOOLEAN NOT NULL DEFAULT FALSE,
+  -- Sharing: private images are only seen by their owner, unlisted ones by anyone with a
+  -- share link and public ones are also listed in the gallery. The prompt is only shown
+  -- to others if the owner opts in. published_at is set the first time it goes public.
+  visibility TEXT NOT NULL DEFAULT 'private' CHECK (visibility IN ('private', 'unlisted', 'public')),
+  show_prompt BOOLEAN NOT NULL DEFAULT FALSE,
+  published_at TIMESTAMPTZ,
+  -- The watermarked copy shown to everyone but the owner: a separate Cloudinary asset,
+  -- so its URL can't be edited back into a link to the original
+  public_cloudinary_url TEXT,
+  public_cloudinary_public_id TEXT,
+  -- Social: kept up to date by the triggers in src/db/functions/gallery.sql. A remix is
+  -- an image generated from someone else's shared prompt; it records where it came from.
+  like_count INTEGER NOT NULL DEFAULT 0,
+  view_count INTEGER NOT NULL DEFAULT 0,
+  remix_count INTEGER NOT NULL DEFAULT 0,
+  remixed_from_image_id UUID REFERENCES images(id) ON DELETE SET NULL,
+  remixed_from_user_id UUID REFERENCES profiles(id) ON DELETE SET NULL
 );
 
+-- Existing installs created the table before image-to-image was added
+ALTER TABLE images ADD COLUMN IF NOT EXISTS source_image_url TEXT;
+ALTER TABLE images ADD COLUMN IF NOT EXISTS image_strength NUMERIC(3, 2);
+
+-- Image-to-image, upscale and edit results used to link to their source
+-- through source_image_id, which parent_image_id replaces
+DO $$
+BEGIN
+  IF EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'images' AND column_name = 'source_image_id'
+  ) AND NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'images' AND column_name = 'parent_image_id'
+  ) THEN
+    ALTER TABLE images RENAME COLUMN source_image_id TO parent_image_id;
+    ALTER INDEX IF EXISTS images_source_image_id_idx RENAME TO images_parent_image_id_idx;
+  END IF;
+END $$;
+
+ALTER TABLE images ADD COLUMN IF NOT EXISTS parent_image_id UUID REFERENCES images(id) ON DELETE SET NULL;
+ALTER TABLE images ADD COLUMN IF NOT EXISTS root_image_id UUID;
+ALTER TABLE images ADD COLUMN IF NOT EXISTS operation TEXT NOT NULL DEFAULT 'generate';
+
+-- Existing installs created the table before moderation could hide images
+ALTER TABLE images ADD COLUMN IF NOT EXISTS is_hidden BOOLEAN NOT NULL DEFAULT FALSE;
+ALTER TABLE images ADD COLUMN IF NOT EXISTS hidden_at TIMESTAMPTZ;
+ALTER TABLE images ADD COLUMN IF NOT EXISTS hidden_reason TEXT;
+
+-- Existing installs created the table before tags and favorites
+ALTER TABLE images ADD COLUMN IF NOT EXISTS user_tags TEXT[] NOT NULL DEFAULT '{}';
+ALTER TABLE images ADD COLUMN IF NOT EXISTS is_favorite BOOLEAN NOT NULL DEFAULT FALSE;
+
+-- Existing installs created the table before images could be shared
+ALTER TABLE images ADD COLUMN IF NOT EXISTS visibility TEXT NOT NULL DEFAULT 'private'
+  CHECK (visibility IN ('private', 'unlisted', 'public'));
+ALTER TABLE images ADD COLUMN IF NOT EXISTS show_prompt BOOLEAN NOT NULL DEFAULT FALSE;
+ALTER TABLE images ADD COLUMN IF NOT EXISTS published_at TIMESTAMPTZ;
+ALTER TABLE images ADD COLUMN IF NOT EXISTS public_cloudinary_url TEXT;
+ALTER TABLE images ADD COLUMN IF NOT EXISTS public_cloudinary_public_id TEXT;
+
+-- Existing installs created the table before likes, views and remixes were counted
+ALTER TABLE images ADD COLUMN IF NOT EXISTS like_count INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE images ADD COLUMN IF NOT EXISTS view_count INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE images ADD COLUMN IF NOT EXISTS remix_count INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE images ADD COLUMN IF NOT EXISTS remixed_from_image_id UUID REFERENCES images(id) ON DELETE SET NULL;
+ALTER TABLE images ADD COLUMN IF NOT EXISTS remixed_from_user_id UUID REFERENCES profiles(id) ON DELETE SET NULL;
+
+-- Backfill lineage for rows created before it was tracked
+UPDATE images
+SET operation = CASE generation_type
+  WHEN 'image-to-image' THEN 'transform'
+  WHEN 'upscale' THEN 'upscale'
+  WHEN 'inpaint' THEN 'inpaint'
+  WHEN 'outpaint' THEN 'outpaint'
+  ELSE 'generate'
+END
+WHERE root_image_id IS NULL;
+
+WITH RECURSIVE lineage AS (
+  SELECT id, id AS root_id
+  FROM images
+  WHERE parent_image_id IS NULL AND root_image_id IS NULL
+  UNION ALL
+  SELECT child.id, lineage.root_id
+  FROM images child
+  JOIN lineage ON child.parent_image_id = lineage.id
+  WHERE child.root_image_id IS NULL
+)
+UPDATE images
+SET root_image_id = lineage.root_id
+FROM lineage
+WHERE images.id = lineage.id;
+
 -- Enable RLS
 ALTER TABLE images ENABLE ROW LEVEL SECURITY;
 
 -- Create policies
+-- Shared and public images are served by the API, which never returns the unwatermarked
+-- original to other users, so there is no policy for them here
 CREATE POLICY "Users can view their own images"
   ON images FOR SELECT
   USING (auth.uid() = user_id);
@@ -43,4 +151,11 @@ CREATE POLICY "Admins can view all images"
 -- Create indexes
 CREATE INDEX IF NOT EXISTS images_user_id_idx ON images(user_id);
 CREATE INDEX IF NOT EXISTS images_created_at_idx ON images(created_at);
-CREATE INDEX IF NOT EXISTS images_generation_type_idx ON images(generation_type); 
\ No newline at end of file
+CREATE INDEX IF NOT EXISTS images_generation_type_idx ON images(generation_type);
+CREATE INDEX IF NOT EXISTS images_parent_image_id_idx ON images(parent_image_id);
+CREATE INDEX IF NOT EXISTS images_root_image_id_idx ON images(root_image_id);
+CREATE INDEX IF NOT EXISTS images_user_tags_idx ON images USING GIN(user_tags);
+CREATE INDEX IF NOT EXISTS images_favorites_idx ON images(user_id, created_at) WHERE is_favorite;
+CREATE INDEX IF NOT EXISTS images_gallery_idx ON images(published_at DESC) WHERE visibility = 'public' AND NOT is_hidden;
+CREATE INDEX IF NOT EXISTS images_creator_gallery_idx ON images(user_id, published_at DESC) WHERE visibility = 'public' AND NOT is_hidden;
+CREATE INDEX IF NOT EXISTS images_remixed_from_image_id_idx ON images(remixed_from_image_id); 
\ No newline at end of file
@@ -0,0 +1,38 @@
+-- Logos table for storing generated logos
+CREATE TABLE IF NOT EXISTS logos (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID REFERENCES profiles(id) ON DELETE CASCADE NOT NULL,
+  name TEXT NOT NULL,
+  prompt TEXT NOT NULL,
+  style TEXT,
+  color_theme TEXT,
+  industry TEXT,
+  image_url TEXT NOT NULL,
+  public_id TEXT NOT NULL,
+  credit_cost INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  -- Organization: free-form tags set by the owner (lowercase), and whether they favorited it
+  user_tags TEXT[] NOT NULL DEFAULT '{}',
+  is_favorite BOOLEAN NOT NULL DEFAULT FALSE
+);
+
+-- Enable RLS
+ALTER TABLE logos ENABLE ROW LEVEL SECURITY;
+
+-- Create policies
+CREATE POLICY "Users can view their own logos"
+  ON logos FOR SELECT
+  USING (auth.uid() = user_id);
+
+CREATE POLICY "Admins can view all logos"
+  ON logos FOR SELECT
+  USING (EXISTS (
+    SELECT 1 FROM profiles
+    WHERE profiles.id = auth.uid() AND profiles.role = 'admin'
+  ));
+
+-- Create indexes
+CREATE INDEX IF NOT EXISTS logos_user_id_idx ON logos(user_id);
+CREATE INDEX IF NOT EXISTS logos_created_at_idx ON logos(created_at);
+CREATE INDEX IF NOT EXISTS logos_user_tags_idx ON logos USING GIN(user_tags);
+CREATE INDEX IF NOT EXISTS logos_favorites_idx ON logos(user_id, created_at) WHERE is_favorite;
@@ -0,0 +1,29 @@
+-- Moderation decisions: every prompt screened before generation, and every
+-- result the image provider's own content filter rejected
+CREATE TABLE IF NOT EXISTS moderation_decisions (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID REFERENCES profiles(id) ON DELETE SET NULL,
+  source TEXT NOT NULL,
+  action TEXT NOT NULL CHECK (action IN ('allow', 'flag', 'block', 'content_filtered')),
+  categories TEXT[] NOT NULL DEFAULT '{}',
+  matches JSONB NOT NULL DEFAULT '[]',
+  prompt TEXT,
+  reference_id TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Enable RLS
+ALTER TABLE moderation_decisions ENABLE ROW LEVEL SECURITY;
+
+-- Create policies
+CREATE POLICY "Admins can view all moderation decisions"
+  ON moderation_decisions FOR SELECT
+  USING (EXISTS (
+    SELECT 1 FROM profiles
+    WHERE profiles.id = auth.uid() AND profiles.role = 'admin'
+  ));
+
+-- Create indexes
+CREATE INDEX IF NOT EXISTS moderation_decisions_user_id_idx ON moderation_decisions(user_id);
+CREATE INDEX IF NOT EXISTS moderation_decisions_action_idx ON moderation_decisions(action);
+CREATE INDEX IF NOT EXISTS moderation_decisions_created_at_idx ON moderation_decisions(created_at);
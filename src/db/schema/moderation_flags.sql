@@ -0,0 +1,41 @@
+-- Moderation queue: prompts caught by the prompt filter, results rejected by the
+-- provider's content filter and content reported by users, awaiting admin review.
+-- Run after moderation_decisions.sql.
+CREATE TABLE IF NOT EXISTS moderation_flags (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  -- The user whose prompt or image was flagged
+  user_id UUID REFERENCES profiles(id) ON DELETE SET NULL,
+  image_id UUID REFERENCES images(id) ON DELETE SET NULL,
+  decision_id UUID REFERENCES moderation_decisions(id) ON DELETE SET NULL,
+  source TEXT NOT NULL CHECK (source IN ('prompt_filter', 'content_filter', 'user_report')),
+  categories TEXT[] NOT NULL DEFAULT '{}',
+  reason TEXT,
+  prompt TEXT,
+  reference_id TEXT,
+  status TEXT NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'approved', 'actioned')),
+  -- Admin actions applied so far (hide_image, refund_credits, suspend_user)
+  actions TEXT[] NOT NULL DEFAULT '{}',
+  refunded_credits INTEGER NOT NULL DEFAULT 0,
+  reviewed_by UUID REFERENCES profiles(id) ON DELETE SET NULL,
+  reviewed_at TIMESTAMPTZ,
+  review_note TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Enable RLS
+ALTER TABLE moderation_flags ENABLE ROW LEVEL SECURITY;
+
+-- Create policies
+CREATE POLICY "Admins can view all moderation flags"
+  ON moderation_flags FOR SELECT
+  USING (EXISTS (
+    SELECT 1 FROM profiles
+    WHERE profiles.id = auth.uid() AND profiles.role = 'admin'
+  ));
+
+-- Create indexes
+CREATE INDEX IF NOT EXISTS moderation_flags_status_idx ON moderation_flags(status);
+CREATE INDEX IF NOT EXISTS moderation_flags_user_id_idx ON moderation_flags(user_id);
+CREATE INDEX IF NOT EXISTS moderation_flags_image_id_idx ON moderation_flags(image_id);
+CREATE INDEX IF NOT EXISTS moderation_flags_created_at_idx ON moderation_flags(created_at);
@@ -0,0 +1,56 @@
+-- Posters table for storing generated posters
+CREATE TABLE IF NOT EXISTS posters (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID REFERENCES profiles(id) ON DELETE CASCADE NOT NULL,
+  title TEXT NOT NULL,
+  slogan TEXT,
+  additional_text TEXT,
+  website_url TEXT,
+  poster_type TEXT NOT NULL,
+  style_preference TEXT NOT NULL,
+  color_palette TEXT[] DEFAULT '{}',
+  aspect_ratio TEXT NOT NULL,
+  image_url TEXT NOT NULL,
+  public_id TEXT NOT NULL,
+  width INTEGER NOT NULL,
+  height INTEGER NOT NULL,
+  text_layout JSONB,
+  credit_cost INTEGER NOT NULL DEFAULT 0,
+  logo_asset_id UUID,
+  product_image_id UUID,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  -- Organization: free-form tags set by the owner (lowercase), and whether they favorited it
+  user_tags TEXT[] NOT NULL DEFAULT '{}',
+  is_favorite BOOLEAN NOT NULL DEFAULT FALSE
+);
+
+-- Existing installs created the table before tags and favorites
+ALTER TABLE posters ADD COLUMN IF NOT EXISTS user_tags TEXT[] NOT NULL DEFAULT '{}';
+ALTER TABLE posters ADD COLUMN IF NOT EXISTS is_favorite BOOLEAN NOT NULL DEFAULT FALSE;
+
+-- Enable RLS
+ALTER TABLE posters ENABLE ROW LEVEL SECURITY;
+
+-- Create policies
+CREATE POLICY "Users can view their own posters"
+  ON posters FOR SELECT
+  USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can delete their own posters"
+  ON posters FOR DELETE
+  USING (auth.uid() = user_id);
+
+CREATE POLICY "Admins can view all posters"
+  ON posters FOR SELECT
+  USING (EXISTS (
+    SELECT 1 FROM profiles
+    WHERE profiles.id = auth.uid() AND profiles.role = 'admin'
+  ));
+
+-- Create indexes
+CREATE INDEX IF NOT EXISTS posters_user_id_idx ON posters(user_id);
+CREATE INDEX IF NOT EXISTS posters_created_at_idx ON posters(created_at);
+CREATE INDEX IF NOT EXISTS posters_poster_type_idx ON posters(poster_type);
+CREATE INDEX IF NOT EXISTS posters_style_preference_idx ON posters(style_preference);
+CREATE INDEX IF NOT EXISTS posters_user_tags_idx ON posters USING GIN(user_tags);
+CREATE INDEX IF NOT EXISTS posters_favorites_idx ON posters(user_id, created_at) WHERE is_favorite;
@@ -11,9 +11,32 @@ CREATE TABLE IF NOT EXISTS profiles (
   role TEXT NOT NULL DEFAULT 'user',
   current_plan TEXT NOT NULL DEFAULT 'free',
   plan_expiry TIMESTAMPTZ,
-  is_active BOOLEAN NOT NULL DEFAULT TRUE
+  is_active BOOLEAN NOT NULL DEFAULT TRUE,
+  -- Set while an admin has suspended the account (is_active = FALSE).
+  -- Suspensions with suspended_until are lifted automatically once it passes.
+  suspended_at TIMESTAMPTZ,
+  suspended_until TIMESTAMPTZ,
+  suspension_reason TEXT,
+  suspended_by UUID REFERENCES profiles(id) ON DELETE SET NULL,
+  -- Public creator profile: the name shown on it and on the user's public images
+  -- (full_name is used if it isn't set). Users can opt out of having a public
+  -- profile, and of being credited when someone remixes their images.
+  display_name TEXT,
+  public_profile BOOLEAN NOT NULL DEFAULT TRUE,
+  remix_attribution BOOLEAN NOT NULL DEFAULT TRUE
 );
 
+-- Existing installs created the table before accounts could be suspended
+ALTER TABLE profiles ADD COLUMN IF NOT EXISTS suspended_at TIMESTAMPTZ;
+ALTER TABLE profiles ADD COLUMN IF NOT EXISTS suspended_until TIMESTAMPTZ;
+ALTER TABLE profiles ADD COLUMN IF NOT EXISTS suspension_reason TEXT;
+ALTER TABLE profiles ADD COLUMN IF NOT EXISTS suspended_by UUID REFERENCES profiles(id) ON DELETE SET NULL;
+
+-- Existing installs created the table before creator profiles
+ALTER TABLE profiles ADD COLUMN IF NOT EXISTS display_name TEXT;
+ALTER TABLE profiles ADD COLUMN IF NOT EXISTS public_profile BOOLEAN NOT NULL DEFAULT TRUE;
+ALTER TABLE profiles ADD COLUMN IF NOT EXISTS remix_attribution BOOLEAN NOT NULL DEFAULT TRUE;
+
 -- Enable RLS
 ALTER TABLE profiles ENABLE ROW LEVEL SECURITY;
 
@@ -36,4 +59,5 @@ CREATE POLICY "Admins can view all profiles"
 -- Create indexes
 CREATE INDEX IF NOT EXISTS profiles_email_idx ON profiles(email);
 CREATE INDEX IF NOT EXISTS profiles_role_idx ON profiles(role);
-CREATE INDEX IF NOT EXISTS profiles_current_plan_idx ON profiles(current_plan); 
\ No newline at end of file
+CREATE INDEX IF NOT EXISTS profiles_current_plan_idx ON profiles(current_plan); 
+CREATE INDEX IF NOT EXISTS profiles_suspended_until_idx ON profiles(suspended_until) WHERE is_active = FALSE;
\ No newline at end of file
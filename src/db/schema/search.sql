@@ -0,0 +1,65 @@
+-- Full-text search over generation history. Each searchable table gets a stored
+-- tsvector of its text, and search_documents lists them all in one shape.
+-- Run after images.sql, posters.sql, thumbnails.sql and logos.sql.
+ALTER TABLE images ADD COLUMN IF NOT EXISTS search_vector TSVECTOR
+  GENERATED ALWAYS AS (
+    setweight(to_tsvector('english', COALESCE(original_prompt, '')), 'A') ||
+    setweight(to_tsvector('english', COALESCE(prompt, '')), 'B')
+  ) STORED;
+
+ALTER TABLE posters ADD COLUMN IF NOT EXISTS search_vector TSVECTOR
+  GENERATED ALWAYS AS (
+    setweight(to_tsvector('english', COALESCE(title, '')), 'A') ||
+    setweight(to_tsvector('english', COALESCE(slogan, '') || ' ' || COALESCE(additional_text, '')), 'B')
+  ) STORED;
+
+ALTER TABLE thumbnails ADD COLUMN IF NOT EXISTS search_vector TSVECTOR
+  GENERATED ALWAYS AS (
+    setweight(to_tsvector('english', COALESCE(title, '')), 'A') ||
+    setweight(to_tsvector('english', COALESCE(subtitle, '') || ' ' || COALESCE(custom_prompt, '')), 'B')
+  ) STORED;
+
+ALTER TABLE logos ADD COLUMN IF NOT EXISTS search_vector TSVECTOR
+  GENERATED ALWAYS AS (
+    setweight(to_tsvector('english', COALESCE(name, '')), 'A') ||
+    setweight(to_tsvector('english', COALESCE(prompt, '')), 'B')
+  ) STORED;
+
+-- One row per searchable item. body is the text shown (and highlighted) in results;
+-- posters, thumbnails and logos use their kind as generation_type. security_invoker
+-- keeps the tables' row level security in force for anyone querying the view directly.
+CREATE OR REPLACE VIEW search_documents WITH (security_invoker = true) AS
+  SELECT
+    'image'::TEXT AS item_type, id, user_id,
+    original_prompt AS title, original_prompt AS body,
+    generation_type, style, model_id, resolution,
+    cloudinary_url AS url, created_at, search_vector
+  FROM images
+  WHERE NOT is_hidden
+  UNION ALL
+  SELECT
+    'poster', id, user_id,
+    title, concat_ws(' - ', title, slogan, additional_text),
+    'poster', style_preference, NULL, width || 'x' || height,
+    image_url, created_at, search_vector
+  FROM posters
+  UNION ALL
+  SELECT
+    'thumbnail', id, user_id,
+    title, concat_ws(' - ', title, subtitle, custom_prompt),
+    'thumbnail', style_preference, NULL, width || 'x' || height,
+    image_url, created_at, search_vector
+  FROM thumbnails
+  UNION ALL
+  SELECT
+    'logo', id, user_id,
+    name, concat_ws(' - ', name, industry),
+    'logo', style, NULL, NULL,
+    image_url, created_at, search_vector
+  FROM logos;
+
+-- Create indexes
+CREATE INDEX IF NOT EXISTS images_search_vector_idx ON images USING GIN(search_vector);
+CREATE INDEX IF NOT EXISTS posters_search_vector_idx ON posters USING GIN(search_vector);
+CREATE INDEX IF NOT EXISTS thumbnails_search_vector_idx ON thumbnails USING GIN(search_vector);
+CREATE INDEX IF NOT EXISTS logos_search_vector_idx ON logos USING GIN(search_vector);
@@ -0,0 +1,52 @@
+-- Thumbnails table for storing generated YouTube thumbnails
+CREATE TABLE IF NOT EXISTS thumbnails (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID REFERENCES profiles(id) ON DELETE CASCADE NOT NULL,
+  title TEXT NOT NULL,
+  subtitle TEXT,
+  content_category TEXT,
+  style_preference TEXT,
+  tags TEXT[] DEFAULT '{}',
+  custom_prompt TEXT,
+  image_url TEXT NOT NULL,
+  public_id TEXT NOT NULL,
+  width INTEGER NOT NULL,
+  height INTEGER NOT NULL,
+  text_layout JSONB,
+  user_assets JSONB NOT NULL DEFAULT '[]',
+  credit_cost INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  -- Organization: free-form tags set by the owner (lowercase), and whether they favorited it
+  user_tags TEXT[] NOT NULL DEFAULT '{}',
+  is_favorite BOOLEAN NOT NULL DEFAULT FALSE
+);
+
+-- Existing installs created the table before tags and favorites
+ALTER TABLE thumbnails ADD COLUMN IF NOT EXISTS user_tags TEXT[] NOT NULL DEFAULT '{}';
+ALTER TABLE thumbnails ADD COLUMN IF NOT EXISTS is_favorite BOOLEAN NOT NULL DEFAULT FALSE;
+
+-- Enable RLS
+ALTER TABLE thumbnails ENABLE ROW LEVEL SECURITY;
+
+-- Create policies
+CREATE POLICY "Users can view their own thumbnails"
+  ON thumbnails FOR SELECT
+  USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can delete their own thumbnails"
+  ON thumbnails FOR DELETE
+  USING (auth.uid() = user_id);
+
+CREATE POLICY "Admins can view all thumbnails"
+  ON thumbnails FOR SELECT
+  USING (EXISTS (
+    SELECT 1 FROM profiles
+    WHERE profiles.id = auth.uid() AND profiles.role = 'admin'
+  ));
+
+-- Create indexes
+CREATE INDEX IF NOT EXISTS thumbnails_user_id_idx ON thumbnails(user_id);
+CREATE INDEX IF NOT EXISTS thumbnails_created_at_idx ON thumbnails(created_at);
+CREATE INDEX IF NOT EXISTS thumbnails_content_category_idx ON thumbnails(content_category);
+CREATE INDEX IF NOT EXISTS thumbnails_user_tags_idx ON thumbnails USING GIN(user_tags);
+CREATE INDEX IF NOT EXISTS thumbnails_favorites_idx ON thumbnails(user_id, created_at) WHERE is_favorite;
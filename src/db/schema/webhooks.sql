@@ -0,0 +1,64 @@
+-- Outbound webhooks: endpoints users register to hear about their generations and
+-- payments, and every event delivered (or being retried) to them
+CREATE TABLE IF NOT EXISTS webhook_endpoints (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID REFERENCES profiles(id) ON DELETE CASCADE NOT NULL,
+  url TEXT NOT NULL,
+  description TEXT,
+  events TEXT[] NOT NULL,
+  -- Signs every payload sent to the endpoint. Kept in clear text because it is
+  -- needed to sign; it is only returned to the user when the endpoint is created.
+  secret TEXT NOT NULL,
+  is_active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  endpoint_id UUID REFERENCES webhook_endpoints(id) ON DELETE CASCADE NOT NULL,
+  user_id UUID REFERENCES profiles(id) ON DELETE CASCADE NOT NULL,
+  event TEXT NOT NULL,
+  -- The exact payload sent, including the event ID receivers can dedupe on
+  payload JSONB NOT NULL,
+  -- Set for events that must only be sent once per endpoint (e.g. a payment)
+  event_key TEXT,
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'succeeded', 'failed')),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  next_attempt_at TIMESTAMPTZ DEFAULT NOW(),
+  last_attempt_at TIMESTAMPTZ,
+  response_status INTEGER,
+  response_body TEXT,
+  error TEXT,
+  -- Set on deliveries created by the redeliver endpoint
+  redelivery_of UUID REFERENCES webhook_deliveries(id) ON DELETE SET NULL,
+  delivered_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE(endpoint_id, event_key)
+);
+
+-- Enable RLS
+ALTER TABLE webhook_endpoints ENABLE ROW LEVEL SECURITY;
+ALTER TABLE webhook_deliveries ENABLE ROW LEVEL SECURITY;
+
+-- Create policies
+CREATE POLICY "Users can view their own webhook endpoints"
+  ON webhook_endpoints FOR SELECT
+  USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can view their own webhook deliveries"
+  ON webhook_deliveries FOR SELECT
+  USING (auth.uid() = user_id);
+
+CREATE POLICY "Admins can view all webhook deliveries"
+  ON webhook_deliveries FOR SELECT
+  USING (EXISTS (
+    SELECT 1 FROM profiles
+    WHERE profiles.id = auth.uid() AND profiles.role = 'admin'
+  ));
+
+-- Create indexes
+CREATE INDEX IF NOT EXISTS webhook_endpoints_user_id_idx ON webhook_endpoints(user_id);
+CREATE INDEX IF NOT EXISTS webhook_endpoints_events_idx ON webhook_endpoints USING GIN(events);
+CREATE INDEX IF NOT EXISTS webhook_deliveries_endpoint_id_idx ON webhook_deliveries(endpoint_id, created_at);
+CREATE INDEX IF NOT EXISTS webhook_deliveries_due_idx ON webhook_deliveries(next_attempt_at) WHERE status = 'pending';
@@ -1,14 +1,91 @@
 const { supabase } = require('../config/supabaseClient');
 const { ApiError } = require('./errorMiddleware');
+const { assertAccountActive } = require('../services/userService');
+const { isApiKey, authenticateApiKey, recordApiKeyUsage } = require('../services/apiKeyService');
+const { getApiKeyScope } = require('../config/apiKeyScopes');
+const { runWithRequestContext } = require('../utils/requestContext');
+
+/**
+ * Authenticate a request made with a developer API key. The endpoint has to be open to
+ * API keys (see config/apiKeyScopes.js) and covered by the key's scopes. The rest of the
+ * request runs with the key in its request context, so credits it spends are attributed to it.
+ * @param {string} key - The API key sent by the client
+ * @param {Object} req - Express request object
+ * @param {Function} next - Express next function
+ */
+const authenticateWithApiKey = async (key, req, next) => {
+  try {
+    if (!isApiKey(key)) {
+      throw new ApiError('Not authorized, API key invalid or revoked', 401);
+    }
+    
+    const apiKey = await authenticateApiKey(key);
+    const scope = getApiKeyScope(req.method, req.originalUrl);
+    
+    if (!scope) {
+      const error = new ApiError('This endpoint can\'t be used with an API key', 403);
+      error.code = 'API_KEY_NOT_ALLOWED';
+      throw error;
+    }
+    
+    if (apiKey.scopes.length > 0 && !apiKey.scopes.includes(scope)) {
+      const error = new ApiError(`This API key doesn't have the ${scope} scope`, 403, { requiredScope: scope });
+      error.code = 'API_KEY_SCOPE_MISSING';
+      throw error;
+    }
+    
+    const { data: userData, error: userError } = await supabase
+      .from('profiles')
+      .select('*')
+      .eq('id', apiKey.user_id)
+      .single();
+    
+    if (userError || !userData) {
+      throw new ApiError('Not authorized, API key owner not found', 401);
+    }
+    
+    const profile = await assertAccountActive(userData);
+    
+    req.user = {
+      id: profile.id,
+      email: profile.email,
+      role: profile.role || 'user',
+      ...profile
+    };
+    req.apiKey = {
+      id: apiKey.id,
+      name: apiKey.name,
+      scopes: apiKey.scopes
+    };
+    
+    // Counted without waiting, so the counter doesn't slow the request down
+    recordApiKeyUsage(apiKey.id, { requests: 1 });
+    
+    runWithRequestContext({ userId: profile.id, apiKeyId: apiKey.id }, () => next());
+  } catch (error) {
+    console.error('API key authentication error:', error);
+    next(error.code ? error : new ApiError(error.message || 'Not authorized', 401));
+  }
+};
 const asyncHandler = require('express-async-handler');
 
 /**
  * Middleware to protect routes and verify JWT token from Supabase
+ * Also accepts developer API keys, sent as `X-API-Key: ock_...` or `Authorization: Bearer ock_...`
  * Attaches the authenticated user data to the request object
  */
 const protect = asyncHandler(async (req, res, next) => {
   let token;
   
+  const bearer = req.headers.authorization && req.headers.authorization.startsWith('Bearer')
+    ? req.headers.authorization.split(' ')[1]
+    : null;
+  const apiKey = req.get('X-API-Key') || (isApiKey(bearer) ? bearer : null);
+  
+  if (apiKey) {
+    return authenticateWithApiKey(apiKey, req, next);
+  }
+  
   // Check for token in headers
   if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
     try {
@@ -37,24 +114,40 @@ const protect = asyncHandler(async (req, res, next) => {
         console.error('Error fetching user profile:', userError);
       }
       
+      // Suspended accounts are rejected with 403 ACCOUNT_SUSPENDED until the suspension is lifted
+      const profile = await assertAccountActive(userData);
+      
       // Set user data on request object
       req.user = {
         id: user.id,
         email: user.email,
-        role: userData?.role || 'user',
-        ...userData
+        role: profile?.role || 'user',
+        ...profile
       };
       
       next();
     } catch (error) {
       console.error('Authentication error:', error);
-      next(new ApiError(error.message || 'Not authorized', 401));
+      next(error.code === 'ACCOUNT_SUSPENDED' ? error : new ApiError(error.message || 'Not authorized', 401));
     }
   } else {
     next(new ApiError('Not authorized, no token provided', 401));
   }
 });
 
+/**
+ * Middleware for public routes that treat signed-in users differently. Credentials
+ * that are sent are checked like protect does and set req.user; without credentials,
+ * or with invalid ones, the request goes on without a user.
+ */
+const optionalProtect = (req, res, next) => {
+  if (!req.headers.authorization && !req.get('X-API-Key')) {
+    return next();
+  }
+  
+  protect(req, res, () => next());
+};
+
 /**
  * Middleware to restrict routes to admin users only
  * Must be used after the protect middleware
@@ -69,5 +162,6 @@ const admin = (req, res, next) => {
 
 module.exports = {
   protect,
+  optionalProtect,
   admin
 }; 
\ No newline at end of file
@@ -12,6 +12,11 @@ const errorHandler = (err, req, res, next) => {
     error: {
       message: err.message || 'Server Error',
       status: statusCode,
+      // Structured errors give clients a machine-readable code and their details
+      ...(err instanceof ApiError && err.code && {
+        code: err.code,
+        details: err.details
+      }),
       ...(process.env.NODE_ENV === 'development' && {
         stack: err.stack,
         details: err.details || null
@@ -1,9 +1,16 @@
 const express = require('express');
 const { 
   adjustUserCredits,
+  suspendUserAccount,
+  reactivateUserAccount,
   getImageStats,
   getCreditStats,
-  getUserStats
+  getUserStats,
+  getCreditReconciliation,
+  getModerationDecisions,
+  getModerationQueue,
+  getModerationFlagById,
+  resolveModerationFlagAction
 } = require('../controllers/adminController');
 const { protect, admin } = require('../middlewares/authMiddleware');
 
@@ -14,10 +21,21 @@ router.use(protect, admin);
 
 // User management
 router.post('/users/:id/credits', adjustUserCredits);
+router.post('/users/:id/suspend', suspendUserAccount);
+router.post('/users/:id/reactivate', reactivateUserAccount);
 
 // Stats routes
 router.get('/stats/images', getImageStats);
 router.get('/stats/credits', getCreditStats);
 router.get('/stats/users', getUserStats);
 
+// Credit ledger
+router.get('/credits/reconciliation', getCreditReconciliation);
+
+// Moderation
+router.get('/moderation/decisions', getModerationDecisions);
+router.get('/moderation', getModerationQueue);
+router.get('/moderation/:id', getModerationFlagById);
+router.post('/moderation/:id/actions', resolveModerationFlagAction);
+
 module.exports = router; 
\ No newline at end of file
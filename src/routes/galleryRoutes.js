@@ -0,0 +1,24 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getGallery,
+  getGalleryImage,
+  getShared,
+  like,
+  unlike,
+  getCreator
+} = require('../controllers/galleryController');
+const { protect, optionalProtect } = require('../middlewares/authMiddleware');
+
+// The gallery, share links and creator profiles can be opened without signing in.
+// Signed-in viewers are recognized so that their views are counted once.
+router.get('/', getGallery);
+router.get('/images/:id', optionalProtect, getGalleryImage);
+router.get('/shared/:token', optionalProtect, getShared);
+router.get('/creators/:id', getCreator);
+
+// Likes
+router.post('/images/:id/like', protect, like);
+router.delete('/images/:id/like', protect, unlike);
+
+module.exports = router;
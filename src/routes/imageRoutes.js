@@ -1,9 +1,26 @@
 const express = require('express');
 const router = express.Router();
+const multer = require('multer');
 const { 
   generateImage,
+  imageToImage,
+  upscale,
+  inpaint,
+  outpaint,
+  variations,
+  remix,
+  generateBatch,
+  getBatch,
+  report,
+  updateSharing,
+  createShare,
+  getShareLinks,
+  revokeShare,
+  exportImages,
+  getExport,
   getImages,
   getImage,
+  getLineage,
   removeImage,
   getImageOptions,
   suggestStyles,
@@ -11,15 +28,61 @@ const {
 } = require('../controllers/imageController');
 const { protect } = require('../middlewares/authMiddleware');
 
+// Init images and masks are kept in memory and never written to disk
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 10 * 1024 * 1024, // 10MB max file size
+    files: 1
+  },
+  fileFilter: (req, file, cb) => {
+    if (file.mimetype.startsWith('image/')) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only image files are allowed!'), false);
+    }
+  }
+});
+
+/**
+ * Accept a single optional image upload in the given field
+ * @param {string} field - The multipart field name
+ * @returns {Function} - Express middleware
+ */
+const singleImageUpload = (field) => (req, res, next) => {
+  upload.single(field)(req, res, (err) => {
+    if (err) {
+      return res.status(400).json({ error: `File upload error: ${err.message}` });
+    }
+    next();
+  });
+};
+
 // Apply auth middleware to all routes
 router.use(protect);
 
 // Image generation routes
 router.post('/generate', generateImage);
+router.post('/transform', singleImageUpload('image'), imageToImage);
+router.post('/batch', generateBatch);
+router.post('/export', exportImages);
 router.get('/', getImages);
 router.get('/options', getImageOptions);
+router.get('/batches/:id', getBatch);
+router.get('/exports/:id', getExport);
 router.get('/:id', getImage);
+router.get('/:id/lineage', getLineage);
 router.delete('/:id', removeImage);
+router.post('/:id/upscale', upscale);
+router.post('/:id/inpaint', singleImageUpload('mask'), inpaint);
+router.post('/:id/outpaint', outpaint);
+router.post('/:id/variations', variations);
+router.post('/:id/remix', remix);
+router.post('/:id/report', report);
+router.patch('/:id/sharing', updateSharing);
+router.post('/:id/share-links', createShare);
+router.get('/:id/share-links', getShareLinks);
+router.delete('/:id/share-links/:linkId', revokeShare);
 router.post('/suggest-styles', suggestStyles);
 router.post('/analyze-prompt', analyzePrompt);
 
@@ -0,0 +1,14 @@
+const express = require('express');
+const router = express.Router();
+const { getJobStatus, getJobs, streamJobEvents } = require('../controllers/jobController');
+const { protect } = require('../middlewares/authMiddleware');
+
+// Apply auth middleware to all routes
+router.use(protect);
+
+// Generation job routes
+router.get('/', getJobs);
+router.get('/:id', getJobStatus);
+router.get('/:id/events', streamJobEvents);
+
+module.exports = router;
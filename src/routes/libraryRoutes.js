@@ -0,0 +1,38 @@
+const express = require('express');
+const router = express.Router();
+const {
+  createNewCollection,
+  getCollections,
+  getCollectionById,
+  updateCollectionById,
+  deleteCollectionById,
+  getCollectionItems,
+  addItems,
+  removeItems,
+  moveItems,
+  updateItems,
+  getTags
+} = require('../controllers/libraryController');
+const { protect } = require('../middlewares/authMiddleware');
+
+// Apply auth middleware to all routes
+router.use(protect);
+
+// Collections
+router.post('/collections', createNewCollection);
+router.get('/collections', getCollections);
+router.get('/collections/:id', getCollectionById);
+router.patch('/collections/:id', updateCollectionById);
+router.delete('/collections/:id', deleteCollectionById);
+
+// Bulk collection membership
+router.get('/collections/:id/items', getCollectionItems);
+router.post('/collections/:id/items', addItems);
+router.post('/collections/:id/items/remove', removeItems);
+router.post('/collections/:id/items/move', moveItems);
+
+// Tags and favorites
+router.patch('/items', updateItems);
+router.get('/tags', getTags);
+
+module.exports = router;
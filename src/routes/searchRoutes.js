@@ -0,0 +1,11 @@
+const express = require('express');
+const router = express.Router();
+const { search } = require('../controllers/searchController');
+const { protect } = require('../middlewares/authMiddleware');
+
+// Apply auth middleware to all routes
+router.use(protect);
+
+router.get('/', search);
+
+module.exports = router;
@@ -10,6 +10,21 @@ const {
   getUserFullProfile,
   updateAccountSettings
 } = require('../controllers/userController');
+const {
+  createKey,
+  getKeys,
+  revokeKey,
+  rotateKey
+} = require('../controllers/apiKeyController');
+const {
+  createEndpoint,
+  getEndpoints,
+  updateEndpoint,
+  deleteEndpoint,
+  getDeliveries,
+  redeliver
+} = require('../controllers/webhookEndpointController');
+const { getMyLikes } = require('../controllers/galleryController');
 const { protect, admin } = require('../middlewares/authMiddleware');
 
 const router = express.Router();
@@ -21,6 +36,21 @@ router.get('/me/credits', protect, getCredits);
 router.get('/me/credits/history', protect, getCreditTransactionHistory);
 router.get('/me/full-profile', protect, getUserFullProfile);
 router.patch('/me/account-settings', protect, updateAccountSettings);
+router.get('/me/likes', protect, getMyLikes);
+
+// API keys (session tokens only; API keys can't manage keys)
+router.post('/me/api-keys', protect, createKey);
+router.get('/me/api-keys', protect, getKeys);
+router.delete('/me/api-keys/:id', protect, revokeKey);
+router.post('/me/api-keys/:id/rotate', protect, rotateKey);
+
+// Outbound webhooks (session tokens only)
+router.post('/me/webhooks', protect, createEndpoint);
+router.get('/me/webhooks', protect, getEndpoints);
+router.patch('/me/webhooks/:id', protect, updateEndpoint);
+router.delete('/me/webhooks/:id', protect, deleteEndpoint);
+router.get('/me/webhooks/:id/deliveries', protect, getDeliveries);
+router.post('/me/webhooks/:id/deliveries/:deliveryId/redeliver', protect, redeliver);
 
 // Admin routes (protected + admin)
 router.get('/', protect, admin, getUsers);
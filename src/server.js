@@ -21,6 +21,16 @@ const logoRoutes = require('./routes/logoRoutes');
 const planRoutes = require('./routes/planRoutes');
 const paymentRoutes = require('./routes/paymentRoutes');
 const paymentStatusRoutes = require('./routes/paymentStatusRoutes');
+const jobRoutes = require('./routes/jobRoutes');
+const libraryRoutes = require('./routes/libraryRoutes');
+const searchRoutes = require('./routes/searchRoutes');
+const galleryRoutes = require('./routes/galleryRoutes');
+const { startCreditHoldExpiry } = require('./services/creditService');
+const { startJobWorker } = require('./services/jobService');
+const { startSuspensionExpiry } = require('./services/userService');
+const { startWebhookDelivery } = require('./services/webhookService');
+const { startPlanExpiryNotices } = require('./services/planService');
+const { startExportCleanup } = require('./services/exportService');
 
 // Initialize express app
 const app = express();
@@ -62,9 +72,11 @@ const corsOptions = {
     'x-api-version',
     'x-client-id',
     'x-client-secret',
-    'x-cf-webhook-signature'  
+    'x-cf-webhook-signature',
+    'Prefer',
+    'X-API-Key'
   ],
-  exposedHeaders: ['Content-Length', 'Content-Type', 'X-RateLimit-Limit', 'X-RateLimit-Remaining'],
+  exposedHeaders: ['Content-Length', 'Content-Type', 'X-RateLimit-Limit', 'X-RateLimit-Remaining', 'Location'],
   credentials: true,
   maxAge: 86400,
   preflightContinue: false,
@@ -113,6 +125,10 @@ app.use('/api/logos', logoRoutes);
 app.use('/api/plans', planRoutes);
 app.use('/api/payments', paymentRoutes);  // mount separately
 app.use('/api/payment-status', paymentStatusRoutes); // mount separately
+app.use('/api/jobs', jobRoutes);
+app.use('/api/library', libraryRoutes);
+app.use('/api/search', searchRoutes);
+app.use('/api/gallery', galleryRoutes);
 
 // CORS debug endpoint
 app.get('/api/debug/cors', (req, res) => {
@@ -153,6 +169,22 @@ app.listen(PORT, () => {
   - POST /api/logos/generate
   - GET /api/logos/styles
   - GET /api/logos/color-themes`);
+  
+  // Return credits reserved by generations that never finished
+  startCreditHoldExpiry();
+  
+  // Run queued generation jobs and clean up ones orphaned by a restart
+  startJobWorker();
+  
+  // Reactivate accounts whose suspension has expired
+  startSuspensionExpiry();
+  
+  // Retry failed webhook deliveries and announce plans that are about to expire
+  startWebhookDelivery();
+  startPlanExpiryNotices();
+  
+  // Delete export ZIPs whose download link has expired
+  startExportCleanup();
 });
 
 // Unhandled promise rejections
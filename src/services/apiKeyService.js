@@ -0,0 +1,272 @@
+const crypto = require('crypto');
+const { supabase } = require('../config/supabaseClient');
+const { API_KEY_SCOPES } = require('../config/apiKeyScopes');
+const { ApiError } = require('../middlewares/errorMiddleware');
+
+// Every key starts with this, so keys are easy to recognize (and to find in leaked code)
+const API_KEY_PREFIX = 'ock_';
+
+// Characters of the key kept in clear text to identify it in listings
+const API_KEY_DISPLAY_LENGTH = API_KEY_PREFIX.length + 8;
+
+// Active keys a user can have at once
+const MAX_API_KEYS_PER_USER = 10;
+
+/**
+ * Hash a key for storage and lookup. Keys are random, so a fast hash is enough.
+ * @param {string} key - The API key
+ * @returns {string} - Hex SHA-256 digest
+ */
+const hashApiKey = (key) => {
+  return crypto.createHash('sha256').update(key).digest('hex');
+};
+
+/**
+ * Whether a credential looks like one of our API keys rather than a session token
+ * @param {string} credential - The credential sent by the client
+ * @returns {boolean} - True for API keys
+ */
+const isApiKey = (credential) => {
+  return typeof credential === 'string' && credential.startsWith(API_KEY_PREFIX);
+};
+
+/**
+ * Convert an api_keys row to the API shape. The hash is never returned.
+ * @param {Object} record - The database record
+ * @returns {Object} - Formatted key
+ */
+const formatApiKey = (record) => ({
+  id: record.id,
+  name: record.name,
+  prefix: record.key_prefix,
+  scopes: record.scopes,
+  requestCount: Number(record.request_count),
+  creditsUsed: Number(record.credits_used),
+  lastUsedAt: record.last_used_at,
+  rotatedFromId: record.rotated_from_id,
+  revokedAt: record.revoked_at,
+  createdAt: record.created_at
+});
+
+/**
+ * Check the scopes requested for a key
+ * @param {Array<string>} scopes - The requested scopes
+ * @returns {Array<string>} - The scopes without duplicates
+ */
+const validateScopes = (scopes) => {
+  if (!Array.isArray(scopes) || scopes.some(scope => !API_KEY_SCOPES.includes(scope))) {
+    throw new ApiError(`scopes must be a list of: ${API_KEY_SCOPES.join(', ')}`, 400);
+  }
+  
+  return [...new Set(scopes)];
+};
+
+/**
+ * Generate a key and store its hash
+ * @param {string} userId - The owner
+ * @param {Object} fields - { name, scopes, rotatedFromId }
+ * @returns {Promise<Object>} - { key, apiKey } where key is the only copy of the secret
+ */
+const insertApiKey = async (userId, { name, scopes, rotatedFromId = null }) => {
+  const key = `${API_KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+  
+  const { data, error } = await supabase
+    .from('api_keys')
+    .insert({
+      user_id: userId,
+      name,
+      key_prefix: key.slice(0, API_KEY_DISPLAY_LENGTH),
+      key_hash: hashApiKey(key),
+      scopes,
+      rotated_from_id: rotatedFromId
+    })
+    .select()
+    .single();
+  
+  if (error) {
+    throw new ApiError(`Failed to create API key: ${error.message}`, 500);
+  }
+  
+  return { key, apiKey: formatApiKey(data) };
+};
+
+/**
+ * Create an API key for a user
+ * @param {string} userId - The user ID
+ * @param {Object} options - Key options
+ * @param {string} options.name - A label for the key
+ * @param {Array<string>} options.scopes - Optional scopes from API_KEY_SCOPES (empty allows all of them)
+ * @returns {Promise<Object>} - { key, apiKey }; the key is only ever returned here
+ */
+const createApiKey = async (userId, { name, scopes = [] } = {}) => {
+  if (!name || typeof name !== 'string' || !name.trim() || name.trim().length > 100) {
+    throw new ApiError('name is required and must be at most 100 characters', 400);
+  }
+  
+  const validScopes = validateScopes(scopes);
+  
+  const { count, error } = await supabase
+    .from('api_keys')
+    .select('id', { count: 'exact', head: true })
+    .eq('user_id', userId)
+    .is('revoked_at', null);
+  
+  if (error) {
+    throw new ApiError(`Failed to count API keys: ${error.message}`, 500);
+  }
+  
+  if (count >= MAX_API_KEYS_PER_USER) {
+    throw new ApiError(`You can have at most ${MAX_API_KEYS_PER_USER} active API keys. Revoke one first.`, 400);
+  }
+  
+  return insertApiKey(userId, { name: name.trim(), scopes: validScopes });
+};
+
+/**
+ * List a user's API keys, newest first
+ * @param {string} userId - The user ID
+ * @param {Object} options - { includeRevoked }
+ * @returns {Promise<Array<Object>>} - Formatted keys
+ */
+const listApiKeys = async (userId, { includeRevoked = false } = {}) => {
+  let query = supabase
+    .from('api_keys')
+    .select('*')
+    .eq('user_id', userId);
+  
+  if (!includeRevoked) {
+    query = query.is('revoked_at', null);
+  }
+  
+  const { data, error } = await query.order('created_at', { ascending: false });
+  
+  if (error) {
+    throw new ApiError(`Failed to list API keys: ${error.message}`, 500);
+  }
+  
+  return data.map(formatApiKey);
+};
+
+/**
+ * Get one of a user's active keys
+ * @param {string} keyId - The key ID
+ * @param {string} userId - The user ID (for ownership check)
+ * @returns {Promise<Object>} - The api_keys record
+ */
+const getActiveApiKey = async (keyId, userId) => {
+  const { data, error } = await supabase
+    .from('api_keys')
+    .select('*')
+    .eq('id', keyId)
+    .eq('user_id', userId)
+    .is('revoked_at', null)
+    .maybeSingle();
+  
+  if (error) {
+    throw new ApiError(`Failed to get API key: ${error.message}`, 500);
+  }
+  
+  if (!data) {
+    throw new ApiError('API key not found', 404);
+  }
+  
+  return data;
+};
+
+/**
+ * Revoke a key. Requests made with it fail from then on.
+ * @param {string} keyId - The key ID
+ * @param {string} userId - The user ID (for ownership check)
+ * @returns {Promise<Object>} - The revoked key
+ */
+const revokeApiKey = async (keyId, userId) => {
+  await getActiveApiKey(keyId, userId);
+  
+  const { data, error } = await supabase
+    .from('api_keys')
+    .update({ revoked_at: new Date().toISOString() })
+    .eq('id', keyId)
+    .select()
+    .single();
+  
+  if (error) {
+    throw new ApiError(`Failed to revoke API key: ${error.message}`, 500);
+  }
+  
+  return formatApiKey(data);
+};
+
+/**
+ * Replace a key with a new one that has the same name and scopes, revoking the old key
+ * @param {string} keyId - The key ID
+ * @param {string} userId - The user ID (for ownership check)
+ * @returns {Promise<Object>} - { key, apiKey } for the new key
+ */
+const rotateApiKey = async (keyId, userId) => {
+  const current = await getActiveApiKey(keyId, userId);
+  
+  const rotated = await insertApiKey(userId, {
+    name: current.name,
+    scopes: current.scopes,
+    rotatedFromId: current.id
+  });
+  
+  await revokeApiKey(current.id, userId);
+  
+  return rotated;
+};
+
+/**
+ * Look up the active key for a credential
+ * @param {string} key - The API key sent by the client
+ * @returns {Promise<Object>} - The api_keys record
+ * @throws {ApiError} - 401 if the key is unknown or revoked
+ */
+const authenticateApiKey = async (key) => {
+  const { data, error } = await supabase
+    .from('api_keys')
+    .select('*')
+    .eq('key_hash', hashApiKey(key))
+    .maybeSingle();
+  
+  if (error) {
+    throw new ApiError(`Failed to check API key: ${error.message}`, 500);
+  }
+  
+  if (!data || data.revoked_at) {
+    throw new ApiError('Not authorized, API key invalid or revoked', 401);
+  }
+  
+  return data;
+};
+
+/**
+ * Add to a key's usage counters. Failures are logged, never thrown, so a counter
+ * can't fail a request or a generation.
+ * @param {string} keyId - The key ID
+ * @param {Object} usage - { requests, credits, transactionId } where transactionId is the ledger debit to tag
+ */
+const recordApiKeyUsage = async (keyId, { requests = 0, credits = 0, transactionId = null } = {}) => {
+  const { error } = await supabase.rpc('record_api_key_usage', {
+    p_key_id: keyId,
+    p_requests: requests,
+    p_credits: credits,
+    p_transaction_id: transactionId
+  });
+  
+  if (error) {
+    console.error(`Error recording usage for API key ${keyId}:`, error);
+  }
+};
+
+module.exports = {
+  isApiKey,
+  createApiKey,
+  listApiKeys,
+  revokeApiKey,
+  rotateApiKey,
+  authenticateApiKey,
+  recordApiKeyUsage,
+  API_KEY_PREFIX,
+  MAX_API_KEYS_PER_USER
+};
@@ -1,5 +1,5 @@
 const { supabase, supabasePublic } = require('../config/supabaseClient');
-const { createUserProfile } = require('./userService');
+const { createUserProfile, assertAccountActive } = require('./userService');
 const { ApiError } = require('../middlewares/errorMiddleware');
 const EmailService = require('./emailService');
 const { generateOTP, validateOTP } = require('../utils/otpUtils');
@@ -380,6 +380,9 @@ const loginUser = async ({ email, password }) => {
       console.error('Error fetching user profile:', profileError);
     }
     
+    // Suspended accounts can't sign in; throws 403 ACCOUNT_SUSPENDED
+    await assertAccountActive(profile);
+    
     return {
       user: {
         id: data.user.id,
@@ -88,6 +88,24 @@ class CloudinaryService {
     }
   }
   
+  /**
+   * Copy an image from a URL into Cloudinary. For a Cloudinary URL with a
+   * transformation, the transformed image is what gets stored.
+   * 
+   * @param {string} imageUrl - URL of the image to copy
+   * @param {string} folder - Cloudinary folder path
+   * @param {string} publicId - Public ID for the image (optional)
+   * @returns {Promise<Object>} - Cloudinary upload result
+   */
+  static async uploadImageFromUrl(imageUrl, folder, publicId = null) {
+    try {
+      return await uploadImage(imageUrl, folder, publicId);
+    } catch (error) {
+      console.error('Error copying image to Cloudinary:', error);
+      throw new ApiError('Failed to upload image to cloud storage', 500);
+    }
+  }
+  
   /**
    * Delete an image from Cloudinary
    * 
@@ -103,6 +121,70 @@ class CloudinaryService {
     }
   }
   
+  /**
+   * Upload a stream to Cloudinary as a private raw file (e.g. a ZIP archive).
+   * The stream is sent in chunks, so it never has to fit in memory.
+   * 
+   * @param {Object} readable - Readable stream with the file contents
+   * @param {string} folder - Cloudinary folder path
+   * @param {string} publicId - Public ID for the file, including its extension
+   * @returns {Promise<Object>} - Cloudinary upload result
+   */
+  static uploadPrivateFileStream(readable, folder, publicId) {
+    return new Promise((resolve, reject) => {
+      const uploadStream = cloudinary.uploader.upload_chunked_stream(
+        {
+          folder,
+          public_id: publicId,
+          resource_type: 'raw',
+          type: 'private',
+          overwrite: true
+        },
+        (error, result) => {
+          if (error) {
+            console.error('Error in chunked upload stream:', error);
+            return reject(new ApiError(`Failed to upload file: ${error.message}`, 500));
+          }
+          return resolve(result);
+        }
+      );
+      
+      readable.on('error', reject);
+      readable.pipe(uploadStream);
+    });
+  }
+  
+  /**
+   * Get a signed download link for a private raw file
+   * 
+   * @param {string} publicId - Cloudinary public ID (including its extension)
+   * @param {Date} expiresAt - When the link stops working
+   * @returns {string} - The download URL
+   */
+  static getPrivateFileDownloadUrl(publicId, expiresAt) {
+    return cloudinary.utils.private_download_url(publicId, null, {
+      resource_type: 'raw',
+      type: 'private',
+      attachment: true,
+      expires_at: Math.floor(new Date(expiresAt).getTime() / 1000)
+    });
+  }
+  
+  /**
+   * Delete a private raw file from Cloudinary
+   * 
+   * @param {string} publicId - Cloudinary public ID (including its extension)
+   * @returns {Promise<Object>} - Deletion result
+   */
+  static async deletePrivateFile(publicId) {
+    try {
+      return await cloudinary.uploader.destroy(publicId, { resource_type: 'raw', type: 'private' });
+    } catch (error) {
+      console.error('Error deleting file from Cloudinary:', error);
+      throw new ApiError('Failed to delete file from cloud storage', 500);
+    }
+  }
+  
   /**
    * Create a text overlay image in Cloudinary
    * 
@@ -1,7 +1,9 @@
 const { supabase } = require('../config/supabaseClient');
 const { ApiError } = require('../middlewares/errorMiddleware');
-const { v4: uuidv4 } = require('uuid');
 const { getGenerationCostMultiplier } = require('../utils/imageUtils');
+const { getRequestContext } = require('../utils/requestContext');
+const { recordApiKeyUsage } = require('./apiKeyService');
+const { dispatchWebhookEvent } = require('./webhookService');
 
 // Credit costs for different image types (fixed values as per requirements)
 const CREDIT_COSTS = {
@@ -16,7 +18,9 @@ const CREDIT_COSTS = {
   SQUARE: 10,
   LANDSCAPE: 10,
   PORTRAIT: 10,
-  WIDESCREEN: 10
+  WIDESCREEN: 10,
+  // Post-processing of an existing image
+  UPSCALE: 20
 };
 
 // Generation type fixed costs (overrides the multiplier-based costs)
@@ -28,12 +32,24 @@ const GENERATION_TYPE_COSTS = {
   POSTER: 50,      // Poster Creator
   THUMBNAIL: 50,   // Thumbnail Creator
   WALLPAPER: 50,   // Wallpaper Generator (new)
-  IMAGE_TO_IMAGE: 10 // Image-to-Image Generator (new)
+  IMAGE_TO_IMAGE: 10, // Image-to-Image Generator (new)
+  UPSCALE: 20,     // Upscaling an existing image
+  INPAINT: 10,     // Regenerating a masked region of an existing image
+  OUTPAINT: 10     // Extending the canvas of an existing image
 };
 
 // Default free credits for new users
 const DEFAULT_FREE_CREDITS = 10; // We'll use the free generation mechanism instead of giving free credits
 
+// How long a credit hold reserves credits before it is expired automatically
+const CREDIT_HOLD_TTL_SECONDS = parseInt(process.env.CREDIT_HOLD_TTL_SECONDS, 10) || 15 * 60;
+
+// The credits.low webhook event is sent when a debit takes the balance below this
+const LOW_CREDIT_THRESHOLD = parseInt(process.env.LOW_CREDIT_THRESHOLD, 10) || 50;
+
+// How often the background sweep expires stale holds
+const CREDIT_HOLD_SWEEP_INTERVAL_MS = 60 * 1000;
+
 /**
  * Get a user's current credit balance
  * @param {string} userId - The user ID
@@ -58,63 +74,82 @@ const getUserCredits = async (userId) => {
   }
 };
 
+/**
+ * Apply a ledger entry through one of the database functions in
+ * src/db/functions/credit_ledger.sql. The balance update and the
+ * credit_transactions insert happen in a single transaction.
+ * @param {string} fn - The RPC function name ('add_credits' or 'deduct_credits')
+ * @param {string} userId - The user ID
+ * @param {number} credits - The number of credits (non-negative)
+ * @param {string} source - The source or reason stored on the transaction
+ * @param {string} referenceId - Optional reference ID
+ * @param {string} idempotencyKey - Optional key; retries with the same key are applied once
+ * @returns {Promise<Object>} - The function result ({ status, previous_balance, new_balance, transaction_id })
+ */
+const applyLedgerEntry = async (fn, userId, credits, source, referenceId, idempotencyKey) => {
+  if (!Number.isInteger(credits) || credits < 0) {
+    throw new ApiError('Credit amount must be a non-negative integer', 400);
+  }
+  
+  const { data, error } = await supabase.rpc(fn, {
+    p_user_id: userId,
+    p_amount: credits,
+    p_source: source,
+    p_reference_id: referenceId,
+    p_idempotency_key: idempotencyKey
+  });
+  
+  if (error) {
+    // P0002 is raised by the ledger functions when the profile does not exist
+    const statusCode = error.code === 'P0002' ? 404 : 500;
+    throw new ApiError(`Failed to update credit balance: ${error.message}`, statusCode);
+  }
+  
+  return data;
+};
+
+/**
+ * Send the credits.low webhook event when a debit crossed LOW_CREDIT_THRESHOLD.
+ * Only the debit that crosses it sends the event, not every debit below it.
+ * @param {string} userId - The user ID
+ * @param {Object} result - The ledger result ({ previous_balance, new_balance, transaction_id })
+ */
+const notifyIfCreditsLow = (userId, result) => {
+  if (result.previous_balance >= LOW_CREDIT_THRESHOLD && result.new_balance < LOW_CREDIT_THRESHOLD) {
+    dispatchWebhookEvent(userId, 'credits.low', {
+      balance: result.new_balance,
+      previousBalance: result.previous_balance,
+      threshold: LOW_CREDIT_THRESHOLD,
+      transactionId: result.transaction_id || null
+    });
+  }
+};
+
 /**
  * Add credits to a user's account
  * @param {string} userId - The user ID
  * @param {number} credits - The number of credits to add
  * @param {string} source - The source of the credits (e.g., 'purchase', 'admin', 'free')
  * @param {string} referenceId - Optional reference ID (e.g., order ID)
- * @returns {Promise<Object>} - Updated user data
+ * @param {string} idempotencyKey - Optional key that makes retries of the same credit a no-op
+ * @returns {Promise<Object>} - Ledger result with the new credit_balance
  */
-const addCredits = async (userId, credits, source, referenceId = null) => {
+const addCredits = async (userId, credits, source, referenceId = null, idempotencyKey = null) => {
   try {
-    // Start a transaction
-    const { data: currentData, error: fetchError } = await supabase
-      .from('profiles')
-      .select('credit_balance')
-      .eq('id', userId)
-      .single();
-    
-    if (fetchError) {
-      throw new ApiError(`Failed to get user profile: ${fetchError.message}`, 500);
-    }
-    
-    const currentBalance = currentData.credit_balance || 0;
-    const newBalance = currentBalance + credits;
-    
-    // Update the user's credit balance
-    const { data: updatedUser, error: updateError } = await supabase
-      .from('profiles')
-      .update({ credit_balance: newBalance })
-      .eq('id', userId)
-      .select()
-      .single();
-    
-    if (updateError) {
-      throw new ApiError(`Failed to update credit balance: ${updateError.message}`, 500);
-    }
-    
-    // Log the credit transaction
-    const { error: logError } = await supabase
-      .from('credit_transactions')
-      .insert({
-        id: uuidv4(),
-        user_id: userId,
-        amount: credits,
-        type: 'credit',
-        source,
-        reference_id: referenceId,
-        balance_after: newBalance
-      });
-    
-    if (logError) {
-      console.error('Error logging credit transaction:', logError);
-    }
+    const result = await applyLedgerEntry('add_credits', userId, credits, source, referenceId, idempotencyKey);
     
-    return updatedUser;
+    return {
+      id: userId,
+      credit_balance: result.new_balance,
+      previous_balance: result.previous_balance,
+      transaction_id: result.transaction_id,
+      status: result.status
+    };
   } catch (error) {
     console.error('Error adding credits:', error);
-    throw new ApiError(`Failed to add credits: ${error.message}`, 500);
+    throw error instanceof ApiError 
+      ? error 
+      : new ApiError(`Failed to add credits: ${error.message}`, 500);
   }
 };
 
@@ -124,60 +159,28 @@ const addCredits = async (userId, credits, source, referenceId = null) => {
  * @param {number} credits - The number of credits to deduct
  * @param {string} reason - The reason for deduction (e.g., 'image_generation')
  * @param {string} referenceId - Optional reference ID (e.g., generation ID)
- * @returns {Promise<Object>} - Updated user data
+ * @param {string} idempotencyKey - Optional key that makes retries of the same debit a no-op
+ * @returns {Promise<Object>} - Ledger result with the new credit_balance
  */
-const deductCredits = async (userId, credits, reason, referenceId = null) => {
+const deductCredits = async (userId, credits, reason, referenceId = null, idempotencyKey = null) => {
   try {
-    // Get the user's current balance
-    const { data: currentData, error: fetchError } = await supabase
-      .from('profiles')
-      .select('credit_balance')
-      .eq('id', userId)
-      .single();
+    const result = await applyLedgerEntry('deduct_credits', userId, credits, reason, referenceId, idempotencyKey);
     
-    if (fetchError) {
-      throw new ApiError(`Failed to get user profile: ${fetchError.message}`, 500);
-    }
-    
-    const currentBalance = currentData.credit_balance || 0;
-    
-    // Check if the user has enough credits
-    if (currentBalance < credits) {
+    if (result.status === 'insufficient_credits') {
       throw new ApiError('Insufficient credits', 402);
     }
     
-    const newBalance = currentBalance - credits;
-    
-    // Update the user's credit balance
-    const { data: updatedUser, error: updateError } = await supabase
-      .from('profiles')
-      .update({ credit_balance: newBalance })
-      .eq('id', userId)
-      .select()
-      .single();
-    
-    if (updateError) {
-      throw new ApiError(`Failed to update credit balance: ${updateError.message}`, 500);
+    if (result.status === 'applied') {
+      notifyIfCreditsLow(userId, result);
     }
     
-    // Log the debit transaction
-    const { error: logError } = await supabase
-      .from('credit_transactions')
-      .insert({
-        id: uuidv4(),
-        user_id: userId,
-        amount: credits,
-        type: 'debit',
-        source: reason,
-        reference_id: referenceId,
-        balance_after: newBalance
-      });
-    
-    if (logError) {
-      console.error('Error logging credit transaction:', logError);
-    }
-    
-    return updatedUser;
+    return {
+      id: userId,
+      credit_balance: result.new_balance,
+      previous_balance: result.previous_balance,
+      transaction_id: result.transaction_id,
+      status: result.status
+    };
   } catch (error) {
     console.error('Error deducting credits:', error);
     throw error instanceof ApiError 
@@ -186,6 +189,57 @@ const deductCredits = async (userId, credits, reason, referenceId = null) => {
   }
 };
 
+/**
+ * Charge a user for a plan and apply it to their profile in a single transaction
+ * (subscribe_to_plan in src/db/functions/credit_ledger.sql)
+ * @param {string} userId - The user ID
+ * @param {number} credits - The plan price
+ * @param {Object} plan - The plan to apply
+ * @param {string} plan.plan - Stored as profiles.current_plan
+ * @param {string} plan.role - Optional role to give the user
+ * @param {number} plan.durationDays - How long the plan lasts from now
+ * @param {string} plan.referenceId - Reference stored on the debit (the plan that was bought)
+ * @param {string} idempotencyKey - Optional key; a retry with the same key is not charged or applied again
+ * @returns {Promise<Object>} - { status, plan, planExpiry, credit_balance, transaction_id }
+ */
+const purchasePlan = async (userId, credits, { plan, role = null, durationDays, referenceId = null }, idempotencyKey = null) => {
+  if (!Number.isInteger(credits) || credits < 0) {
+    throw new ApiError('Credit amount must be a non-negative integer', 400);
+  }
+  
+  const { data, error } = await supabase.rpc('subscribe_to_plan', {
+    p_user_id: userId,
+    p_amount: credits,
+    p_plan: plan,
+    p_role: role,
+    p_duration_days: durationDays,
+    p_reference_id: referenceId,
+    p_idempotency_key: idempotencyKey
+  });
+  
+  if (error) {
+    console.error('Error purchasing plan:', error);
+    const statusCode = error.code === 'P0002' ? 404 : 500;
+    throw new ApiError(`Failed to update user plan: ${error.message}`, statusCode);
+  }
+  
+  if (data.status === 'insufficient_credits') {
+    throw new ApiError('Insufficient credits', 402);
+  }
+  
+  if (data.status === 'applied' && data.transaction_id) {
+    notifyIfCreditsLow(userId, data);
+  }
+  
+  return {
+    status: data.status,
+    plan: data.plan,
+    planExpiry: data.plan_expiry ? new Date(data.plan_expiry) : null,
+    credit_balance: data.new_balance,
+    transaction_id: data.transaction_id || null
+  };
+};
+
 /**
  * Check if user has a free generation remaining
  * @param {string} userId - The user ID
@@ -295,69 +349,230 @@ const getCreditHistory = async (userId, { page = 1, limit = 20, type = null } =
 };
 
 /**
- * Check credit balance and deduct credits if sufficient
+ * Reserve credits for a generation before calling the provider.
+ * The hold must be captured on success or released on failure; holds that
+ * are never resolved expire after CREDIT_HOLD_TTL_SECONDS unless a longer TTL is given.
+ * Holds made while handling an API key request remember the key, so the debit is attributed to it.
  * @param {string} userId - The user ID
- * @param {number} credits - The number of credits to deduct
- * @param {string} reason - The reason for deduction (e.g., 'poster_generation')
- * @param {string} referenceId - Optional reference ID (e.g., generation ID)
- * @returns {Promise<Object>} - Updated user data
+ * @param {number} credits - The estimated cost to reserve
+ * @param {string} source - The source stored on the eventual debit (e.g., 'logo_generation')
+ * @param {string} referenceId - Optional reference ID (e.g., poster ID)
+ * @param {number} ttlSeconds - How long the hold lasts (default: CREDIT_HOLD_TTL_SECONDS)
+ * @returns {Promise<Object>} - The hold ({ id, userId, amount, source, referenceId, apiKeyId, status, expiresAt })
  */
-const checkAndDeductCredits = async (userId, credits, reason = 'generation', referenceId = null) => {
-  try {
-    // Check if this is the user's first generation
-    const hasUsedFree = await hasUserUsedFreeGeneration(userId);
-    
-    if (!hasUsedFree) {
-      return { creditBalance: await getUserCredits(userId), freeGeneration: true };
-    }
-    
-    // Get the user's current balance
-    const currentBalance = await getUserCredits(userId);
+const holdCredits = async (userId, credits, source, referenceId = null, ttlSeconds = CREDIT_HOLD_TTL_SECONDS) => {
+  if (!Number.isInteger(credits) || credits < 0) {
+    throw new ApiError('Credit amount must be a non-negative integer', 400);
+  }
+  
+  const context = getRequestContext();
+  
+  const hold = {
+    id: null,
+    userId,
+    amount: credits,
+    source,
+    referenceId,
+    apiKeyId: context ? context.apiKeyId || null : null,
+    status: 'held',
+    expiresAt: null
+  };
+  
+  // Free generations have nothing to reserve
+  if (credits === 0) {
+    return hold;
+  }
+  
+  const { data, error } = await supabase.rpc('hold_credits', {
+    p_user_id: userId,
+    p_amount: credits,
+    p_source: source,
+    p_reference_id: referenceId,
+    p_ttl_seconds: ttlSeconds
+  });
+  
+  if (error) {
+    console.error('Error holding credits:', error);
+    const statusCode = error.code === 'P0002' ? 404 : 500;
+    throw new ApiError(`Failed to reserve credits: ${error.message}`, statusCode);
+  }
+  
+  if (data.status === 'insufficient_credits') {
+    throw new ApiError('Insufficient credits', 402);
+  }
+  
+  hold.id = data.hold_id;
+  hold.expiresAt = data.expires_at;
+  
+  return hold;
+};
+
+/**
+ * Capture a hold once the generation has succeeded, writing the ledger debit
+ * @param {Object} hold - The hold returned by holdCredits
+ * @param {number} credits - Optional final cost if lower than the held amount
+ * @returns {Promise<Object>} - Ledger result with the new credit_balance
+ */
+const captureCreditHold = async (hold, credits = null) => {
+  if (!hold.id) {
+    hold.status = 'captured';
+    return { id: hold.userId, status: 'captured' };
+  }
+  
+  const { data, error } = await supabase.rpc('capture_credit_hold', {
+    p_hold_id: hold.id,
+    p_amount: credits
+  });
+  
+  if (error) {
+    console.error('Error capturing credit hold:', error);
+    throw new ApiError(`Failed to capture credits: ${error.message}`, 500);
+  }
+  
+  // Only possible when the hold expired before the generation finished
+  if (data.status === 'insufficient_credits') {
+    throw new ApiError('Insufficient credits', 402);
+  }
+  
+  hold.status = 'captured';
+  
+  if (data.status === 'captured') {
+    notifyIfCreditsLow(hold.userId, data);
+  }
+  
+  if (hold.apiKeyId && data.status === 'captured') {
+    await recordApiKeyUsage(hold.apiKeyId, {
+      credits: credits === null ? hold.amount : credits,
+      transactionId: data.transaction_id || null
+    });
+  }
+  
+  return {
+    id: hold.userId,
+    credit_balance: data.new_balance,
+    previous_balance: data.previous_balance,
+    transaction_id: data.transaction_id,
+    status: data.status
+  };
+};
+
+/**
+ * Release a hold after a failed generation so the credits become spendable again.
+ * Holds that were already captured or released are left untouched.
+ * @param {Object} hold - The hold returned by holdCredits
+ * @returns {Promise<Object>} - The hold
+ */
+const releaseCreditHold = async (hold) => {
+  if (!hold || hold.status !== 'held') {
+    return hold;
+  }
+  
+  if (hold.id) {
+    const { error } = await supabase.rpc('release_credit_hold', {
+      p_hold_id: hold.id
+    });
     
-    // Check if the user has enough credits
-    if (currentBalance < credits) {
-      throw new ApiError('Insufficient credits', 402);
+    if (error) {
+      console.error('Error releasing credit hold:', error);
+      throw new ApiError(`Failed to release credits: ${error.message}`, 500);
     }
-    
-    // Deduct the credits
-    return await deductCredits(userId, credits, reason, referenceId);
-  } catch (error) {
-    console.error('Error checking and deducting credits:', error);
-    throw error instanceof ApiError 
-      ? error 
-      : new ApiError('Failed to check or deduct credits', 500);
   }
+  
+  hold.status = 'released';
+  
+  return hold;
 };
 
 /**
- * Refund credits in case of a failed generation
- * @param {string} userId - The user ID
- * @param {number} credits - The number of credits to refund
- * @param {string} reason - The reason for refund (default: 'generation_failed')
- * @returns {Promise<Object>} - Updated user data
+ * Expire holds that outlived CREDIT_HOLD_TTL_SECONDS, returning their credits
+ * @returns {Promise<number>} - The number of holds expired
  */
-const refundCredits = async (userId, credits, reason = 'generation_failed') => {
-  try {
-    return await addCredits(userId, credits, reason);
-  } catch (error) {
-    console.error('Error refunding credits:', error);
-    throw error instanceof ApiError 
-      ? error 
-      : new ApiError('Failed to refund credits', 500);
+const expireStaleCreditHolds = async () => {
+  const { data, error } = await supabase.rpc('expire_credit_holds');
+  
+  if (error) {
+    throw new ApiError(`Failed to expire credit holds: ${error.message}`, 500);
+  }
+  
+  return data || 0;
+};
+
+/**
+ * Periodically expire stale holds left behind by crashed or abandoned generations
+ * @returns {Object} - The interval handle
+ */
+const startCreditHoldExpiry = () => {
+  const timer = setInterval(async () => {
+    try {
+      const expired = await expireStaleCreditHolds();
+      
+      if (expired > 0) {
+        console.log(`Expired ${expired} stale credit hold(s)`);
+      }
+    } catch (error) {
+      console.error('Error expiring stale credit holds:', error);
+    }
+  }, CREDIT_HOLD_SWEEP_INTERVAL_MS);
+  
+  // Don't keep the process alive just for the sweep
+  timer.unref();
+  
+  return timer;
+};
+
+/**
+ * Compare each profile's credit balance with the sum of its ledger
+ * @param {Object} options - Report options
+ * @param {boolean} options.onlyMismatched - Only return profiles whose balance differs (default: true)
+ * @returns {Promise<Object>} - Reconciliation report
+ */
+const getCreditReconciliationReport = async ({ onlyMismatched = true } = {}) => {
+  const { data, error } = await supabase.rpc('credit_reconciliation_report', {
+    p_only_mismatched: onlyMismatched
+  });
+  
+  if (error) {
+    console.error('Error building credit reconciliation report:', error);
+    throw new ApiError(`Failed to build reconciliation report: ${error.message}`, 500);
   }
+  
+  const rows = data || [];
+  const mismatched = rows.filter(row => Number(row.difference) !== 0);
+  
+  return {
+    generatedAt: new Date().toISOString(),
+    mismatchedCount: mismatched.length,
+    totalDifference: mismatched.reduce((sum, row) => sum + Number(row.difference), 0),
+    profiles: rows.map(row => ({
+      userId: row.user_id,
+      email: row.email,
+      creditBalance: row.credit_balance,
+      ledgerBalance: Number(row.ledger_balance),
+      difference: Number(row.difference),
+      transactionCount: Number(row.transaction_count),
+      lastTransactionAt: row.last_transaction_at
+    }))
+  };
 };
 
 module.exports = {
   getUserCredits,
   addCredits,
   deductCredits,
+  purchasePlan,
   getCreditCost,
-  checkAndDeductCredits,
-  refundCredits,
+  holdCredits,
+  captureCreditHold,
+  releaseCreditHold,
+  expireStaleCreditHolds,
+  startCreditHoldExpiry,
   initializeUserCredits,
   getCreditHistory,
+  getCreditReconciliationReport,
   hasUserUsedFreeGeneration,
   CREDIT_COSTS,
   GENERATION_TYPE_COSTS,
-  DEFAULT_FREE_CREDITS
+  DEFAULT_FREE_CREDITS,
+  CREDIT_HOLD_TTL_SECONDS,
+  LOW_CREDIT_THRESHOLD
 }; 
\ No newline at end of file
@@ -264,6 +264,199 @@ class EmailService {
       throw new ApiError(`Failed to send welcome email: ${error.message}`, 500);
     }
   }
+
+  /**
+   * Tell a user that one of their images was hidden by moderation
+   * 
+   * @param {string} email - Recipient email
+   * @param {string} name - Recipient name
+   * @param {string} imageId - The hidden image
+   * @param {string} reason - Why it was hidden, in words the user can read
+   * @return {Promise<Object>} Email sending result
+   */
+  static async sendContentHiddenEmail(email, name, imageId, reason) {
+    try {
+      const mailOptions = {
+        from: `"Orincore AI Studio" <${process.env.EMAIL_FROM || 'no-reply@orincore.com'}>`,
+        to: email,
+        subject: 'One of your images was hidden - Orincore AI Studio',
+        html: `
+          <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+            <div style="background-color: #4b36df; padding: 20px; text-align: center;">
+              <h1 style="color: white; margin: 0;">Orincore AI Studio</h1>
+            </div>
+            <div style="padding: 20px; border: 1px solid #e0e0e0; border-top: none;">
+              <h2>Your image was hidden</h2>
+              <p>Hi ${name || 'there'},</p>
+              <p>One of your images (ID <code>${imageId}</code>) has been hidden because ${reason}.</p>
+              <p>While it is hidden, the image won't appear in your history or anywhere else on Orincore AI Studio. If our moderation team finds that it doesn't break our content policy, it will be restored.</p>
+              <p>If you think this was a mistake, contact us through our <a href="${process.env.FRONTEND_URL || 'https://orincore.com'}/contact" style="color: #4b36df;">contact page</a> and include the image ID above.</p>
+              <hr style="margin: 30px 0; border: none; border-top: 1px solid #e0e0e0;">
+              <p style="font-size: 12px; color: #666;">© ${new Date().getFullYear()} Orincore AI Studio. All rights reserved.</p>
+            </div>
+          </div>
+        `
+      };
+
+      // Log the email attempt
+      console.log(`Attempting to send content hidden email to ${email} from ${mailOptions.from}`);
+
+      const info = await transporter.sendMail(mailOptions);
+      console.log('Content hidden email sent:', info.messageId);
+      
+      return { success: true, messageId: info.messageId };
+    } catch (error) {
+      console.error('Error sending content hidden email:', error);
+      throw new ApiError(`Failed to send content hidden email: ${error.message}`, 500);
+    }
+  }
+
+  /**
+   * Send the download link for a finished library export
+   * 
+   * @param {string} email - Recipient email
+   * @param {string} name - Recipient name
+   * @param {string} downloadUrl - Link to the ZIP file
+   * @param {string} expiresAt - When the link stops working
+   * @param {number} fileCount - How many files the export contains
+   * @return {Promise<Object>} Email sending result
+   */
+  static async sendExportReadyEmail(email, name, downloadUrl, expiresAt, fileCount) {
+    try {
+      const mailOptions = {
+        from: `"Orincore AI Studio" <${process.env.EMAIL_FROM || 'no-reply@orincore.com'}>`,
+        to: email,
+        subject: 'Your export is ready - Orincore AI Studio',
+        html: `
+          <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+            <div style="background-color: #4b36df; padding: 20px; text-align: center;">
+              <h1 style="color: white; margin: 0;">Orincore AI Studio</h1>
+            </div>
+            <div style="padding: 20px; border: 1px solid #e0e0e0; border-top: none;">
+              <h2>Your export is ready</h2>
+              <p>Hi ${name || 'there'},</p>
+              <p>The ZIP file with your ${fileCount} ${fileCount === 1 ? 'file' : 'files'} is ready to download. It includes a manifest with the prompt, seed, model and settings of each one.</p>
+              <div style="text-align: center; margin: 30px 0;">
+                <a href="${downloadUrl}" style="background-color: #4b36df; color: white; padding: 12px 30px; text-decoration: none; border-radius: 4px; font-weight: bold;">Download Export</a>
+              </div>
+              <p>The link works until ${new Date(expiresAt).toUTCString()}. After that the file is deleted and you can start a new export.</p>
+              <p>If the button above doesn't work, copy and paste the following link into your browser:</p>
+              <p style="word-break: break-all; font-size: 14px;">${downloadUrl}</p>
+              <hr style="margin: 30px 0; border: none; border-top: 1px solid #e0e0e0;">
+              <p style="font-size: 12px; color: #666;">© ${new Date().getFullYear()} Orincore AI Studio. All rights reserved.</p>
+            </div>
+          </div>
+        `
+      };
+
+      // Log the email attempt
+      console.log(`Attempting to send export ready email to ${email} from ${mailOptions.from}`);
+
+      const info = await transporter.sendMail(mailOptions);
+      console.log('Export ready email sent:', info.messageId);
+      
+      return { success: true, messageId: info.messageId };
+    } catch (error) {
+      console.error('Error sending export ready email:', error);
+      throw new ApiError(`Failed to send export ready email: ${error.message}`, 500);
+    }
+  }
+
+  /**
+   * Tell a user that their account was suspended
+   * 
+   * @param {string} email - Recipient email
+   * @param {string} name - Recipient name
+   * @param {string} reason - Why the account was suspended
+   * @param {string} suspendedUntil - When the suspension ends (null if it lasts until an admin lifts it)
+   * @return {Promise<Object>} Email sending result
+   */
+  static async sendAccountSuspendedEmail(email, name, reason, suspendedUntil = null) {
+    try {
+      const duration = suspendedUntil
+        ? `until ${new Date(suspendedUntil).toUTCString()}`
+        : 'until our team lifts it';
+      
+      const mailOptions = {
+        from: `"Orincore AI Studio" <${process.env.EMAIL_FROM || 'no-reply@orincore.com'}>`,
+        to: email,
+        subject: 'Your account has been suspended - Orincore AI Studio',
+        html: `
+          <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+            <div style="background-color: #4b36df; padding: 20px; text-align: center;">
+              <h1 style="color: white; margin: 0;">Orincore AI Studio</h1>
+            </div>
+            <div style="padding: 20px; border: 1px solid #e0e0e0; border-top: none;">
+              <h2>Your account has been suspended</h2>
+              <p>Hi ${name || 'there'},</p>
+              <p>Your Orincore AI Studio account has been suspended ${duration}.</p>
+              <p><strong>Reason:</strong> ${reason}</p>
+              <p>While your account is suspended you can't sign in or generate images. Your images and credits are kept.</p>
+              <p>If you think this was a mistake, contact us through our <a href="${process.env.FRONTEND_URL || 'https://orincore.com'}/contact" style="color: #4b36df;">contact page</a>.</p>
+              <hr style="margin: 30px 0; border: none; border-top: 1px solid #e0e0e0;">
+              <p style="font-size: 12px; color: #666;">© ${new Date().getFullYear()} Orincore AI Studio. All rights reserved.</p>
+            </div>
+          </div>
+        `
+      };
+
+      // Log the email attempt
+      console.log(`Attempting to send account suspended email to ${email} from ${mailOptions.from}`);
+
+      const info = await transporter.sendMail(mailOptions);
+      console.log('Account suspended email sent:', info.messageId);
+      
+      return { success: true, messageId: info.messageId };
+    } catch (error) {
+      console.error('Error sending account suspended email:', error);
+      throw new ApiError(`Failed to send account suspended email: ${error.message}`, 500);
+    }
+  }
+
+  /**
+   * Tell a user that their account was reactivated
+   * 
+   * @param {string} email - Recipient email
+   * @param {string} name - Recipient name
+   * @return {Promise<Object>} Email sending result
+   */
+  static async sendAccountReactivatedEmail(email, name) {
+    try {
+      const mailOptions = {
+        from: `"Orincore AI Studio" <${process.env.EMAIL_FROM || 'no-reply@orincore.com'}>`,
+        to: email,
+        subject: 'Your account has been reactivated - Orincore AI Studio',
+        html: `
+          <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+            <div style="background-color: #4b36df; padding: 20px; text-align: center;">
+              <h1 style="color: white; margin: 0;">Orincore AI Studio</h1>
+            </div>
+            <div style="padding: 20px; border: 1px solid #e0e0e0; border-top: none;">
+              <h2>Welcome back</h2>
+              <p>Hi ${name || 'there'},</p>
+              <p>Your Orincore AI Studio account has been reactivated. You can sign in and generate images again.</p>
+              <div style="text-align: center; margin: 30px 0;">
+                <a href="${process.env.FRONTEND_URL || 'https://orincore.com'}" style="background-color: #4b36df; color: white; padding: 12px 30px; text-decoration: none; border-radius: 4px; font-weight: bold;">Go to Orincore AI Studio</a>
+              </div>
+              <hr style="margin: 30px 0; border: none; border-top: 1px solid #e0e0e0;">
+              <p style="font-size: 12px; color: #666;">© ${new Date().getFullYear()} Orincore AI Studio. All rights reserved.</p>
+            </div>
+          </div>
+        `
+      };
+
+      // Log the email attempt
+      console.log(`Attempting to send account reactivated email to ${email} from ${mailOptions.from}`);
+
+      const info = await transporter.sendMail(mailOptions);
+      console.log('Account reactivated email sent:', info.messageId);
+      
+      return { success: true, messageId: info.messageId };
+    } catch (error) {
+      console.error('Error sending account reactivated email:', error);
+      throw new ApiError(`Failed to send account reactivated email: ${error.message}`, 500);
+    }
+  }
 }
 
 module.exports = EmailService; 
\ No newline at end of file
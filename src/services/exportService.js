@@ -0,0 +1,740 @@
+const path = require('path');
+const axios = require('axios');
+const archiver = require('archiver');
+const { supabase } = require('../config/supabaseClient');
+const { ApiError } = require('../middlewares/errorMiddleware');
+const CloudinaryService = require('./cloudinaryService');
+const EmailService = require('./emailService');
+const { enqueueJob } = require('./jobService');
+const {
+  getCollection,
+  getLibrarySelect,
+  applyLibraryFilters,
+  stripLibraryJoin,
+  LIBRARY_ITEM_TYPES
+} = require('./libraryService');
+const { parseDate } = require('./searchService');
+
+// Export lifecycle: queued -> running -> completed -> expired, or failed
+const EXPORT_STATUSES = ['queued', 'running', 'completed', 'failed', 'expired'];
+
+// Files one export can contain
+const MAX_EXPORT_ITEMS = 1000;
+
+// How long the download link works; the ZIP is deleted after that
+const EXPORT_LINK_LIFETIME_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Rows fetched per query while collecting the items to export
+const EXPORT_PAGE_SIZE = 200;
+
+const EXPORT_DOWNLOAD_TIMEOUT_MS = 60 * 1000;
+const EXPORT_SWEEP_INTERVAL_MS = 10 * 60 * 1000;
+
+// Columns read for each item type, and how each one is described in the manifest.
+// Images link to the original upload (without the free plan watermark) when there is one.
+const EXPORT_SOURCES = {
+  image: {
+    columns: 'id, prompt, original_prompt, negative_prompt, generation_type, model_id, resolution, width, height, cfg_scale, steps, style, seed, cloudinary_url, cloudinary_original_url, user_tags, is_favorite, created_at',
+    hideHidden: true,
+    getUrl: record => record.cloudinary_original_url || record.cloudinary_url,
+    describe: record => ({
+      title: record.original_prompt,
+      prompt: record.prompt,
+      negativePrompt: record.negative_prompt,
+      seed: record.seed,
+      model: record.model_id,
+      style: record.style,
+      width: record.width,
+      height: record.height,
+      settings: {
+        generationType: record.generation_type,
+        resolution: record.resolution,
+        cfgScale: record.cfg_scale === null ? null : Number(record.cfg_scale),
+        steps: record.steps
+      }
+    })
+  },
+  poster: {
+    columns: 'id, title, slogan, additional_text, website_url, poster_type, style_preference, color_palette, aspect_ratio, width, height, image_url, user_tags, is_favorite, created_at',
+    getUrl: record => record.image_url,
+    describe: record => ({
+      title: record.title,
+      prompt: null,
+      negativePrompt: null,
+      seed: null,
+      model: null,
+      style: record.style_preference,
+      width: record.width,
+      height: record.height,
+      settings: {
+        posterType: record.poster_type,
+        aspectRatio: record.aspect_ratio,
+        slogan: record.slogan,
+        additionalText: record.additional_text,
+        websiteUrl: record.website_url,
+        colorPalette: record.color_palette || []
+      }
+    })
+  },
+  thumbnail: {
+    columns: 'id, title, subtitle, content_category, style_preference, tags, custom_prompt, width, height, image_url, user_tags, is_favorite, created_at',
+    getUrl: record => record.image_url,
+    describe: record => ({
+      title: record.title,
+      prompt: record.custom_prompt,
+      negativePrompt: null,
+      seed: null,
+      model: null,
+      style: record.style_preference,
+      width: record.width,
+      height: record.height,
+      settings: {
+        subtitle: record.subtitle,
+        contentCategory: record.content_category,
+        keywords: record.tags || []
+      }
+    })
+  },
+  logo: {
+    columns: 'id, name, prompt, style, color_theme, industry, image_url, user_tags, is_favorite, created_at',
+    getUrl: record => record.image_url,
+    describe: record => ({
+      title: record.name,
+      prompt: record.prompt,
+      negativePrompt: null,
+      seed: null,
+      model: null,
+      style: record.style,
+      width: null,
+      height: null,
+      settings: {
+        colorTheme: record.color_theme,
+        industry: record.industry
+      }
+    })
+  }
+};
+
+// manifest.csv columns, in order
+const MANIFEST_CSV_COLUMNS = [
+  ['file', entry => entry.file],
+  ['type', entry => entry.type],
+  ['id', entry => entry.id],
+  ['title', entry => entry.title],
+  ['prompt', entry => entry.prompt],
+  ['negative_prompt', entry => entry.negativePrompt],
+  ['seed', entry => entry.seed],
+  ['model', entry => entry.model],
+  ['style', entry => entry.style],
+  ['width', entry => entry.width],
+  ['height', entry => entry.height],
+  ['settings', entry => JSON.stringify(entry.settings)],
+  ['tags', entry => entry.tags.join(';')],
+  ['is_favorite', entry => entry.isFavorite],
+  ['created_at', entry => entry.createdAt],
+  ['error', entry => entry.error]
+];
+
+/**
+ * Convert an image_exports row to the API shape. Completed exports that haven't
+ * expired get a fresh download link.
+ * @param {Object} record - The database record
+ * @returns {Object} - Formatted export
+ */
+const formatExport = (record) => {
+  const isExpired = record.status === 'expired'
+    || (record.status === 'completed' && new Date(record.expires_at) <= new Date());
+  
+  return {
+    id: record.id,
+    jobId: record.job_id,
+    status: isExpired ? 'expired' : record.status,
+    filters: record.filters,
+    fileCount: record.file_count,
+    failedCount: record.failed_count,
+    sizeBytes: record.size_bytes === null ? null : Number(record.size_bytes),
+    downloadUrl: record.status === 'completed' && !isExpired
+      ? CloudinaryService.getPrivateFileDownloadUrl(record.public_id, record.expires_at)
+      : null,
+    error: record.error,
+    expiresAt: record.expires_at,
+    createdAt: record.created_at,
+    completedAt: record.completed_at
+  };
+};
+
+/**
+ * Parse and check the export filters
+ * @param {string} userId - The user ID (collections must belong to them)
+ * @param {Object} filters - The request body (collectionId, from, to, type)
+ * @returns {Promise<Object>} - { collectionId, from, to, types }
+ */
+const parseExportFilters = async (userId, filters = {}) => {
+  // type: 'image', 'image,logo' or ['image', 'logo']; every type when missing
+  const requestedTypes = [...new Set(
+    [].concat(filters.type || []).flatMap(value => String(value).split(',')).map(value => value.trim()).filter(Boolean)
+  )];
+  
+  const invalidType = requestedTypes.find(type => !LIBRARY_ITEM_TYPES[type]);
+  if (invalidType) {
+    throw new ApiError(`type must be one of: ${Object.keys(LIBRARY_ITEM_TYPES).join(', ')}`, 400);
+  }
+  
+  const from = parseDate(filters.from || undefined, 'from');
+  const to = parseDate(filters.to || undefined, 'to');
+  
+  if (from && to && from >= to) {
+    throw new ApiError('from must be before to', 400);
+  }
+  
+  const collectionId = filters.collectionId || null;
+  if (collectionId) {
+    await getCollection(collectionId, userId);
+  }
+  
+  return {
+    collectionId,
+    from,
+    to,
+    types: requestedTypes.length > 0 ? requestedTypes : Object.keys(LIBRARY_ITEM_TYPES)
+  };
+};
+
+/**
+ * Build the query for one type of item matching the export filters, oldest first
+ * @param {string} userId - The user ID
+ * @param {string} type - The item type
+ * @param {Object} filters - Filters from parseExportFilters
+ * @param {Object} options - Options for select() (e.g. { count: 'exact', head: true })
+ * @returns {Object} - The Supabase query
+ */
+const buildExportQuery = (userId, type, filters, options = {}) => {
+  const source = EXPORT_SOURCES[type];
+  const libraryFilters = { collectionId: filters.collectionId, sort: 'oldest' };
+  
+  let query = supabase
+    .from(LIBRARY_ITEM_TYPES[type].table)
+    .select(getLibrarySelect(source.columns, libraryFilters), options)
+    .eq('user_id', userId);
+  
+  if (source.hideHidden) {
+    query = query.eq('is_hidden', false);
+  }
+  
+  if (filters.from) {
+    query = query.gte('created_at', filters.from);
+  }
+  
+  if (filters.to) {
+    query = query.lt('created_at', filters.to);
+  }
+  
+  return applyLibraryFilters(query, libraryFilters);
+};
+
+/**
+ * Count the items matching the export filters
+ * @param {string} userId - The user ID
+ * @param {Object} filters - Filters from parseExportFilters
+ * @returns {Promise<number>} - The number of items
+ */
+const countExportItems = async (userId, filters) => {
+  const counts = await Promise.all(filters.types.map(async type => {
+    const { count, error } = await buildExportQuery(userId, type, filters, { count: 'exact', head: true });
+    
+    if (error) {
+      throw new ApiError(`Failed to count ${type}s to export: ${error.message}`, 500);
+    }
+    
+    return count || 0;
+  }));
+  
+  return counts.reduce((total, count) => total + count, 0);
+};
+
+/**
+ * Get the items matching the export filters, at most MAX_EXPORT_ITEMS
+ * @param {string} userId - The user ID
+ * @param {Object} filters - Filters from parseExportFilters
+ * @returns {Promise<Array>} - [{ type, record }]
+ */
+const collectExportItems = async (userId, filters) => {
+  const items = [];
+  
+  for (const type of filters.types) {
+    for (let from = 0; items.length < MAX_EXPORT_ITEMS; from += EXPORT_PAGE_SIZE) {
+      const { data, error } = await buildExportQuery(userId, type, filters)
+        .range(from, from + EXPORT_PAGE_SIZE - 1);
+      
+      if (error) {
+        throw new ApiError(`Failed to list ${type}s to export: ${error.message}`, 500);
+      }
+      
+      data.slice(0, MAX_EXPORT_ITEMS - items.length).forEach(record => {
+        items.push({ type, record: stripLibraryJoin(record) });
+      });
+      
+      if (data.length < EXPORT_PAGE_SIZE) {
+        break;
+      }
+    }
+  }
+  
+  return items;
+};
+
+/**
+ * Name of an item's file inside the ZIP, e.g. images/2026-05-01_<id>.png
+ * @param {string} type - The item type
+ * @param {Object} record - The item
+ * @param {string} url - Where the file is downloaded from
+ * @returns {string} - The file name
+ */
+const getExportFileName = (type, record, url) => {
+  const extension = path.extname(new URL(url).pathname).toLowerCase() || '.png';
+  const date = new Date(record.created_at).toISOString().slice(0, 10);
+  
+  return `${type}s/${date}_${record.id}${extension}`;
+};
+
+/**
+ * Add a file to the archive and wait until archiver has written it, so that only
+ * one download is open at a time
+ * @param {Object} archive - The archiver instance
+ * @param {Object|Buffer|string} source - The file contents
+ * @param {string} name - The file name inside the ZIP
+ * @returns {Promise<void>}
+ */
+const appendToArchive = (archive, source, name) => {
+  return new Promise((resolve, reject) => {
+    const onEntry = () => {
+      archive.off('error', onError);
+      resolve();
+    };
+    const onError = (error) => {
+      archive.off('entry', onEntry);
+      reject(error);
+    };
+    
+    archive.once('entry', onEntry);
+    archive.once('error', onError);
+    archive.append(source, { name });
+  });
+};
+
+/**
+ * Quote a value for manifest.csv
+ * @param {*} value - The value
+ * @returns {string} - The CSV field
+ */
+const toCsvField = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Build manifest.csv from the manifest entries
+ * @param {Array<Object>} entries - The manifest entries
+ * @returns {string} - The CSV
+ */
+const buildManifestCsv = (entries) => {
+  const lines = [
+    MANIFEST_CSV_COLUMNS.map(([name]) => name).join(','),
+    ...entries.map(entry => MANIFEST_CSV_COLUMNS.map(([, getValue]) => toCsvField(getValue(entry))).join(','))
+  ];
+  
+  return `${lines.join('\r\n')}\r\n`;
+};
+
+/**
+ * Update an export record
+ * @param {string} exportId - The export ID
+ * @param {Object} fields - Columns to update
+ * @param {string} fromStatus - Only update the export if it still has this status
+ * @returns {Promise<Object|null>} - The updated record, or null if it no longer had fromStatus
+ */
+const updateExport = async (exportId, fields, fromStatus = null) => {
+  let query = supabase
+    .from('image_exports')
+    .update(fields)
+    .eq('id', exportId);
+  
+  if (fromStatus) {
+    query = query.eq('status', fromStatus);
+  }
+  
+  const { data, error } = fromStatus
+    ? await query.select().maybeSingle()
+    : await query.select().single();
+  
+  if (error) {
+    throw new ApiError(`Failed to update export: ${error.message}`, 500);
+  }
+  
+  return data;
+};
+
+/**
+ * Email the download link of a finished export. Failures are logged, never thrown:
+ * the link can also be fetched from GET /api/images/exports/:id.
+ * @param {Object} record - The completed image_exports row
+ * @returns {Promise<void>}
+ */
+const notifyExportReady = async (record) => {
+  try {
+    const { data: owner, error } = await supabase
+      .from('profiles')
+      .select('email, first_name')
+      .eq('id', record.user_id)
+      .maybeSingle();
+    
+    if (error || !owner) {
+      throw error || new Error('Owner profile not found');
+    }
+    
+    const downloadUrl = CloudinaryService.getPrivateFileDownloadUrl(record.public_id, record.expires_at);
+    await EmailService.sendExportReadyEmail(owner.email, owner.first_name, downloadUrl, record.expires_at, record.file_count);
+    await updateExport(record.id, { emailed_at: new Date().toISOString() });
+  } catch (error) {
+    console.error(`Error emailing the download link of export ${record.id}:`, error);
+  }
+};
+
+/**
+ * Build an export: stream each file from Cloudinary into a ZIP that is uploaded
+ * to Cloudinary as it is written, add the manifest, then email the download link.
+ * Files that can't be downloaded are listed in the manifest with an error instead
+ * of failing the whole export.
+ * @param {Object} record - The queued image_exports row
+ * @param {Object} filters - Filters from parseExportFilters
+ * @param {Function} reportProgress - Job progress callback (stage, details)
+ * @returns {Promise<Object>} - The formatted export
+ */
+const buildExport = async (record, filters, reportProgress) => {
+  // The cleanup sweep may have failed the export while its job waited for a worker
+  if (!await updateExport(record.id, { status: 'running' }, 'queued')) {
+    throw new ApiError('The export was cancelled before it started', 409);
+  }
+  
+  let archive = null;
+  
+  try {
+    reportProgress('collecting');
+    
+    const items = await collectExportItems(record.user_id, filters);
+    
+    archive = archiver('zip', { store: true });
+    archive.on('warning', warning => console.warn(`Warning while building export ${record.id}:`, warning));
+    
+    const upload = CloudinaryService.uploadPrivateFileStream(
+      archive,
+      `orincore-ai-studio/${record.user_id}/exports`,
+      `export-${record.id}.zip`
+    );
+    // Awaited below; this only stops an early failure from being reported as unhandled
+    upload.catch(() => {});
+    
+    const entries = [];
+    let failedCount = 0;
+    
+    for (const [index, { type, record: item }] of items.entries()) {
+      // Stored progress also keeps long exports from being failed as stale jobs
+      if (index % 10 === 0) {
+        reportProgress('archiving', { done: index, total: items.length });
+      }
+      
+      const source = EXPORT_SOURCES[type];
+      const url = source.getUrl(item);
+      const entry = {
+        file: null,
+        type,
+        id: item.id,
+        ...source.describe(item),
+        tags: item.user_tags || [],
+        isFavorite: item.is_favorite,
+        createdAt: item.created_at,
+        error: null
+      };
+      
+      let response;
+      try {
+        response = await axios.get(url, {
+          responseType: 'stream',
+          timeout: EXPORT_DOWNLOAD_TIMEOUT_MS
+        });
+      } catch (error) {
+        console.error(`Error downloading ${type} ${item.id} for export ${record.id}:`, error.message);
+        entry.error = 'The file could not be downloaded';
+        failedCount++;
+        entries.push(entry);
+        continue;
+      }
+      
+      // A download that breaks off midway fails the archive, and with it the export
+      entry.file = getExportFileName(type, item, url);
+      await Promise.race([appendToArchive(archive, response.data, entry.file), upload]);
+      
+      entries.push(entry);
+    }
+    
+    if (failedCount === entries.length) {
+      throw new ApiError('None of the files could be downloaded. Please try again later.', 502);
+    }
+    
+    reportProgress('finalizing', { done: items.length, total: items.length });
+    
+    const manifest = {
+      exportId: record.id,
+      createdAt: new Date().toISOString(),
+      filters,
+      fileCount: entries.length - failedCount,
+      failedCount,
+      files: entries
+    };
+    
+    await appendToArchive(archive, JSON.stringify(manifest, null, 2), 'manifest.json');
+    await appendToArchive(archive, buildManifestCsv(entries), 'manifest.csv');
+    await archive.finalize();
+    
+    const uploaded = await upload;
+    
+    const completed = await updateExport(record.id, {
+      status: 'completed',
+      file_count: entries.length - failedCount,
+      failed_count: failedCount,
+      size_bytes: archive.pointer(),
+      public_id: uploaded.public_id,
+      expires_at: new Date(Date.now() + EXPORT_LINK_LIFETIME_MS).toISOString(),
+      completed_at: new Date().toISOString()
+    }, 'running');
+    
+    // Failed by the cleanup sweep while it was being built, so the ZIP is not sent
+    if (!completed) {
+      await CloudinaryService.deletePrivateFile(uploaded.public_id).catch(deleteError => {
+        console.error(`Error deleting the ZIP of cancelled export ${record.id}:`, deleteError);
+      });
+      throw new ApiError('The export was cancelled before it finished', 409);
+    }
+    
+    await notifyExportReady(completed);
+    
+    return formatExport(completed);
+  } catch (error) {
+    // Detach the upload first so that the partial ZIP is never completed
+    if (archive) {
+      archive.unpipe();
+      archive.abort();
+    }
+    
+    try {
+      await updateExport(record.id, {
+        status: 'failed',
+        error: error.message || 'Export failed',
+        completed_at: new Date().toISOString()
+      }, 'running');
+    } catch (updateError) {
+      console.error(`Error recording failure for export ${record.id}:`, updateError);
+    }
+    
+    throw error;
+  }
+};
+
+/**
+ * Start a ZIP export of a user's images, posters, thumbnails and logos.
+ * The ZIP is built by a background job; the user gets an email with the download
+ * link when it's ready. A user can only run one export at a time.
+ * @param {string} userId - The user ID
+ * @param {Object} filters - The request body
+ * @param {string} filters.collectionId - Only export items in this collection
+ * @param {string} filters.from - Only export items created at or after this date
+ * @param {string} filters.to - Only export items created before this date (a bare date includes the day)
+ * @param {string|Array<string>} filters.type - Only export these item types
+ * @returns {Promise<Object>} - { export, job }
+ */
+const createImageExport = async (userId, filters = {}) => {
+  const parsed = await parseExportFilters(userId, filters);
+  
+  const { count: activeCount, error: activeError } = await supabase
+    .from('image_exports')
+    .select('id', { count: 'exact', head: true })
+    .eq('user_id', userId)
+    .in('status', ['queued', 'running']);
+  
+  if (activeError) {
+    throw new ApiError(`Failed to check running exports: ${activeError.message}`, 500);
+  }
+  
+  if (activeCount > 0) {
+    throw new ApiError('An export is already running. Wait for it to finish before starting another one.', 409);
+  }
+  
+  const itemCount = await countExportItems(userId, parsed);
+  
+  if (itemCount === 0) {
+    throw new ApiError('Nothing matches these filters', 400);
+  }
+  
+  if (itemCount > MAX_EXPORT_ITEMS) {
+    throw new ApiError(`An export can contain at most ${MAX_EXPORT_ITEMS} files; ${itemCount} match these filters. Narrow the date range or pick a collection.`, 400, {
+      itemCount,
+      maxItems: MAX_EXPORT_ITEMS
+    });
+  }
+  
+  const { data: record, error } = await supabase
+    .from('image_exports')
+    .insert({
+      user_id: userId,
+      status: 'queued',
+      filters: parsed
+    })
+    .select()
+    .single();
+  
+  if (error) {
+    throw new ApiError(`Failed to create export: ${error.message}`, 500);
+  }
+  
+  let job;
+  try {
+    job = await enqueueJob(userId, 'export', { exportId: record.id, ...parsed, itemCount }, ({ reportProgress }) => (
+      buildExport(record, parsed, reportProgress)
+    ), {
+      onCancel: () => updateExport(record.id, {
+        status: 'failed',
+        error: 'The export could not be started. Please try again.',
+        completed_at: new Date().toISOString()
+      }, 'queued')
+    });
+  } catch (enqueueError) {
+    await updateExport(record.id, {
+      status: 'failed',
+      error: enqueueError.message,
+      completed_at: new Date().toISOString()
+    });
+    throw enqueueError;
+  }
+  
+  const queued = await updateExport(record.id, { job_id: job.id });
+  
+  return { export: formatExport(queued), job };
+};
+
+/**
+ * Get an export
+ * @param {string} exportId - The export ID
+ * @param {string} userId - The user ID (for ownership check)
+ * @returns {Promise<Object>} - The export
+ */
+const getImageExport = async (exportId, userId) => {
+  const { data, error } = await supabase
+    .from('image_exports')
+    .select('*')
+    .eq('id', exportId)
+    .eq('user_id', userId)
+    .maybeSingle();
+  
+  if (error) {
+    throw new ApiError(`Failed to get export: ${error.message}`, 500);
+  }
+  
+  if (!data) {
+    throw new ApiError('Export not found', 404);
+  }
+  
+  return formatExport(data);
+};
+
+/**
+ * Delete the ZIP files of exports whose download link has expired, and fail
+ * exports whose job was interrupted by a crash or restart
+ * @returns {Promise<Object>} - { expired, failed }
+ */
+const cleanUpExports = async () => {
+  const { data: expiredExports, error: expiredError } = await supabase
+    .from('image_exports')
+    .select('id, public_id')
+    .eq('status', 'completed')
+    .lt('expires_at', new Date().toISOString())
+    .limit(100);
+  
+  if (expiredError) {
+    throw new ApiError(`Failed to list expired exports: ${expiredError.message}`, 500);
+  }
+  
+  let expired = 0;
+  for (const record of expiredExports) {
+    try {
+      await CloudinaryService.deletePrivateFile(record.public_id);
+      await updateExport(record.id, { status: 'expired' });
+      expired++;
+    } catch (error) {
+      console.error(`Error deleting expired export ${record.id}:`, error);
+    }
+  }
+  
+  const { data: interrupted, error: interruptedError } = await supabase
+    .from('image_exports')
+    .select('id, generation_jobs!inner(status)')
+    .in('status', ['queued', 'running'])
+    .eq('generation_jobs.status', 'failed');
+  
+  if (interruptedError) {
+    throw new ApiError(`Failed to list interrupted exports: ${interruptedError.message}`, 500);
+  }
+  
+  if (interrupted.length > 0) {
+    const { error } = await supabase
+      .from('image_exports')
+      .update({
+        status: 'failed',
+        error: 'The export was interrupted before it finished. Please try again.',
+        completed_at: new Date().toISOString()
+      })
+      .in('id', interrupted.map(record => record.id));
+    
+    if (error) {
+      throw new ApiError(`Failed to fail interrupted exports: ${error.message}`, 500);
+    }
+  }
+  
+  return { expired, failed: interrupted.length };
+};
+
+/**
+ * Periodically delete expired export files and clean up interrupted exports
+ * @returns {Object} - The interval handle
+ */
+const startExportCleanup = () => {
+  const timer = setInterval(async () => {
+    try {
+      const { expired, failed } = await cleanUpExports();
+      
+      if (expired > 0 || failed > 0) {
+        console.log(`Deleted ${expired} expired export(s) and failed ${failed} interrupted export(s)`);
+      }
+    } catch (error) {
+      console.error('Error cleaning up exports:', error);
+    }
+  }, EXPORT_SWEEP_INTERVAL_MS);
+  
+  // Don't keep the process alive just for the sweep
+  timer.unref();
+  
+  return timer;
+};
+
+module.exports = {
+  createImageExport,
+  getImageExport,
+  cleanUpExports,
+  startExportCleanup,
+  buildManifestCsv,
+  EXPORT_STATUSES,
+  MAX_EXPORT_ITEMS
+};
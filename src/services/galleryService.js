@@ -0,0 +1,757 @@
+const crypto = require('crypto');
+const { supabase } = require('../config/supabaseClient');
+const { ApiError } = require('../middlewares/errorMiddleware');
+const CloudinaryService = require('./cloudinaryService');
+const { addWatermark } = require('./watermarkService');
+const { getImageById } = require('./imageService');
+
+// Who can see an image: only its owner, anyone with a share link, or everyone (and
+// it is listed in the gallery)
+const IMAGE_VISIBILITIES = ['private', 'unlisted', 'public'];
+
+// Gallery orderings: most liked, remixed and viewed recently (with newer images
+// boosted), or newest first
+const GALLERY_SORTS = ['trending', 'recent'];
+
+// Only images published this recently can be trending
+const GALLERY_TRENDING_WINDOW_DAYS = 7;
+
+const MAX_GALLERY_PAGE_SIZE = 50;
+
+const MAX_ACTIVE_SHARE_LINKS_PER_IMAGE = 20;
+
+// Profile columns shown on public images and creator profiles
+const CREATOR_COLUMNS = 'id, display_name, full_name, avatar_url, public_profile, remix_attribution, created_at';
+
+// Images with their creator and, for remixes, the creator of the original
+const PUBLIC_IMAGE_SELECT = `
+  *,
+  creator:profiles!images_user_id_fkey(${CREATOR_COLUMNS}),
+  remixed_from_creator:profiles!images_remixed_from_user_id_fkey(${CREATOR_COLUMNS})
+`;
+const MAX_SHARE_LINK_LIFETIME_MS = 365 * 24 * 60 * 60 * 1000;
+
+// Each viewer counts at most one view of an image in this window, so reloading a page
+// can't push an image up the trending list
+const GALLERY_VIEW_WINDOW_MINUTES = 60;
+
+// Key for hashing the IP addresses of signed-out viewers. Without it a random key is
+// used, so views are only deduplicated until the process restarts.
+const VIEWER_HASH_SECRET = process.env.GALLERY_VIEW_HASH_SECRET || crypto.randomBytes(32).toString('hex');
+
+/**
+ * The URL shown to people other than the owner: the stored watermarked copy, even
+ * for images made on a paid plan. A watermark added as a URL transformation could be
+ * removed by editing the URL, so there is no fallback to one.
+ * @param {Object} image - The images record
+ * @returns {string|null} - The image URL, or null until the copy has been made
+ */
+const getPublicImageUrl = (image) => image.public_cloudinary_url || null;
+
+/**
+ * Store a watermarked copy of an image as its own Cloudinary asset, under a random
+ * public ID that doesn't lead back to the original
+ * @param {Object} image - The images record
+ * @returns {Promise<Object>} - The columns to save ({ public_cloudinary_url, public_cloudinary_public_id })
+ */
+const createPublicCopy = async (image) => {
+  const watermarkedUrl = addWatermark(image.cloudinary_public_id);
+  
+  if (!watermarkedUrl) {
+    throw new ApiError('Failed to watermark the image', 500);
+  }
+  
+  const upload = await CloudinaryService.uploadImageFromUrl(
+    watermarkedUrl,
+    `orincore-ai-studio/${image.user_id}/public`,
+    crypto.randomBytes(16).toString('hex')
+  );
+  
+  return {
+    public_cloudinary_url: upload.secure_url,
+    public_cloudinary_public_id: upload.public_id
+  };
+};
+
+/**
+ * Delete an image's watermarked copy. Failures are logged, never thrown.
+ * @param {string} publicId - The copy's Cloudinary public ID
+ */
+const deletePublicCopyQuietly = async (publicId) => {
+  try {
+    await CloudinaryService.deleteCloudinaryImage(publicId);
+  } catch (error) {
+    console.error(`Error deleting public copy ${publicId}:`, error);
+  }
+};
+
+/**
+ * Make sure an image shared before copies were stored has one
+ * @param {Object} image - The images record
+ * @returns {Promise<Object>} - The record with public_cloudinary_url set
+ */
+const ensurePublicCopy = async (image) => {
+  if (image.public_cloudinary_url) {
+    return image;
+  }
+  
+  const copy = await createPublicCopy(image);
+  
+  const { data, error } = await supabase
+    .from('images')
+    .update(copy)
+    .eq('id', image.id)
+    .is('public_cloudinary_url', null)
+    .select('public_cloudinary_url, public_cloudinary_public_id')
+    .maybeSingle();
+  
+  if (error) {
+    await deletePublicCopyQuietly(copy.public_cloudinary_public_id);
+    throw new ApiError(`Failed to save the public copy: ${error.message}`, 500);
+  }
+  
+  if (data) {
+    return { ...image, ...data };
+  }
+  
+  // Another request made one first; show that one instead
+  await deletePublicCopyQuietly(copy.public_cloudinary_public_id);
+  
+  const { data: current, error: currentError } = await supabase
+    .from('images')
+    .select('public_cloudinary_url, public_cloudinary_public_id')
+    .eq('id', image.id)
+    .single();
+  
+  if (currentError) {
+    throw new ApiError(`Failed to get the public copy: ${currentError.message}`, 500);
+  }
+  
+  return { ...image, ...current };
+};
+
+/**
+ * Format a creator for people other than themselves
+ * @param {Object|null} profile - The profiles record
+ * @returns {Object|null} - The creator, or null if they opted out of a public profile
+ */
+const formatCreator = (profile) => {
+  if (!profile || !profile.public_profile) {
+    return null;
+  }
+  
+  return {
+    id: profile.id,
+    displayName: profile.display_name || profile.full_name || null,
+    avatarUrl: profile.avatar_url || null
+  };
+};
+
+/**
+ * Format an image for people other than its owner
+ * @param {Object} image - The images record, selected with PUBLIC_IMAGE_SELECT
+ * @returns {Object} - The public image
+ */
+const formatPublicImage = (image) => ({
+  id: image.id,
+  url: getPublicImageUrl(image),
+  width: image.width,
+  height: image.height,
+  generationType: image.generation_type,
+  style: image.style,
+  modelId: image.model_id,
+  resolution: image.resolution,
+  prompt: image.show_prompt ? image.original_prompt : null,
+  negativePrompt: image.show_prompt ? image.negative_prompt : null,
+  visibility: image.visibility,
+  creator: formatCreator(image.creator),
+  likeCount: image.like_count,
+  viewCount: image.view_count,
+  remixCount: image.remix_count,
+  // Remixes only name the original's creator if they allow it
+  remixedFrom: image.remixed_from_image_id
+    ? {
+      imageId: image.remixed_from_image_id,
+      creator: image.remixed_from_creator && image.remixed_from_creator.remix_attribution
+        ? formatCreator(image.remixed_from_creator)
+        : null
+    }
+    : null,
+  publishedAt: image.published_at,
+  createdAt: image.created_at
+});
+
+/**
+ * Format an image's sharing settings for its owner
+ * @param {Object} image - The images record
+ * @returns {Object} - The sharing settings
+ */
+const formatImageSharing = (image) => ({
+  imageId: image.id,
+  visibility: image.visibility,
+  showPrompt: image.show_prompt,
+  publishedAt: image.published_at
+});
+
+/**
+ * Format a share link record for its owner
+ * @param {Object} record - The image_share_links record
+ * @returns {Object} - The share link
+ */
+const formatShareLink = (record) => ({
+  id: record.id,
+  imageId: record.image_id,
+  token: record.token,
+  expiresAt: record.expires_at,
+  revokedAt: record.revoked_at,
+  isActive: !record.revoked_at && (!record.expires_at || new Date(record.expires_at) > new Date()),
+  viewCount: record.view_count,
+  lastViewedAt: record.last_viewed_at,
+  createdAt: record.created_at
+});
+
+/**
+ * Change who can see an image and whether its prompt is shown
+ * @param {string} imageId - The image ID
+ * @param {string} userId - The owner's user ID
+ * @param {Object} settings - { visibility, showPrompt }; either can be left out
+ * @returns {Promise<Object>} - The sharing settings
+ */
+const updateImageSharing = async (imageId, userId, { visibility, showPrompt } = {}) => {
+  if (visibility === undefined && showPrompt === undefined) {
+    throw new ApiError('Nothing to update: send visibility or showPrompt', 400);
+  }
+  
+  if (visibility !== undefined && !IMAGE_VISIBILITIES.includes(visibility)) {
+    throw new ApiError(`visibility must be one of: ${IMAGE_VISIBILITIES.join(', ')}`, 400);
+  }
+  
+  if (showPrompt !== undefined && typeof showPrompt !== 'boolean') {
+    throw new ApiError('showPrompt must be true or false', 400);
+  }
+  
+  const image = await getImageById(imageId, userId);
+  
+  const updates = {};
+  
+  if (visibility !== undefined) {
+    updates.visibility = visibility;
+    
+    if (visibility === 'public' && !image.published_at) {
+      updates.published_at = new Date().toISOString();
+    }
+    
+    // Others only ever see the watermarked copy; it is made when the image is first
+    // shared and deleted when it goes private again, so old links to it stop working
+    if (visibility !== 'private' && !image.public_cloudinary_url) {
+      Object.assign(updates, await createPublicCopy(image));
+    } else if (visibility === 'private' && image.public_cloudinary_public_id) {
+      updates.public_cloudinary_url = null;
+      updates.public_cloudinary_public_id = null;
+    }
+  }
+  
+  if (showPrompt !== undefined) {
+    updates.show_prompt = showPrompt;
+  }
+  
+  const { data, error } = await supabase
+    .from('images')
+    .update(updates)
+    .eq('id', imageId)
+    .eq('user_id', userId)
+    .select('id, visibility, show_prompt, published_at')
+    .single();
+  
+  if (error) {
+    if (updates.public_cloudinary_url) {
+      await deletePublicCopyQuietly(updates.public_cloudinary_public_id);
+    }
+    throw new ApiError(`Failed to update sharing settings: ${error.message}`, 500);
+  }
+  
+  if (updates.public_cloudinary_public_id === null) {
+    await deletePublicCopyQuietly(image.public_cloudinary_public_id);
+  }
+  
+  return formatImageSharing(data);
+};
+
+/**
+ * Create a share link for an image. A private image becomes unlisted so the link works.
+ * @param {string} imageId - The image ID
+ * @param {string} userId - The owner's user ID
+ * @param {Object} options - { expiresAt } (optional, at most a year away)
+ * @returns {Promise<Object>} - { link, sharing }
+ */
+const createShareLink = async (imageId, userId, { expiresAt = null } = {}) => {
+  let expiry = null;
+  
+  if (expiresAt !== null && expiresAt !== undefined) {
+    expiry = new Date(expiresAt);
+    
+    if (Number.isNaN(expiry.getTime())) {
+      throw new ApiError('expiresAt must be an ISO timestamp', 400);
+    }
+    
+    const lifetime = expiry.getTime() - Date.now();
+    if (lifetime <= 0 || lifetime > MAX_SHARE_LINK_LIFETIME_MS) {
+      throw new ApiError('expiresAt must be in the future and at most a year away', 400);
+    }
+  }
+  
+  const image = await getImageById(imageId, userId);
+  
+  const { count, error: countError } = await supabase
+    .from('image_share_links')
+    .select('id', { count: 'exact', head: true })
+    .eq('image_id', imageId)
+    .is('revoked_at', null)
+    .or(`expires_at.is.null,expires_at.gt.${new Date().toISOString()}`);
+  
+  if (countError) {
+    throw new ApiError(`Failed to count share links: ${countError.message}`, 500);
+  }
+  
+  if (count >= MAX_ACTIVE_SHARE_LINKS_PER_IMAGE) {
+    throw new ApiError(`An image can have at most ${MAX_ACTIVE_SHARE_LINKS_PER_IMAGE} active share links. Revoke one first.`, 400);
+  }
+  
+  const { data: link, error } = await supabase
+    .from('image_share_links')
+    .insert({
+      image_id: imageId,
+      user_id: userId,
+      token: crypto.randomBytes(24).toString('base64url'),
+      expires_at: expiry ? expiry.toISOString() : null
+    })
+    .select()
+    .single();
+  
+  if (error) {
+    throw new ApiError(`Failed to create share link: ${error.message}`, 500);
+  }
+  
+  const sharing = image.visibility === 'private'
+    ? await updateImageSharing(imageId, userId, { visibility: 'unlisted' })
+    : formatImageSharing(image);
+  
+  return { link: formatShareLink(link), sharing };
+};
+
+/**
+ * List an image's share links, newest first
+ * @param {string} imageId - The image ID
+ * @param {string} userId - The owner's user ID
+ * @returns {Promise<Array>} - The share links
+ */
+const listShareLinks = async (imageId, userId) => {
+  await getImageById(imageId, userId);
+  
+  const { data, error } = await supabase
+    .from('image_share_links')
+    .select('*')
+    .eq('image_id', imageId)
+    .eq('user_id', userId)
+    .order('created_at', { ascending: false });
+  
+  if (error) {
+    throw new ApiError(`Failed to list share links: ${error.message}`, 500);
+  }
+  
+  return data.map(formatShareLink);
+};
+
+/**
+ * Revoke a share link. Revoking an already revoked link is not an error.
+ * @param {string} linkId - The share link ID
+ * @param {string} imageId - The image ID
+ * @param {string} userId - The owner's user ID
+ * @returns {Promise<Object>} - The revoked share link
+ */
+const revokeShareLink = async (linkId, imageId, userId) => {
+  const { data: link, error } = await supabase
+    .from('image_share_links')
+    .select('*')
+    .eq('id', linkId)
+    .eq('image_id', imageId)
+    .eq('user_id', userId)
+    .maybeSingle();
+  
+  if (error) {
+    throw new ApiError(`Failed to get share link: ${error.message}`, 500);
+  }
+  
+  if (!link) {
+    throw new ApiError('Share link not found', 404);
+  }
+  
+  if (link.revoked_at) {
+    return formatShareLink(link);
+  }
+  
+  const { data, error: updateError } = await supabase
+    .from('image_share_links')
+    .update({ revoked_at: new Date().toISOString() })
+    .eq('id', linkId)
+    .select()
+    .single();
+  
+  if (updateError) {
+    throw new ApiError(`Failed to revoke share link: ${updateError.message}`, 500);
+  }
+  
+  return formatShareLink(data);
+};
+
+/**
+ * List public images for the gallery
+ * @param {Object} options - { sort, page, limit, generationType }
+ * @returns {Promise<Object>} - Public images with pagination info
+ */
+const listGalleryImages = async ({ sort = 'trending', page = 1, limit = 20, generationType = null } = {}) => {
+  if (!GALLERY_SORTS.includes(sort)) {
+    throw new ApiError(`sort must be one of: ${GALLERY_SORTS.join(', ')}`, 400);
+  }
+  
+  page = Math.max(page || 1, 1);
+  limit = Math.min(Math.max(limit || 20, 1), MAX_GALLERY_PAGE_SIZE);
+  
+  const from = (page - 1) * limit;
+  const to = from + limit - 1;
+  
+  let query = sort === 'trending'
+    ? supabase
+      .rpc('gallery_trending', { p_window_days: GALLERY_TRENDING_WINDOW_DAYS }, { count: 'exact' })
+      .select(PUBLIC_IMAGE_SELECT)
+    : supabase
+      .from('images')
+      .select(PUBLIC_IMAGE_SELECT, { count: 'exact' })
+      .eq('visibility', 'public')
+      .eq('is_hidden', false);
+  
+  if (generationType) {
+    query = query.eq('generation_type', generationType);
+  }
+  
+  // gallery_trending already returns its rows in order
+  if (sort === 'recent') {
+    query = query.order('published_at', { ascending: false }).order('id', { ascending: false });
+  }
+  
+  const { data, error, count } = await query.range(from, to);
+  
+  if (error) {
+    throw new ApiError(`Failed to list gallery images: ${error.message}`, 500);
+  }
+  
+  return {
+    images: data.map(formatPublicImage),
+    sort,
+    page,
+    limit,
+    totalPages: Math.ceil(count / limit),
+    total: count
+  };
+};
+
+/**
+ * Identify a viewer for view counting: the user ID when signed in, otherwise a
+ * keyed hash of the IP address (the address itself is never stored)
+ * @param {Object} viewer - { userId, ip }
+ * @returns {string|null} - The viewer key, or null if the viewer can't be identified
+ */
+const getViewerKey = ({ userId = null, ip = null } = {}) => {
+  if (userId) {
+    return `user:${userId}`;
+  }
+  
+  if (ip) {
+    return `ip:${crypto.createHmac('sha256', VIEWER_HASH_SECRET).update(ip).digest('hex').slice(0, 32)}`;
+  }
+  
+  return null;
+};
+
+/**
+ * Count a view, at most once per viewer per GALLERY_VIEW_WINDOW_MINUTES, without
+ * failing the request if it can't be recorded
+ * @param {string} fn - record_image_view or record_share_link_view
+ * @param {Object} args - The function arguments, without the viewer
+ * @param {Object} viewer - { userId, ip }
+ */
+const recordViewQuietly = async (fn, args, viewer) => {
+  const viewerKey = getViewerKey(viewer);
+  
+  if (!viewerKey) {
+    return;
+  }
+  
+  const { error } = await supabase.rpc(fn, {
+    ...args,
+    p_viewer_key: viewerKey,
+    p_window_minutes: GALLERY_VIEW_WINDOW_MINUTES
+  });
+  
+  if (error) {
+    console.error(`Failed to record view (${fn}):`, error);
+  }
+};
+
+/**
+ * Get an image other users can see (unlisted or public, and not hidden)
+ * @param {string} imageId - The image ID
+ * @param {Object} options - { publicOnly } to leave out unlisted images
+ * @returns {Promise<Object>} - The images record, selected with PUBLIC_IMAGE_SELECT
+ */
+const getSharedImageRecord = async (imageId, { publicOnly = false } = {}) => {
+  const { data: image, error } = await supabase
+    .from('images')
+    .select(PUBLIC_IMAGE_SELECT)
+    .eq('id', imageId)
+    .in('visibility', publicOnly ? ['public'] : ['unlisted', 'public'])
+    .eq('is_hidden', false)
+    .maybeSingle();
+  
+  if (error) {
+    throw new ApiError(`Failed to get image: ${error.message}`, 500);
+  }
+  
+  if (!image) {
+    throw new ApiError('Image not found', 404);
+  }
+  
+  return image;
+};
+
+/**
+ * Get a public image and count the view
+ * @param {string} imageId - The image ID
+ * @param {Object} viewer - { userId, ip } of whoever is looking at it
+ * @returns {Promise<Object>} - The public image
+ */
+const getPublicImage = async (imageId, viewer = {}) => {
+  const image = await ensurePublicCopy(await getSharedImageRecord(imageId, { publicOnly: true }));
+  
+  await recordViewQuietly('record_image_view', { p_image_id: image.id }, viewer);
+  
+  return formatPublicImage(image);
+};
+
+/**
+ * Open a share link. The link must not be expired or revoked, and the image must
+ * still be unlisted or public.
+ * @param {string} token - The share token
+ * @param {Object} viewer - { userId, ip } of whoever opened it
+ * @returns {Promise<Object>} - The public image
+ */
+const getSharedImage = async (token, viewer = {}) => {
+  const { data: link, error } = await supabase
+    .from('image_share_links')
+    .select(`id, image_id, expires_at, revoked_at, images(${PUBLIC_IMAGE_SELECT})`)
+    .eq('token', token)
+    .maybeSingle();
+  
+  if (error) {
+    throw new ApiError(`Failed to get share link: ${error.message}`, 500);
+  }
+  
+  const image = link && link.images;
+  const isOpen = link
+    && !link.revoked_at
+    && (!link.expires_at || new Date(link.expires_at) > new Date())
+    && image
+    && image.visibility !== 'private'
+    && !image.is_hidden;
+  
+  // The same answer for every reason, so a link doesn't reveal whether the image exists
+  if (!isOpen) {
+    throw new ApiError('This share link is invalid or has expired', 404);
+  }
+  
+  await recordViewQuietly('record_share_link_view', { p_link_id: link.id }, viewer);
+  
+  return formatPublicImage(await ensurePublicCopy(image));
+};
+
+/**
+ * Like an image. Liking an image twice is not an error.
+ * @param {string} imageId - The image ID (unlisted or public)
+ * @param {string} userId - The user liking it
+ * @returns {Promise<Object>} - { imageId, liked, likeCount }
+ */
+const likeImage = async (imageId, userId) => {
+  await getSharedImageRecord(imageId);
+  
+  const { error } = await supabase
+    .from('image_likes')
+    .upsert({ image_id: imageId, user_id: userId }, { onConflict: 'image_id,user_id', ignoreDuplicates: true });
+  
+  if (error) {
+    throw new ApiError(`Failed to like image: ${error.message}`, 500);
+  }
+  
+  return getLikeState(imageId, true);
+};
+
+/**
+ * Remove a like. Unliking an image that isn't liked is not an error.
+ * @param {string} imageId - The image ID
+ * @param {string} userId - The user who liked it
+ * @returns {Promise<Object>} - { imageId, liked, likeCount }
+ */
+const unlikeImage = async (imageId, userId) => {
+  const { error } = await supabase
+    .from('image_likes')
+    .delete()
+    .eq('image_id', imageId)
+    .eq('user_id', userId);
+  
+  if (error) {
+    throw new ApiError(`Failed to unlike image: ${error.message}`, 500);
+  }
+  
+  return getLikeState(imageId, false);
+};
+
+/**
+ * Read an image's like count after a like or unlike
+ * @param {string} imageId - The image ID
+ * @param {boolean} liked - Whether the user now likes it
+ * @returns {Promise<Object>} - { imageId, liked, likeCount }
+ */
+const getLikeState = async (imageId, liked) => {
+  const { data, error } = await supabase
+    .from('images')
+    .select('like_count')
+    .eq('id', imageId)
+    .maybeSingle();
+  
+  if (error) {
+    throw new ApiError(`Failed to get like count: ${error.message}`, 500);
+  }
+  
+  return { imageId, liked, likeCount: data ? data.like_count : 0 };
+};
+
+/**
+ * List the images a user has liked that they can still see, most recently liked first
+ * @param {string} userId - The user ID
+ * @param {number} page - Page number
+ * @param {number} limit - Items per page
+ * @returns {Promise<Object>} - Public images with pagination info
+ */
+const listLikedImages = async (userId, page = 1, limit = 20) => {
+  page = Math.max(page || 1, 1);
+  limit = Math.min(Math.max(limit || 20, 1), MAX_GALLERY_PAGE_SIZE);
+  
+  const from = (page - 1) * limit;
+  const to = from + limit - 1;
+  
+  const { data, error, count } = await supabase
+    .from('image_likes')
+    .select(`created_at, images!inner(${PUBLIC_IMAGE_SELECT})`, { count: 'exact' })
+    .eq('user_id', userId)
+    .in('images.visibility', ['unlisted', 'public'])
+    .eq('images.is_hidden', false)
+    .order('created_at', { ascending: false })
+    .range(from, to);
+  
+  if (error) {
+    throw new ApiError(`Failed to list liked images: ${error.message}`, 500);
+  }
+  
+  return {
+    images: data.map(like => ({ ...formatPublicImage(like.images), likedAt: like.created_at })),
+    page,
+    limit,
+    totalPages: Math.ceil(count / limit),
+    total: count
+  };
+};
+
+/**
+ * Get a creator's public profile: their name, avatar, totals and public images
+ * @param {string} creatorId - The creator's user ID
+ * @param {Object} options - { page, limit } for their images, newest first
+ * @returns {Promise<Object>} - The creator profile
+ */
+const getCreatorProfile = async (creatorId, { page = 1, limit = 20 } = {}) => {
+  const { data: profile, error } = await supabase
+    .from('profiles')
+    .select(`${CREATOR_COLUMNS}, is_active`)
+    .eq('id', creatorId)
+    .maybeSingle();
+  
+  if (error) {
+    throw new ApiError(`Failed to get creator: ${error.message}`, 500);
+  }
+  
+  // Creators who opted out, and suspended accounts, have no public profile
+  const creator = profile && profile.is_active ? formatCreator(profile) : null;
+  if (!creator) {
+    throw new ApiError('Creator not found', 404);
+  }
+  
+  page = Math.max(page || 1, 1);
+  limit = Math.min(Math.max(limit || 20, 1), MAX_GALLERY_PAGE_SIZE);
+  
+  const from = (page - 1) * limit;
+  const to = from + limit - 1;
+  
+  const [totalsResult, imagesResult] = await Promise.all([
+    supabase.rpc('creator_gallery_totals', { p_user_id: creatorId }),
+    supabase
+      .from('images')
+      .select(PUBLIC_IMAGE_SELECT, { count: 'exact' })
+      .eq('user_id', creatorId)
+      .eq('visibility', 'public')
+      .eq('is_hidden', false)
+      .order('published_at', { ascending: false })
+      .order('id', { ascending: false })
+      .range(from, to)
+  ]);
+  
+  if (totalsResult.error) {
+    throw new ApiError(`Failed to get creator totals: ${totalsResult.error.message}`, 500);
+  }
+  
+  if (imagesResult.error) {
+    throw new ApiError(`Failed to list creator images: ${imagesResult.error.message}`, 500);
+  }
+  
+  const totals = (totalsResult.data && totalsResult.data[0]) || {};
+  const count = imagesResult.count;
+  
+  return {
+    ...creator,
+    joinedAt: profile.created_at,
+    totals: {
+      publicImages: Number(totals.public_images || 0),
+      likes: Number(totals.likes || 0),
+      views: Number(totals.views || 0),
+      remixes: Number(totals.remixes || 0)
+    },
+    images: imagesResult.data.map(formatPublicImage),
+    page,
+    limit,
+    totalPages: Math.ceil(count / limit),
+    total: count
+  };
+};
+
+module.exports = {
+  updateImageSharing,
+  createShareLink,
+  listShareLinks,
+  revokeShareLink,
+  listGalleryImages,
+  getPublicImage,
+  getSharedImage,
+  likeImage,
+  unlikeImage,
+  listLikedImages,
+  getCreatorProfile,
+  IMAGE_VISIBILITIES,
+  GALLERY_SORTS
+};
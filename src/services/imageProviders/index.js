@@ -0,0 +1,114 @@
+const { ApiError } = require('../../middlewares/errorMiddleware');
+const { refuseContentFilteredImages } = require('../moderationService');
+const stabilityProvider = require('./stabilityProvider');
+const localProvider = require('./localProvider');
+
+/**
+ * Image provider registry.
+ *
+ * A provider is an object with:
+ *   - name: unique provider name, used by the IMAGE_PROVIDER env var
+ *   - models / modelConfig: the provider's MODELS and MODEL_CONFIG tables
+ *   - defaultModel: model ID used when a caller doesn't pick one
+ *   - generate(options): text-to-image
+ *   - imageToImage(options): generate from an initial image buffer and a prompt
+ *   - inpaint(options): regenerate the white areas of a mask over an image buffer
+ *   - upscale(options): upscale an image buffer
+ *
+ * Every method resolves to { success, images: [{ base64, seed, finishReason }], parameters }.
+ * Images the provider's content filter rejected are removed from results before
+ * callers see them, and a call where every image was rejected throws a 422.
+ * Callers pass userId in the options so rejections are attributed in the moderation log.
+ */
+
+const DEFAULT_PROVIDER = 'stability';
+
+// Provider methods whose results are checked for content-filtered images
+const GENERATION_METHODS = ['generate', 'imageToImage', 'inpaint', 'upscale'];
+
+const providers = {};
+
+/**
+ * Register an image provider
+ * @param {Object} provider - The provider implementation
+ */
+const registerImageProvider = (provider) => {
+  const registered = { ...provider };
+  
+  for (const method of GENERATION_METHODS) {
+    if (typeof provider[method] === 'function') {
+      registered[method] = async (options = {}) => {
+        const result = await provider[method](options);
+        
+        return refuseContentFilteredImages(result, {
+          userId: options.userId,
+          source: `${provider.name}.${method}`,
+          prompt: options.prompt
+        });
+      };
+    }
+  }
+  
+  providers[provider.name] = registered;
+};
+
+/**
+ * Get an image provider, by default the one selected with IMAGE_PROVIDER
+ * @param {string} name - Optional provider name
+ * @returns {Object} - The provider
+ */
+const getImageProvider = (name = process.env.IMAGE_PROVIDER || DEFAULT_PROVIDER) => {
+  const provider = providers[name];
+  
+  if (!provider) {
+    throw new ApiError(`Unknown image provider: ${name}. Available providers: ${Object.keys(providers).join(', ')}`, 500);
+  }
+  
+  return provider;
+};
+
+/**
+ * Generate a single image with the active provider and return it as a data URL
+ * @param {Object} options - Generation options (see StabilityAIService#generateImage)
+ * @returns {Promise<Object>} - { imageUrl, seed, finish_reason, parameters } or { error, code, status }
+ */
+const generateImage = async (options) => {
+  try {
+    // Validate prompt is present
+    if (!options.prompt || options.prompt.trim() === '') {
+      throw new ApiError('Prompt is required for image generation', 400);
+    }
+    
+    const result = await getImageProvider().generate(options);
+    
+    if (!result.success || !result.images || result.images.length === 0) {
+      throw new Error('No images were generated');
+    }
+    
+    const image = result.images[0];
+    
+    return {
+      imageUrl: `data:image/png;base64,${image.base64}`,
+      seed: image.seed,
+      finish_reason: image.finishReason,
+      parameters: result.parameters
+    };
+  } catch (error) {
+    console.error('Error in generateImage:', error);
+    
+    return {
+      error: `Error: ${error.message}`,
+      code: error.code,
+      status: error.statusCode || 500
+    };
+  }
+};
+
+registerImageProvider(stabilityProvider);
+registerImageProvider(localProvider);
+
+module.exports = {
+  registerImageProvider,
+  getImageProvider,
+  generateImage
+};
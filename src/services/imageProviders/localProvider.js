@@ -0,0 +1,364 @@
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { ApiError } = require('../../middlewares/errorMiddleware');
+const { RESOLUTIONS, GENERATION_TYPES } = require('../stabilityAIService');
+
+/**
+ * Local image provider that renders deterministic placeholder images with sharp.
+ * The same prompt, size and seed always produce the same image, so the backend
+ * can run offline and in tests without calling an external API.
+ */
+
+const MODELS = {
+  LOCAL_PLACEHOLDER: 'local-placeholder-v1'
+};
+
+const MODEL_CONFIG = {
+  [MODELS.LOCAL_PLACEHOLDER]: {
+    maxPromptLength: 2000,
+    recommendedSteps: 1,
+    recommendedCfg: 0
+  }
+};
+
+// Keep placeholder renders to a sensible size
+const MAX_DIMENSION = 4096;
+
+/**
+ * Hash the inputs that determine an image
+ * @param {...*} parts - Values to hash
+ * @returns {Buffer} - SHA-256 digest
+ */
+const hashInputs = (...parts) => {
+  return crypto.createHash('sha256').update(parts.map(part => String(part ?? '')).join('|')).digest();
+};
+
+/**
+ * Derive a positive 31-bit seed from a digest, matching the range Stability uses
+ * @param {Buffer} digest - SHA-256 digest
+ * @returns {number} - The seed
+ */
+const seedFromDigest = (digest) => {
+  return (digest.readUInt32BE(0) % 2147483646) + 1;
+};
+
+/**
+ * Escape text for inclusion in SVG markup
+ * @param {string} text - The text to escape
+ * @returns {string} - Escaped text
+ */
+const escapeXml = (text) => {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+};
+
+/**
+ * Work out output dimensions the same way the Stability adapter does
+ * @param {Object} options - Generation options
+ * @returns {Object} - { width, height }
+ */
+const resolveDimensions = ({ width, height, resolution, generationType = 'GENERAL' }) => {
+  let dimensions;
+  
+  if (width && height) {
+    dimensions = { width, height };
+  } else if (resolution && RESOLUTIONS[resolution]) {
+    dimensions = { ...RESOLUTIONS[resolution] };
+  } else {
+    const defaultResolution = GENERATION_TYPES[generationType]?.defaultResolution || 'NORMAL';
+    dimensions = { ...RESOLUTIONS[defaultResolution] };
+  }
+  
+  return {
+    width: Math.min(Math.max(parseInt(dimensions.width, 10) || 512, 64), MAX_DIMENSION),
+    height: Math.min(Math.max(parseInt(dimensions.height, 10) || 512, 64), MAX_DIMENSION)
+  };
+};
+
+/**
+ * Build the placeholder artwork for a seed
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {number} seed - The seed
+ * @param {string} prompt - The prompt (shown as a caption)
+ * @param {number} opacity - Opacity of the whole artwork (default: 1)
+ * @returns {string} - SVG markup
+ */
+const buildPlaceholderSvg = (width, height, seed, prompt, opacity = 1) => {
+  const bytes = hashInputs(seed, width, height);
+  const hueA = Math.round((bytes[0] / 255) * 360);
+  const hueB = (hueA + 90 + Math.round((bytes[1] / 255) * 120)) % 360;
+  const minSide = Math.min(width, height);
+  
+  const shapes = [];
+  for (let i = 0; i < 6; i++) {
+    const cx = Math.round((bytes[2 + i * 4] / 255) * width);
+    const cy = Math.round((bytes[3 + i * 4] / 255) * height);
+    const r = Math.round(minSide * (0.08 + (bytes[4 + i * 4] / 255) * 0.25));
+    const hue = (hueA + bytes[5 + i * 4]) % 360;
+    shapes.push(`<circle cx="${cx}" cy="${cy}" r="${r}" fill="hsl(${hue}, 70%, 60%)" fill-opacity="0.45"/>`);
+  }
+  
+  const caption = prompt.length > 80 ? `${prompt.slice(0, 77)}...` : prompt;
+  const fontSize = Math.max(Math.round(minSide / 28), 10);
+  
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">
+  <defs>
+    <linearGradient id="bg" x1="0" y1="0" x2="1" y2="1">
+      <stop offset="0%" stop-color="hsl(${hueA}, 60%, 35%)"/>
+      <stop offset="100%" stop-color="hsl(${hueB}, 60%, 20%)"/>
+    </linearGradient>
+  </defs>
+  <g opacity="${opacity}">
+  <rect width="100%" height="100%" fill="url(#bg)"/>
+  ${shapes.join('\n  ')}
+  <rect x="0" y="${height - fontSize * 3}" width="${width}" height="${fontSize * 3}" fill="#000000" fill-opacity="0.45"/>
+  <text x="${fontSize}" y="${height - fontSize * 1.8}" font-family="DejaVu Sans, Arial, sans-serif" font-size="${fontSize}" font-weight="bold" fill="#ffffff">LOCAL PREVIEW · seed ${seed}</text>
+  <text x="${fontSize}" y="${height - fontSize * 0.6}" font-family="DejaVu Sans, Arial, sans-serif" font-size="${Math.round(fontSize * 0.8)}" fill="#ffffff">${escapeXml(caption)}</text>
+  </g>
+</svg>`;
+};
+
+/**
+ * Generate placeholder images for a prompt
+ * @param {Object} options - The same options the Stability adapter accepts
+ * @returns {Promise<Object>} - Generated images and the parameters used
+ */
+const generate = async ({
+  prompt,
+  negativePrompt = '',
+  generationType = 'GENERAL',
+  resolution,
+  width,
+  height,
+  cfgScale = 7,
+  steps = 30,
+  style = null,
+  seed = 0,
+  numberOfImages = 1
+}) => {
+  if (!prompt || prompt.trim() === '') {
+    throw new ApiError('Prompt is required for image generation', 400);
+  }
+  
+  const dimensions = resolveDimensions({ width, height, resolution, generationType });
+  const baseSeed = seed || seedFromDigest(hashInputs(prompt, negativePrompt, style, dimensions.width, dimensions.height));
+  
+  const images = await Promise.all(Array.from({ length: numberOfImages }, async (_, index) => {
+    const imageSeed = baseSeed + index;
+    const buffer = await sharp(Buffer.from(buildPlaceholderSvg(dimensions.width, dimensions.height, imageSeed, prompt)))
+      .png()
+      .toBuffer();
+    
+    return {
+      base64: buffer.toString('base64'),
+      seed: imageSeed,
+      finishReason: 'SUCCESS'
+    };
+  }));
+  
+  return {
+    success: true,
+    images,
+    parameters: {
+      prompt,
+      negativePrompt,
+      model: MODELS.LOCAL_PLACEHOLDER,
+      width: dimensions.width,
+      height: dimensions.height,
+      steps,
+      cfgScale,
+      style
+    }
+  };
+};
+
+/**
+ * Tint an initial image with colours derived from the prompt. Lower imageStrength
+ * values apply a stronger tint, mirroring how much the result departs from the input.
+ * @param {Object} options - The same options the Stability adapter accepts
+ * @returns {Promise<Object>} - Generated images and the parameters used
+ */
+const imageToImage = async ({
+  image,
+  prompt,
+  negativePrompt = '',
+  imageStrength = 0.35,
+  cfgScale = 7,
+  steps = 30,
+  style = null,
+  seed = 0,
+  numberOfImages = 1
+}) => {
+  if (!prompt || prompt.trim() === '') {
+    throw new ApiError('Prompt is required for image generation', 400);
+  }
+  
+  if (!image) {
+    throw new ApiError('An initial image is required for image-to-image generation', 400);
+  }
+  
+  const { width, height } = await sharp(image).metadata();
+  const baseSeed = seed || seedFromDigest(hashInputs(prompt, negativePrompt, style, imageStrength, crypto.createHash('sha256').update(image).digest('hex')));
+  const tintOpacity = Math.min(Math.max(1 - imageStrength, 0), 1) * 0.8;
+  
+  const images = await Promise.all(Array.from({ length: numberOfImages }, async (_, index) => {
+    const imageSeed = baseSeed + index;
+    const overlay = await sharp(Buffer.from(buildPlaceholderSvg(width, height, imageSeed, prompt, tintOpacity)))
+      .png()
+      .toBuffer();
+    
+    const buffer = await sharp(image)
+      .composite([{ input: overlay, blend: 'over' }])
+      .png()
+      .toBuffer();
+    
+    return {
+      base64: buffer.toString('base64'),
+      seed: imageSeed,
+      finishReason: 'SUCCESS'
+    };
+  }));
+  
+  return {
+    success: true,
+    images,
+    parameters: {
+      prompt,
+      negativePrompt,
+      model: MODELS.LOCAL_PLACEHOLDER,
+      width,
+      height,
+      imageStrength,
+      steps,
+      cfgScale,
+      style
+    }
+  };
+};
+
+/**
+ * Paint placeholder artwork into the white areas of a mask
+ * @param {Object} options - The same options the Stability adapter accepts
+ * @returns {Promise<Object>} - Generated images and the parameters used
+ */
+const inpaint = async ({
+  image,
+  mask,
+  prompt,
+  negativePrompt = '',
+  cfgScale = 7,
+  steps = 30,
+  style = null,
+  seed = 0,
+  numberOfImages = 1
+}) => {
+  if (!prompt || prompt.trim() === '') {
+    throw new ApiError('Prompt is required for image generation', 400);
+  }
+  
+  if (!image || !mask) {
+    throw new ApiError('An image and a mask are required for inpainting', 400);
+  }
+  
+  const { width, height } = await sharp(image).metadata();
+  const alpha = await sharp(mask)
+    .resize(width, height, { fit: 'fill' })
+    .greyscale()
+    .toColourspace('b-w')
+    .raw()
+    .toBuffer();
+  const baseSeed = seed || seedFromDigest(hashInputs(prompt, negativePrompt, style, crypto.createHash('sha256').update(image).digest('hex')));
+  
+  const images = await Promise.all(Array.from({ length: numberOfImages }, async (_, index) => {
+    const imageSeed = baseSeed + index;
+    
+    // Use the mask as the alpha channel of the artwork so only the masked region is replaced.
+    // The artwork is flattened in its own pipeline because sharp removes alpha after joining channels.
+    const artwork = await sharp(Buffer.from(buildPlaceholderSvg(width, height, imageSeed, prompt)))
+      .removeAlpha()
+      .raw()
+      .toBuffer();
+    
+    const patch = await sharp(artwork, { raw: { width, height, channels: 3 } })
+      .joinChannel(alpha, { raw: { width, height, channels: 1 } })
+      .png()
+      .toBuffer();
+    
+    const buffer = await sharp(image)
+      .composite([{ input: patch, blend: 'over' }])
+      .png()
+      .toBuffer();
+    
+    return {
+      base64: buffer.toString('base64'),
+      seed: imageSeed,
+      finishReason: 'SUCCESS'
+    };
+  }));
+  
+  return {
+    success: true,
+    images,
+    parameters: {
+      prompt,
+      negativePrompt,
+      model: MODELS.LOCAL_PLACEHOLDER,
+      width,
+      height,
+      steps,
+      cfgScale,
+      style
+    }
+  };
+};
+
+/**
+ * Upscale an image with sharp's Lanczos resampling
+ * @param {Object} options - Upscale options
+ * @param {Buffer} options.image - The image to upscale
+ * @param {number} options.width - Optional target width (defaults to double the input)
+ * @returns {Promise<Object>} - The upscaled image and the parameters used
+ */
+const upscale = async ({ image, width }) => {
+  if (!image) {
+    throw new ApiError('An image is required for upscaling', 400);
+  }
+  
+  const metadata = await sharp(image).metadata();
+  const targetWidth = Math.min(width || metadata.width * 2, MAX_DIMENSION);
+  
+  const { data, info } = await sharp(image)
+    .resize({ width: targetWidth, kernel: 'lanczos3' })
+    .png()
+    .toBuffer({ resolveWithObject: true });
+  
+  return {
+    success: true,
+    images: [{
+      base64: data.toString('base64'),
+      seed: 0,
+      finishReason: 'SUCCESS'
+    }],
+    parameters: {
+      model: MODELS.LOCAL_PLACEHOLDER,
+      width: info.width,
+      height: info.height
+    }
+  };
+};
+
+module.exports = {
+  name: 'local',
+  models: MODELS,
+  modelConfig: MODEL_CONFIG,
+  defaultModel: MODELS.LOCAL_PLACEHOLDER,
+  generate,
+  imageToImage,
+  inpaint,
+  upscale
+};
@@ -0,0 +1,22 @@
+const {
+  StabilityAIService,
+  MODELS,
+  MODEL_CONFIG
+} = require('../stabilityAIService');
+
+/**
+ * Image provider backed by the Stability AI REST API
+ */
+
+const client = new StabilityAIService();
+
+module.exports = {
+  name: 'stability',
+  models: MODELS,
+  modelConfig: MODEL_CONFIG,
+  defaultModel: MODELS.STABLE_DIFFUSION_XL,
+  generate: (options) => client.generateImage(options),
+  imageToImage: (options) => client.imageToImage(options),
+  inpaint: (options) => client.inpaint(options),
+  upscale: (options) => client.upscale(options)
+};
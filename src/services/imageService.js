@@ -1,14 +1,36 @@
 const { supabase } = require('../config/supabaseClient');
 const { v4: uuidv4 } = require('uuid');
-const { getCloudinaryFolder } = require('../utils/imageUtils');
-const { checkDailyImageLimit, isUserOnFreePlan, checkFreeDailyGenerations, FREE_DAILY_GENERATIONS } = require('./planService');
+const { getCloudinaryFolder, parseMaskPolygons, buildPolygonMaskSvg, buildOutpaintMaskSvg } = require('../utils/imageUtils');
+const { checkDailyImageLimit, isUserOnFreePlan, checkFreeDailyGenerations, getBatchLimit, FREE_DAILY_GENERATIONS } = require('./planService');
 const WatermarkService = require('./watermarkService');
-const { getUserCredits, deductCredits } = require('./creditService');
+const { getUserCredits, getCreditCost, holdCredits, captureCreditHold, releaseCreditHold, CREDIT_HOLD_TTL_SECONDS } = require('./creditService');
 const { addWatermark } = require('./watermarkService');
 const { cloudinary, uploadImage } = require('../config/cloudinaryConfig');
-const { generateImage } = require('./stabilityAIService');
-const { RESOLUTIONS, GENERATION_TYPES } = require('./stabilityAIService');
+const { generateImage, getImageProvider } = require('./imageProviders');
+const { RESOLUTIONS, GENERATION_TYPES, getClosestSdxlDimensions } = require('./stabilityAIService');
+const { enqueueJob, JOB_MAX_QUEUE_WAIT_MS } = require('./jobService');
+const { screenPrompt, assertPromptAllowed, getPromptBlockedResult, attachImageToFlag } = require('./moderationService');
+const { dispatchWebhookEvent } = require('./webhookService');
+const { getLibrarySelect, applyLibraryFilters, stripLibraryJoin } = require('./libraryService');
 const { ApiError } = require('../middlewares/errorMiddleware');
+const sharp = require('sharp');
+const axios = require('axios');
+
+// Largest width an image can be upscaled to
+const MAX_UPSCALE_WIDTH = 4096;
+
+// Most pixels outpainting can add on one side, and how far the mask reaches
+// into the original image to blend the seam
+const MAX_OUTPAINT_EXTENSION = 1024;
+const OUTPAINT_MASK_OVERLAP = 16;
+
+// Variations per request, and the seed range Stability accepts
+const DEFAULT_VARIATION_COUNT = 4;
+const MAX_VARIATION_COUNT = 8;
+const MAX_SEED = 4294967295;
+
+// How long a batch's credit hold lasts for each image it has to generate
+const BATCH_HOLD_SECONDS_PER_IMAGE = 120;
 
 /**
  * Generate an image and store it in Cloudinary and Supabase
@@ -38,7 +60,7 @@ const generateAndStoreImage = async ({
   numberOfImages = 1,
   userId
 }) => {
-  let creditCost;
+  let hold = null;
   
   try {
     // Check if user has reached their daily image generation limit
@@ -74,15 +96,18 @@ const generateAndStoreImage = async ({
       throw new ApiError('Prompt is required for image generation', 400);
     }
     
+    // Screen the prompt before anything is reserved; throws a 422 if it is blocked
+    const moderation = await assertPromptAllowed({ userId, source: 'image', prompt });
+    
     // Calculate credit cost (base cost per image)
     const baseCreditCost = await getCreditCost(generationType, actualResolution, userId);
     
     // Total cost is base cost multiplied by number of images
     // For free generations, keep the cost at 0
-    creditCost = baseCreditCost === 0 ? 0 : baseCreditCost * numberOfImages;
+    const creditCost = baseCreditCost === 0 ? 0 : baseCreditCost * numberOfImages;
     
-    // Deduct credits before generating the image
-    await deductCredits(userId, creditCost, 'image_generation');
+    // Reserve credits before generating the image; they are charged once the images are stored
+    hold = await holdCredits(userId, creditCost, 'image_generation');
     
     // Generate the image using Stability AI
     const generationResult = await generateImage({
@@ -95,7 +120,8 @@ const generateAndStoreImage = async ({
       steps,
       // If style contains multiple comma-separated values, use the first valid one
       style: style ? style.split(',')[0].trim() : null,
-      numberOfImages
+      numberOfImages,
+      userId
     });
     
     // For each generated image
@@ -165,7 +191,9 @@ const generateAndStoreImage = async ({
           credit_cost: baseCreditCost, // Credit cost per image
           has_watermark: isFreePlan, // Flag if image has watermark
           is_free_user: isFreePlan, // Flag if generated by free user
-          is_free_generation: isFreePlan && generationType === 'text-to-image'
+          is_free_generation: isFreePlan && generationType === 'text-to-image',
+          root_image_id: imageId,
+          operation: 'generate'
         })
         .select()
         .single();
@@ -178,24 +206,21 @@ const generateAndStoreImage = async ({
       return storedImage;
     }));
     
+    await captureCreditHold(hold);
+    await attachImageToFlag(moderation, storedImages[0].id);
+    storedImages.forEach(announceGeneratedImage);
+    
     // Return the first image or all images based on the request
     return numberOfImages === 1 ? storedImages[0] : storedImages;
-    
+  
   } catch (error) {
     console.error('Error generating image:', error);
     
-    // If credits were deducted but generation failed, refund the credits
-    if (creditCost > 0) {
-      try {
-        // Import the addCredits function
-        const { addCredits } = require('./creditService');
-        
-        // Refund credits to the user
-        await addCredits(userId, creditCost, 'refund_failed_generation', 'generation_failed');
-        console.log(`Refunded ${creditCost} credits to user ${userId} due to failed generation`);
-      } catch (refundError) {
-        console.error('Failed to refund credits:', refundError);
-      }
+    // If credits were reserved but generation failed, release them
+    try {
+      await releaseCreditHold(hold);
+    } catch (releaseError) {
+      console.error('Failed to release credit hold:', releaseError);
     }
     
     throw error instanceof ApiError 
@@ -212,35 +237,39 @@ const generateAndStoreImage = async ({
  * @param {number} options.page - The page number (default: 1)
  * @param {number} options.limit - The number of results per page (default: 20)
  * @param {string} options.generationType - Filter by generation type (optional)
+ * @param {Array<string>} options.tags - Only include images with all of these tags (optional)
+ * @param {boolean} options.favorite - Only include favorites (true) or non-favorites (false) (optional)
+ * @param {string} options.collectionId - Only include images in this collection (optional)
+ * @param {string} options.sort - newest (default), oldest or favorites
  * @returns {Promise<Object>} - User's image history
  */
-const getUserImages = async (userId, { page = 1, limit = 20, generationType = null } = {}) => {
+const getUserImages = async (userId, { page = 1, limit = 20, generationType = null, tags = [], favorite = null, collectionId = null, sort = 'newest' } = {}) => {
   try {
     // Calculate pagination
     const from = (page - 1) * limit;
     const to = from + limit - 1;
     
     // Build the query
+    const filters = { tags, favorite, collectionId, sort };
     let query = supabase
       .from('images')
-      .select(`
+      .select(getLibrarySelect(`
         *,
         has_watermark,
         is_free_user,
         cloudinary_url,
         cloudinary_original_url
-      `, { count: 'exact' })
-      .eq('user_id', userId);
+      `, filters), { count: 'exact' })
+      .eq('user_id', userId)
+      .eq('is_hidden', false);
     
     // Add generation type filter if provided
     if (generationType) {
       query = query.eq('generation_type', generationType);
     }
     
-    // Add pagination and ordering
-    query = query
-      .order('created_at', { ascending: false })
-      .range(from, to);
+    // Add tag, favorite and collection filters, ordering and pagination
+    query = applyLibraryFilters(query, filters).range(from, to);
     
     // Execute the query
     const { data, error, count } = await query;
@@ -254,7 +283,7 @@ const getUserImages = async (userId, { page = 1, limit = 20, generationType = nu
     
     // Add plan information to the response
     const images = data.map(image => ({
-      ...image,
+      ...stripLibraryJoin(image),
       // For free users viewing their own images, include information about upgrading
       can_upgrade: isFreePlan && image.has_watermark
     }));
@@ -292,9 +321,9 @@ const getImageById = async (imageId, userId = null) => {
       .select('*')
       .eq('id', imageId);
     
-    // If user ID is provided, ensure the image belongs to that user
+    // If user ID is provided, ensure the image belongs to that user and hasn't been hidden by a moderator
     if (userId) {
-      query = query.eq('user_id', userId);
+      query = query.eq('user_id', userId).eq('is_hidden', false);
     }
     
     const { data, error } = await query.single();
@@ -373,174 +402,369 @@ const calculateCreditCost = (imageParams) => {
 };
 
 /**
- * Generate an image based on user prompt
+ * Work out how a generation is paid for and which quality rules apply to it.
+ * Users without credits fall back to their free daily generations, which are
+ * delivered at 512x512 with a watermark.
  * @param {string} userId - The user ID
- * @param {object} imageParams - Parameters for image generation
- * @returns {Promise<object>} - Generated image data or error
+ * @param {number} imageCount - How many images the request will create (default: 1)
+ * @returns {Promise<object>} - The access rules, or { error, code } if the user can't generate
+ */
+const resolveGenerationAccess = async (userId, imageCount = 1) => {
+  // Check if user has credits
+  const credits = await getUserCredits(userId);
+  const hasCredits = credits > 0;
+  
+  // Check if user is on free plan
+  const isFreePlan = await isUserOnFreePlan(userId);
+  
+  // Check if user has reached daily limit (for paid plans)
+  if (!isFreePlan) {
+    const { hasReachedLimit, count, limit } = await checkDailyImageLimit(userId);
+    if (hasReachedLimit) {
+      return {
+        error: `You've reached your daily limit of ${limit} images. Your plan allows ${limit} images per day.`,
+        code: 'DAILY_LIMIT_REACHED'
+      };
+    }
+    if (count + imageCount > limit) {
+      return {
+        error: `This request creates ${imageCount} images, but only ${limit - count} of your ${limit} daily images are left.`,
+        code: 'DAILY_LIMIT_REACHED'
+      };
+    }
+  }
+  
+  // Determine if this should be a free generation
+  let isFreeGeneration = false;
+  let useCredits = true;
+  
+  // If user has no credits, check if they have free daily generations
+  if (!hasCredits) {
+    const { hasRemaining, used, limit } = await checkFreeDailyGenerations(userId);
+    if (!hasRemaining) {
+      return {
+        error: `You've used all ${limit} of your free daily generations and have no credits. Please purchase credits to continue.`,
+        code: 'NO_CREDITS_NO_FREE_GENERATIONS'
+      };
+    }
+    if (used + imageCount > limit) {
+      return {
+        error: `This request creates ${imageCount} images, but you only have ${limit - used} free generations left today. Please purchase credits to continue.`,
+        code: 'NO_CREDITS_NO_FREE_GENERATIONS'
+      };
+    }
+    isFreeGeneration = true;
+    useCredits = false;
+  }
+  
+  // Free plan users using free generations get low quality images with watermark (5 per day).
+  // Free plan users using credits and paid plan users get full resolution without watermark.
+  const isLimitedQuality = isFreePlan && isFreeGeneration;
+  
+  return {
+    isFreePlan,
+    isFreeGeneration,
+    useCredits,
+    shouldWatermark: isLimitedQuality,
+    shouldResize: isLimitedQuality
+  };
+};
+
+/**
+ * Reserve the credits for a generation so concurrent requests can't overspend the balance
+ * @param {string} userId - The user ID
+ * @param {object} access - Access rules from resolveGenerationAccess
+ * @param {number} creditCost - Credits to reserve
+ * @param {string} source - Transaction source recorded with the charge
+ * @param {string} referenceId - Optional reference recorded with the charge
+ * @param {number} ttlSeconds - Optional hold lifetime for long-running generations
+ * @returns {Promise<object>} - { hold } (null for free generations), or { error, code }
  */
-const createImage = async (userId, imageParams) => {
+const reserveGenerationCredits = async (userId, access, creditCost, source, referenceId = null, ttlSeconds) => {
+  if (!access.useCredits) {
+    return { hold: null };
+  }
+  
+  try {
+    return { hold: await holdCredits(userId, creditCost, source, referenceId, ttlSeconds) };
+  } catch (error) {
+    if (error.statusCode === 402) {
+      return {
+        error: `This generation costs ${creditCost} credits, which is more than your available balance.`,
+        code: 'INSUFFICIENT_CREDITS'
+      };
+    }
+    throw error;
+  }
+};
+
+/**
+ * Upload a generated image to Cloudinary and apply the resize and watermark rules
+ * @param {string} imageUrl - Data URL of the generated image
+ * @param {object} access - Access rules from resolveGenerationAccess
+ * @param {object} finalSize - Size to scale limited-quality images to ({ width, height })
+ * @param {Function} onProgress - Progress callback
+ * @returns {Promise<object>} - { imageUrl, cloudinaryPublicId, cloudinaryOriginalUrl, width, height }, or { error }
+ */
+const uploadGeneratedImage = async (imageUrl, access, finalSize, onProgress = () => {}) => {
+  const { shouldResize, shouldWatermark } = access;
+  
   try {
-    // Check if user has credits
-    const credits = await getUserCredits(userId);
-    const hasCredits = credits > 0;
+    // Upload the original image to Cloudinary
+    onProgress('uploading');
+    const uploadResult = await uploadImage(imageUrl, 'ai-generated');
     
-    // Check if user is on free plan
-    const isFreePlan = await isUserOnFreePlan(userId);
+    if (!uploadResult || !uploadResult.secure_url) {
+      console.error('Invalid Cloudinary upload result:', uploadResult);
+      return { error: 'Error uploading image to Cloudinary' };
+    }
     
-    // Calculate credit cost based on parameters
-    const creditCost = calculateCreditCost(imageParams);
+    const cloudinaryPublicId = uploadResult.public_id;
+    const cloudinaryOriginalUrl = uploadResult.secure_url;
+    let finalUrl = cloudinaryOriginalUrl; // Set default URL
+    
+    // Apply transformations (resize and/or watermark)
+    if (shouldResize || shouldWatermark) {
+      onProgress('watermarking', { watermark: shouldWatermark, resize: shouldResize });
+    }
     
-    // Check if user has reached daily limit (for paid plans)
-    if (!isFreePlan) {
-      const { hasReachedLimit, used, limit } = await checkDailyImageLimit(userId);
-      if (hasReachedLimit) {
-        return {
-          error: `You've reached your daily limit of ${limit} images. Your plan allows ${limit} images per day.`,
-          code: 'DAILY_LIMIT_REACHED'
-        };
+    if (shouldResize && shouldWatermark) {
+      // Resize and add watermark
+      const watermarkedUrl = addWatermark(cloudinaryPublicId, finalSize.width, finalSize.height);
+      if (watermarkedUrl) {
+        finalUrl = watermarkedUrl;
+      }
+    } else if (shouldResize) {
+      // Only resize
+      finalUrl = cloudinary.url(cloudinaryPublicId, {
+        width: finalSize.width,
+        height: finalSize.height,
+        crop: 'scale'
+      });
+    } else if (shouldWatermark) {
+      // Only add watermark
+      const watermarkedUrl = addWatermark(cloudinaryPublicId);
+      if (watermarkedUrl) {
+        finalUrl = watermarkedUrl;
       }
     }
     
-    // Determine if this should be a free generation
-    let isFreeGeneration = false;
-    let useCredits = true;
-    
-    // If user has no credits, check if they have free daily generations
-    if (!hasCredits) {
-      const { hasRemaining, used, limit } = await checkFreeDailyGenerations(userId);
-      if (hasRemaining) {
-        isFreeGeneration = true;
-        useCredits = false;
-      } else {
-        return {
-          error: `You've used all ${limit} of your free daily generations and have no credits. Please purchase credits to continue.`,
-          code: 'NO_CREDITS_NO_FREE_GENERATIONS'
-        };
+    return {
+      // Ensure we have a valid URL
+      imageUrl: finalUrl || cloudinaryOriginalUrl,
+      cloudinaryPublicId,
+      cloudinaryOriginalUrl,
+      width: shouldResize ? finalSize.width : uploadResult.width,
+      height: shouldResize ? finalSize.height : uploadResult.height
+    };
+  } catch (error) {
+    console.error('Error uploading to Cloudinary:', error);
+    return { error: 'Error processing image' };
+  }
+};
+
+/**
+ * Build the meta block returned with a generated image
+ * @param {string} userId - The user ID
+ * @param {object} access - Access rules from resolveGenerationAccess
+ * @returns {Promise<object>} - Credits remaining and free generation usage
+ */
+const buildGenerationMeta = async (userId, access) => {
+  // Get updated credit balance
+  const updatedCredits = await getUserCredits(userId);
+  
+  return {
+    credits_remaining: updatedCredits,
+    free_generations: access.isFreeGeneration ? {
+      used: (await checkFreeDailyGenerations(userId)).used,
+      limit: FREE_DAILY_GENERATIONS
+    } : null,
+    quality_info: access.isFreeGeneration ? 
+      "This is a free generation with limited quality (512x512) and watermark. Purchase credits for high-quality images." : 
+      "High-quality image generated using credits or as part of your plan."
+  };
+};
+
+/**
+ * Release a credit hold, logging rather than throwing on failure
+ * @param {object} hold - The hold to release (no-op once captured)
+ */
+const releaseHoldQuietly = async (hold) => {
+  try {
+    await releaseCreditHold(hold);
+  } catch (releaseError) {
+    console.error('Failed to release credit hold:', releaseError);
+  }
+};
+
+/**
+ * Send the image.generated webhook event for a saved image. Not awaited, so
+ * slow endpoints don't hold up the response.
+ * @param {object} image - The saved images record
+ */
+const announceGeneratedImage = (image) => {
+  dispatchWebhookEvent(image.user_id, 'image.generated', {
+    imageId: image.id,
+    url: image.cloudinary_url,
+    prompt: image.original_prompt || image.prompt,
+    generationType: image.generation_type,
+    operation: image.operation,
+    parentImageId: image.parent_image_id || null,
+    width: image.width,
+    height: image.height,
+    creditCost: image.credit_cost,
+    createdAt: image.created_at
+  });
+};
+
+/**
+ * Find the image a generation is remixing. Other users' images can only be remixed
+ * if they are shared (unlisted or public) with their prompt shown.
+ * @param {string} userId - The user generating the remix
+ * @param {string} imageId - The image being remixed
+ * @returns {Promise<object>} - The images record, or { error, code } if it can't be remixed
+ */
+const getRemixSource = async (userId, imageId) => {
+  const { data: image, error } = await supabase
+    .from('images')
+    .select('id, user_id, original_prompt, negative_prompt, model_id, cfg_scale, steps, style, visibility, show_prompt, is_hidden')
+    .eq('id', imageId)
+    .maybeSingle();
+  
+  if (error) {
+    throw new ApiError(`Failed to get image: ${error.message}`, 500);
+  }
+  
+  const isShared = image && image.visibility !== 'private' && image.show_prompt;
+  
+  if (!image || image.is_hidden || (image.user_id !== userId && !isShared)) {
+    return { error: 'The image to remix was not found or doesn\'t share its prompt', code: 'SOURCE_IMAGE_NOT_FOUND' };
+  }
+  
+  return image;
+};
+
+/**
+ * Generate an image based on user prompt
+ * @param {string} userId - The user ID
+ * @param {object} imageParams - Parameters for image generation. remixed_from is
+ *   the ID of a shared image whose prompt and settings are used (and can be overridden);
+ *   its creator is credited on the new image.
+ * @param {object} options - Pipeline options
+ * @param {Function} options.onProgress - Optional callback invoked with (stage, details) as the pipeline advances
+ * @returns {Promise<object>} - Generated image data or error
+ */
+const createImage = async (userId, imageParams, { onProgress = () => {} } = {}) => {
+  let hold = null;
+  
+  try {
+    onProgress('validating');
+    
+    let remixSource = null;
+    if (imageParams.remixed_from) {
+      remixSource = await getRemixSource(userId, imageParams.remixed_from);
+      if (remixSource.error) {
+        return remixSource;
       }
+      
+      imageParams = {
+        ...imageParams,
+        prompt: imageParams.prompt || remixSource.original_prompt,
+        negative_prompt: imageParams.negative_prompt || remixSource.negative_prompt,
+        model_id: imageParams.model_id || remixSource.model_id,
+        cfg_scale: imageParams.cfg_scale || remixSource.cfg_scale,
+        steps: imageParams.steps || remixSource.steps,
+        style: imageParams.style || remixSource.style
+      };
+    }
+    
+    // Remixing your own image isn't credited
+    const remixedFrom = remixSource && remixSource.user_id !== userId ? remixSource : null;
+    
+    // Screen the prompt before anything is reserved
+    const moderation = await screenPrompt({ userId, source: 'image', prompt: imageParams.prompt });
+    if (moderation.action === 'block') {
+      return getPromptBlockedResult(moderation);
+    }
+    
+    // Calculate credit cost based on parameters
+    const creditCost = calculateCreditCost(imageParams);
+    
+    // Check credits, plan limits and free generations
+    const access = await resolveGenerationAccess(userId);
+    if (access.error) {
+      return access;
     }
     
     // Set parameters based on user status - always request 1024x1024 from the API
     let finalParams = { 
       ...imageParams,
       width: 1024,
-      height: 1024
+      height: 1024,
+      userId
     };
     
-    // Determine if we should watermark and resize the result
-    let shouldWatermark = false;
-    let shouldResize = false;
-    let finalWidth = 1024;
-    let finalHeight = 1024;
-    
-    // Apply restrictions based on plan and credits
-    if (isFreePlan && !isFreeGeneration && hasCredits) {
-      // Free plan users using credits get HD images without watermark
-      shouldWatermark = false;
-      shouldResize = false;
-    } else if (isFreePlan && isFreeGeneration) {
-      // Free plan users using free generations get low quality images with watermark (5 per day)
-      shouldWatermark = true;
-      shouldResize = true;
-      finalWidth = 512;
-      finalHeight = 512;
-    } else {
-      // Paid plan users get full resolution without watermark
-      shouldWatermark = false;
-      shouldResize = false;
+    // Limited-quality results are scaled down to 512x512
+    const finalSize = access.shouldResize ? { width: 512, height: 512 } : { width: 1024, height: 1024 };
+    
+    // Reserve the credits up front so concurrent requests can't overspend the balance
+    const reservation = await reserveGenerationCredits(userId, access, creditCost, 'image_generation');
+    if (reservation.error) {
+      return reservation;
     }
+    hold = reservation.hold;
+    onProgress('credits_reserved', { creditCost: access.useCredits ? creditCost : 0, freeGeneration: access.isFreeGeneration });
     
     // Generate the image at 1024x1024
+    onProgress('model_call_started');
     const generatedImage = await generateImage(finalParams);
     
     if (generatedImage.error) {
       console.error('Error from Stability AI:', generatedImage.error);
-      return { error: generatedImage.error };
+      return { error: generatedImage.error, code: generatedImage.code };
     }
     
-    // Upload to Cloudinary
-    let imageUrl = generatedImage.imageUrl;
-    let cloudinaryPublicId = null;
-    let cloudinaryOriginalUrl = null;
-    
-    if (imageUrl) {
-      try {
-        // Upload the original image to Cloudinary
-        const uploadResult = await uploadImage(imageUrl, 'ai-generated');
-        
-        if (!uploadResult || !uploadResult.secure_url) {
-          console.error('Invalid Cloudinary upload result:', uploadResult);
-          return { error: 'Error uploading image to Cloudinary' };
-        }
-        
-        cloudinaryPublicId = uploadResult.public_id;
-        cloudinaryOriginalUrl = uploadResult.secure_url;
-        imageUrl = cloudinaryOriginalUrl; // Set default URL
-        
-        // Apply transformations (resize and/or watermark)
-        if (shouldResize && shouldWatermark) {
-          // Resize and add watermark
-          const watermarkedUrl = addWatermark(cloudinaryPublicId, finalWidth, finalHeight);
-          if (watermarkedUrl) {
-            imageUrl = watermarkedUrl;
-          }
-        } else if (shouldResize) {
-          // Only resize
-          imageUrl = cloudinary.url(cloudinaryPublicId, {
-            width: finalWidth,
-            height: finalHeight,
-            crop: 'scale'
-          });
-        } else if (shouldWatermark) {
-          // Only add watermark
-          const watermarkedUrl = addWatermark(cloudinaryPublicId);
-          if (watermarkedUrl) {
-            imageUrl = watermarkedUrl;
-          }
-        }
-        
-        // Ensure we have a valid URL
-        if (!imageUrl) {
-          imageUrl = cloudinaryOriginalUrl;
-        }
-      } catch (error) {
-        console.error('Error uploading to Cloudinary:', error);
-        return { error: 'Error processing image' };
-      }
-    } else {
+    if (!generatedImage.imageUrl) {
       return { error: 'No image URL received from generation API' };
     }
     
-    // Deduct credits if needed
-    if (useCredits) {
-      await deductCredits(userId, creditCost, 'image_generation');
+    // Upload to Cloudinary
+    const upload = await uploadGeneratedImage(generatedImage.imageUrl, access, finalSize, onProgress);
+    if (upload.error) {
+      return upload;
     }
     
     // Save the image record
+    const imageId = uuidv4();
     const { data: savedImage, error: saveError } = await supabase
       .from('images')
       .insert({
-        id: uuidv4(),
+        id: imageId,
         user_id: userId,
         prompt: imageParams.prompt,
         original_prompt: imageParams.prompt,
         negative_prompt: imageParams.negative_prompt || null,
         generation_type: 'text-to-image',
         model_id: imageParams.model_id || 'stable-diffusion-v1-6',
-        resolution: `${finalWidth}x${finalHeight}`,
-        width: finalWidth,
-        height: finalHeight,
+        resolution: `${finalSize.width}x${finalSize.height}`,
+        width: finalSize.width,
+        height: finalSize.height,
         cfg_scale: imageParams.cfg_scale || 7,
         steps: imageParams.steps || 30,
         style: imageParams.style || null,
         seed: generatedImage.seed || null,
         finish_reason: generatedImage.finish_reason || null,
-        cloudinary_url: imageUrl,
-        cloudinary_original_url: cloudinaryOriginalUrl,
-        cloudinary_public_id: cloudinaryPublicId,
-        credit_cost: useCredits ? creditCost : 0,
-        has_watermark: shouldWatermark,
-        is_free_user: isFreePlan,
-        is_free_generation: isFreeGeneration
+        cloudinary_url: upload.imageUrl,
+        cloudinary_original_url: upload.cloudinaryOriginalUrl,
+        cloudinary_public_id: upload.cloudinaryPublicId,
+        credit_cost: access.useCredits ? creditCost : 0,
+        has_watermark: access.shouldWatermark,
+        is_free_user: access.isFreePlan,
+        is_free_generation: access.isFreeGeneration,
+        root_image_id: imageId,
+        operation: 'generate',
+        remixed_from_image_id: remixedFrom ? remixedFrom.id : null,
+        remixed_from_user_id: remixedFrom ? remixedFrom.user_id : null
       })
       .select()
       .single();
@@ -550,33 +774,1316 @@ const createImage = async (userId, imageParams) => {
       return { error: 'Error saving image' };
     }
     
-    // Get updated credit balance
-    const updatedCredits = await getUserCredits(userId);
+    // Charge the reserved credits now that the image is saved
+    if (hold) {
+      await captureCreditHold(hold);
+    }
+    await attachImageToFlag(moderation, savedImage.id);
+    announceGeneratedImage(savedImage);
+    onProgress('saved', { imageId: savedImage.id });
     
     // Return the image data with additional context
     return { 
       image: savedImage,
-      meta: {
-        credits_remaining: updatedCredits,
-        free_generations: isFreeGeneration ? {
-          used: (await checkFreeDailyGenerations(userId)).used,
-          limit: FREE_DAILY_GENERATIONS
-        } : null,
-        quality_info: isFreeGeneration ? 
-          "This is a free generation with limited quality (512x512) and watermark. Purchase credits for high-quality images." : 
-          "High-quality image generated using credits or as part of your plan."
-      }
+      meta: await buildGenerationMeta(userId, access)
     };
   } catch (error) {
     console.error('Error in createImage:', error);
     return { error: 'Failed to generate image' };
+  } finally {
+    // Release the reservation if the image wasn't saved (no-op once captured)
+    await releaseHoldQuietly(hold);
+  }
+};
+
+/**
+ * Lineage columns for a new image derived from one of the user's images
+ * @param {object} sourceImage - The images record the new image was made from
+ * @param {string} operation - How it was made (e.g. 'upscale', 'inpaint')
+ * @returns {object} - parent_image_id, root_image_id and operation
+ */
+const getDerivedImageLineage = (sourceImage, operation) => ({
+  parent_image_id: sourceImage.id,
+  // Rows created before lineage tracking have no root; they are their own root
+  root_image_id: sourceImage.root_image_id || sourceImage.id,
+  operation
+});
+
+/**
+ * Use a stored image's model if the active provider has it, and the provider's default otherwise
+ * @param {object} provider - The image provider
+ * @param {string} modelId - The model recorded on the image
+ * @returns {string} - The model ID to request
+ */
+const resolveProviderModel = (provider, modelId) => {
+  return Object.values(provider.models).includes(modelId) ? modelId : provider.defaultModel;
+};
+
+/**
+ * Download the unprocessed version of a stored image
+ * @param {object} image - The images record
+ * @returns {Promise<Buffer>} - The image data
+ */
+const downloadStoredImage = async (image) => {
+  const response = await axios.get(image.cloudinary_original_url || image.cloudinary_url, {
+    responseType: 'arraybuffer'
+  });
+  
+  return Buffer.from(response.data);
+};
+
+/**
+ * Load the init image for a transform, either from an upload or from one of the user's images
+ * @param {string} userId - The user ID
+ * @param {object} file - Optional uploaded file (multer)
+ * @param {string} sourceImageId - Optional ID of an existing image to transform
+ * @returns {Promise<object>} - { buffer, sourceImage } (sourceImage is null for uploads)
+ */
+const loadInitImage = async (userId, file, sourceImageId) => {
+  if (file) {
+    return { buffer: file.buffer, sourceImage: null };
+  }
+  
+  // Throws a 404 if the image doesn't exist or belongs to someone else
+  const sourceImage = await getImageById(sourceImageId, userId);
+  
+  return { buffer: await downloadStoredImage(sourceImage), sourceImage };
+};
+
+/**
+ * Transform an image with a prompt (image-to-image)
+ * @param {string} userId - The user ID
+ * @param {object} params - Transform parameters
+ * @param {string} params.prompt - The prompt describing the result
+ * @param {string} params.negative_prompt - Optional negative prompt
+ * @param {number} params.image_strength - How much of the init image to keep, 0 to 1 (default: 0.35)
+ * @param {string} params.style - Optional style preset
+ * @param {string} params.source_image_id - ID of one of the user's images to use instead of an upload
+ * @param {object} file - The uploaded init image (multer), if any
+ * @param {object} options - Pipeline options
+ * @param {Function} options.onProgress - Optional callback invoked with (stage, details) as the pipeline advances
+ * @returns {Promise<object>} - Generated image data or error
+ */
+const transformImage = async (userId, params, file, { onProgress = () => {} } = {}) => {
+  let hold = null;
+  
+  try {
+    onProgress('validating');
+    
+    if (!params.prompt || params.prompt.trim() === '') {
+      return { error: 'Prompt is required', code: 'INVALID_TRANSFORM_REQUEST' };
+    }
+    
+    if (!file && !params.source_image_id) {
+      return { error: 'An init image upload or source_image_id is required', code: 'INVALID_TRANSFORM_REQUEST' };
+    }
+    
+    const moderation = await screenPrompt({ userId, source: 'transform', prompt: params.prompt, referenceId: params.source_image_id || null });
+    if (moderation.action === 'block') {
+      return getPromptBlockedResult(moderation);
+    }
+    
+    const imageStrength = params.image_strength === undefined || params.image_strength === ''
+      ? 0.35
+      : parseFloat(params.image_strength);
+    
+    if (isNaN(imageStrength) || imageStrength < 0 || imageStrength > 1) {
+      return { error: 'image_strength must be a number between 0 and 1', code: 'INVALID_TRANSFORM_REQUEST' };
+    }
+    
+    const { buffer, sourceImage } = await loadInitImage(userId, file, params.source_image_id);
+    
+    // Reject uploads sharp can't read before reserving any credits
+    try {
+      await sharp(buffer).metadata();
+    } catch (error) {
+      return { error: 'The init image could not be read. Upload a PNG, JPEG or WebP image.', code: 'INVALID_TRANSFORM_REQUEST' };
+    }
+    
+    // Check credits, plan limits and free generations
+    const access = await resolveGenerationAccess(userId);
+    if (access.error) {
+      return access;
+    }
+    
+    const creditCost = await getCreditCost('IMAGE_TO_IMAGE', 'HD', userId);
+    
+    const reservation = await reserveGenerationCredits(userId, access, creditCost, 'image_transform');
+    if (reservation.error) {
+      return reservation;
+    }
+    hold = reservation.hold;
+    onProgress('credits_reserved', { creditCost: access.useCredits ? creditCost : 0, freeGeneration: access.isFreeGeneration });
+    
+    // Keep a copy of uploaded init images so the result can link back to its source
+    let sourceImageUrl = sourceImage ? sourceImage.cloudinary_original_url || sourceImage.cloudinary_url : null;
+    if (!sourceImage) {
+      const sourceUpload = await uploadImage(
+        `data:${file.mimetype || 'image/png'};base64,${buffer.toString('base64')}`,
+        'ai-generated/sources'
+      );
+      sourceImageUrl = sourceUpload.secure_url;
+    }
+    
+    onProgress('model_call_started');
+    const style = params.style ? params.style.split(',')[0].trim() : null;
+    const provider = getImageProvider();
+    let result;
+    
+    try {
+      result = await provider.imageToImage({
+        image: buffer,
+        prompt: params.prompt,
+        negativePrompt: params.negative_prompt || '',
+        imageStrength,
+        style,
+        cfgScale: parseFloat(params.cfg_scale) || 7,
+        steps: parseInt(params.steps, 10) || 30,
+        seed: parseInt(params.seed, 10) || 0,
+        userId
+      });
+    } catch (error) {
+      console.error('Error from image provider:', error);
+      return { error: `Error: ${error.message}`, code: error.code };
+    }
+    
+    const generated = result.images[0];
+    
+    // Limited-quality results keep the result's aspect ratio (SDXL may have cropped the
+    // init image to one of its sizes) with the long side at 512
+    const generatedMetadata = await sharp(Buffer.from(generated.base64, 'base64')).metadata();
+    const finalSize = getFinalImageSize({ width: generatedMetadata.width, height: generatedMetadata.height }, access);
+    
+    const upload = await uploadGeneratedImage(`data:image/png;base64,${generated.base64}`, access, finalSize, onProgress);
+    if (upload.error) {
+      return upload;
+    }
+    
+    const imageId = uuidv4();
+    const { data: savedImage, error: saveError } = await supabase
+      .from('images')
+      .insert({
+        id: imageId,
+        user_id: userId,
+        prompt: result.parameters.prompt || params.prompt,
+        original_prompt: params.prompt,
+        negative_prompt: params.negative_prompt || null,
+        generation_type: 'image-to-image',
+        model_id: result.parameters.model || provider.defaultModel,
+        resolution: `${upload.width}x${upload.height}`,
+        width: upload.width,
+        height: upload.height,
+        cfg_scale: result.parameters.cfgScale || 7,
+        steps: result.parameters.steps || 30,
+        style,
+        seed: generated.seed || null,
+        finish_reason: generated.finishReason || null,
+        cloudinary_url: upload.imageUrl,
+        cloudinary_original_url: upload.cloudinaryOriginalUrl,
+        cloudinary_public_id: upload.cloudinaryPublicId,
+        credit_cost: access.useCredits ? creditCost : 0,
+        has_watermark: access.shouldWatermark,
+        is_free_user: access.isFreePlan,
+        is_free_generation: access.isFreeGeneration,
+        // Transforms of an uploaded image start a new lineage
+        ...(sourceImage
+          ? getDerivedImageLineage(sourceImage, 'transform')
+          : { parent_image_id: null, root_image_id: imageId, operation: 'transform' }),
+        source_image_url: sourceImageUrl,
+        image_strength: imageStrength
+      })
+      .select()
+      .single();
+    
+    if (saveError) {
+      console.error('Error saving transformed image:', saveError);
+      return { error: 'Error saving image' };
+    }
+    
+    // Charge the reserved credits now that the image is saved
+    if (hold) {
+      await captureCreditHold(hold);
+    }
+    await attachImageToFlag(moderation, savedImage.id);
+    announceGeneratedImage(savedImage);
+    onProgress('saved', { imageId: savedImage.id });
+    
+    return {
+      image: savedImage,
+      meta: await buildGenerationMeta(userId, access)
+    };
+  } catch (error) {
+    console.error('Error in transformImage:', error);
+    
+    if (error instanceof ApiError && error.statusCode === 404) {
+      return { error: 'Source image not found', code: 'SOURCE_IMAGE_NOT_FOUND' };
+    }
+    
+    return { error: 'Failed to transform image' };
+  } finally {
+    // Release the reservation if the image wasn't saved (no-op once captured)
+    await releaseHoldQuietly(hold);
+  }
+};
+
+/**
+ * Upscale one of the user's images and store the result as a new image linked to the original
+ * @param {string} imageId - The image to upscale
+ * @param {string} userId - The user ID (for permission check)
+ * @param {object} params - Upscale parameters
+ * @param {number} params.width - Target width in pixels (defaults to double the original; the height keeps the aspect ratio)
+ * @param {object} options - Pipeline options
+ * @param {Function} options.onProgress - Optional callback invoked with (stage, details) as the pipeline advances
+ * @returns {Promise<object>} - The new image record and credit meta
+ */
+const upscaleImage = async (imageId, userId, { width } = {}, { onProgress = () => {} } = {}) => {
+  let hold = null;
+  
+  try {
+    onProgress('validating');
+    
+    // Throws a 404 if the image doesn't exist or belongs to someone else
+    const sourceImage = await getImageById(imageId, userId);
+    const buffer = await downloadStoredImage(sourceImage);
+    const metadata = await sharp(buffer).metadata();
+    
+    const targetWidth = width === undefined || width === null || width === '' ? metadata.width * 2 : parseInt(width, 10);
+    
+    if (isNaN(targetWidth) || targetWidth <= metadata.width) {
+      throw new ApiError(`width must be larger than the current width of ${metadata.width}px`, 400);
+    }
+    
+    if (targetWidth > MAX_UPSCALE_WIDTH) {
+      throw new ApiError(`width can't be more than ${MAX_UPSCALE_WIDTH}px`, 400);
+    }
+    
+    // Upscaling is always paid for with credits; throws a 402 if the balance is too low
+    const creditCost = await getCreditCost('UPSCALE', 'UPSCALE', userId);
+    hold = await holdCredits(userId, creditCost, 'image_upscale', imageId);
+    onProgress('credits_reserved', { creditCost });
+    
+    onProgress('model_call_started');
+    const provider = getImageProvider();
+    const result = await provider.upscale({
+      image: buffer,
+      width: width === undefined || width === null || width === '' ? undefined : targetWidth,
+      userId
+    });
+    
+    const upscaled = result.images[0];
+    
+    // Watermarked originals stay watermarked when upscaled
+    const access = { shouldWatermark: sourceImage.has_watermark, shouldResize: false };
+    const upload = await uploadGeneratedImage(`data:image/png;base64,${upscaled.base64}`, access, null, onProgress);
+    if (upload.error) {
+      throw new ApiError(upload.error, 500);
+    }
+    
+    const { data: savedImage, error: saveError } = await supabase
+      .from('images')
+      .insert({
+        id: uuidv4(),
+        user_id: userId,
+        prompt: sourceImage.prompt,
+        original_prompt: sourceImage.original_prompt,
+        negative_prompt: sourceImage.negative_prompt,
+        generation_type: 'upscale',
+        model_id: result.parameters.model || sourceImage.model_id,
+        resolution: `${upload.width}x${upload.height}`,
+        width: upload.width,
+        height: upload.height,
+        cfg_scale: sourceImage.cfg_scale,
+        steps: sourceImage.steps,
+        style: sourceImage.style,
+        seed: sourceImage.seed,
+        finish_reason: upscaled.finishReason || null,
+        cloudinary_url: upload.imageUrl,
+        cloudinary_original_url: upload.cloudinaryOriginalUrl,
+        cloudinary_public_id: upload.cloudinaryPublicId,
+        credit_cost: creditCost,
+        has_watermark: access.shouldWatermark,
+        is_free_user: sourceImage.is_free_user,
+        is_free_generation: false,
+        ...getDerivedImageLineage(sourceImage, 'upscale')
+      })
+      .select()
+      .single();
+    
+    if (saveError) {
+      throw new ApiError(`Failed to store upscaled image: ${saveError.message}`, 500);
+    }
+    
+    await captureCreditHold(hold);
+    announceGeneratedImage(savedImage);
+    onProgress('saved', { imageId: savedImage.id });
+    
+    return {
+      image: savedImage,
+      meta: {
+        credits_remaining: await getUserCredits(userId)
+      }
+    };
+  } catch (error) {
+    console.error('Error upscaling image:', error);
+    throw error instanceof ApiError 
+      ? error 
+      : new ApiError(`Failed to upscale image: ${error.message}`, 500);
+  } finally {
+    // Release the reservation if the image wasn't saved (no-op once captured)
+    await releaseHoldQuietly(hold);
   }
 };
 
+/**
+ * Regenerate the masked region of a stored image and save the result as a new version of it.
+ * The edit reuses the original's seed, style, model and generation settings.
+ * @param {string} userId - The user ID
+ * @param {object} sourceImage - The images record being edited
+ * @param {string} operation - 'inpaint' or 'outpaint'
+ * @param {object} edit - The edit to apply
+ * @param {Buffer} edit.image - The image to edit (already extended for outpainting)
+ * @param {Buffer} edit.mask - PNG mask the same size as the image; white areas are regenerated
+ * @param {string} edit.prompt - The prompt describing the new content
+ * @param {string} edit.negativePrompt - The negative prompt
+ * @param {Function} onProgress - Progress callback
+ * @returns {Promise<object>} - The new image record and credit meta
+ */
+const saveMaskedEdit = async (userId, sourceImage, operation, { image, mask, prompt, negativePrompt }, onProgress) => {
+  let hold = null;
+  
+  try {
+    // Screen the prompt before anything is reserved; throws a 422 if it is blocked
+    const moderation = await assertPromptAllowed({ userId, source: operation, prompt, referenceId: sourceImage.id });
+    
+    // Edits are always paid for with credits; throws a 402 if the balance is too low
+    const creditCost = await getCreditCost(operation.toUpperCase(), operation.toUpperCase(), userId);
+    hold = await holdCredits(userId, creditCost, `image_${operation}`, sourceImage.id);
+    onProgress('credits_reserved', { creditCost });
+    
+    const provider = getImageProvider();
+    const modelId = resolveProviderModel(provider, sourceImage.model_id);
+    
+    onProgress('model_call_started');
+    const result = await provider.inpaint({
+      image,
+      mask,
+      prompt,
+      negativePrompt: negativePrompt || '',
+      modelId,
+      cfgScale: Number(sourceImage.cfg_scale) || 7,
+      steps: sourceImage.steps || 30,
+      style: sourceImage.style || null,
+      seed: sourceImage.seed || 0,
+      userId
+    });
+    
+    const edited = result.images[0];
+    
+    // Watermarked originals stay watermarked when edited
+    const access = { shouldWatermark: sourceImage.has_watermark, shouldResize: false };
+    const upload = await uploadGeneratedImage(`data:image/png;base64,${edited.base64}`, access, null, onProgress);
+    if (upload.error) {
+      throw new ApiError(upload.error, 500);
+    }
+    
+    const { data: savedImage, error: saveError } = await supabase
+      .from('images')
+      .insert({
+        id: uuidv4(),
+        user_id: userId,
+        prompt: result.parameters.prompt || prompt,
+        original_prompt: prompt,
+        negative_prompt: negativePrompt || null,
+        generation_type: operation,
+        model_id: result.parameters.model || modelId,
+        resolution: `${upload.width}x${upload.height}`,
+        width: upload.width,
+        height: upload.height,
+        cfg_scale: sourceImage.cfg_scale,
+        steps: sourceImage.steps,
+        style: sourceImage.style,
+        seed: edited.seed || sourceImage.seed,
+        finish_reason: edited.finishReason || null,
+        cloudinary_url: upload.imageUrl,
+        cloudinary_original_url: upload.cloudinaryOriginalUrl,
+        cloudinary_public_id: upload.cloudinaryPublicId,
+        credit_cost: creditCost,
+        has_watermark: access.shouldWatermark,
+        is_free_user: sourceImage.is_free_user,
+        is_free_generation: false,
+        ...getDerivedImageLineage(sourceImage, operation)
+      })
+      .select()
+      .single();
+    
+    if (saveError) {
+      throw new ApiError(`Failed to store edited image: ${saveError.message}`, 500);
+    }
+    
+    await captureCreditHold(hold);
+    announceGeneratedImage(savedImage);
+    onProgress('saved', { imageId: savedImage.id });
+    
+    return {
+      image: savedImage,
+      meta: {
+        credits_remaining: await getUserCredits(userId)
+      }
+    };
+  } finally {
+    // Release the reservation if the image wasn't saved (no-op once captured)
+    await releaseHoldQuietly(hold);
+  }
+};
+
+/**
+ * Regenerate a region of one of the user's images
+ * @param {string} imageId - The image to edit
+ * @param {string} userId - The user ID (for permission check)
+ * @param {object} params - Inpainting parameters
+ * @param {string} params.prompt - The prompt describing the new content
+ * @param {string} params.negative_prompt - Optional negative prompt (defaults to the original's)
+ * @param {Array|string} params.polygons - Polygons to regenerate, in image pixels, if no mask is uploaded
+ * @param {object} maskFile - Uploaded mask PNG (multer); white areas are regenerated
+ * @param {object} options - Pipeline options
+ * @param {Function} options.onProgress - Optional callback invoked with (stage, details) as the pipeline advances
+ * @returns {Promise<object>} - The new image record and credit meta
+ */
+const inpaintImage = async (imageId, userId, params, maskFile, { onProgress = () => {} } = {}) => {
+  try {
+    onProgress('validating');
+    
+    if (!params.prompt || params.prompt.trim() === '') {
+      throw new ApiError('Prompt is required', 400);
+    }
+    
+    const polygons = maskFile ? null : parseMaskPolygons(params.polygons);
+    
+    if (!maskFile && !polygons) {
+      throw new ApiError('Upload a mask image or send polygons as a list of [x, y] points', 400);
+    }
+    
+    // Throws a 404 if the image doesn't exist or belongs to someone else
+    const sourceImage = await getImageById(imageId, userId);
+    const image = await downloadStoredImage(sourceImage);
+    const { width, height } = await sharp(image).metadata();
+    
+    let mask;
+    try {
+      const maskInput = maskFile ? maskFile.buffer : Buffer.from(buildPolygonMaskSvg(width, height, polygons));
+      mask = await sharp(maskInput)
+        .resize(width, height, { fit: 'fill' })
+        .flatten({ background: '#000000' })
+        .greyscale()
+        .png()
+        .toBuffer();
+    } catch (error) {
+      throw new ApiError('The mask could not be read. Upload a PNG mask.', 400);
+    }
+    
+    return await saveMaskedEdit(userId, sourceImage, 'inpaint', {
+      image,
+      mask,
+      prompt: params.prompt,
+      negativePrompt: params.negative_prompt || sourceImage.negative_prompt
+    }, onProgress);
+  } catch (error) {
+    console.error('Error inpainting image:', error);
+    throw error instanceof ApiError 
+      ? error 
+      : new ApiError(`Failed to inpaint image: ${error.message}`, 500);
+  }
+};
+
+/**
+ * Extend the canvas of one of the user's images and fill the new area
+ * @param {string} imageId - The image to extend
+ * @param {string} userId - The user ID (for permission check)
+ * @param {object} params - Outpainting parameters
+ * @param {number} params.top - Pixels to add above the image
+ * @param {number} params.right - Pixels to add to the right
+ * @param {number} params.bottom - Pixels to add below the image
+ * @param {number} params.left - Pixels to add to the left
+ * @param {string} params.prompt - Optional prompt for the new area (defaults to the original prompt)
+ * @param {string} params.negative_prompt - Optional negative prompt (defaults to the original's)
+ * @param {object} options - Pipeline options
+ * @param {Function} options.onProgress - Optional callback invoked with (stage, details) as the pipeline advances
+ * @returns {Promise<object>} - The new image record and credit meta
+ */
+const outpaintImage = async (imageId, userId, params, { onProgress = () => {} } = {}) => {
+  try {
+    onProgress('validating');
+    
+    const extension = {};
+    for (const side of ['top', 'right', 'bottom', 'left']) {
+      const value = params[side] === undefined || params[side] === '' ? 0 : Number(params[side]);
+      
+      if (!Number.isInteger(value) || value < 0 || value > MAX_OUTPAINT_EXTENSION) {
+        throw new ApiError(`${side} must be a whole number of pixels between 0 and ${MAX_OUTPAINT_EXTENSION}`, 400);
+      }
+      
+      extension[side] = value;
+    }
+    
+    if (Object.values(extension).every(value => value === 0)) {
+      throw new ApiError('Extend the image in at least one direction (top, right, bottom or left)', 400);
+    }
+    
+    // Throws a 404 if the image doesn't exist or belongs to someone else
+    const sourceImage = await getImageById(imageId, userId);
+    const original = await downloadStoredImage(sourceImage);
+    
+    // Mirror the edges into the new area so the model continues the existing content
+    const { data: image, info } = await sharp(original)
+      .extend({ ...extension, extendWith: 'mirror' })
+      .png()
+      .toBuffer({ resolveWithObject: true });
+    
+    const mask = await sharp(Buffer.from(buildOutpaintMaskSvg(info.width, info.height, extension, OUTPAINT_MASK_OVERLAP)))
+      .greyscale()
+      .png()
+      .toBuffer();
+    
+    return await saveMaskedEdit(userId, sourceImage, 'outpaint', {
+      image,
+      mask,
+      prompt: params.prompt || sourceImage.original_prompt || sourceImage.prompt,
+      negativePrompt: params.negative_prompt || sourceImage.negative_prompt
+    }, onProgress);
+  } catch (error) {
+    console.error('Error outpainting image:', error);
+    throw error instanceof ApiError 
+      ? error 
+      : new ApiError(`Failed to outpaint image: ${error.message}`, 500);
+  }
+};
+
+/**
+ * Size an image is delivered at: limited-quality results are scaled so the long side is 512
+ * @param {object} generationSize - The size requested from the provider ({ width, height })
+ * @param {object} access - Access rules from resolveGenerationAccess
+ * @returns {object} - { width, height }
+ */
+const getFinalImageSize = (generationSize, access) => {
+  if (!access.shouldResize) {
+    return generationSize;
+  }
+  
+  const scale = 512 / Math.max(generationSize.width, generationSize.height);
+  
+  return {
+    width: Math.round(generationSize.width * scale),
+    height: Math.round(generationSize.height * scale)
+  };
+};
+
+/**
+ * Generate one image with a single seed, upload it and save its record. Throws on failure.
+ * @param {string} userId - The user ID
+ * @param {object} access - Access rules from resolveGenerationAccess
+ * @param {object} request - What to generate
+ * @param {object} request.provider - The image provider
+ * @param {string} request.prompt - The prompt
+ * @param {string} request.negativePrompt - The negative prompt
+ * @param {string} request.modelId - The model to request
+ * @param {object} request.generationSize - Size to request from the provider ({ width, height })
+ * @param {object} request.finalSize - Size limited-quality results are scaled to
+ * @param {number} request.cfgScale - CFG scale
+ * @param {number} request.steps - Number of steps
+ * @param {string} request.style - Style preset
+ * @param {number} request.seed - The seed (0 for random)
+ * @param {number} request.creditCost - Credits charged for this image
+ * @param {string} request.generationType - Stored as generation_type
+ * @param {object} request.lineage - Lineage columns; omit for an original generation
+ * @param {Function} onProgress - Progress callback
+ * @returns {Promise<object>} - The saved images record
+ */
+const renderAndSaveImage = async (userId, access, request, onProgress) => {
+  const { provider, prompt, negativePrompt, modelId, generationSize, finalSize, cfgScale, steps, style, seed } = request;
+  
+  const result = await provider.generate({
+    prompt,
+    negativePrompt: negativePrompt || '',
+    modelId,
+    width: generationSize.width,
+    height: generationSize.height,
+    cfgScale,
+    steps,
+    style,
+    seed,
+    numberOfImages: 1,
+    userId
+  });
+  
+  const generated = result.images[0];
+  const upload = await uploadGeneratedImage(`data:image/png;base64,${generated.base64}`, access, finalSize, onProgress);
+  if (upload.error) {
+    throw new Error(upload.error);
+  }
+  
+  const imageId = uuidv4();
+  const { data: savedImage, error: saveError } = await supabase
+    .from('images')
+    .insert({
+      id: imageId,
+      user_id: userId,
+      prompt: result.parameters.prompt || prompt,
+      original_prompt: prompt,
+      negative_prompt: negativePrompt || null,
+      generation_type: request.generationType,
+      model_id: result.parameters.model || modelId,
+      resolution: `${upload.width}x${upload.height}`,
+      width: upload.width,
+      height: upload.height,
+      cfg_scale: cfgScale,
+      steps,
+      style,
+      seed: generated.seed || seed || null,
+      finish_reason: generated.finishReason || null,
+      cloudinary_url: upload.imageUrl,
+      cloudinary_original_url: upload.cloudinaryOriginalUrl,
+      cloudinary_public_id: upload.cloudinaryPublicId,
+      credit_cost: access.useCredits ? request.creditCost : 0,
+      has_watermark: access.shouldWatermark,
+      is_free_user: access.isFreePlan,
+      is_free_generation: access.isFreeGeneration,
+      ...(request.lineage || { parent_image_id: null, root_image_id: imageId, operation: 'generate' })
+    })
+    .select()
+    .single();
+  
+  if (saveError) {
+    throw new Error(`Failed to store image: ${saveError.message}`);
+  }
+  
+  return savedImage;
+};
+
+/**
+ * Generate new images from a stored image's settings and save them as children of it.
+ * Credits go through the normal generation path: each image is charged separately,
+ * so images that fail aren't paid for.
+ * @param {string} userId - The user ID
+ * @param {object} sourceImage - The images record to reuse the settings of
+ * @param {string} operation - 'variation' or 'remix'
+ * @param {object} generation - What to generate
+ * @param {string} generation.prompt - The prompt
+ * @param {string} generation.negativePrompt - The negative prompt
+ * @param {Array<number>} generation.seeds - One seed per image
+ * @param {Function} onProgress - Progress callback
+ * @returns {Promise<object>} - { images, failed, meta }, or { error, code }
+ */
+const generateFromStoredImage = async (userId, sourceImage, operation, { prompt, negativePrompt, seeds }, onProgress) => {
+  let hold = null;
+  
+  try {
+    // Screen the prompt before anything is reserved
+    const moderation = await screenPrompt({ userId, source: operation, prompt, referenceId: sourceImage.id });
+    if (moderation.action === 'block') {
+      return getPromptBlockedResult(moderation);
+    }
+    
+    // Check credits, plan limits and free generations for every image in the request
+    const access = await resolveGenerationAccess(userId, seeds.length);
+    if (access.error) {
+      return access;
+    }
+    
+    // Generate at the SDXL size closest to the original's aspect ratio
+    const generationSize = getClosestSdxlDimensions(sourceImage.width, sourceImage.height);
+    const finalSize = getFinalImageSize(generationSize, access);
+    
+    const costPerImage = calculateCreditCost({ ...generationSize, steps: sourceImage.steps });
+    const reservation = await reserveGenerationCredits(userId, access, costPerImage * seeds.length, `image_${operation}`, sourceImage.id);
+    if (reservation.error) {
+      return reservation;
+    }
+    hold = reservation.hold;
+    onProgress('credits_reserved', { creditCost: access.useCredits ? costPerImage * seeds.length : 0, freeGeneration: access.isFreeGeneration });
+    
+    const provider = getImageProvider();
+    const modelId = resolveProviderModel(provider, sourceImage.model_id);
+    const images = [];
+    const failed = [];
+    
+    // One request per seed, so every image gets exactly the seed it was asked for
+    for (const [index, seed] of seeds.entries()) {
+      try {
+        onProgress('model_call_started', { index, total: seeds.length, seed });
+        const savedImage = await renderAndSaveImage(userId, access, {
+          provider,
+          prompt,
+          negativePrompt,
+          modelId,
+          generationSize,
+          finalSize,
+          cfgScale: Number(sourceImage.cfg_scale) || 7,
+          steps: sourceImage.steps || 30,
+          style: sourceImage.style || null,
+          seed,
+          creditCost: costPerImage,
+          generationType: operation,
+          lineage: getDerivedImageLineage(sourceImage, operation)
+        }, onProgress);
+        
+        images.push(savedImage);
+        await attachImageToFlag(moderation, savedImage.id);
+        announceGeneratedImage(savedImage);
+        onProgress('saved', { imageId: savedImage.id, index });
+      } catch (error) {
+        console.error(`Error generating ${operation} with seed ${seed}:`, error);
+        failed.push({ seed, error: error.message, code: error.code });
+        dispatchWebhookEvent(userId, 'image.failed', {
+          sourceImageId: sourceImage.id,
+          operation,
+          seed,
+          error: { message: error.message, code: error.code || null }
+        });
+      }
+    }
+    
+    if (images.length === 0) {
+      return { error: `Failed to generate ${operation}: ${failed[0].error}`, code: failed[0].code };
+    }
+    
+    // Only charge for the images that were saved; the rest of the hold is released below
+    if (hold) {
+      await captureCreditHold(hold, costPerImage * images.length);
+    }
+    
+    return {
+      images,
+      failed,
+      meta: await buildGenerationMeta(userId, access)
+    };
+  } finally {
+    await releaseHoldQuietly(hold);
+  }
+};
+
+/**
+ * Generate variations of one of the user's images: the same settings with seeds next to the original's
+ * @param {string} imageId - The image to vary
+ * @param {string} userId - The user ID (for permission check)
+ * @param {object} params - Variation parameters
+ * @param {number} params.count - How many variations to generate (default: 4)
+ * @param {object} options - Pipeline options
+ * @param {Function} options.onProgress - Optional callback invoked with (stage, details) as the pipeline advances
+ * @returns {Promise<object>} - { images, failed, meta }, or { error, code }
+ */
+const createImageVariations = async (imageId, userId, params = {}, { onProgress = () => {} } = {}) => {
+  try {
+    onProgress('validating');
+    
+    const count = params.count === undefined || params.count === '' ? DEFAULT_VARIATION_COUNT : Number(params.count);
+    
+    if (!Number.isInteger(count) || count < 1 || count > MAX_VARIATION_COUNT) {
+      return { error: `count must be between 1 and ${MAX_VARIATION_COUNT}`, code: 'INVALID_VARIATION_REQUEST' };
+    }
+    
+    const sourceImage = await getImageById(imageId, userId);
+    
+    // Images without a recorded seed vary around a random one
+    const baseSeed = Number(sourceImage.seed) || Math.floor(Math.random() * MAX_SEED);
+    const seeds = Array.from({ length: count }, (_, index) => ((baseSeed + index) % MAX_SEED) + 1);
+    
+    return await generateFromStoredImage(userId, sourceImage, 'variation', {
+      prompt: sourceImage.original_prompt || sourceImage.prompt,
+      negativePrompt: sourceImage.negative_prompt,
+      seeds
+    }, onProgress);
+  } catch (error) {
+    console.error('Error in createImageVariations:', error);
+    
+    if (error instanceof ApiError && error.statusCode === 404) {
+      return { error: 'Source image not found', code: 'SOURCE_IMAGE_NOT_FOUND' };
+    }
+    
+    return { error: 'Failed to generate variations' };
+  }
+};
+
+/**
+ * Re-run one of the user's images with a new prompt and the same seed and settings,
+ * so the composition stays close to the original
+ * @param {string} imageId - The image to remix
+ * @param {string} userId - The user ID (for permission check)
+ * @param {object} params - Remix parameters
+ * @param {string} params.prompt - The new prompt
+ * @param {string} params.negative_prompt - Optional negative prompt (defaults to the original's)
+ * @param {object} options - Pipeline options
+ * @param {Function} options.onProgress - Optional callback invoked with (stage, details) as the pipeline advances
+ * @returns {Promise<object>} - { image, meta }, or { error, code }
+ */
+const remixImage = async (imageId, userId, params = {}, { onProgress = () => {} } = {}) => {
+  try {
+    onProgress('validating');
+    
+    if (!params.prompt || params.prompt.trim() === '') {
+      return { error: 'Prompt is required', code: 'INVALID_REMIX_REQUEST' };
+    }
+    
+    const sourceImage = await getImageById(imageId, userId);
+    
+    if (!sourceImage.seed) {
+      return { error: 'This image has no recorded seed, so it can\'t be remixed. Try variations instead.', code: 'INVALID_REMIX_REQUEST' };
+    }
+    
+    const result = await generateFromStoredImage(userId, sourceImage, 'remix', {
+      prompt: params.prompt,
+      negativePrompt: params.negative_prompt || sourceImage.negative_prompt,
+      seeds: [Number(sourceImage.seed)]
+    }, onProgress);
+    
+    if (result.error) {
+      return result;
+    }
+    
+    return { image: result.images[0], meta: result.meta };
+  } catch (error) {
+    console.error('Error in remixImage:', error);
+    
+    if (error instanceof ApiError && error.statusCode === 404) {
+      return { error: 'Source image not found', code: 'SOURCE_IMAGE_NOT_FOUND' };
+    }
+    
+    return { error: 'Failed to remix image' };
+  }
+};
+
+/**
+ * Get the version tree an image belongs to, from the original generation down
+ * through every upscale, transform and edit made from it
+ * @param {string} imageId - Any image in the tree
+ * @param {string} userId - The user ID (for permission check)
+ * @returns {Promise<object>} - { imageId, rootImageId, count, versions } where versions holds the
+ *   top-level images of the tree, each with nested children
+ */
+const getImageLineage = async (imageId, userId) => {
+  // Throws a 404 if the image doesn't exist or belongs to someone else
+  const image = await getImageById(imageId, userId);
+  const rootImageId = image.root_image_id || image.id;
+  
+  const { data, error } = await supabase
+    .from('images')
+    .select('*')
+    .eq('user_id', userId)
+    .eq('is_hidden', false)
+    .or(`root_image_id.eq.${rootImageId},id.eq.${rootImageId}`)
+    .order('created_at', { ascending: true });
+  
+  if (error) {
+    throw new ApiError(`Failed to get image lineage: ${error.message}`, 500);
+  }
+  
+  const nodes = new Map(data.map(record => [record.id, { ...record, children: [] }]));
+  const versions = [];
+  
+  // Images whose parent was deleted are shown at the top level of the tree
+  for (const node of nodes.values()) {
+    const parent = node.parent_image_id && nodes.get(node.parent_image_id);
+    
+    if (parent) {
+      parent.children.push(node);
+    } else {
+      versions.push(node);
+    }
+  }
+  
+  return {
+    imageId: image.id,
+    rootImageId,
+    count: nodes.size,
+    versions
+  };
+};
+
+/**
+ * Convert an image_batches row and its items to the API shape
+ * @param {object} record - The image_batches record
+ * @param {Array<object>} items - Its image_batch_items records, with the saved image embedded as `images`
+ * @returns {object} - Formatted batch
+ */
+const formatBatch = (record, items = []) => ({
+  id: record.id,
+  userId: record.user_id,
+  jobId: record.job_id,
+  status: record.status,
+  totalCount: record.total_count,
+  succeededCount: record.succeeded_count,
+  failedCount: record.failed_count,
+  creditCostPerImage: record.credit_cost_per_image,
+  creditsReserved: record.credits_reserved,
+  creditsCharged: record.credits_charged,
+  params: record.params,
+  items: items.map(item => {
+    // Images hidden by a moderator are left out, as in every other list of the owner's images
+    const isHidden = Boolean(item.images && item.images.is_hidden);
+    
+    return {
+      id: item.id,
+      position: item.position,
+      prompt: item.prompt,
+      seed: item.seed,
+      status: item.status,
+      imageId: isHidden ? null : item.image_id,
+      image: isHidden ? null : item.images || null,
+      creditCost: item.credit_cost,
+      error: item.error,
+      completedAt: item.completed_at
+    };
+  }),
+  createdAt: record.created_at,
+  startedAt: record.started_at,
+  completedAt: record.completed_at,
+  updatedAt: record.updated_at
+});
+
+/**
+ * Update an image_batches row, logging rather than throwing on failure
+ * so a bookkeeping error doesn't abandon the rest of the batch
+ * @param {string} batchId - The batch ID
+ * @param {object} fields - Columns to update
+ */
+const updateBatchQuietly = async (batchId, fields) => {
+  const { error } = await supabase
+    .from('image_batches')
+    .update({ ...fields, updated_at: new Date().toISOString() })
+    .eq('id', batchId);
+  
+  if (error) {
+    console.error(`Failed to update image batch ${batchId}:`, error);
+  }
+};
+
+/**
+ * Update an image_batch_items row, logging rather than throwing on failure
+ * @param {string} itemId - The item ID
+ * @param {object} fields - Columns to update
+ */
+const updateBatchItemQuietly = async (itemId, fields) => {
+  const { error } = await supabase
+    .from('image_batch_items')
+    .update(fields)
+    .eq('id', itemId);
+  
+  if (error) {
+    console.error(`Failed to update image batch item ${itemId}:`, error);
+  }
+};
+
+/**
+ * Generate every item of a batch in order. Runs as a background job.
+ * Each saved image is charged from the batch's hold; failed items are never charged,
+ * and whatever is left of the hold is released when the batch finishes.
+ * @param {object} batch - The image_batches record
+ * @param {Array<object>} items - Its image_batch_items records, in order
+ * @param {object} context - { userId, access, hold, request, moderationByPrompt } where request holds the shared
+ *   generation settings and moderationByPrompt maps each prompt to its screening decision
+ * @param {Function} onProgress - Progress callback
+ * @returns {Promise<object>} - Summary of the finished batch
+ */
+const runImageBatch = async (batch, items, { userId, access, hold, request, moderationByPrompt }, onProgress) => {
+  const costPerImage = batch.credit_cost_per_image;
+  let succeeded = 0;
+  let failed = 0;
+  let creditsCharged = 0;
+  
+  await updateBatchQuietly(batch.id, { status: 'running', started_at: new Date().toISOString() });
+  
+  try {
+    for (const item of items) {
+      onProgress('model_call_started', { index: item.position, total: items.length });
+      await updateBatchItemQuietly(item.id, { status: 'running' });
+      
+      try {
+        const savedImage = await renderAndSaveImage(userId, access, {
+          ...request,
+          prompt: item.prompt,
+          seed: item.seed || 0,
+          creditCost: costPerImage
+        }, onProgress);
+        
+        succeeded++;
+        await updateBatchItemQuietly(item.id, {
+          status: 'succeeded',
+          image_id: savedImage.id,
+          seed: savedImage.seed,
+          credit_cost: access.useCredits ? costPerImage : 0,
+          completed_at: new Date().toISOString()
+        });
+        await attachImageToFlag(moderationByPrompt.get(item.prompt), savedImage.id);
+        announceGeneratedImage(savedImage);
+        onProgress('saved', { imageId: savedImage.id, index: item.position });
+      } catch (error) {
+        console.error(`Error generating item ${item.position} of image batch ${batch.id}:`, error);
+        dispatchWebhookEvent(userId, 'image.failed', {
+          batchId: batch.id,
+          position: item.position,
+          prompt: item.prompt,
+          error: { message: error.message, code: error.code || null }
+        });
+        
+        failed++;
+        await updateBatchItemQuietly(item.id, {
+          status: 'failed',
+          error: error.message,
+          credit_cost: 0,
+          completed_at: new Date().toISOString()
+        });
+      }
+      
+      await updateBatchQuietly(batch.id, { succeeded_count: succeeded, failed_count: failed });
+    }
+    
+    // Charge only for the saved images; the share held for failed items is released below
+    if (hold && succeeded > 0) {
+      await captureCreditHold(hold, costPerImage * succeeded);
+      creditsCharged = costPerImage * succeeded;
+    }
+  } finally {
+    await releaseHoldQuietly(hold);
+    
+    await updateBatchQuietly(batch.id, {
+      status: succeeded > 0 ? 'completed' : 'failed',
+      succeeded_count: succeeded,
+      failed_count: items.length - succeeded,
+      credits_charged: creditsCharged,
+      completed_at: new Date().toISOString()
+    });
+  }
+  
+  if (succeeded === 0) {
+    throw new ApiError('Every image in the batch failed to generate', 502);
+  }
+  
+  return {
+    batchId: batch.id,
+    status: 'completed',
+    succeededCount: succeeded,
+    failedCount: failed,
+    creditsCharged
+  };
+};
+
+/**
+ * Queue a batch of text-to-image generations: several samples of one prompt, or a list of prompts.
+ * Credits for the whole batch are reserved up front and the batch runs as a background job.
+ * @param {string} userId - The user ID
+ * @param {object} params - Batch parameters
+ * @param {Array<string>} params.prompts - One prompt per image
+ * @param {string} params.prompt - A single prompt to sample `count` times (instead of prompts)
+ * @param {number} params.count - How many samples of `prompt` to generate
+ * @param {string} params.negative_prompt - Optional negative prompt for every image
+ * @param {string} params.model_id - Optional model ID
+ * @param {string} params.style - Optional style preset
+ * @param {number} params.cfg_scale - Optional CFG scale
+ * @param {number} params.steps - Optional number of steps
+ * @param {number} params.seed - Optional seed; the item at position N uses seed + N so the batch is reproducible
+ * @returns {Promise<object>} - { batch, job }, or { error, code }
+ */
+const createImageBatch = async (userId, params = {}) => {
+  let hold = null;
+  let queued = false;
+  
+  try {
+    let prompts;
+    
+    if (params.prompts !== undefined) {
+      if (!Array.isArray(params.prompts) || params.prompts.length === 0 ||
+          params.prompts.some(prompt => typeof prompt !== 'string' || prompt.trim() === '')) {
+        return { error: 'prompts must be a non-empty array of prompts', code: 'INVALID_BATCH_REQUEST' };
+      }
+      prompts = params.prompts.map(prompt => prompt.trim());
+    } else {
+      if (!params.prompt || typeof params.prompt !== 'string' || params.prompt.trim() === '') {
+        return { error: 'Either prompt or prompts is required', code: 'INVALID_BATCH_REQUEST' };
+      }
+      
+      const count = Number(params.count);
+      if (!Number.isInteger(count) || count < 1) {
+        return { error: 'count must be a positive integer', code: 'INVALID_BATCH_REQUEST' };
+      }
+      prompts = Array(count).fill(params.prompt.trim());
+    }
+    
+    const seed = params.seed === undefined || params.seed === '' ? null : Number(params.seed);
+    if (seed !== null && (!Number.isInteger(seed) || seed < 1 || seed > MAX_SEED)) {
+      return { error: `seed must be between 1 and ${MAX_SEED}`, code: 'INVALID_BATCH_REQUEST' };
+    }
+    
+    const { plan, limit } = await getBatchLimit(userId);
+    if (prompts.length > limit) {
+      return {
+        error: `Batches on the ${plan} plan are limited to ${limit} images; this request asks for ${prompts.length}.`,
+        code: 'BATCH_LIMIT_EXCEEDED'
+      };
+    }
+    
+    // Screen every distinct prompt before anything is reserved
+    const batchId = uuidv4();
+    const moderationByPrompt = new Map();
+    for (const prompt of new Set(prompts)) {
+      const moderation = await screenPrompt({ userId, source: 'batch', prompt, referenceId: batchId });
+      if (moderation.action === 'block') {
+        return getPromptBlockedResult(moderation);
+      }
+      moderationByPrompt.set(prompt, moderation);
+    }
+    
+    // Check credits, plan limits and free generations for every image in the batch
+    const access = await resolveGenerationAccess(userId, prompts.length);
+    if (access.error) {
+      return access;
+    }
+    
+    const request = {
+      provider: getImageProvider(),
+      negativePrompt: params.negative_prompt || null,
+      generationSize: { width: 1024, height: 1024 },
+      cfgScale: Number(params.cfg_scale) || 7,
+      steps: Number(params.steps) || 30,
+      style: params.style || null,
+      generationType: 'text-to-image',
+      lineage: null
+    };
+    request.modelId = resolveProviderModel(request.provider, params.model_id);
+    request.finalSize = getFinalImageSize(request.generationSize, access);
+    
+    // The hold has to outlive the wait for a worker and then the whole batch, which runs one image at a time
+    const costPerImage = calculateCreditCost({ ...request.generationSize, steps: request.steps });
+    const creditsReserved = access.useCredits ? costPerImage * prompts.length : 0;
+    const holdTtl = JOB_MAX_QUEUE_WAIT_MS / 1000 + Math.max(CREDIT_HOLD_TTL_SECONDS, prompts.length * BATCH_HOLD_SECONDS_PER_IMAGE);
+    
+    const reservation = await reserveGenerationCredits(userId, access, creditsReserved, 'image_batch', batchId, holdTtl);
+    if (reservation.error) {
+      return reservation;
+    }
+    hold = reservation.hold;
+    
+    const { data: batch, error: batchError } = await supabase
+      .from('image_batches')
+      .insert({
+        id: batchId,
+        user_id: userId,
+        status: 'queued',
+        total_count: prompts.length,
+        credit_cost_per_image: access.useCredits ? costPerImage : 0,
+        credits_reserved: creditsReserved,
+        params: {
+          negative_prompt: request.negativePrompt,
+          model_id: request.modelId,
+          style: request.style,
+          cfg_scale: request.cfgScale,
+          steps: request.steps,
+          seed
+        }
+      })
+      .select()
+      .single();
+    
+    if (batchError) {
+      console.error('Error creating image batch:', batchError);
+      return { error: 'Error creating image batch' };
+    }
+    
+    const { data: items, error: itemsError } = await supabase
+      .from('image_batch_items')
+      .insert(prompts.map((prompt, position) => ({
+        batch_id: batchId,
+        position,
+        prompt,
+        seed: seed === null ? null : ((seed - 1 + position) % MAX_SEED) + 1
+      })))
+      .select();
+    
+    if (itemsError) {
+      console.error('Error creating image batch items:', itemsError);
+      await updateBatchQuietly(batchId, { status: 'failed', completed_at: new Date().toISOString() });
+      return { error: 'Error creating image batch' };
+    }
+    
+    const job = await enqueueJob(userId, 'image', { batchId, count: prompts.length, operation: 'batch' }, ({ reportProgress }) => {
+      return runImageBatch(batch, items, { userId, access, hold, request, moderationByPrompt }, reportProgress);
+    }, {
+      // The batch never ran, so nothing is charged
+      onCancel: async () => {
+        await releaseHoldQuietly(hold);
+        await updateBatchQuietly(batchId, { status: 'failed', completed_at: new Date().toISOString() });
+      }
+    });
+    queued = true;
+    
+    await updateBatchQuietly(batchId, { job_id: job.id });
+    
+    return {
+      batch: formatBatch({ ...batch, job_id: job.id }, items),
+      job
+    };
+  } catch (error) {
+    console.error('Error in createImageBatch:', error);
+    
+    if (error.code === 'JOB_QUEUE_FULL') {
+      return { error: error.message, code: error.code };
+    }
+    
+    return { error: 'Failed to queue image batch' };
+  } finally {
+    // Once queued, the batch job owns the hold
+    if (!queued) {
+      await releaseHoldQuietly(hold);
+    }
+  }
+};
+
+/**
+ * Get a batch with the status of every item and the images saved so far
+ * @param {string} batchId - The batch ID
+ * @param {string} userId - The user ID (for ownership check)
+ * @returns {Promise<object>} - The formatted batch
+ */
+const getImageBatch = async (batchId, userId) => {
+  const { data: batch, error } = await supabase
+    .from('image_batches')
+    .select('*')
+    .eq('id', batchId)
+    .eq('user_id', userId)
+    .maybeSingle();
+  
+  if (error) {
+    throw new ApiError(`Failed to get image batch: ${error.message}`, 500);
+  }
+  
+  if (!batch) {
+    throw new ApiError('Image batch not found', 404);
+  }
+  
+  const { data: items, error: itemsError } = await supabase
+    .from('image_batch_items')
+    .select('*, images(*)')
+    .eq('batch_id', batchId)
+    .order('position', { ascending: true });
+  
+  if (itemsError) {
+    throw new ApiError(`Failed to get image batch items: ${itemsError.message}`, 500);
+  }
+  
+  return formatBatch(batch, items);
+};
+
 module.exports = {
   generateAndStoreImage,
   getUserImages,
   getImageById,
   deleteImage,
-  createImage
+  createImage,
+  transformImage,
+  upscaleImage,
+  inpaintImage,
+  outpaintImage,
+  createImageVariations,
+  remixImage,
+  getImageLineage,
+  createImageBatch,
+  getImageBatch
 }; 
\ No newline at end of file
@@ -0,0 +1,486 @@
+const { EventEmitter } = require('events');
+const { supabase } = require('../config/supabaseClient');
+const { ApiError } = require('../middlewares/errorMiddleware');
+const { getRequestContext, runWithRequestContext } = require('../utils/requestContext');
+const { dispatchWebhookEvent } = require('./webhookService');
+
+// Generators that can run as background jobs, and library exports (see exportService)
+const JOB_TYPES = ['image', 'poster', 'thumbnail', 'logo', 'export'];
+
+// Job lifecycle: queued -> running -> succeeded | failed
+const JOB_STATUSES = ['queued', 'running', 'succeeded', 'failed'];
+
+// How many jobs this process runs at the same time
+const JOB_CONCURRENCY = parseInt(process.env.GENERATION_JOB_CONCURRENCY, 10) || 2;
+
+// Jobs waiting for a worker slot, in this process and per user. Queued tasks can hold
+// uploaded file buffers, so the queue is capped rather than left to grow with traffic.
+const MAX_QUEUED_JOBS = parseInt(process.env.GENERATION_JOB_QUEUE_LIMIT, 10) || 100;
+const MAX_QUEUED_JOBS_PER_USER = parseInt(process.env.GENERATION_JOB_QUEUE_LIMIT_PER_USER, 10) || 5;
+
+// Jobs that wait longer than this for a worker slot are failed instead of run.
+// Credits reserved before a job is queued are held for at least this long.
+const JOB_MAX_QUEUE_WAIT_MS = 15 * 60 * 1000;
+
+// Jobs still queued or running after this long were lost by a crashed or restarted
+// process. Longer than JOB_MAX_QUEUE_WAIT_MS, so a job still waiting in another process's queue is left alone.
+const STALE_JOB_AFTER_MS = 30 * 60 * 1000;
+const STALE_JOB_SWEEP_INTERVAL_MS = 5 * 60 * 1000;
+
+// Jobs waiting for a free worker slot, in submission order. Tasks are kept in
+// memory because they can hold uploaded file buffers that aren't stored in the table.
+const pendingJobs = [];
+const activeJobIds = new Set();
+
+// Progress events for jobs run by this process, kept so that SSE clients can
+// resume with Last-Event-ID. History is dropped a while after the job finishes.
+const JOB_EVENT_RETENTION_MS = 10 * 60 * 1000;
+const jobEventHistory = new Map();
+const jobEventEmitter = new EventEmitter();
+jobEventEmitter.setMaxListeners(0);
+
+/**
+ * Convert a generation_jobs row to the API shape
+ * @param {Object} record - The database record
+ * @returns {Object} - Formatted job
+ */
+const formatJob = (record) => ({
+  id: record.id,
+  userId: record.user_id,
+  type: record.type,
+  status: record.status,
+  stage: record.stage,
+  params: record.params,
+  result: record.result,
+  error: record.error,
+  createdAt: record.created_at,
+  startedAt: record.started_at,
+  completedAt: record.completed_at,
+  updatedAt: record.updated_at
+});
+
+/**
+ * Convert a thrown error into the JSON stored on a failed job
+ * @param {Error} error - The error thrown by the task
+ * @returns {Object} - Serializable error details
+ */
+const serializeJobError = (error) => ({
+  message: error.message || 'Generation failed',
+  code: error.code || null,
+  statusCode: error.statusCode || 500,
+  details: error.details || null
+});
+
+/**
+ * Record a progress event for a job and notify live subscribers
+ * @param {string} jobId - The job ID
+ * @param {string} event - The event name ('status', 'stage' or 'complete')
+ * @param {Object} data - The event payload
+ * @returns {Object} - The stored event ({ id, event, data })
+ */
+const emitJobEvent = (jobId, event, data) => {
+  if (!jobEventHistory.has(jobId)) {
+    jobEventHistory.set(jobId, []);
+  }
+  
+  const history = jobEventHistory.get(jobId);
+  const entry = {
+    id: history.length + 1,
+    event,
+    data: { ...data, at: new Date().toISOString() }
+  };
+  
+  history.push(entry);
+  jobEventEmitter.emit(jobId, entry);
+  
+  if (event === 'complete') {
+    setTimeout(() => jobEventHistory.delete(jobId), JOB_EVENT_RETENTION_MS).unref();
+  }
+  
+  return entry;
+};
+
+/**
+ * Get the events recorded for a job after a given event ID
+ * @param {string} jobId - The job ID
+ * @param {number} afterId - Only return events with a higher ID (default: 0)
+ * @returns {Array<Object>|null} - The events, or null if this process has no history for the job
+ */
+const getJobEvents = (jobId, afterId = 0) => {
+  const history = jobEventHistory.get(jobId);
+  
+  if (!history) {
+    return null;
+  }
+  
+  return history.filter(entry => entry.id > afterId);
+};
+
+/**
+ * Listen for new events on a job
+ * @param {string} jobId - The job ID
+ * @param {Function} listener - Called with each new event
+ * @returns {Function} - Call to stop listening
+ */
+const subscribeToJobEvents = (jobId, listener) => {
+  jobEventEmitter.on(jobId, listener);
+  
+  return () => jobEventEmitter.off(jobId, listener);
+};
+
+/**
+ * Update a job record
+ * @param {string} jobId - The job ID
+ * @param {Object} fields - Columns to update
+ * @returns {Promise<Object>} - The updated record
+ */
+const updateJob = async (jobId, fields) => {
+  const { data, error } = await supabase
+    .from('generation_jobs')
+    .update({ ...fields, updated_at: new Date().toISOString() })
+    .eq('id', jobId)
+    .select()
+    .single();
+  
+  if (error) {
+    throw new ApiError(`Failed to update job: ${error.message}`, 500);
+  }
+  
+  return data;
+};
+
+/**
+ * Mark a job as running, unless it is no longer queued (e.g. the stale job sweep of
+ * another process failed it while it waited)
+ * @param {string} jobId - The job ID
+ * @returns {Promise<Object|null>} - The updated record, or null if the job isn't queued
+ */
+const startJob = async (jobId) => {
+  const now = new Date().toISOString();
+  
+  const { data, error } = await supabase
+    .from('generation_jobs')
+    .update({ status: 'running', started_at: now, updated_at: now })
+    .eq('id', jobId)
+    .eq('status', 'queued')
+    .select()
+    .maybeSingle();
+  
+  if (error) {
+    throw new ApiError(`Failed to start job: ${error.message}`, 500);
+  }
+  
+  return data;
+};
+
+/**
+ * Tell a job's owner that its task will never run, so it can give back what it reserved
+ * @param {Object} job - The pending job
+ */
+const cancelJobQuietly = async ({ jobId, onCancel }) => {
+  if (!onCancel) {
+    return;
+  }
+  
+  try {
+    await onCancel();
+  } catch (error) {
+    console.error(`Error cleaning up cancelled job ${jobId}:`, error);
+  }
+};
+
+/**
+ * Run a queued job and record its outcome. Never rejects.
+ * The task runs in the request context it was queued from (e.g. the API key that queued it).
+ * A job that is no longer queued, or waited longer than JOB_MAX_QUEUE_WAIT_MS, is not run.
+ * @param {Object} job - The pending job ({ jobId, userId, type, task, context, queuedAt, onCancel })
+ */
+const runJob = async (job) => {
+  const { jobId, userId, type, task, context, queuedAt } = job;
+  let started = false;
+  
+  // Passed to the task so the generation pipeline can report its stages
+  const reportProgress = (stage, details = {}) => {
+    emitJobEvent(jobId, 'stage', { stage, ...details });
+    
+    // The latest stage is also stored for clients that poll GET /api/jobs/:id
+    updateJob(jobId, { stage }).catch(error => {
+      console.error(`Error recording stage for job ${jobId}:`, error);
+    });
+  };
+  
+  try {
+    if (Date.now() - queuedAt > JOB_MAX_QUEUE_WAIT_MS) {
+      const error = new ApiError('The job waited too long for a free worker. Please try again.', 503);
+      error.code = 'JOB_QUEUE_TIMEOUT';
+      throw error;
+    }
+    
+    if (!await startJob(jobId)) {
+      console.log(`Skipping generation job ${jobId}: it is no longer queued`);
+      emitJobEvent(jobId, 'complete', {
+        status: 'failed',
+        error: { message: 'The job was cancelled before it started', code: 'JOB_CANCELLED', statusCode: 409, details: null }
+      });
+      await cancelJobQuietly(job);
+      return;
+    }
+    
+    started = true;
+    emitJobEvent(jobId, 'status', { status: 'running' });
+    
+    const result = await runWithRequestContext(context, () => task({ reportProgress }));
+    
+    await updateJob(jobId, {
+      status: 'succeeded',
+      result: result === undefined ? null : result,
+      completed_at: new Date().toISOString()
+    });
+    emitJobEvent(jobId, 'complete', { status: 'succeeded', result: result === undefined ? null : result });
+  } catch (error) {
+    console.error(`Generation job ${jobId} failed:`, error);
+    
+    try {
+      await updateJob(jobId, {
+        status: 'failed',
+        error: serializeJobError(error),
+        completed_at: new Date().toISOString()
+      });
+    } catch (updateError) {
+      console.error(`Error recording failure for job ${jobId}:`, updateError);
+    }
+    
+    emitJobEvent(jobId, 'complete', { status: 'failed', error: serializeJobError(error) });
+    
+    if (!started) {
+      await cancelJobQuietly(job);
+    }
+    
+    if (type === 'image') {
+      dispatchWebhookEvent(userId, 'image.failed', { jobId, error: serializeJobError(error) });
+    }
+  }
+};
+
+/**
+ * Start pending jobs until every worker slot is busy
+ */
+const drainQueue = () => {
+  while (activeJobIds.size < JOB_CONCURRENCY && pendingJobs.length > 0) {
+    const job = pendingJobs.shift();
+    activeJobIds.add(job.jobId);
+    
+    runJob(job).finally(() => {
+      activeJobIds.delete(job.jobId);
+      drainQueue();
+    });
+  }
+};
+
+/**
+ * Create a job and queue its task on the in-process worker
+ * @param {string} userId - The user ID
+ * @param {string} type - The job type (one of JOB_TYPES)
+ * @param {Object} params - Request parameters to store with the job (must be JSON-serializable)
+ * @param {Function} task - Async function that performs the generation and resolves to the result record.
+ *   It receives { reportProgress(stage, details) } for emitting progress events.
+ * @param {Object} options - { onCancel }, called if the task is never run (it waited too long
+ *   or the job was failed while queued), to give back anything reserved for it
+ * @returns {Promise<Object>} - The queued job
+ */
+const enqueueJob = async (userId, type, params, task, { onCancel = null } = {}) => {
+  if (!JOB_TYPES.includes(type)) {
+    throw new ApiError(`Unknown job type: ${type}`, 400);
+  }
+  
+  const queuedForUser = pendingJobs.filter(job => job.userId === userId).length;
+  
+  if (pendingJobs.length >= MAX_QUEUED_JOBS || queuedForUser >= MAX_QUEUED_JOBS_PER_USER) {
+    const error = new ApiError(
+      queuedForUser >= MAX_QUEUED_JOBS_PER_USER
+        ? `You can have at most ${MAX_QUEUED_JOBS_PER_USER} jobs waiting to start. Try again when one has started.`
+        : 'Too many jobs are waiting to start. Please try again in a few minutes.',
+      429
+    );
+    error.code = 'JOB_QUEUE_FULL';
+    throw error;
+  }
+  
+  const { data, error } = await supabase
+    .from('generation_jobs')
+    .insert({
+      user_id: userId,
+      type,
+      status: 'queued',
+      params: params || {}
+    })
+    .select()
+    .single();
+  
+  if (error) {
+    console.error('Error creating generation job:', error);
+    throw new ApiError(`Failed to create job: ${error.message}`, 500);
+  }
+  
+  emitJobEvent(data.id, 'status', { status: 'queued' });
+  pendingJobs.push({
+    jobId: data.id,
+    userId,
+    type,
+    task,
+    context: getRequestContext(),
+    queuedAt: Date.now(),
+    onCancel
+  });
+  drainQueue();
+  
+  return formatJob(data);
+};
+
+/**
+ * Get a job by ID
+ * @param {string} jobId - The job ID
+ * @param {string} userId - The user ID (for ownership check)
+ * @returns {Promise<Object>} - The job
+ */
+const getJob = async (jobId, userId) => {
+  const { data, error } = await supabase
+    .from('generation_jobs')
+    .select('*')
+    .eq('id', jobId)
+    .eq('user_id', userId)
+    .maybeSingle();
+  
+  if (error) {
+    throw new ApiError(`Failed to get job: ${error.message}`, 500);
+  }
+  
+  if (!data) {
+    throw new ApiError('Job not found', 404);
+  }
+  
+  return formatJob(data);
+};
+
+/**
+ * List a user's jobs, newest first
+ * @param {string} userId - The user ID
+ * @param {Object} filters - Filter parameters
+ * @param {string} filters.status - Only include jobs in this status
+ * @param {string} filters.type - Only include jobs of this type
+ * @param {number} page - Page number
+ * @param {number} limit - Items per page
+ * @returns {Promise<Object>} - Jobs with pagination info
+ */
+const listJobs = async (userId, filters = {}, page = 1, limit = 20) => {
+  const from = (page - 1) * limit;
+  const to = from + limit - 1;
+  
+  let query = supabase
+    .from('generation_jobs')
+    .select('*', { count: 'exact' })
+    .eq('user_id', userId);
+  
+  if (filters.status) {
+    query = query.eq('status', filters.status);
+  }
+  
+  if (filters.type) {
+    query = query.eq('type', filters.type);
+  }
+  
+  const { data, error, count } = await query
+    .order('created_at', { ascending: false })
+    .range(from, to);
+  
+  if (error) {
+    throw new ApiError(`Failed to list jobs: ${error.message}`, 500);
+  }
+  
+  return {
+    jobs: data.map(formatJob),
+    page,
+    limit,
+    totalPages: Math.ceil(count / limit),
+    total: count
+  };
+};
+
+/**
+ * Fail jobs that have been queued or running for longer than any generation takes.
+ * Their tasks only lived in the memory of a process that has since gone away.
+ * Jobs this process still has queued or running are left alone.
+ * @returns {Promise<number>} - The number of jobs marked as failed
+ */
+const failStaleJobs = async () => {
+  const cutoff = new Date(Date.now() - STALE_JOB_AFTER_MS).toISOString();
+  const knownJobIds = [...pendingJobs.map(job => job.jobId), ...activeJobIds];
+  
+  let query = supabase
+    .from('generation_jobs')
+    .update({
+      status: 'failed',
+      error: {
+        message: 'The job was interrupted before it finished. Please try again.',
+        code: 'JOB_INTERRUPTED',
+        statusCode: 500
+      },
+      completed_at: new Date().toISOString(),
+      updated_at: new Date().toISOString()
+    })
+    .in('status', ['queued', 'running'])
+    .lt('updated_at', cutoff);
+  
+  if (knownJobIds.length > 0) {
+    query = query.not('id', 'in', `(${knownJobIds.join(',')})`);
+  }
+  
+  const { data, error } = await query.select('id');
+  
+  if (error) {
+    throw new ApiError(`Failed to clean up stale jobs: ${error.message}`, 500);
+  }
+  
+  return data.length;
+};
+
+/**
+ * Periodically fail jobs orphaned by a crash or restart
+ * @returns {Object} - The interval handle
+ */
+const startJobWorker = () => {
+  const sweep = async () => {
+    try {
+      const failed = await failStaleJobs();
+      
+      if (failed > 0) {
+        console.log(`Marked ${failed} interrupted generation job(s) as failed`);
+      }
+    } catch (error) {
+      console.error('Error cleaning up stale generation jobs:', error);
+    }
+  };
+  
+  console.log(`Generation job worker running with concurrency ${JOB_CONCURRENCY}`);
+  sweep();
+  
+  const timer = setInterval(sweep, STALE_JOB_SWEEP_INTERVAL_MS);
+  timer.unref();
+  
+  return timer;
+};
+
+module.exports = {
+  enqueueJob,
+  getJob,
+  listJobs,
+  getJobEvents,
+  subscribeToJobEvents,
+  failStaleJobs,
+  startJobWorker,
+  formatJob,
+  JOB_TYPES,
+  JOB_STATUSES,
+  JOB_CONCURRENCY,
+  JOB_MAX_QUEUE_WAIT_MS
+};
@@ -0,0 +1,734 @@
+const { supabase } = require('../config/supabaseClient');
+const { ApiError } = require('../middlewares/errorMiddleware');
+
+// Everything that can be tagged, favorited and put in collections: its table and
+// the collection_items column that points at it
+const LIBRARY_ITEM_TYPES = {
+  image: { table: 'images', column: 'image_id' },
+  poster: { table: 'posters', column: 'poster_id' },
+  thumbnail: { table: 'thumbnails', column: 'thumbnail_id' },
+  logo: { table: 'logos', column: 'logo_id' }
+};
+
+// Gallery orderings: newest first, oldest first, or favorites first (then newest)
+const LIBRARY_SORTS = ['newest', 'oldest', 'favorites'];
+
+const MAX_COLLECTIONS_PER_USER = 100;
+const MAX_COLLECTION_NAME_LENGTH = 100;
+const MAX_COLLECTION_DESCRIPTION_LENGTH = 500;
+
+// Items one bulk request can change
+const MAX_BULK_ITEMS = 100;
+
+const MAX_TAGS_PER_ITEM = 20;
+const MAX_TAG_LENGTH = 40;
+
+// Columns of each item type shown in a collection listing
+const COLLECTION_ITEM_SELECT = `
+  *,
+  images(id, cloudinary_url, prompt, user_tags, is_favorite, is_hidden, created_at),
+  posters(id, image_url, title, user_tags, is_favorite, created_at),
+  thumbnails(id, image_url, title, user_tags, is_favorite, created_at),
+  logos(id, image_url, name, user_tags, is_favorite, created_at)
+`;
+
+/**
+ * Normalize a list of tags: trimmed, lowercase, single spaces, no duplicates
+ * @param {Array<string>} tags - The tags
+ * @param {string} field - The request field, for error messages
+ * @returns {Array<string>} - The normalized tags
+ */
+const normalizeTags = (tags, field = 'tags') => {
+  if (!Array.isArray(tags)) {
+    throw new ApiError(`${field} must be a list of tags`, 400);
+  }
+  
+  const normalized = tags.map(tag => {
+    if (typeof tag !== 'string') {
+      throw new ApiError(`${field} must be a list of tags`, 400);
+    }
+    
+    const value = tag.trim().toLowerCase().replace(/\s+/g, ' ');
+    
+    if (!value || value.length > MAX_TAG_LENGTH) {
+      throw new ApiError(`Tags must be between 1 and ${MAX_TAG_LENGTH} characters`, 400);
+    }
+    
+    return value;
+  });
+  
+  return [...new Set(normalized)];
+};
+
+/**
+ * Parse the gallery query parameters shared by the image, poster and thumbnail lists
+ * @param {Object} query - The request query (tag, favorite, collectionId, sort)
+ * @returns {Object} - { tags, favorite, collectionId, sort }
+ */
+const parseLibraryFilters = (query = {}) => {
+  // ?tag=a&tag=b and ?tag=a,b both mean "tagged a and b"
+  const tagValues = [].concat(query.tag || []).flatMap(value => String(value).split(','));
+  const tags = tagValues.some(value => value.trim()) ? normalizeTags(tagValues.filter(value => value.trim()), 'tag') : [];
+  
+  let favorite = null;
+  if (query.favorite !== undefined) {
+    if (query.favorite !== 'true' && query.favorite !== 'false') {
+      throw new ApiError('favorite must be true or false', 400);
+    }
+    favorite = query.favorite === 'true';
+  }
+  
+  const sort = query.sort || 'newest';
+  if (!LIBRARY_SORTS.includes(sort)) {
+    throw new ApiError(`sort must be one of: ${LIBRARY_SORTS.join(', ')}`, 400);
+  }
+  
+  return {
+    tags,
+    favorite,
+    collectionId: query.collectionId || null,
+    sort
+  };
+};
+
+/**
+ * Add the collection join to a gallery select when filtering by collection
+ * @param {string} columns - The columns the gallery selects
+ * @param {Object} filters - Filters from parseLibraryFilters
+ * @returns {string} - The select string
+ */
+const getLibrarySelect = (columns, filters = {}) => {
+  return filters.collectionId
+    ? `${columns}, collection_items!inner(collection_id)`
+    : columns;
+};
+
+/**
+ * Apply the tag, favorite and collection filters and the sort order to a gallery query
+ * @param {Object} query - A Supabase query on images, posters, thumbnails or logos
+ * @param {Object} filters - Filters from parseLibraryFilters
+ * @returns {Object} - The query
+ */
+const applyLibraryFilters = (query, filters = {}) => {
+  if (filters.tags && filters.tags.length > 0) {
+    query = query.contains('user_tags', filters.tags);
+  }
+  
+  if (typeof filters.favorite === 'boolean') {
+    query = query.eq('is_favorite', filters.favorite);
+  }
+  
+  if (filters.collectionId) {
+    query = query.eq('collection_items.collection_id', filters.collectionId);
+  }
+  
+  if (filters.sort === 'favorites') {
+    query = query.order('is_favorite', { ascending: false });
+  }
+  
+  return query.order('created_at', { ascending: filters.sort === 'oldest' });
+};
+
+/**
+ * Drop the collection join from a gallery row
+ * @param {Object} record - The database record
+ * @returns {Object} - The record without collection_items
+ */
+const stripLibraryJoin = (record) => {
+  const { collection_items: collectionItems, ...rest } = record;
+  return rest;
+};
+
+/**
+ * Convert a collections row to the API shape
+ * @param {Object} record - The database record, optionally with collection_items(count)
+ * @returns {Object} - Formatted collection
+ */
+const formatCollection = (record) => ({
+  id: record.id,
+  name: record.name,
+  description: record.description,
+  itemCount: Array.isArray(record.collection_items) && record.collection_items[0]
+    ? record.collection_items[0].count
+    : 0,
+  createdAt: record.created_at,
+  updatedAt: record.updated_at
+});
+
+/**
+ * Convert a collection_items row (with its embedded item) to a summary of the item
+ * @param {Object} record - The database record
+ * @returns {Object|null} - { type, id, url, title, tags, isFavorite, createdAt, addedAt }, or null for hidden images
+ */
+const formatCollectionItem = (record) => {
+  const [type] = Object.entries(LIBRARY_ITEM_TYPES)
+    .find(([, { column }]) => record[column]) || [];
+  const item = type && record[LIBRARY_ITEM_TYPES[type].table];
+  
+  if (!item || item.is_hidden) {
+    return null;
+  }
+  
+  return {
+    type,
+    id: item.id,
+    url: item.cloudinary_url || item.image_url,
+    title: item.prompt || item.title || item.name,
+    tags: item.user_tags || [],
+    isFavorite: item.is_favorite,
+    createdAt: item.created_at,
+    addedAt: record.added_at
+  };
+};
+
+/**
+ * Check a collection's name and description
+ * @param {Object} fields - { name, description }; undefined fields are skipped
+ * @returns {Object} - The columns to store
+ */
+const validateCollectionFields = ({ name, description }) => {
+  const fields = {};
+  
+  if (name !== undefined) {
+    if (typeof name !== 'string' || !name.trim() || name.trim().length > MAX_COLLECTION_NAME_LENGTH) {
+      throw new ApiError(`name is required and must be at most ${MAX_COLLECTION_NAME_LENGTH} characters`, 400);
+    }
+    fields.name = name.trim();
+  }
+  
+  if (description !== undefined) {
+    if (description !== null && (typeof description !== 'string' || description.length > MAX_COLLECTION_DESCRIPTION_LENGTH)) {
+      throw new ApiError(`description must be at most ${MAX_COLLECTION_DESCRIPTION_LENGTH} characters`, 400);
+    }
+    fields.description = description ? description.trim() : null;
+  }
+  
+  return fields;
+};
+
+/**
+ * Error for a failed collection insert or update, turning duplicate names into a 409
+ * @param {Object} error - The Supabase error
+ * @param {string} action - What failed, for the message
+ * @returns {ApiError} - The error to throw
+ */
+const collectionWriteError = (error, action) => {
+  if (error.code === '23505') {
+    return new ApiError('You already have a collection with this name', 409);
+  }
+  
+  return new ApiError(`Failed to ${action} collection: ${error.message}`, 500);
+};
+
+/**
+ * Create a collection
+ * @param {string} userId - The user ID
+ * @param {Object} fields - { name, description }
+ * @returns {Promise<Object>} - The new collection
+ */
+const createCollection = async (userId, { name, description } = {}) => {
+  const fields = validateCollectionFields({ name: name === undefined ? null : name, description });
+  
+  const { count, error: countError } = await supabase
+    .from('collections')
+    .select('id', { count: 'exact', head: true })
+    .eq('user_id', userId);
+  
+  if (countError) {
+    throw new ApiError(`Failed to count collections: ${countError.message}`, 500);
+  }
+  
+  if (count >= MAX_COLLECTIONS_PER_USER) {
+    throw new ApiError(`You can have at most ${MAX_COLLECTIONS_PER_USER} collections`, 400);
+  }
+  
+  const { data, error } = await supabase
+    .from('collections')
+    .insert({ user_id: userId, ...fields })
+    .select()
+    .single();
+  
+  if (error) {
+    throw collectionWriteError(error, 'create');
+  }
+  
+  return formatCollection(data);
+};
+
+/**
+ * List a user's collections by name, with how many items each holds
+ * @param {string} userId - The user ID
+ * @returns {Promise<Array<Object>>} - Formatted collections
+ */
+const listCollections = async (userId) => {
+  const { data, error } = await supabase
+    .from('collections')
+    .select('*, collection_items(count)')
+    .eq('user_id', userId)
+    .order('name', { ascending: true });
+  
+  if (error) {
+    throw new ApiError(`Failed to list collections: ${error.message}`, 500);
+  }
+  
+  return data.map(formatCollection);
+};
+
+/**
+ * Get one of a user's collections
+ * @param {string} collectionId - The collection ID
+ * @param {string} userId - The user ID (for ownership check)
+ * @returns {Promise<Object>} - The collections record, with collection_items(count)
+ */
+const getOwnedCollection = async (collectionId, userId) => {
+  const { data, error } = await supabase
+    .from('collections')
+    .select('*, collection_items(count)')
+    .eq('id', collectionId)
+    .eq('user_id', userId)
+    .maybeSingle();
+  
+  if (error) {
+    throw new ApiError(`Failed to get collection: ${error.message}`, 500);
+  }
+  
+  if (!data) {
+    throw new ApiError('Collection not found', 404);
+  }
+  
+  return data;
+};
+
+/**
+ * Get a collection
+ * @param {string} collectionId - The collection ID
+ * @param {string} userId - The user ID (for ownership check)
+ * @returns {Promise<Object>} - The formatted collection
+ */
+const getCollection = async (collectionId, userId) => {
+  return formatCollection(await getOwnedCollection(collectionId, userId));
+};
+
+/**
+ * Rename a collection or change its description
+ * @param {string} collectionId - The collection ID
+ * @param {string} userId - The user ID (for ownership check)
+ * @param {Object} changes - { name, description }; omitted fields are unchanged
+ * @returns {Promise<Object>} - The updated collection
+ */
+const updateCollection = async (collectionId, userId, changes = {}) => {
+  const current = await getOwnedCollection(collectionId, userId);
+  const fields = validateCollectionFields(changes);
+  
+  if (Object.keys(fields).length === 0) {
+    throw new ApiError('Provide name or description', 400);
+  }
+  
+  const { data, error } = await supabase
+    .from('collections')
+    .update({ ...fields, updated_at: new Date().toISOString() })
+    .eq('id', collectionId)
+    .select()
+    .single();
+  
+  if (error) {
+    throw collectionWriteError(error, 'update');
+  }
+  
+  return formatCollection({ ...data, collection_items: current.collection_items });
+};
+
+/**
+ * Delete a collection. The items in it are not deleted.
+ * @param {string} collectionId - The collection ID
+ * @param {string} userId - The user ID (for ownership check)
+ */
+const deleteCollection = async (collectionId, userId) => {
+  await getOwnedCollection(collectionId, userId);
+  
+  const { error } = await supabase
+    .from('collections')
+    .delete()
+    .eq('id', collectionId);
+  
+  if (error) {
+    throw new ApiError(`Failed to delete collection: ${error.message}`, 500);
+  }
+};
+
+/**
+ * List the items in a collection, most recently added first
+ * @param {string} collectionId - The collection ID
+ * @param {string} userId - The user ID (for ownership check)
+ * @param {Object} filters - { type } to only include one item type
+ * @param {number} page - Page number
+ * @param {number} limit - Items per page
+ * @returns {Promise<Object>} - Item summaries with pagination info
+ */
+const listCollectionItems = async (collectionId, userId, filters = {}, page = 1, limit = 20) => {
+  await getOwnedCollection(collectionId, userId);
+  
+  if (filters.type && !LIBRARY_ITEM_TYPES[filters.type]) {
+    throw new ApiError(`type must be one of: ${Object.keys(LIBRARY_ITEM_TYPES).join(', ')}`, 400);
+  }
+  
+  const from = (page - 1) * limit;
+  const to = from + limit - 1;
+  
+  let query = supabase
+    .from('collection_items')
+    .select(COLLECTION_ITEM_SELECT, { count: 'exact' })
+    .eq('collection_id', collectionId);
+  
+  if (filters.type) {
+    query = query.not(LIBRARY_ITEM_TYPES[filters.type].column, 'is', null);
+  }
+  
+  const { data, error, count } = await query
+    .order('added_at', { ascending: false })
+    .range(from, to);
+  
+  if (error) {
+    throw new ApiError(`Failed to list collection items: ${error.message}`, 500);
+  }
+  
+  return {
+    items: data.map(formatCollectionItem).filter(Boolean),
+    page,
+    limit,
+    totalPages: Math.ceil(count / limit),
+    total: count
+  };
+};
+
+/**
+ * Check the items of a bulk request and group their IDs by type
+ * @param {Array<Object>} items - [{ type, id }]
+ * @returns {Map<string, Array<string>>} - Item IDs by type
+ */
+const groupItemsByType = (items) => {
+  if (!Array.isArray(items) || items.length === 0 || items.length > MAX_BULK_ITEMS) {
+    throw new ApiError(`items must be a list of 1 to ${MAX_BULK_ITEMS} { type, id } objects`, 400);
+  }
+  
+  const groups = new Map();
+  
+  for (const item of items) {
+    if (!item || !LIBRARY_ITEM_TYPES[item.type] || typeof item.id !== 'string' || !item.id) {
+      throw new ApiError(`Each item needs a type (${Object.keys(LIBRARY_ITEM_TYPES).join(', ')}) and an id`, 400);
+    }
+    
+    const ids = groups.get(item.type) || [];
+    if (!ids.includes(item.id)) {
+      ids.push(item.id);
+    }
+    groups.set(item.type, ids);
+  }
+  
+  return groups;
+};
+
+/**
+ * Make sure every item exists and belongs to the user. Hidden images count as missing.
+ * @param {string} userId - The user ID
+ * @param {Map<string, Array<string>>} groups - Item IDs by type
+ */
+const assertItemsOwned = async (userId, groups) => {
+  const missing = [];
+  
+  for (const [type, ids] of groups) {
+    let query = supabase
+      .from(LIBRARY_ITEM_TYPES[type].table)
+      .select('id')
+      .eq('user_id', userId)
+      .in('id', ids);
+    
+    if (type === 'image') {
+      query = query.eq('is_hidden', false);
+    }
+    
+    const { data, error } = await query;
+    
+    if (error) {
+      throw new ApiError(`Failed to check ${type} items: ${error.message}`, 500);
+    }
+    
+    const found = new Set(data.map(record => record.id));
+    ids.filter(id => !found.has(id)).forEach(id => missing.push({ type, id }));
+  }
+  
+  if (missing.length > 0) {
+    throw new ApiError('Some items were not found', 404, { missing });
+  }
+};
+
+/**
+ * Add items to a collection. Items already in it are skipped.
+ * @param {string} collectionId - The collection ID
+ * @param {Map<string, Array<string>>} groups - Item IDs by type (already checked)
+ * @returns {Promise<number>} - How many items were added
+ */
+const insertCollectionItems = async (collectionId, groups) => {
+  let added = 0;
+  
+  for (const [type, ids] of groups) {
+    const { column } = LIBRARY_ITEM_TYPES[type];
+    
+    const { data, error } = await supabase
+      .from('collection_items')
+      .upsert(
+        ids.map(id => ({ collection_id: collectionId, [column]: id })),
+        { onConflict: `collection_id,${column}`, ignoreDuplicates: true }
+      )
+      .select('id');
+    
+    if (error) {
+      throw new ApiError(`Failed to add items to collection: ${error.message}`, 500);
+    }
+    
+    added += (data || []).length;
+  }
+  
+  return added;
+};
+
+/**
+ * Remove items from a collection
+ * @param {string} collectionId - The collection ID
+ * @param {Map<string, Array<string>>} groups - Item IDs by type
+ * @returns {Promise<number>} - How many items were removed
+ */
+const deleteCollectionItems = async (collectionId, groups) => {
+  let removed = 0;
+  
+  for (const [type, ids] of groups) {
+    const { data, error } = await supabase
+      .from('collection_items')
+      .delete()
+      .eq('collection_id', collectionId)
+      .in(LIBRARY_ITEM_TYPES[type].column, ids)
+      .select('id');
+    
+    if (error) {
+      throw new ApiError(`Failed to remove items from collection: ${error.message}`, 500);
+    }
+    
+    removed += (data || []).length;
+  }
+  
+  return removed;
+};
+
+/**
+ * Mark a collection as changed
+ * @param {string} collectionId - The collection ID
+ */
+const touchCollection = async (collectionId) => {
+  const { error } = await supabase
+    .from('collections')
+    .update({ updated_at: new Date().toISOString() })
+    .eq('id', collectionId);
+  
+  if (error) {
+    console.error(`Error updating collection ${collectionId}:`, error);
+  }
+};
+
+/**
+ * Add items to a collection
+ * @param {string} collectionId - The collection ID
+ * @param {string} userId - The user ID (for ownership check)
+ * @param {Array<Object>} items - [{ type, id }]
+ * @returns {Promise<Object>} - { added, alreadyInCollection }
+ */
+const addCollectionItems = async (collectionId, userId, items) => {
+  await getOwnedCollection(collectionId, userId);
+  
+  const groups = groupItemsByType(items);
+  await assertItemsOwned(userId, groups);
+  
+  const added = await insertCollectionItems(collectionId, groups);
+  const total = [...groups.values()].reduce((sum, ids) => sum + ids.length, 0);
+  
+  if (added > 0) {
+    await touchCollection(collectionId);
+  }
+  
+  return { added, alreadyInCollection: total - added };
+};
+
+/**
+ * Remove items from a collection. The items themselves are not deleted.
+ * @param {string} collectionId - The collection ID
+ * @param {string} userId - The user ID (for ownership check)
+ * @param {Array<Object>} items - [{ type, id }]
+ * @returns {Promise<Object>} - { removed, notInCollection }
+ */
+const removeCollectionItems = async (collectionId, userId, items) => {
+  await getOwnedCollection(collectionId, userId);
+  
+  const groups = groupItemsByType(items);
+  const removed = await deleteCollectionItems(collectionId, groups);
+  const total = [...groups.values()].reduce((sum, ids) => sum + ids.length, 0);
+  
+  if (removed > 0) {
+    await touchCollection(collectionId);
+  }
+  
+  return { removed, notInCollection: total - removed };
+};
+
+/**
+ * Move items from one collection to another. Items that aren't in the source
+ * collection are skipped.
+ * @param {string} collectionId - The source collection ID
+ * @param {string} userId - The user ID (for ownership check)
+ * @param {string} targetCollectionId - The collection to move the items to
+ * @param {Array<Object>} items - [{ type, id }]
+ * @returns {Promise<Object>} - { moved, notInCollection }
+ */
+const moveCollectionItems = async (collectionId, userId, targetCollectionId, items) => {
+  if (!targetCollectionId || targetCollectionId === collectionId) {
+    throw new ApiError('targetCollectionId must be a different collection', 400);
+  }
+  
+  await getOwnedCollection(collectionId, userId);
+  await getOwnedCollection(targetCollectionId, userId);
+  
+  const groups = groupItemsByType(items);
+  const inSource = new Map();
+  let total = 0;
+  
+  for (const [type, ids] of groups) {
+    const { column } = LIBRARY_ITEM_TYPES[type];
+    total += ids.length;
+    
+    const { data, error } = await supabase
+      .from('collection_items')
+      .select(column)
+      .eq('collection_id', collectionId)
+      .in(column, ids);
+    
+    if (error) {
+      throw new ApiError(`Failed to check collection items: ${error.message}`, 500);
+    }
+    
+    if (data.length > 0) {
+      inSource.set(type, data.map(record => record[column]));
+    }
+  }
+  
+  if (inSource.size === 0) {
+    return { moved: 0, notInCollection: total };
+  }
+  
+  // Add before removing, so a failure can't leave the items in neither collection
+  await insertCollectionItems(targetCollectionId, inSource);
+  const moved = await deleteCollectionItems(collectionId, inSource);
+  
+  await touchCollection(collectionId);
+  await touchCollection(targetCollectionId);
+  
+  return { moved, notInCollection: total - moved };
+};
+
+/**
+ * Tag, untag, favorite or unfavorite many items at once
+ * @param {string} userId - The user ID
+ * @param {Object} changes - The changes
+ * @param {Array<Object>} changes.items - [{ type, id }]
+ * @param {Array<string>} changes.addTags - Tags to add
+ * @param {Array<string>} changes.removeTags - Tags to remove
+ * @param {boolean} changes.isFavorite - Favorite (true) or unfavorite (false) the items
+ * @returns {Promise<Object>} - { updated }
+ */
+const updateLibraryItems = async (userId, { items, addTags, removeTags, isFavorite } = {}) => {
+  const groups = groupItemsByType(items);
+  const tagsToAdd = addTags === undefined ? [] : normalizeTags(addTags, 'addTags');
+  const tagsToRemove = removeTags === undefined ? [] : normalizeTags(removeTags, 'removeTags');
+  
+  if (isFavorite !== undefined && typeof isFavorite !== 'boolean') {
+    throw new ApiError('isFavorite must be a boolean', 400);
+  }
+  
+  if (tagsToAdd.length === 0 && tagsToRemove.length === 0 && isFavorite === undefined) {
+    throw new ApiError('Provide at least one of: addTags, removeTags, isFavorite', 400);
+  }
+  
+  await assertItemsOwned(userId, groups);
+  
+  for (const [type, ids] of groups) {
+    const { table } = LIBRARY_ITEM_TYPES[type];
+    
+    if (tagsToAdd.length > 0 || tagsToRemove.length > 0) {
+      const { error } = await supabase.rpc('update_library_tags', {
+        p_table: table,
+        p_user_id: userId,
+        p_ids: ids,
+        p_add: tagsToAdd,
+        p_remove: tagsToRemove,
+        p_max_tags: MAX_TAGS_PER_ITEM
+      });
+      
+      if (error) {
+        // 22023 is raised when an item would end up with too many tags
+        throw error.code === '22023'
+          ? new ApiError(`An item can have at most ${MAX_TAGS_PER_ITEM} tags`, 400)
+          : new ApiError(`Failed to update tags: ${error.message}`, 500);
+      }
+    }
+    
+    if (isFavorite !== undefined) {
+      const { error } = await supabase
+        .from(table)
+        .update({ is_favorite: isFavorite })
+        .eq('user_id', userId)
+        .in('id', ids);
+      
+      if (error) {
+        throw new ApiError(`Failed to update favorites: ${error.message}`, 500);
+      }
+    }
+  }
+  
+  return {
+    updated: [...groups.values()].reduce((sum, ids) => sum + ids.length, 0)
+  };
+};
+
+/**
+ * List the tags a user has used, most used first
+ * @param {string} userId - The user ID
+ * @returns {Promise<Array<Object>>} - [{ tag, count }]
+ */
+const listLibraryTags = async (userId) => {
+  const { data, error } = await supabase.rpc('library_tag_counts', { p_user_id: userId });
+  
+  if (error) {
+    throw new ApiError(`Failed to list tags: ${error.message}`, 500);
+  }
+  
+  return (data || []).map(row => ({ tag: row.tag, count: Number(row.item_count) }));
+};
+
+module.exports = {
+  parseLibraryFilters,
+  getLibrarySelect,
+  applyLibraryFilters,
+  stripLibraryJoin,
+  createCollection,
+  listCollections,
+  getCollection,
+  updateCollection,
+  deleteCollection,
+  listCollectionItems,
+  addCollectionItems,
+  removeCollectionItems,
+  moveCollectionItems,
+  updateLibraryItems,
+  listLibraryTags,
+  LIBRARY_ITEM_TYPES,
+  LIBRARY_SORTS,
+  MAX_BULK_ITEMS,
+  MAX_TAGS_PER_ITEM
+};
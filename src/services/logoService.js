@@ -1,4 +1,6 @@
-const { generateImage, STYLES, MODELS } = require('./stabilityAIService');
+const { supabase } = require('../config/supabaseClient');
+const { STYLES } = require('./stabilityAIService');
+const { getImageProvider } = require('./imageProviders');
 const { uploadImage } = require('../config/cloudinaryConfig');
 const { ApiError } = require('../middlewares/errorMiddleware');
 const { v4: uuidv4 } = require('uuid');
@@ -54,16 +56,18 @@ class LogoService {
       const stylePreset = this.getStylePresetForLogo(style);
       
       // Generate the logo using higher quality settings
-      const generationResult = await generateImage({
+      const imageProvider = getImageProvider();
+      const generationResult = await imageProvider.generate({
         prompt,
         negativePrompt,
         generationType: 'LOGO',
-        modelId: MODELS.STABLE_DIFFUSION_XL,
+        modelId: imageProvider.defaultModel,
         resolution: 'SQUARE', // Explicitly use 1024x1024 resolution supported by SDXL
         cfgScale: 9, // Higher guidance scale for more accurate results
         steps: 50,   // More steps for higher quality
         style: stylePreset,
-        numberOfImages: 1
+        numberOfImages: 1,
+        userId
       });
       
       // Upload to Cloudinary
@@ -96,6 +100,39 @@ class LogoService {
     }
   }
   
+  /**
+   * Store a generated logo so it can be tagged, favorited and added to collections
+   * 
+   * @param {string} userId - User ID
+   * @param {Object} logo - The logo returned by generateLogo
+   * @param {number} creditCost - Credits charged for the logo
+   * @returns {Promise<Object>} - The logos record
+   */
+  async saveLogo(userId, logo, creditCost) {
+    const { data, error } = await supabase
+      .from('logos')
+      .insert({
+        id: logo.id,
+        user_id: userId,
+        name: logo.name,
+        prompt: logo.prompt,
+        style: logo.style,
+        color_theme: logo.colorTheme || null,
+        industry: logo.industry || null,
+        image_url: logo.imageUrl,
+        public_id: logo.publicId,
+        credit_cost: creditCost
+      })
+      .select()
+      .single();
+    
+    if (error) {
+      throw new ApiError(`Failed to store logo: ${error.message}`, 500);
+    }
+    
+    return data;
+  }
+  
   /**
    * Build a specialized prompt for logo generation
    */
@@ -0,0 +1,824 @@
+const { supabase } = require('../config/supabaseClient');
+const { loadModerationConfig } = require('../config/moderationConfig');
+const { addCredits } = require('./creditService');
+const EmailService = require('./emailService');
+const { suspendUser } = require('./userService');
+const { ApiError } = require('../middlewares/errorMiddleware');
+
+// Decisions recorded in moderation_decisions
+const MODERATION_ACTIONS = ['allow', 'flag', 'block', 'content_filtered'];
+
+// The finish reason providers report when their own filter rejected an image
+const CONTENT_FILTERED_REASON = 'CONTENT_FILTERED';
+
+// Where moderation flags come from, and their review states
+const FLAG_SOURCES = ['prompt_filter', 'content_filter', 'user_report'];
+const FLAG_STATUSES = ['open', 'approved', 'actioned'];
+
+// The reason stored on flags opened by a moderation decision
+const FLAG_REASONS = {
+  flag: 'Prompt flagged by the prompt filter',
+  block: 'Prompt blocked by the prompt filter',
+  content_filtered: 'Rejected by the image provider\'s content filter'
+};
+
+// What an admin can do with a flag. approve can't be combined with the others.
+const FLAG_ACTIONS = ['approve', 'hide_image', 'refund_credits', 'suspend_user'];
+
+// Reasons users can give when reporting an image
+const REPORT_REASONS = ['sexual', 'violence', 'hate', 'harassment', 'self_harm', 'spam', 'copyright', 'other'];
+const MAX_REPORT_DETAILS_LENGTH = 1000;
+
+// Compiled rules, built from moderationConfig on first use
+let compiledRules = null;
+
+/**
+ * Lowercase text and strip accents, so rules don't have to list every spelling
+ * @param {string} text - The text to normalize
+ * @returns {string} - Normalized text
+ */
+const foldText = (text) => {
+  return String(text || '').normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+};
+
+/**
+ * Fold text into space-separated words for whole-word term matching. Punctuation
+ * separates words, except hyphens inside a word: "Gore-Tex" is one word, not "gore".
+ * @param {string} text - The text to normalize
+ * @returns {string} - Normalized text
+ */
+const normalizeForTerms = (text) => {
+  return foldText(text)
+    .split(/[^a-z0-9-]+/)
+    .map(word => word.replace(/^-+|-+$/g, ''))
+    .filter(Boolean)
+    .join(' ');
+};
+
+/**
+ * Escape a string for use in a regular expression
+ * @param {string} text - The text to escape
+ * @returns {string} - Escaped text
+ */
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Compile the configured rules into regular expressions
+ * @returns {Object} - { enabled, reportThreshold, categories: [{ category, action, rules: [{ rule, type, regex }] }] }
+ */
+const getModerationRules = () => {
+  if (compiledRules) {
+    return compiledRules;
+  }
+  
+  const config = loadModerationConfig();
+  
+  compiledRules = {
+    enabled: config.enabled,
+    reportThreshold: config.reportThreshold,
+    categories: Object.entries(config.categories).map(([category, { action, terms = [], patterns = [] }]) => ({
+      category,
+      action,
+      rules: [
+        ...terms.map(term => ({
+          rule: term,
+          type: 'term',
+          // "self harm" also matches "self-harm"
+          regex: new RegExp(`(?:^| )${escapeRegExp(normalizeForTerms(term)).replace(/[ -]+/g, '[ -]')}(?: |$)`)
+        })),
+        ...patterns.map(pattern => ({
+          rule: pattern,
+          type: 'pattern',
+          regex: new RegExp(pattern, 'i')
+        }))
+      ]
+    }))
+  };
+  
+  return compiledRules;
+};
+
+/**
+ * Check a prompt against the moderation rules without recording anything
+ * @param {string} prompt - The prompt to check
+ * @returns {Object} - { action: 'allow' | 'flag' | 'block', categories, matches: [{ category, rule }] }
+ */
+const evaluatePrompt = (prompt) => {
+  const { enabled, categories } = getModerationRules();
+  const decision = { action: 'allow', categories: [], matches: [] };
+  
+  if (!enabled || !prompt) {
+    return decision;
+  }
+  
+  const termText = normalizeForTerms(prompt);
+  const patternText = foldText(prompt);
+  
+  for (const { category, action, rules } of categories) {
+    const hits = rules.filter(({ type, regex }) => regex.test(type === 'term' ? termText : patternText));
+    
+    if (hits.length === 0) {
+      continue;
+    }
+    
+    decision.categories.push(category);
+    decision.matches.push(...hits.map(({ rule }) => ({ category, rule })));
+    
+    if (action === 'block') {
+      decision.action = 'block';
+    } else if (decision.action === 'allow') {
+      decision.action = 'flag';
+    }
+  }
+  
+  return decision;
+};
+
+/**
+ * Add an item to the moderation queue. Failures are logged, never thrown.
+ * @param {Object} flag - The flag to create
+ * @param {string} flag.source - One of FLAG_SOURCES
+ * @param {string} flag.userId - The user whose content was flagged
+ * @param {string} flag.imageId - Optional flagged image
+ * @param {string} flag.decisionId - Optional moderation decision that raised the flag
+ * @param {Array<string>} flag.categories - Matched or reported categories
+ * @param {string} flag.reason - Optional free-text reason
+ * @param {string} flag.prompt - Optional prompt
+ * @param {string} flag.referenceId - Optional ID of the related record
+ * @returns {Promise<Object|null>} - The stored flag, or null if it couldn't be stored
+ */
+const createModerationFlag = async ({ source, userId = null, imageId = null, decisionId = null, categories = [], reason = null, prompt = null, referenceId = null }) => {
+  const { data, error } = await supabase
+    .from('moderation_flags')
+    .insert({
+      source,
+      user_id: userId,
+      image_id: imageId,
+      decision_id: decisionId,
+      categories,
+      reason,
+      prompt,
+      reference_id: referenceId
+    })
+    .select()
+    .single();
+  
+  if (error) {
+    console.error('Error creating moderation flag:', error);
+    return null;
+  }
+  
+  return data;
+};
+
+/**
+ * Record a moderation decision for admin review. Flagged, blocked and content-filtered
+ * decisions are also added to the moderation queue. Failures are logged, never thrown,
+ * so a logging problem can't break a generation.
+ * @param {Object} decision - The decision to record
+ * @param {string} decision.userId - The user the prompt came from (null if unknown)
+ * @param {string} decision.source - Where the prompt was screened (e.g. 'image', 'logo')
+ * @param {string} decision.action - One of MODERATION_ACTIONS
+ * @param {Array<string>} decision.categories - Matched categories
+ * @param {Array<Object>} decision.matches - The rules that matched
+ * @param {string} decision.prompt - The prompt
+ * @param {string} decision.referenceId - Optional ID of the related record
+ * @returns {Promise<Object|null>} - The stored record (with flagId if it was queued), or null if it couldn't be stored
+ */
+const recordModerationDecision = async ({ userId = null, source, action, categories = [], matches = [], prompt = null, referenceId = null }) => {
+  try {
+    const { data, error } = await supabase
+      .from('moderation_decisions')
+      .insert({
+        user_id: userId,
+        source,
+        action,
+        categories,
+        matches,
+        prompt,
+        reference_id: referenceId
+      })
+      .select()
+      .single();
+    
+    if (error) {
+      console.error('Error recording moderation decision:', error);
+      return null;
+    }
+    
+    if (action === 'allow') {
+      return data;
+    }
+    
+    const flag = await createModerationFlag({
+      source: action === 'content_filtered' ? 'content_filter' : 'prompt_filter',
+      userId,
+      decisionId: data.id,
+      categories,
+      reason: FLAG_REASONS[action],
+      prompt,
+      referenceId
+    });
+    
+    return { ...data, flagId: flag ? flag.id : null };
+  } catch (error) {
+    console.error('Error recording moderation decision:', error);
+    return null;
+  }
+};
+
+/**
+ * Screen a prompt before it is sent to the image provider and record the decision
+ * @param {Object} options - What to screen
+ * @param {string} options.userId - The user ID
+ * @param {string} options.source - Where the prompt came from (e.g. 'image', 'logo')
+ * @param {string} options.prompt - The prompt. Negative prompts aren't screened; they list what to avoid.
+ * @param {string} options.referenceId - Optional ID of the related record
+ * @returns {Promise<Object>} - The decision ({ action, categories, matches, flagId }); flagId is set
+ *   when a flagged prompt was queued for review, so the resulting image can be attached to the flag
+ */
+const screenPrompt = async ({ userId, source, prompt, referenceId = null }) => {
+  const decision = evaluatePrompt(prompt);
+  
+  const record = await recordModerationDecision({ userId, source, prompt, referenceId, ...decision });
+  
+  return { ...decision, flagId: record ? record.flagId || null : null };
+};
+
+/**
+ * Link the image generated from a flagged prompt to its moderation flag, so admins can act on it.
+ * Only the first image is linked when a prompt produces several. Does nothing for prompts that
+ * weren't flagged. Failures are logged, never thrown.
+ * @param {Object} decision - The decision returned by screenPrompt
+ * @param {string} imageId - The saved image
+ */
+const attachImageToFlag = async (decision, imageId) => {
+  if (!decision || !decision.flagId) {
+    return;
+  }
+  
+  const { error } = await supabase
+    .from('moderation_flags')
+    .update({ image_id: imageId, updated_at: new Date().toISOString() })
+    .eq('id', decision.flagId)
+    .is('image_id', null);
+  
+  if (error) {
+    console.error('Error attaching image to moderation flag:', error);
+  }
+};
+
+/**
+ * The { error, code, categories } result returned by pipelines for a blocked prompt
+ * @param {Object} decision - The blocking decision
+ * @returns {Object} - The error result
+ */
+const getPromptBlockedResult = (decision) => ({
+  error: `This prompt was blocked by the content policy (${decision.categories.join(', ')}). No credits were charged.`,
+  code: 'PROMPT_BLOCKED',
+  categories: decision.categories
+});
+
+/**
+ * Screen a prompt and throw a 422 if it is blocked
+ * @param {Object} options - See screenPrompt
+ * @returns {Promise<Object>} - The decision, if the prompt is allowed
+ */
+const assertPromptAllowed = async (options) => {
+  const decision = await screenPrompt(options);
+  
+  if (decision.action === 'block') {
+    const { error: message, code, categories } = getPromptBlockedResult(decision);
+    const error = new ApiError(message, 422, { categories });
+    error.code = code;
+    throw error;
+  }
+  
+  return decision;
+};
+
+/**
+ * Drop images the provider's content filter rejected, recording the rejection.
+ * Throws a 422 if nothing is left.
+ * @param {Object} result - Provider result ({ images: [{ base64, seed, finishReason }], parameters })
+ * @param {Object} context - { userId, source, prompt }
+ * @returns {Promise<Object>} - The result with only the usable images
+ */
+const refuseContentFilteredImages = async (result, { userId = null, source, prompt = null }) => {
+  const images = (result && result.images) || [];
+  const filtered = images.filter(image => image.finishReason === CONTENT_FILTERED_REASON);
+  
+  if (filtered.length === 0) {
+    return result;
+  }
+  
+  await recordModerationDecision({
+    userId,
+    source,
+    action: 'content_filtered',
+    matches: [{ rule: CONTENT_FILTERED_REASON, filtered: filtered.length, total: images.length }],
+    prompt
+  });
+  
+  const usable = images.filter(image => image.finishReason !== CONTENT_FILTERED_REASON);
+  
+  if (usable.length === 0) {
+    const error = new ApiError('The image provider\'s content filter rejected this generation. No credits were charged.', 422);
+    error.code = 'CONTENT_FILTERED';
+    throw error;
+  }
+  
+  return { ...result, images: usable };
+};
+
+/**
+ * List recorded moderation decisions, newest first
+ * @param {Object} filters - Filter parameters
+ * @param {string} filters.action - Only include decisions with this action
+ * @param {string} filters.source - Only include decisions from this source
+ * @param {string} filters.userId - Only include decisions for this user
+ * @param {string} filters.category - Only include decisions that matched this category
+ * @param {number} page - Page number
+ * @param {number} limit - Items per page
+ * @returns {Promise<Object>} - Decisions with pagination info
+ */
+const listModerationDecisions = async (filters = {}, page = 1, limit = 20) => {
+  const from = (page - 1) * limit;
+  const to = from + limit - 1;
+  
+  let query = supabase
+    .from('moderation_decisions')
+    .select('*', { count: 'exact' });
+  
+  if (filters.action) {
+    query = query.eq('action', filters.action);
+  }
+  
+  if (filters.source) {
+    query = query.eq('source', filters.source);
+  }
+  
+  if (filters.userId) {
+    query = query.eq('user_id', filters.userId);
+  }
+  
+  if (filters.category) {
+    query = query.contains('categories', [filters.category]);
+  }
+  
+  const { data, error, count } = await query
+    .order('created_at', { ascending: false })
+    .range(from, to);
+  
+  if (error) {
+    throw new ApiError(`Failed to list moderation decisions: ${error.message}`, 500);
+  }
+  
+  return {
+    decisions: data,
+    page,
+    limit,
+    totalPages: Math.ceil(count / limit),
+    total: count
+  };
+};
+
+/**
+ * List the moderation queue, newest first, with the flagged image where there is one
+ * @param {Object} filters - Filter parameters
+ * @param {string} filters.status - Only include flags in this status
+ * @param {string} filters.source - Only include flags from this source
+ * @param {string} filters.category - Only include flags with this category
+ * @param {string} filters.userId - Only include flags for this user
+ * @param {string} filters.imageId - Only include flags for this image
+ * @param {number} page - Page number
+ * @param {number} limit - Items per page
+ * @returns {Promise<Object>} - Flags with pagination info
+ */
+const listModerationFlags = async (filters = {}, page = 1, limit = 20) => {
+  const from = (page - 1) * limit;
+  const to = from + limit - 1;
+  
+  let query = supabase
+    .from('moderation_flags')
+    .select('*, images(id, cloudinary_url, prompt, credit_cost, is_hidden)', { count: 'exact' });
+  
+  if (filters.status) {
+    query = query.eq('status', filters.status);
+  }
+  
+  if (filters.source) {
+    query = query.eq('source', filters.source);
+  }
+  
+  if (filters.category) {
+    query = query.contains('categories', [filters.category]);
+  }
+  
+  if (filters.userId) {
+    query = query.eq('user_id', filters.userId);
+  }
+  
+  if (filters.imageId) {
+    query = query.eq('image_id', filters.imageId);
+  }
+  
+  const { data, error, count } = await query
+    .order('created_at', { ascending: false })
+    .range(from, to);
+  
+  if (error) {
+    throw new ApiError(`Failed to list moderation flags: ${error.message}`, 500);
+  }
+  
+  return {
+    flags: data,
+    page,
+    limit,
+    totalPages: Math.ceil(count / limit),
+    total: count
+  };
+};
+
+/**
+ * Get a moderation flag with its image and the decision that raised it
+ * @param {string} flagId - The flag ID
+ * @returns {Promise<Object>} - The flag
+ */
+const getModerationFlag = async (flagId) => {
+  const { data, error } = await supabase
+    .from('moderation_flags')
+    .select('*, images(*), moderation_decisions(*), image_reports(*)')
+    .eq('id', flagId)
+    .maybeSingle();
+  
+  if (error) {
+    throw new ApiError(`Failed to get moderation flag: ${error.message}`, 500);
+  }
+  
+  if (!data) {
+    throw new ApiError('Moderation flag not found', 404);
+  }
+  
+  return data;
+};
+
+/**
+ * Hide an image from everyone but admins, or restore it
+ * @param {string} imageId - The image ID
+ * @param {boolean} hidden - Whether the image should be hidden
+ * @param {string} reason - Why it was hidden
+ * @returns {Promise<Object>} - The updated image
+ */
+const setImageHidden = async (imageId, hidden, reason = null) => {
+  const { data, error } = await supabase
+    .from('images')
+    .update({
+      is_hidden: hidden,
+      hidden_at: hidden ? new Date().toISOString() : null,
+      hidden_reason: hidden ? reason : null
+    })
+    .eq('id', imageId)
+    .select()
+    .single();
+  
+  if (error) {
+    throw new ApiError(`Failed to update image visibility: ${error.message}`, 500);
+  }
+  
+  return data;
+};
+
+/**
+ * Email an image's owner that it was hidden. Failures are logged, never thrown.
+ * @param {Object} image - The hidden image
+ * @param {string} reason - Why it was hidden, in words the owner can read
+ * @returns {Promise<void>}
+ */
+const notifyImageHidden = async (image, reason) => {
+  try {
+    const { data: owner, error } = await supabase
+      .from('profiles')
+      .select('email, first_name')
+      .eq('id', image.user_id)
+      .maybeSingle();
+    
+    if (error || !owner) {
+      throw error || new Error('Owner profile not found');
+    }
+    
+    await EmailService.sendContentHiddenEmail(owner.email, owner.first_name, image.id, reason);
+  } catch (error) {
+    console.error(`Error notifying the owner of hidden image ${image.id}:`, error);
+  }
+};
+
+/**
+ * Resolve a moderation flag with one or more admin actions.
+ * approve restores a hidden image and closes the flag; the other actions can be combined.
+ * Refunds use an idempotency key per flag, so a flag can only ever refund once.
+ * @param {string} flagId - The flag ID
+ * @param {string} adminId - The admin applying the actions
+ * @param {Object} resolution - What to do
+ * @param {Array<string>} resolution.actions - Actions from FLAG_ACTIONS
+ * @param {string} resolution.note - Optional note stored with the review
+ * @param {number} resolution.amount - Credits to refund (defaults to the image's credit cost)
+ * @param {string} resolution.suspendUntil - Optional end of the suspension (suspend_user lasts until lifted otherwise)
+ * @returns {Promise<Object>} - The updated flag
+ */
+const resolveModerationFlag = async (flagId, adminId, { actions = [], note = null, amount, suspendUntil = null } = {}) => {
+  if (!Array.isArray(actions) || actions.length === 0 || actions.some(action => !FLAG_ACTIONS.includes(action))) {
+    throw new ApiError(`actions must be a list of: ${FLAG_ACTIONS.join(', ')}`, 400);
+  }
+  
+  if (actions.includes('approve') && actions.length > 1) {
+    throw new ApiError('approve can\'t be combined with other actions', 400);
+  }
+  
+  const flag = await getModerationFlag(flagId);
+  const image = flag.images;
+  let refundedCredits = flag.refunded_credits;
+  
+  if (['hide_image', 'refund_credits'].some(action => actions.includes(action)) && !image) {
+    throw new ApiError('This flag has no image to hide or refund', 400);
+  }
+  
+  if (actions.includes('suspend_user') && !flag.user_id) {
+    throw new ApiError('This flag has no user to suspend', 400);
+  }
+  
+  if (actions.includes('approve') && image && image.is_hidden) {
+    await setImageHidden(image.id, false);
+  }
+  
+  if (actions.includes('hide_image')) {
+    await setImageHidden(image.id, true, note || `Hidden by moderation (flag ${flag.id})`);
+    
+    if (!image.is_hidden) {
+      await notifyImageHidden(image, 'our moderation team found that it breaks our content policy');
+    }
+  }
+  
+  if (actions.includes('refund_credits')) {
+    const credits = amount === undefined || amount === null || amount === '' ? image.credit_cost : Number(amount);
+    
+    if (!Number.isInteger(credits) || credits <= 0) {
+      throw new ApiError('There are no credits to refund for this image', 400);
+    }
+    
+    const result = await addCredits(image.user_id, credits, 'moderation_refund', flag.id, `moderation_refund:${flag.id}`);
+    
+    if (result.status !== 'already_processed') {
+      refundedCredits += credits;
+    }
+  }
+  
+  if (actions.includes('suspend_user')) {
+    await suspendUser(flag.user_id, {
+      reason: note || 'Your content broke our content policy',
+      until: suspendUntil,
+      suspendedBy: adminId
+    });
+  }
+  
+  const { data, error } = await supabase
+    .from('moderation_flags')
+    .update({
+      status: actions.includes('approve') ? 'approved' : 'actioned',
+      actions: [...new Set([...flag.actions, ...actions])],
+      refunded_credits: refundedCredits,
+      reviewed_by: adminId,
+      reviewed_at: new Date().toISOString(),
+      review_note: note,
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', flag.id)
+    .select()
+    .single();
+  
+  if (error) {
+    throw new ApiError(`Failed to update moderation flag: ${error.message}`, 500);
+  }
+  
+  return data;
+};
+
+/**
+ * Find a user's report on an image
+ * @param {string} imageId - The image ID
+ * @param {string} reporterId - The reporting user
+ * @returns {Promise<Object|null>} - The report, or null if they haven't reported it
+ */
+const findImageReport = async (imageId, reporterId) => {
+  const { data, error } = await supabase
+    .from('image_reports')
+    .select('*')
+    .eq('image_id', imageId)
+    .eq('reporter_id', reporterId)
+    .maybeSingle();
+  
+  if (error) {
+    throw new ApiError(`Failed to get image report: ${error.message}`, 500);
+  }
+  
+  return data;
+};
+
+/**
+ * Get the open user_report flag for an image, opening one if there isn't one yet
+ * @param {Object} image - The reported image
+ * @param {string} reason - The reason given in the report
+ * @returns {Promise<Object>} - The flag
+ */
+const getOpenReportFlag = async (image, reason) => {
+  const { data, error } = await supabase
+    .from('moderation_flags')
+    .select('*')
+    .eq('image_id', image.id)
+    .eq('source', 'user_report')
+    .eq('status', 'open')
+    .order('created_at', { ascending: true })
+    .limit(1)
+    .maybeSingle();
+  
+  if (error) {
+    throw new ApiError(`Failed to get moderation flag: ${error.message}`, 500);
+  }
+  
+  if (data) {
+    return data;
+  }
+  
+  const flag = await createModerationFlag({
+    source: 'user_report',
+    userId: image.user_id,
+    imageId: image.id,
+    categories: [reason],
+    reason: 'Reported by users',
+    prompt: image.prompt
+  });
+  
+  if (!flag) {
+    throw new ApiError('Failed to submit report', 500);
+  }
+  
+  return flag;
+};
+
+/**
+ * Check that a share token opens a link to an image: one that hasn't been revoked or expired
+ * @param {string} imageId - The image ID
+ * @param {string} token - The share token
+ * @returns {Promise<boolean>} - Whether the link is open
+ */
+const isOpenShareLink = async (imageId, token) => {
+  if (typeof token !== 'string' || !token) {
+    return false;
+  }
+  
+  const { data: link, error } = await supabase
+    .from('image_share_links')
+    .select('id, expires_at, revoked_at')
+    .eq('token', token)
+    .eq('image_id', imageId)
+    .maybeSingle();
+  
+  if (error) {
+    throw new ApiError(`Failed to get share link: ${error.message}`, 500);
+  }
+  
+  return Boolean(link) && !link.revoked_at && (!link.expires_at || new Date(link.expires_at) > new Date());
+};
+
+/**
+ * Report an image for moderation. Each user can report an image once; all open reports on
+ * an image share one user_report flag in the moderation queue, and the image is hidden
+ * automatically (and its owner emailed) once reportThreshold users have reported it.
+ * @param {string} imageId - The image ID
+ * @param {string} reporterId - The reporting user
+ * @param {Object} report - The report
+ * @param {string} report.reason - One of REPORT_REASONS
+ * @param {string} report.details - Optional free-text details
+ * @param {string} report.shareToken - The share link the image was opened through; needed for unlisted images
+ * @returns {Promise<Object>} - { report, flagId, imageHidden, alreadyReported }
+ */
+const reportImage = async (imageId, reporterId, { reason, details = null, shareToken = null } = {}) => {
+  if (!REPORT_REASONS.includes(reason)) {
+    throw new ApiError(`reason must be one of: ${REPORT_REASONS.join(', ')}`, 400);
+  }
+  
+  if (details !== null && details !== undefined && (typeof details !== 'string' || details.length > MAX_REPORT_DETAILS_LENGTH)) {
+    throw new ApiError(`details must be text of at most ${MAX_REPORT_DETAILS_LENGTH} characters`, 400);
+  }
+  
+  const { data: image, error: imageError } = await supabase
+    .from('images')
+    .select('id, user_id, prompt, is_hidden, visibility')
+    .eq('id', imageId)
+    .maybeSingle();
+  
+  if (imageError) {
+    throw new ApiError(`Failed to get image: ${imageError.message}`, 500);
+  }
+  
+  if (image && image.user_id === reporterId) {
+    throw new ApiError('You can\'t report your own image', 400);
+  }
+  
+  // Only images the reporter could have seen can be reported: public ones, or unlisted ones
+  // opened through one of their share links. Anything else gets the same 404, so a report
+  // doesn't reveal whether an unlisted image exists.
+  const canSee = image && (
+    image.visibility === 'public'
+    || (image.visibility === 'unlisted' && await isOpenShareLink(image.id, shareToken))
+  );
+  
+  if (!canSee) {
+    throw new ApiError('Image not found', 404);
+  }
+  
+  const existing = await findImageReport(imageId, reporterId);
+  if (existing) {
+    return { report: existing, flagId: existing.flag_id, imageHidden: image.is_hidden, alreadyReported: true };
+  }
+  
+  const flag = await getOpenReportFlag(image, reason);
+  
+  const { data: report, error } = await supabase
+    .from('image_reports')
+    .insert({
+      image_id: imageId,
+      reporter_id: reporterId,
+      flag_id: flag.id,
+      reason,
+      details: details || null
+    })
+    .select()
+    .single();
+  
+  if (error) {
+    // The same user reported twice at once; keep the first report
+    if (error.code === '23505') {
+      const first = await findImageReport(imageId, reporterId);
+      return { report: first, flagId: first && first.flag_id, imageHidden: image.is_hidden, alreadyReported: true };
+    }
+    
+    throw new ApiError(`Failed to submit report: ${error.message}`, 500);
+  }
+  
+  const { count, error: countError } = await supabase
+    .from('image_reports')
+    .select('id', { count: 'exact', head: true })
+    .eq('flag_id', flag.id);
+  
+  if (countError) {
+    throw new ApiError(`Failed to count image reports: ${countError.message}`, 500);
+  }
+  
+  const { error: flagError } = await supabase
+    .from('moderation_flags')
+    .update({
+      categories: [...new Set([...flag.categories, reason])],
+      report_count: count,
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', flag.id);
+  
+  if (flagError) {
+    console.error('Error updating moderation flag for report:', flagError);
+  }
+  
+  let imageHidden = image.is_hidden;
+  const { reportThreshold } = getModerationRules();
+  
+  if (!imageHidden && reportThreshold && count >= reportThreshold) {
+    await setImageHidden(image.id, true, `Hidden automatically after ${count} user reports`);
+    imageHidden = true;
+    await notifyImageHidden(image, 'several people reported it');
+  }
+  
+  return { report, flagId: flag.id, imageHidden, alreadyReported: false };
+};
+
+module.exports = {
+  evaluatePrompt,
+  screenPrompt,
+  assertPromptAllowed,
+  getPromptBlockedResult,
+  recordModerationDecision,
+  refuseContentFilteredImages,
+  listModerationDecisions,
+  createModerationFlag,
+  attachImageToFlag,
+  listModerationFlags,
+  getModerationFlag,
+  setImageHidden,
+  resolveModerationFlag,
+  reportImage,
+  MODERATION_ACTIONS,
+  FLAG_SOURCES,
+  FLAG_STATUSES,
+  FLAG_ACTIONS,
+  REPORT_REASONS,
+  CONTENT_FILTERED_REASON
+};
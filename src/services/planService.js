@@ -1,5 +1,6 @@
 const { supabase } = require('../config/supabaseClient');
-const { deductCredits } = require('./creditService');
+const { purchasePlan } = require('./creditService');
+const { dispatchWebhookEvent } = require('./webhookService');
 const { ApiError } = require('../middlewares/errorMiddleware');
 
 const PLAN_PRICES = {
@@ -30,64 +31,58 @@ const PLAN_DAILY_LIMITS = {
 // Daily free image generation limits (without using credits)
 const FREE_DAILY_GENERATIONS = 5;
 
-const subscribeToPlan = async (userId, plan) => {
+// Most images a single batch request can create, by plan
+const PLAN_BATCH_LIMITS = {
+  free: 4,
+  creator: 10,
+  professional: 25,
+  enterprise: 50,
+  rs2000: 20
+};
+
+// How far ahead of a plan's expiry the plan.expiring webhook event is sent
+const PLAN_EXPIRY_NOTICE_DAYS = 3;
+const PLAN_EXPIRY_SWEEP_INTERVAL_MS = 60 * 60 * 1000;
+
+/**
+ * Subscribe a user to a plan, paid for with credits.
+ * The debit and the plan change happen in one transaction. Pass the client's
+ * Idempotency-Key so a retried request is only charged (and applied) once.
+ * @param {string} userId - The user ID
+ * @param {string} plan - The plan (a key of PLAN_PRICES)
+ * @param {string} requestKey - Optional client-supplied idempotency key
+ * @returns {Promise<Object>} - { message, plan, expiry }
+ */
+const subscribeToPlan = async (userId, plan, requestKey = null) => {
   const planKey = plan.toLowerCase();
 
   if (!PLAN_PRICES.hasOwnProperty(planKey)) {
     throw new ApiError('Invalid plan selected', 400);
   }
 
-  const creditsRequired = PLAN_PRICES[planKey];
-
-  if (creditsRequired > 0) {
-    await deductCredits(userId, creditsRequired, 'plan_subscription');
-  }
-
-  const now = new Date();
-  const expiryDate = new Date(now);
-  expiryDate.setDate(now.getDate() + PLAN_DURATIONS[planKey]);
-
-  // For RS2000 plan, set the user as a professional user
-  if (planKey === 'rs2000') {
-    const { data, error } = await supabase
-      .from('profiles')
-      .update({
-        current_plan: 'professional', // Set as professional plan
-        plan_expiry: expiryDate.toISOString(),
-        role: 'professional'  // Update user role to professional
-      })
-      .eq('id', userId)
-      .single();
-
-    if (error) {
-      throw new ApiError('Failed to update user plan', 500);
-    }
+  const result = await purchasePlan(userId, PLAN_PRICES[planKey], {
+    // For RS2000 plan, set the user as a professional user
+    plan: planKey === 'rs2000' ? 'professional' : planKey,
+    role: planKey === 'rs2000' ? 'professional' : null,
+    durationDays: PLAN_DURATIONS[planKey],
+    referenceId: planKey
+  }, requestKey ? `plan_subscription:${userId}:${requestKey}` : null);
 
+  // A retry of a subscription that already went through: report it without extending it again
+  if (result.status === 'already_processed') {
     return {
-      message: `Subscribed to RS2000 plan with professional privileges`,
-      plan: 'professional',
-      expiry: expiryDate
+      message: `Already subscribed to ${result.plan} plan`,
+      plan: result.plan,
+      expiry: result.planExpiry
     };
   }
 
-  // Regular plan subscription
-  const { data, error } = await supabase
-    .from('profiles')
-    .update({
-      current_plan: planKey,
-      plan_expiry: expiryDate.toISOString()
-    })
-    .eq('id', userId)
-    .single();
-
-  if (error) {
-    throw new ApiError('Failed to update user plan', 500);
-  }
-
   return {
-    message: `Subscribed to ${planKey} plan`,
-    plan: planKey,
-    expiry: expiryDate
+    message: planKey === 'rs2000'
+      ? 'Subscribed to RS2000 plan with professional privileges'
+      : `Subscribed to ${planKey} plan`,
+    plan: result.plan,
+    expiry: result.planExpiry
   };
 };
 
@@ -272,13 +267,115 @@ const checkFreeDailyGenerations = async (userId) => {
   }
 };
 
+/**
+ * Get the largest batch a user's plan allows. Expired plans get the free plan's limit.
+ * @param {string} userId - The user ID
+ * @returns {Promise<{plan: string, limit: number}>} - The plan and its batch limit
+ */
+const getBatchLimit = async (userId) => {
+  const { data: userData, error } = await supabase
+    .from('profiles')
+    .select('current_plan, plan_expiry')
+    .eq('id', userId)
+    .single();
+  
+  if (error) {
+    console.error(`Failed to get user plan: ${error.message}`);
+    return { plan: 'free', limit: PLAN_BATCH_LIMITS.free };
+  }
+  
+  let plan = userData.current_plan || 'free';
+  if (userData.plan_expiry && new Date(userData.plan_expiry) < new Date()) {
+    plan = 'free';
+  }
+  
+  return {
+    plan,
+    limit: PLAN_BATCH_LIMITS[plan] || PLAN_BATCH_LIMITS.free
+  };
+};
+
+/**
+ * Send the plan.expiring webhook event to users whose paid plan expires within
+ * PLAN_EXPIRY_NOTICE_DAYS. Each expiry date is announced once per endpoint, so
+ * renewing the plan (a new expiry date) makes the next expiry announced again.
+ * @returns {Promise<number>} - How many users the event was sent for
+ */
+const notifyExpiringPlans = async () => {
+  // Only users with an endpoint listening for the event need checking
+  const { data: endpoints, error: endpointError } = await supabase
+    .from('webhook_endpoints')
+    .select('user_id')
+    .eq('is_active', true)
+    .contains('events', ['plan.expiring']);
+  
+  if (endpointError) {
+    throw new ApiError(`Failed to list webhook endpoints: ${endpointError.message}`, 500);
+  }
+  
+  const userIds = [...new Set((endpoints || []).map(endpoint => endpoint.user_id))];
+  
+  if (userIds.length === 0) {
+    return 0;
+  }
+  
+  const now = new Date();
+  const noticeUntil = new Date(now.getTime() + PLAN_EXPIRY_NOTICE_DAYS * 24 * 60 * 60 * 1000);
+  
+  const { data: profiles, error } = await supabase
+    .from('profiles')
+    .select('id, current_plan, plan_expiry')
+    .in('id', userIds)
+    .neq('current_plan', 'free')
+    .gt('plan_expiry', now.toISOString())
+    .lte('plan_expiry', noticeUntil.toISOString());
+  
+  if (error) {
+    throw new ApiError(`Failed to list expiring plans: ${error.message}`, 500);
+  }
+  
+  for (const profile of profiles || []) {
+    await dispatchWebhookEvent(profile.id, 'plan.expiring', {
+      plan: profile.current_plan,
+      planExpiry: profile.plan_expiry,
+      daysRemaining: Math.ceil((new Date(profile.plan_expiry) - now) / (24 * 60 * 60 * 1000))
+    }, { eventKey: `plan.expiring:${new Date(profile.plan_expiry).toISOString()}` });
+  }
+  
+  return (profiles || []).length;
+};
+
+/**
+ * Periodically send the plan.expiring webhook event for plans about to expire
+ * @returns {Object} - The interval handle
+ */
+const startPlanExpiryNotices = () => {
+  const timer = setInterval(async () => {
+    try {
+      await notifyExpiringPlans();
+    } catch (error) {
+      console.error('Error sending plan expiry notices:', error);
+    }
+  }, PLAN_EXPIRY_SWEEP_INTERVAL_MS);
+  
+  // Don't keep the process alive just for the sweep
+  timer.unref();
+  
+  return timer;
+};
+
 module.exports = {
   PLAN_PRICES,
   PLAN_DURATIONS,
   PLAN_DAILY_LIMITS,
   FREE_DAILY_GENERATIONS,
+  PLAN_BATCH_LIMITS,
   subscribeToPlan,
   checkDailyImageLimit,
   isUserOnFreePlan,
-  checkFreeDailyGenerations
+  checkFreeDailyGenerations,
+  getBatchLimit,
+  notifyExpiringPlans,
+  startPlanExpiryNotices,
+  PLAN_EXPIRY_NOTICE_DAYS
 };
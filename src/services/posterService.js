@@ -1,8 +1,11 @@
+const { supabase } = require('../config/supabaseClient');
 const { ApiError } = require('../middlewares/errorMiddleware');
-const StabilityAIService = require('./stabilityAIService');
+const { getImageProvider } = require('./imageProviders');
 const CloudinaryService = require('./cloudinaryService');
 const CreditService = require('./creditService');
+const { assertPromptAllowed } = require('./moderationService');
 const AssetProcessingService = require('./assetProcessingService');
+const { getLibrarySelect, applyLibraryFilters } = require('./libraryService');
 const { 
   generatePosterPrompt, 
   getPosterResolution, 
@@ -34,6 +37,8 @@ class PosterService {
    * @return {Promise<Object>} Generated poster data
    */
   static async generatePoster(userId, params) {
+    let hold = null;
+    
     try {
       const {
         title,
@@ -104,21 +109,27 @@ class PosterService {
       // 4. Get optimal resolution based on aspect ratio
       const resolution = getPosterResolution(aspectRatio, customDimensions);
       
-      // 5. Calculate credit cost - fixed cost for posters
-      const creditCost = 50; // Fixed cost for posters
+      // Screen the prompt before reserving credits; throws a 422 if it is blocked
+      await assertPromptAllowed({ userId, source: 'poster', prompt: enhancedPrompt.prompt });
       
-      // 6. Check and deduct user credits
-      await CreditService.checkAndDeductCredits(userId, creditCost);
+      // 5. Calculate credit cost - fixed cost for posters (first generation is free)
+      const creditCost = await CreditService.getCreditCost('POSTER', 'POSTER', userId);
+      const posterId = uuidv4();
+      
+      // 6. Reserve the credits until the poster has been stored
+      hold = await CreditService.holdCredits(userId, creditCost, 'poster_generation', posterId);
       
-      // 7. Generate the image using Stability AI
-      const generationResult = await StabilityAIService.generateImage({
+      // 7. Generate the image with the configured image provider
+      const imageProvider = getImageProvider();
+      const generationResult = await imageProvider.generate({
         prompt: enhancedPrompt.prompt,
         negativePrompt: enhancedPrompt.negativePrompt,
         width: resolution.width,
         height: resolution.height,
         numberOfImages: 1,
         // Use high-quality model for posters
-        model: 'stable-diffusion-xl-1024-v1-0'
+        modelId: imageProvider.defaultModel,
+        userId
       });
       
       if (!generationResult || !generationResult.images || generationResult.images.length === 0) {
@@ -129,7 +140,6 @@ class PosterService {
       const generatedImage = generationResult.images[0];
       
       // 9. Upload to Cloudinary in the posters folder
-      const posterId = uuidv4();
       const cloudinaryFolder = `orincore-ai-studio/${userId}/posters`;
       
       const uploadResult = await CloudinaryService.uploadBase64Image(
@@ -162,6 +172,37 @@ class PosterService {
         productImageId: processedProductImage ? processedProductImage.id : null
       };
       
+      const { error: insertError } = await supabase
+        .from('posters')
+        .insert({
+          id: posterId,
+          user_id: userId,
+          title,
+          slogan,
+          additional_text: additionalText,
+          website_url: websiteUrl,
+          poster_type: posterType,
+          style_preference: stylePreference,
+          color_palette: colorPalette,
+          aspect_ratio: posterData.aspectRatio,
+          image_url: posterData.imageUrl,
+          public_id: posterData.publicId,
+          width: posterData.width,
+          height: posterData.height,
+          text_layout: textLayout,
+          credit_cost: creditCost,
+          logo_asset_id: posterData.logoAssetId,
+          product_image_id: posterData.productImageId
+        });
+      
+      if (insertError) {
+        console.error('Error storing poster record:', insertError);
+        throw new ApiError(`Failed to store poster: ${insertError.message}`, 500);
+      }
+      
+      // Charge the reserved credits now that the poster is stored
+      await CreditService.captureCreditHold(hold);
+      
       // Return the result
       return {
         success: true,
@@ -171,20 +212,17 @@ class PosterService {
     } catch (error) {
       console.error('Error generating poster:', error);
       
-      // Refund credits if the generation failed after deduction
-      if (error.message !== 'Insufficient credits' && error.message !== 'Failed to check or deduct credits') {
-        try {
-          // Attempt to refund credits
-          await CreditService.refundCredits(userId, 50); // Refund the full cost
-        } catch (refundError) {
-          console.error('Error refunding credits:', refundError);
-        }
+      // Give back the reserved credits (no-op if nothing was reserved or it was already captured)
+      try {
+        await CreditService.releaseCreditHold(hold);
+      } catch (releaseError) {
+        console.error('Error releasing credit hold:', releaseError);
       }
       
-      throw new ApiError(
-        error.message || 'Failed to generate poster', 
-        error.statusCode || 500
-      );
+      // Keep structured errors (such as moderation refusals) intact
+      throw error instanceof ApiError
+        ? error
+        : new ApiError(error.message || 'Failed to generate poster', error.statusCode || 500);
     }
   }
   
@@ -193,20 +231,58 @@ class PosterService {
    * 
    * @param {string} userId - User ID
    * @param {Object} filters - Filter parameters
+   * @param {string} filters.posterType - Only include posters of this type
+   * @param {string} filters.stylePreference - Only include posters with this style
+   * @param {string} filters.startDate - Only include posters created on or after this date
+   * @param {string} filters.endDate - Only include posters created on or before this date
+   * @param {Array<string>} filters.tags - Only include posters with all of these tags
+   * @param {boolean} filters.favorite - Only include favorites (true) or non-favorites (false)
+   * @param {string} filters.collectionId - Only include posters in this collection
+   * @param {string} filters.sort - newest (default), oldest or favorites
    * @param {number} page - Page number
    * @param {number} limit - Items per page
    * @return {Promise<Object>} Paginated posters
    */
   static async listPosters(userId, filters = {}, page = 1, limit = 20) {
     try {
-      // This would be implemented with a database query
-      // For now, this is a placeholder
+      // Calculate pagination
+      const from = (page - 1) * limit;
+      const to = from + limit - 1;
+      
+      let query = supabase
+        .from('posters')
+        .select(getLibrarySelect('*', filters), { count: 'exact' })
+        .eq('user_id', userId);
+      
+      if (filters.posterType) {
+        query = query.eq('poster_type', filters.posterType);
+      }
+      
+      if (filters.stylePreference) {
+        query = query.eq('style_preference', filters.stylePreference);
+      }
+      
+      if (filters.startDate) {
+        query = query.gte('created_at', new Date(filters.startDate).toISOString());
+      }
+      
+      if (filters.endDate) {
+        query = query.lte('created_at', new Date(filters.endDate).toISOString());
+      }
+      
+      const { data, error, count } = await applyLibraryFilters(query, filters)
+        .range(from, to);
+      
+      if (error) {
+        throw new ApiError(`Failed to list posters: ${error.message}`, 500);
+      }
+      
       return {
-        posters: [],
+        posters: data.map(record => this.formatPoster(record)),
         page,
         limit,
-        totalPages: 0,
-        total: 0
+        totalPages: Math.ceil(count / limit),
+        total: count
       };
     } catch (error) {
       console.error('Error listing posters:', error);
@@ -226,9 +302,22 @@ class PosterService {
    */
   static async getPoster(posterId, userId) {
     try {
-      // This would be implemented with a database query
-      // For now, this is a placeholder
-      throw new ApiError('Poster not found', 404);
+      const { data, error } = await supabase
+        .from('posters')
+        .select('*')
+        .eq('id', posterId)
+        .eq('user_id', userId)
+        .maybeSingle();
+      
+      if (error) {
+        throw new ApiError(`Failed to get poster: ${error.message}`, 500);
+      }
+      
+      if (!data) {
+        throw new ApiError('Poster not found', 404);
+      }
+      
+      return this.formatPoster(data);
     } catch (error) {
       console.error('Error getting poster:', error);
       throw new ApiError(
@@ -247,9 +336,27 @@ class PosterService {
    */
   static async deletePoster(posterId, userId) {
     try {
-      // This would be implemented with a database query and Cloudinary deletion
-      // For now, this is a placeholder
-      throw new ApiError('Poster deletion not implemented', 501);
+      // Make sure the poster exists and belongs to the user
+      const poster = await this.getPoster(posterId, userId);
+      
+      const { error } = await supabase
+        .from('posters')
+        .delete()
+        .eq('id', posterId)
+        .eq('user_id', userId);
+      
+      if (error) {
+        throw new ApiError(`Failed to delete poster: ${error.message}`, 500);
+      }
+      
+      // Remove the image from Cloudinary; an orphaned asset shouldn't fail the request
+      try {
+        await CloudinaryService.deleteCloudinaryImage(poster.publicId);
+      } catch (cloudinaryError) {
+        console.error(`Error deleting Cloudinary asset ${poster.publicId}:`, cloudinaryError);
+      }
+      
+      return { id: posterId, deleted: true };
     } catch (error) {
       console.error('Error deleting poster:', error);
       throw new ApiError(
@@ -259,6 +366,38 @@ class PosterService {
     }
   }
   
+  /**
+   * Map a posters table row to the shape returned by generatePoster
+   * 
+   * @param {Object} record - Database row
+   * @return {Object} Poster data
+   */
+  static formatPoster(record) {
+    return {
+      id: record.id,
+      userId: record.user_id,
+      title: record.title,
+      slogan: record.slogan,
+      additionalText: record.additional_text,
+      websiteUrl: record.website_url,
+      posterType: record.poster_type,
+      stylePreference: record.style_preference,
+      colorPalette: record.color_palette || [],
+      aspectRatio: record.aspect_ratio,
+      imageUrl: record.image_url,
+      publicId: record.public_id,
+      width: record.width,
+      height: record.height,
+      textLayout: record.text_layout,
+      creditCost: record.credit_cost,
+      createdAt: record.created_at,
+      logoAssetId: record.logo_asset_id,
+      productImageId: record.product_image_id,
+      userTags: record.user_tags || [],
+      isFavorite: Boolean(record.is_favorite)
+    };
+  }
+  
   /**
    * Get available poster aspect ratios
    * 
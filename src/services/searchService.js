@@ -0,0 +1,274 @@
+const { supabase } = require('../config/supabaseClient');
+const { ApiError } = require('../middlewares/errorMiddleware');
+const { LIBRARY_ITEM_TYPES } = require('./libraryService');
+
+const MAX_QUERY_LENGTH = 200;
+const DEFAULT_SEARCH_LIMIT = 20;
+const MAX_SEARCH_LIMIT = 100;
+
+// Values one filter can take at once (e.g. ?style=anime,photographic)
+const MAX_FILTER_VALUES = 20;
+
+// Query parameters that filter on a column, and the search function argument for each
+const SEARCH_FILTERS = {
+  type: 'p_item_types',
+  generationType: 'p_generation_types',
+  style: 'p_styles',
+  modelId: 'p_model_ids',
+  resolution: 'p_resolutions'
+};
+
+// Facets returned with the first page, in the order they are listed
+const SEARCH_FACETS = ['itemType', 'generationType', 'style', 'modelId', 'resolution', 'month'];
+
+// Markers search_generations puts around matched words in a headline
+const HIGHLIGHT_START = '\u0002';
+const HIGHLIGHT_END = '\u0003';
+
+const HTML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  '\'': '&#39;'
+};
+
+/**
+ * Turn a headline from search_generations into HTML: the text is escaped and the
+ * matched words are wrapped in <mark> tags
+ * @param {string|null} headline - The headline
+ * @returns {string|null} - The HTML
+ */
+const formatHighlight = (headline) => {
+  if (!headline) {
+    return null;
+  }
+  
+  return headline
+    .replace(/[&<>"']/g, char => HTML_ESCAPES[char])
+    .split(HIGHLIGHT_START).join('<mark>')
+    .split(HIGHLIGHT_END).join('</mark>');
+};
+
+/**
+ * Encode the last row of a page as the cursor for the next one
+ * @param {Object} row - A search_generations row
+ * @returns {string} - The cursor
+ */
+const encodeCursor = (row) => {
+  return Buffer.from(JSON.stringify([row.rank, row.created_at, row.id])).toString('base64url');
+};
+
+/**
+ * Decode a cursor from encodeCursor
+ * @param {string} cursor - The cursor
+ * @returns {Object} - { rank, createdAt, id }
+ */
+const decodeCursor = (cursor) => {
+  try {
+    const [rank, createdAt, id] = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    
+    if (typeof rank !== 'number' || typeof createdAt !== 'string' || typeof id !== 'string') {
+      throw new Error('Malformed cursor');
+    }
+    
+    return { rank, createdAt, id };
+  } catch (error) {
+    throw new ApiError('Invalid cursor', 400);
+  }
+};
+
+/**
+ * Parse a date filter. A bare date in `to` includes the whole day.
+ * @param {string} value - The query value (ISO date or timestamp)
+ * @param {string} field - The query parameter, for error messages
+ * @returns {string|null} - The ISO timestamp
+ */
+const parseDate = (value, field) => {
+  if (value === undefined || value === '') {
+    return null;
+  }
+  
+  const date = new Date(value);
+  
+  if (Number.isNaN(date.getTime())) {
+    throw new ApiError(`${field} must be a date (YYYY-MM-DD) or an ISO timestamp`, 400);
+  }
+  
+  if (field === 'to' && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    date.setUTCDate(date.getUTCDate() + 1);
+  }
+  
+  return date.toISOString();
+};
+
+/**
+ * Parse the search query parameters
+ * @param {Object} query - The request query (q, type, generationType, style, modelId,
+ *   resolution, from, to, cursor, limit)
+ * @returns {Object} - { text, filters, from, to, cursor, limit }
+ */
+const parseSearchParams = (query = {}) => {
+  const text = typeof query.q === 'string' ? query.q.trim() : '';
+  
+  if (text.length > MAX_QUERY_LENGTH) {
+    throw new ApiError(`q must be at most ${MAX_QUERY_LENGTH} characters`, 400);
+  }
+  
+  // ?style=a&style=b and ?style=a,b both mean "style a or b"
+  const filters = {};
+  Object.keys(SEARCH_FILTERS).forEach(name => {
+    const values = [...new Set(
+      [].concat(query[name] || []).flatMap(value => String(value).split(',')).map(value => value.trim()).filter(Boolean)
+    )];
+    
+    if (values.length > MAX_FILTER_VALUES) {
+      throw new ApiError(`${name} can have at most ${MAX_FILTER_VALUES} values`, 400);
+    }
+    
+    filters[name] = values.length > 0 ? values : null;
+  });
+  
+  const invalidType = (filters.type || []).find(type => !LIBRARY_ITEM_TYPES[type]);
+  if (invalidType) {
+    throw new ApiError(`type must be one of: ${Object.keys(LIBRARY_ITEM_TYPES).join(', ')}`, 400);
+  }
+  
+  const from = parseDate(query.from, 'from');
+  const to = parseDate(query.to, 'to');
+  
+  if (from && to && from >= to) {
+    throw new ApiError('from must be before to', 400);
+  }
+  
+  const limit = query.limit === undefined ? DEFAULT_SEARCH_LIMIT : parseInt(query.limit, 10);
+  
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_SEARCH_LIMIT) {
+    throw new ApiError(`limit must be between 1 and ${MAX_SEARCH_LIMIT}`, 400);
+  }
+  
+  return {
+    text,
+    filters,
+    from,
+    to,
+    cursor: query.cursor ? decodeCursor(query.cursor) : null,
+    limit
+  };
+};
+
+/**
+ * Build the arguments shared by search_generations and search_generation_facets
+ * @param {string} userId - The user ID
+ * @param {Object} params - Params from parseSearchParams
+ * @returns {Object} - The RPC arguments
+ */
+const getSearchArgs = (userId, params) => {
+  const args = {
+    p_user_id: userId,
+    p_query: params.text || null,
+    p_from: params.from,
+    p_to: params.to
+  };
+  
+  Object.entries(SEARCH_FILTERS).forEach(([name, arg]) => {
+    args[arg] = params.filters[name];
+  });
+  
+  return args;
+};
+
+/**
+ * Format a search_generations row for the API
+ * @param {Object} row - The row
+ * @returns {Object} - The result
+ */
+const formatSearchResult = (row) => {
+  return {
+    type: row.item_type,
+    id: row.id,
+    title: row.title,
+    url: row.url,
+    highlight: formatHighlight(row.headline),
+    generationType: row.generation_type,
+    style: row.style,
+    modelId: row.model_id,
+    resolution: row.resolution,
+    createdAt: row.created_at,
+    rank: row.rank
+  };
+};
+
+/**
+ * Count the matches for each facet value
+ * @param {Object} args - Arguments from getSearchArgs
+ * @returns {Promise<Object>} - Lists of { value, count } keyed by facet
+ */
+const getSearchFacets = async (args) => {
+  const { data, error } = await supabase.rpc('search_generation_facets', args);
+  
+  if (error) {
+    throw new ApiError(`Failed to count search facets: ${error.message}`, 500);
+  }
+  
+  const facets = Object.fromEntries(SEARCH_FACETS.map(facet => [facet, []]));
+  
+  (data || []).forEach(row => {
+    if (facets[row.facet]) {
+      facets[row.facet].push({ value: row.value, count: Number(row.item_count) });
+    }
+  });
+  
+  // Months read best newest first; everything else most common first
+  Object.entries(facets).forEach(([facet, values]) => {
+    values.sort(facet === 'month'
+      ? (a, b) => b.value.localeCompare(a.value)
+      : (a, b) => b.count - a.count || String(a.value).localeCompare(String(b.value)));
+  });
+  
+  return facets;
+};
+
+/**
+ * Search a user's images, posters, thumbnails and logos
+ * @param {string} userId - The user ID
+ * @param {Object} query - The request query (see parseSearchParams)
+ * @returns {Promise<Object>} - { results, nextCursor, facets }; facets only come
+ *   with the first page
+ */
+const searchGenerations = async (userId, query = {}) => {
+  const params = parseSearchParams(query);
+  const args = getSearchArgs(userId, params);
+  
+  // Fetch one extra row to know whether there is another page
+  const [{ data, error }, facets] = await Promise.all([
+    supabase.rpc('search_generations', {
+      ...args,
+      p_cursor_rank: params.cursor ? params.cursor.rank : null,
+      p_cursor_created_at: params.cursor ? params.cursor.createdAt : null,
+      p_cursor_id: params.cursor ? params.cursor.id : null,
+      p_limit: params.limit + 1
+    }),
+    params.cursor ? null : getSearchFacets(args)
+  ]);
+  
+  if (error) {
+    throw new ApiError(`Failed to search: ${error.message}`, 500);
+  }
+  
+  const rows = data || [];
+  const hasMore = rows.length > params.limit;
+  const page = hasMore ? rows.slice(0, params.limit) : rows;
+  
+  return {
+    query: params.text,
+    results: page.map(formatSearchResult),
+    nextCursor: hasMore ? encodeCursor(page[page.length - 1]) : null,
+    facets
+  };
+};
+
+module.exports = {
+  searchGenerations,
+  parseDate
+};
@@ -1,4 +1,6 @@
 const axios = require('axios');
+const FormData = require('form-data');
+const sharp = require('sharp');
 const dotenv = require('dotenv');
 const { v4: uuidv4 } = require('uuid');
 const { ApiError } = require('../middlewares/errorMiddleware');
@@ -19,6 +21,22 @@ const MODELS = {
   STABLE_DIFFUSION_3: 'stable-diffusion-3' // Future-proofing for when SD3 is released
 };
 
+// Engine used for upscaling (doubles the input resolution)
+const UPSCALE_ENGINE = 'esrgan-v1-x2plus';
+
+// SDXL only accepts init images in the dimensions it was trained on
+const SDXL_DIMENSIONS = [
+  { width: 1024, height: 1024 },
+  { width: 1152, height: 896 },
+  { width: 896, height: 1152 },
+  { width: 1216, height: 832 },
+  { width: 832, height: 1216 },
+  { width: 1344, height: 768 },
+  { width: 768, height: 1344 },
+  { width: 1536, height: 640 },
+  { width: 640, height: 1536 }
+];
+
 // Define model-specific configurations
 const MODEL_CONFIG = {
   [MODELS.STABLE_DIFFUSION_XL]: {
@@ -212,6 +230,97 @@ const GENERATION_TYPES = {
   }
 };
 
+/**
+ * Find the SDXL dimensions closest to an aspect ratio
+ * @param {number} width - Source width
+ * @param {number} height - Source height
+ * @returns {Object} - { width, height } from SDXL_DIMENSIONS
+ */
+const getClosestSdxlDimensions = (width, height) => {
+  const aspectRatio = width / height;
+  
+  return SDXL_DIMENSIONS.reduce((closest, dimensions) => {
+    const difference = Math.abs(Math.log(dimensions.width / dimensions.height / aspectRatio));
+    const closestDifference = Math.abs(Math.log(closest.width / closest.height / aspectRatio));
+    return difference < closestDifference ? dimensions : closest;
+  });
+};
+
+/**
+ * Crop and resize an init image to the SDXL dimensions closest to its aspect ratio
+ * @param {Buffer} image - The init image
+ * @returns {Promise<Buffer>} - PNG buffer in an SDXL-compatible size
+ */
+const fitToSdxlDimensions = async (image) => {
+  const { width, height } = await sharp(image).metadata();
+  const target = getClosestSdxlDimensions(width, height);
+  
+  return sharp(image)
+    .resize(target.width, target.height, { fit: 'cover' })
+    .png()
+    .toBuffer();
+};
+
+/**
+ * Where an image goes on the SDXL canvas closest to its aspect ratio: scaled to fit
+ * inside it without cropping, and centred
+ * @param {number} width - Source width
+ * @param {number} height - Source height
+ * @returns {Object} - { canvas, left, top, width, height, sourceWidth, sourceHeight }
+ */
+const getSdxlPlacement = (width, height) => {
+  const canvas = getClosestSdxlDimensions(width, height);
+  const scale = Math.min(canvas.width / width, canvas.height / height);
+  const placedWidth = Math.min(canvas.width, Math.round(width * scale));
+  const placedHeight = Math.min(canvas.height, Math.round(height * scale));
+  
+  return {
+    canvas,
+    left: Math.floor((canvas.width - placedWidth) / 2),
+    top: Math.floor((canvas.height - placedHeight) / 2),
+    width: placedWidth,
+    height: placedHeight,
+    sourceWidth: width,
+    sourceHeight: height
+  };
+};
+
+/**
+ * Scale an image into its SDXL placement and pad the rest of the canvas. Nothing is
+ * cropped, so an outpainting canvas keeps its new edges; cropFromSdxlCanvas undoes it.
+ * @param {Buffer} image - The image (or a mask for it)
+ * @param {Object} placement - From getSdxlPlacement
+ * @param {Object} background - Colour for the padding; the image edges are mirrored into it when omitted
+ * @returns {Promise<Buffer>} - PNG buffer in an SDXL-compatible size
+ */
+const padToSdxlCanvas = (image, placement, background = null) => {
+  return sharp(image)
+    .resize(placement.width, placement.height, { fit: 'fill' })
+    .extend({
+      top: placement.top,
+      bottom: placement.canvas.height - placement.height - placement.top,
+      left: placement.left,
+      right: placement.canvas.width - placement.width - placement.left,
+      ...(background ? { background } : { extendWith: 'mirror' })
+    })
+    .png()
+    .toBuffer();
+};
+
+/**
+ * Cut the padding added by padToSdxlCanvas off a result and scale it back to the source size
+ * @param {Buffer} image - The result on the SDXL canvas
+ * @param {Object} placement - The placement the input was padded with
+ * @returns {Promise<Buffer>} - PNG buffer the size of the source image
+ */
+const cropFromSdxlCanvas = (image, placement) => {
+  return sharp(image)
+    .extract({ left: placement.left, top: placement.top, width: placement.width, height: placement.height })
+    .resize(placement.sourceWidth, placement.sourceHeight, { fit: 'fill' })
+    .png()
+    .toBuffer();
+};
+
 /**
  * Service for interacting with Stability AI API
  */
@@ -382,6 +491,271 @@ class StabilityAIService {
     }
   }
 
+  /**
+   * Generate images from an initial image and a prompt using Stability AI API
+   * 
+   * @param {Object} options - Image-to-image options
+   * @param {Buffer} options.image - The initial image (PNG or JPEG)
+   * @param {string} options.prompt - The prompt describing the result
+   * @param {number} options.imageStrength - How much of the initial image to keep (0-1)
+   * @returns {Promise<Object>} - Generated images and the parameters used
+   */
+  async imageToImage({
+    image,
+    prompt,
+    negativePrompt = '',
+    generationType = 'IMAGE_TO_IMAGE',
+    modelId,
+    imageStrength = 0.35,
+    cfgScale = 7,
+    steps = 30,
+    style = null,
+    seed = 0,
+    numberOfImages = 1
+  }) {
+    try {
+      if (!prompt || prompt.trim() === '') {
+        throw new ApiError('Prompt is required for image generation', 400);
+      }
+      
+      if (!image) {
+        throw new ApiError('An initial image is required for image-to-image generation', 400);
+      }
+      
+      const selectedModel = modelId || GENERATION_TYPES[generationType]?.defaultModel || MODELS.STABLE_DIFFUSION_XL;
+      const enhancedPrompt = enhancePromptForAccuracy(prompt, style, generationType);
+      const enhancedNegativePrompt = enhanceNegativePrompt(negativePrompt, style);
+      
+      // SDXL rejects init images that aren't in one of its trained sizes
+      const initImage = selectedModel.startsWith('stable-diffusion-xl') ? await fitToSdxlDimensions(image) : image;
+      
+      // The image-to-image endpoint only accepts multipart form data
+      const form = new FormData();
+      form.append('init_image', initImage, { filename: 'init_image.png' });
+      form.append('init_image_mode', 'IMAGE_STRENGTH');
+      form.append('image_strength', String(imageStrength));
+      form.append('text_prompts[0][text]', enhancedPrompt);
+      form.append('text_prompts[0][weight]', '1');
+      form.append('text_prompts[1][text]', enhancedNegativePrompt);
+      form.append('text_prompts[1][weight]', '-1');
+      form.append('cfg_scale', String(cfgScale));
+      form.append('samples', String(numberOfImages));
+      form.append('steps', String(steps));
+      
+      if (style && style !== 'null' && style !== STYLES.NONE) {
+        form.append('style_preset', style);
+      }
+      
+      if (seed !== 0) {
+        form.append('seed', String(seed));
+      }
+      
+      const endpointUrl = `${this.apiUrl}/generation/${selectedModel}/image-to-image`;
+      console.log(`Stability AI image-to-image request to ${endpointUrl} (strength ${imageStrength})`);
+      
+      const response = await axios.post(endpointUrl, form, {
+        headers: {
+          ...form.getHeaders(),
+          'Accept': 'application/json',
+          'Authorization': `Bearer ${this.apiKey}`
+        }
+      });
+      
+      return {
+        success: true,
+        images: response.data.artifacts.map(artifact => ({
+          base64: artifact.base64,
+          seed: artifact.seed,
+          finishReason: artifact.finishReason
+        })),
+        parameters: {
+          prompt: enhancedPrompt,
+          negativePrompt: enhancedNegativePrompt,
+          model: selectedModel,
+          imageStrength,
+          steps,
+          cfgScale,
+          style
+        }
+      };
+    } catch (error) {
+      console.error('Stability AI image-to-image error:', error.response?.data || error.message);
+      throw this.formatError(error);
+    }
+  }
+  
+  /**
+   * Regenerate the masked region of an image using Stability AI API
+   * 
+   * @param {Object} options - Inpainting options
+   * @param {Buffer} options.image - The image to edit
+   * @param {Buffer} options.mask - Greyscale mask the same size as the image; white areas are regenerated
+   * @param {string} options.prompt - The prompt describing the new content
+   * @returns {Promise<Object>} - Generated images and the parameters used
+   */
+  async inpaint({
+    image,
+    mask,
+    prompt,
+    negativePrompt = '',
+    generationType = 'IMAGE_TO_IMAGE',
+    modelId,
+    cfgScale = 7,
+    steps = 30,
+    style = null,
+    seed = 0,
+    numberOfImages = 1
+  }) {
+    try {
+      if (!prompt || prompt.trim() === '') {
+        throw new ApiError('Prompt is required for image generation', 400);
+      }
+      
+      if (!image || !mask) {
+        throw new ApiError('An image and a mask are required for inpainting', 400);
+      }
+      
+      const selectedModel = modelId || GENERATION_TYPES[generationType]?.defaultModel || MODELS.STABLE_DIFFUSION_XL;
+      const enhancedPrompt = enhancePromptForAccuracy(prompt, style, generationType);
+      const enhancedNegativePrompt = enhanceNegativePrompt(negativePrompt, style);
+      
+      // SDXL only accepts its own sizes. The image is padded rather than cropped, since
+      // cropping would cut off the edges an outpaint adds; the mask gets the same placement
+      // with its padding kept as is (black), and the padding is cut off the results again.
+      const isSdxl = selectedModel.startsWith('stable-diffusion-xl');
+      let placement = null;
+      if (isSdxl) {
+        const { width, height } = await sharp(image).metadata();
+        placement = getSdxlPlacement(width, height);
+      }
+      const initImage = placement ? await padToSdxlCanvas(image, placement) : image;
+      const maskImage = placement ? await padToSdxlCanvas(mask, placement, { r: 0, g: 0, b: 0 }) : mask;
+      
+      const form = new FormData();
+      form.append('init_image', initImage, { filename: 'init_image.png' });
+      form.append('mask_source', 'MASK_IMAGE_WHITE');
+      form.append('mask_image', maskImage, { filename: 'mask_image.png' });
+      form.append('text_prompts[0][text]', enhancedPrompt);
+      form.append('text_prompts[0][weight]', '1');
+      form.append('text_prompts[1][text]', enhancedNegativePrompt);
+      form.append('text_prompts[1][weight]', '-1');
+      form.append('cfg_scale', String(cfgScale));
+      form.append('samples', String(numberOfImages));
+      form.append('steps', String(steps));
+      
+      if (style && style !== 'null' && style !== STYLES.NONE) {
+        form.append('style_preset', style);
+      }
+      
+      if (seed !== 0) {
+        form.append('seed', String(seed));
+      }
+      
+      const endpointUrl = `${this.apiUrl}/generation/${selectedModel}/image-to-image/masking`;
+      console.log(`Stability AI masking request to ${endpointUrl}`);
+      
+      const response = await axios.post(endpointUrl, form, {
+        headers: {
+          ...form.getHeaders(),
+          'Accept': 'application/json',
+          'Authorization': `Bearer ${this.apiKey}`
+        }
+      });
+      
+      const images = await Promise.all(response.data.artifacts.map(async artifact => ({
+        base64: placement
+          ? (await cropFromSdxlCanvas(Buffer.from(artifact.base64, 'base64'), placement)).toString('base64')
+          : artifact.base64,
+        seed: artifact.seed,
+        finishReason: artifact.finishReason
+      })));
+      
+      return {
+        success: true,
+        images,
+        parameters: {
+          prompt: enhancedPrompt,
+          negativePrompt: enhancedNegativePrompt,
+          model: selectedModel,
+          steps,
+          cfgScale,
+          style
+        }
+      };
+    } catch (error) {
+      console.error('Stability AI masking error:', error.response?.data || error.message);
+      throw this.formatError(error);
+    }
+  }
+  
+  /**
+   * Upscale an image using Stability AI API
+   * 
+   * @param {Object} options - Upscale options
+   * @param {Buffer} options.image - The image to upscale
+   * @param {number} options.width - Optional target width (the height follows the aspect ratio)
+   * @returns {Promise<Object>} - The upscaled image and the parameters used
+   */
+  async upscale({ image, width }) {
+    try {
+      if (!image) {
+        throw new ApiError('An image is required for upscaling', 400);
+      }
+      
+      const form = new FormData();
+      form.append('image', image, { filename: 'image.png' });
+      
+      if (width) {
+        form.append('width', String(width));
+      }
+      
+      const endpointUrl = `${this.apiUrl}/generation/${UPSCALE_ENGINE}/image-to-image/upscale`;
+      console.log(`Stability AI upscale request to ${endpointUrl}`);
+      
+      const response = await axios.post(endpointUrl, form, {
+        headers: {
+          ...form.getHeaders(),
+          'Accept': 'application/json',
+          'Authorization': `Bearer ${this.apiKey}`
+        }
+      });
+      
+      return {
+        success: true,
+        images: response.data.artifacts.map(artifact => ({
+          base64: artifact.base64,
+          seed: artifact.seed,
+          finishReason: artifact.finishReason
+        })),
+        parameters: {
+          model: UPSCALE_ENGINE,
+          width: width || null
+        }
+      };
+    } catch (error) {
+      console.error('Stability AI upscale error:', error.response?.data || error.message);
+      throw this.formatError(error);
+    }
+  }
+  
+  /**
+   * Convert an axios or internal error into an ApiError
+   * 
+   * @param {Error} error - The caught error
+   * @returns {ApiError} - The error to throw
+   */
+  formatError(error) {
+    if (error instanceof ApiError) {
+      return error;
+    }
+    
+    if (error.response?.data) {
+      return new ApiError(`Stability AI error: ${error.response.data.message || JSON.stringify(error.response.data)}`, error.response.status || 500);
+    }
+    
+    return new ApiError(`Error generating image: ${error.message}`, 500);
+  }
+
   /**
    * Enhance a prompt to improve accuracy and detail
    * 
@@ -423,65 +797,6 @@ class StabilityAIService {
   }
 }
 
-// Create a backwards-compatible module export that works with both old static calls and new instance methods
-const service = new StabilityAIService();
-
-// Static method that uses the instance method
-const generateImage = async (options) => {
-  try {
-    // Validate prompt is present
-    if (!options.prompt || options.prompt.trim() === '') {
-      throw new ApiError('Prompt is required for image generation', 400);
-    }
-    
-    // Call the service instance method
-    const result = await service.generateImage(options);
-    
-    // Process the result to return a simpler format
-    if (result.success && result.images && result.images.length > 0) {
-      const image = result.images[0];
-      
-      // Create a data URL from the base64 image
-      const imageUrl = `data:image/png;base64,${image.base64}`;
-      
-      return {
-        imageUrl,
-        seed: image.seed,
-        finish_reason: image.finishReason,
-        parameters: result.parameters
-      };
-    } else {
-      throw new Error('No images were generated');
-    }
-  } catch (error) {
-    console.error('Error in generateImage:', error);
-    
-    // Handle Axios errors specifically
-    if (error.response) {
-      // The request was made and the server responded with a status code
-      // that falls out of the range of 2xx
-      console.error('API Error Response:', error.response.data);
-      return {
-        error: `API Error: ${error.response.data.message || JSON.stringify(error.response.data)}`,
-        status: error.response.status
-      };
-    } else if (error.request) {
-      // The request was made but no response was received
-      console.error('No response received:', error.request);
-      return {
-        error: 'No response received from the image generation API',
-        status: 500
-      };
-    } else {
-      // Something happened in setting up the request that triggered an Error
-      return {
-        error: `Error: ${error.message}`,
-        status: 500
-      };
-    }
-  }
-};
-
 // Move these functions before the module exports
 const getSuggestedStyles = (prompt) => {
   // Implementation of style suggestions based on prompt content
@@ -626,8 +941,11 @@ module.exports = {
   STYLES,
   GENERATION_TYPES,
   MODEL_CONFIG,
+  DEFAULT_MODEL_CONFIG,
+  UPSCALE_ENGINE,
+  SDXL_DIMENSIONS,
   StabilityAIService,
-  generateImage,
+  getClosestSdxlDimensions,
   getGenerationTypes,
   getStylePresets,
   getSuggestedStyles,
@@ -1,12 +1,18 @@
+const { supabase } = require('../config/supabaseClient');
 const { ApiError } = require('../middlewares/errorMiddleware');
-const StabilityAIService = require('./stabilityAIService');
+const { getImageProvider } = require('./imageProviders');
 const CloudinaryService = require('./cloudinaryService');
 const CreditService = require('./creditService');
+const { assertPromptAllowed } = require('./moderationService');
 const AssetProcessingService = require('./assetProcessingService');
+const { getLibrarySelect, applyLibraryFilters } = require('./libraryService');
 const { 
   generateThumbnailPrompt, 
   calculateTextLayout, 
   getThumbnailParameters,
+  getTextRegion,
+  getRelativeLuminance,
+  buildTextOverlaySvg,
   CONTENT_CATEGORY_STYLES,
   STYLE_MODIFIERS
 } = require('../utils/thumbnailUtils');
@@ -21,7 +27,7 @@ const fs = require('fs');
 class ThumbnailService {
   constructor() {
     // These will be initialized in the controller
-    this.stabilityAIService = null;
+    this.imageProvider = null;
     this.cloudinaryService = null;
   }
   
@@ -43,6 +49,8 @@ class ThumbnailService {
    * @return {Promise<Object>} Generated thumbnail data
    */
   static async generateThumbnail(userId, params) {
+    let hold = null;
+    
     try {
       const {
         title,
@@ -98,18 +106,23 @@ class ThumbnailService {
       // 5. Get thumbnail parameters based on content category
       const thumbnailParams = getThumbnailParameters(contentCategory);
       
-      // 6. Calculate credit cost - YouTube thumbnails are fixed cost
-      const creditCost = 50; // Fixed cost for YouTube thumbnails
+      // Screen the prompt before reserving credits; throws a 422 if it is blocked
+      await assertPromptAllowed({ userId, source: 'thumbnail', prompt: enhancedPrompt.prompt });
+      
+      // 6. Calculate credit cost - YouTube thumbnails are fixed cost (first generation is free)
+      const creditCost = await CreditService.getCreditCost('THUMBNAIL', 'THUMBNAIL', userId);
+      const thumbnailId = uuidv4();
       
-      // 7. Check and deduct user credits
-      await CreditService.checkAndDeductCredits(userId, creditCost);
+      // 7. Reserve the credits until the thumbnail has been stored
+      hold = await CreditService.holdCredits(userId, creditCost, 'thumbnail_generation', thumbnailId);
       
-      // 8. Generate the image using Stability AI (if AI is used)
+      // 8. Generate the image with the configured image provider (if AI is used)
       let generatedImage = null;
       if (useAI) {
         try {
           // Use enhanced prompt engineering for better quality
-          const generationResult = await StabilityAIService.generateImage({
+          const imageProvider = getImageProvider();
+          const generationResult = await imageProvider.generate({
             prompt: enhancedPrompt.prompt,
             negativePrompt: enhancedPrompt.negativePrompt,
             width: thumbnailParams.resolution.width,
@@ -117,7 +130,8 @@ class ThumbnailService {
             numberOfImages: 1,
             cfgScale: 9, // Higher CFG for better prompt adherence
             steps: 40, // More steps for better quality
-            modelId: 'stable-diffusion-xl-1024-v1-0'
+            modelId: imageProvider.defaultModel,
+            userId
           });
           
           if (!generationResult || !generationResult.images || generationResult.images.length === 0) {
@@ -128,7 +142,9 @@ class ThumbnailService {
           console.log(`Generated image successfully, base64 length: ${generatedImage.base64.length}`);
         } catch (error) {
           console.error('Error generating AI image:', error);
-          throw new ApiError(`Failed to generate AI image: ${error.message}`, 500);
+          throw error instanceof ApiError
+            ? error
+            : new ApiError(`Failed to generate AI image: ${error.message}`, 500);
         }
       }
       
@@ -192,7 +208,6 @@ class ThumbnailService {
       }
       
       // 10. Upload to Cloudinary in the thumbnail folder
-      const thumbnailId = uuidv4();
       const cloudinaryFolder = `orincore-ai-studio/${userId}/thumbnails`;
       
       const uploadResult = await CloudinaryService.uploadImageBuffer(
@@ -202,22 +217,33 @@ class ThumbnailService {
       );
       
       // 11. Save record in database and return result
-      const thumbnailData = {
+      const record = await this.saveThumbnail({
         id: thumbnailId,
-        userId,
+        user_id: userId,
         title,
         subtitle,
-        contentCategory,
-        stylePreference,
+        content_category: contentCategory,
+        style_preference: stylePreference,
         tags,
-        customPrompt: prompt,
-        imageUrl: uploadResult.secure_url,
-        publicId: uploadResult.public_id,
+        custom_prompt: prompt,
+        image_url: uploadResult.secure_url,
+        public_id: uploadResult.public_id,
         width: thumbnailParams.resolution.width,
         height: thumbnailParams.resolution.height,
-        textLayout,
-        creditCost,
-        createdAt: new Date(),
+        text_layout: textLayout,
+        user_assets: processedAssets.map(asset => ({
+          id: asset.id,
+          url: asset.url,
+          publicId: asset.publicId
+        })),
+        credit_cost: creditCost
+      });
+      
+      // Charge the reserved credits now that the thumbnail is stored
+      await CreditService.captureCreditHold(hold);
+      
+      const thumbnailData = {
+        ...this.formatThumbnail(record),
         userAssetIds: processedAssets.map(asset => asset.id),
         quality: 'professional' // Mark as professional quality
       };
@@ -231,19 +257,17 @@ class ThumbnailService {
     } catch (error) {
       console.error('Error generating YouTube thumbnail:', error);
       
-      // Refund credits if the generation failed after deduction
-      if (error.message !== 'Insufficient credits' && error.message !== 'Failed to check or deduct credits') {
-        try {
-          await CreditService.refundCredits(userId, 50); // Refund the standard cost
-        } catch (refundError) {
-          console.error('Error refunding credits:', refundError);
-        }
+      // Give back the reserved credits (no-op if nothing was reserved or it was already captured)
+      try {
+        await CreditService.releaseCreditHold(hold);
+      } catch (releaseError) {
+        console.error('Error releasing credit hold:', releaseError);
       }
       
-      throw new ApiError(
-        error.message || 'Failed to generate YouTube thumbnail', 
-        error.statusCode || 500
-      );
+      // Keep structured errors (such as moderation refusals) intact
+      throw error instanceof ApiError
+        ? error
+        : new ApiError(error.message || 'Failed to generate YouTube thumbnail', error.statusCode || 500);
     }
   }
   
@@ -305,8 +329,7 @@ class ThumbnailService {
             position: 'center'
           });
         
-        // For now, just return the base image resized to simplify debugging
-        return composition.jpeg().toBuffer();
+        return this.addTextOverlayToComposition(composition, textLayout, title, subtitle, thumbnailParams);
       } catch (err) {
         console.error('Error creating composition with Sharp:', err);
         throw new ApiError(`Failed to create image composition: ${err.message}`, 500);
@@ -336,7 +359,6 @@ class ThumbnailService {
         throw new ApiError('Empty image buffer provided', 500);
       }
       
-      // Create a simple composition with just the image resized
       const composition = sharp(imageBuffer, { failOnError: false })
         .resize({
           width: thumbnailParams.resolution.width,
@@ -345,8 +367,7 @@ class ThumbnailService {
           position: 'center'
         });
       
-      // Skip text overlay for now to isolate the issue
-      return composition.jpeg().toBuffer();
+      return this.addTextOverlayToComposition(composition, textLayout, title, subtitle, thumbnailParams);
     } catch (error) {
       console.error('Error adding text overlay:', error);
       throw new ApiError(`Failed to add text overlay: ${error.message}`, 500);
@@ -365,9 +386,46 @@ class ThumbnailService {
    */
   static async addTextOverlayToComposition(composition, textLayout, title, subtitle, thumbnailParams) {
     try {
-      // Skip the text overlay for now to fix the base issue
-      // Just return the composition as JPEG
-      return composition.jpeg().toBuffer();
+      if (!title || !title.trim()) {
+        return composition.jpeg({ quality: thumbnailParams.quality || 90 }).toBuffer();
+      }
+      
+      // Flatten the composition losslessly so the text region can be sampled
+      const { data: baseBuffer, info } = await composition
+        .png()
+        .toBuffer({ resolveWithObject: true });
+      
+      // Measure the average brightness behind the text to pick readable colors
+      const region = getTextRegion(textLayout.textPosition, info.width, info.height);
+      const { channels } = await sharp(baseBuffer)
+        .extract({
+          left: region.left,
+          top: region.top,
+          width: Math.min(region.width, info.width - region.left),
+          height: Math.min(region.height, info.height - region.top)
+        })
+        .stats();
+      
+      const backgroundLuminance = getRelativeLuminance({
+        r: channels[0].mean,
+        g: (channels[1] || channels[0]).mean,
+        b: (channels[2] || channels[0]).mean
+      });
+      
+      const svg = buildTextOverlaySvg({
+        width: info.width,
+        height: info.height,
+        title: title.trim(),
+        subtitle: subtitle ? subtitle.trim() : '',
+        textLayout,
+        textStyle: thumbnailParams.textStyle,
+        backgroundLuminance
+      });
+      
+      return sharp(baseBuffer)
+        .composite([{ input: Buffer.from(svg), top: 0, left: 0 }])
+        .jpeg({ quality: thumbnailParams.quality || 90 })
+        .toBuffer();
     } catch (error) {
       console.error('Error adding text overlay to composition:', error);
       throw new ApiError(`Failed to add text overlay: ${error.message}`, 500);
@@ -379,20 +437,58 @@ class ThumbnailService {
    * 
    * @param {string} userId - User ID
    * @param {Object} filters - Filter parameters
+   * @param {string} filters.contentCategory - Only include thumbnails in this category
+   * @param {string} filters.stylePreference - Only include thumbnails with this style
+   * @param {string} filters.startDate - Only include thumbnails created on or after this date
+   * @param {string} filters.endDate - Only include thumbnails created on or before this date
+   * @param {Array<string>} filters.tags - Only include thumbnails with all of these tags
+   * @param {boolean} filters.favorite - Only include favorites (true) or non-favorites (false)
+   * @param {string} filters.collectionId - Only include thumbnails in this collection
+   * @param {string} filters.sort - newest (default), oldest or favorites
    * @param {number} page - Page number
    * @param {number} limit - Items per page
    * @return {Promise<Object>} Paginated thumbnails
    */
   static async listThumbnails(userId, filters = {}, page = 1, limit = 20) {
     try {
-      // This would be implemented with a database query
-      // For now, this is a placeholder
+      // Calculate pagination
+      const from = (page - 1) * limit;
+      const to = from + limit - 1;
+      
+      let query = supabase
+        .from('thumbnails')
+        .select(getLibrarySelect('*', filters), { count: 'exact' })
+        .eq('user_id', userId);
+      
+      if (filters.contentCategory) {
+        query = query.eq('content_category', filters.contentCategory);
+      }
+      
+      if (filters.stylePreference) {
+        query = query.eq('style_preference', filters.stylePreference);
+      }
+      
+      if (filters.startDate) {
+        query = query.gte('created_at', new Date(filters.startDate).toISOString());
+      }
+      
+      if (filters.endDate) {
+        query = query.lte('created_at', new Date(filters.endDate).toISOString());
+      }
+      
+      const { data, error, count } = await applyLibraryFilters(query, filters)
+        .range(from, to);
+      
+      if (error) {
+        throw new ApiError(`Failed to list thumbnails: ${error.message}`, 500);
+      }
+      
       return {
-        thumbnails: [],
+        thumbnails: data.map(record => this.formatThumbnail(record)),
         page,
         limit,
-        totalPages: 0,
-        total: 0
+        totalPages: Math.ceil(count / limit),
+        total: count
       };
     } catch (error) {
       console.error('Error listing thumbnails:', error);
@@ -412,9 +508,22 @@ class ThumbnailService {
    */
   static async getThumbnail(thumbnailId, userId) {
     try {
-      // This would be implemented with a database query
-      // For now, this is a placeholder
-      throw new ApiError('Thumbnail not found', 404);
+      const { data, error } = await supabase
+        .from('thumbnails')
+        .select('*')
+        .eq('id', thumbnailId)
+        .eq('user_id', userId)
+        .maybeSingle();
+      
+      if (error) {
+        throw new ApiError(`Failed to get thumbnail: ${error.message}`, 500);
+      }
+      
+      if (!data) {
+        throw new ApiError('Thumbnail not found', 404);
+      }
+      
+      return this.formatThumbnail(data);
     } catch (error) {
       console.error('Error getting thumbnail:', error);
       throw new ApiError(
@@ -433,9 +542,35 @@ class ThumbnailService {
    */
   static async deleteThumbnail(thumbnailId, userId) {
     try {
-      // This would be implemented with a database query and Cloudinary deletion
-      // For now, this is a placeholder
-      throw new ApiError('Thumbnail deletion not implemented', 501);
+      // Make sure the thumbnail exists and belongs to the user
+      const thumbnail = await this.getThumbnail(thumbnailId, userId);
+      
+      const { error } = await supabase
+        .from('thumbnails')
+        .delete()
+        .eq('id', thumbnailId)
+        .eq('user_id', userId);
+      
+      if (error) {
+        throw new ApiError(`Failed to delete thumbnail: ${error.message}`, 500);
+      }
+      
+      // Remove the thumbnail and any uploaded assets from Cloudinary;
+      // orphaned assets shouldn't fail the request
+      const publicIds = [
+        thumbnail.publicId,
+        ...thumbnail.userAssets.map(asset => asset.publicId)
+      ].filter(Boolean);
+      
+      await Promise.all(publicIds.map(async (publicId) => {
+        try {
+          await CloudinaryService.deleteCloudinaryImage(publicId);
+        } catch (cloudinaryError) {
+          console.error(`Error deleting Cloudinary asset ${publicId}:`, cloudinaryError);
+        }
+      }));
+      
+      return { id: thumbnailId, deleted: true };
     } catch (error) {
       console.error('Error deleting thumbnail:', error);
       throw new ApiError(
@@ -444,15 +579,71 @@ class ThumbnailService {
       );
     }
   }
+  
+  /**
+   * Insert a thumbnail record
+   * 
+   * @param {Object} record - Row for the thumbnails table
+   * @return {Promise<Object>} Stored row
+   */
+  static async saveThumbnail(record) {
+    const { data, error } = await supabase
+      .from('thumbnails')
+      .insert(record)
+      .select()
+      .single();
+    
+    if (error) {
+      console.error('Error storing thumbnail record:', error);
+      throw new ApiError(`Failed to store thumbnail: ${error.message}`, 500);
+    }
+    
+    return data;
+  }
+  
+  /**
+   * Map a thumbnails table row to the API response shape
+   * 
+   * @param {Object} record - Database row
+   * @return {Object} Thumbnail data
+   */
+  static formatThumbnail(record) {
+    return {
+      id: record.id,
+      userId: record.user_id,
+      title: record.title,
+      subtitle: record.subtitle,
+      contentCategory: record.content_category,
+      stylePreference: record.style_preference,
+      tags: record.tags || [],
+      customPrompt: record.custom_prompt,
+      imageUrl: record.image_url,
+      publicId: record.public_id,
+      width: record.width,
+      height: record.height,
+      textLayout: record.text_layout,
+      userAssets: record.user_assets || [],
+      creditCost: record.credit_cost,
+      createdAt: record.created_at,
+      userTags: record.user_tags || [],
+      isFavorite: Boolean(record.is_favorite)
+    };
+  }
 
   /**
    * Generate a YouTube thumbnail with text overlay
    * 
    * @param {Object} options - Thumbnail generation options
+   * @param {Function} options.onProgress - Optional callback invoked with (stage, details) as the pipeline advances
    * @returns {Promise<Object>} - Generated thumbnail info
    */
   async generateThumbnail(options) {
+    let hold = null;
+    const onProgress = options.onProgress || (() => {});
+    
     try {
+      onProgress('validating');
+      
       console.log('Generating YouTube thumbnail with options:', JSON.stringify({
         ...options,
         prompt: options.prompt ? options.prompt.substring(0, 50) + '...' : 'No prompt',
@@ -460,13 +651,23 @@ class ThumbnailService {
       }));
       
       // Validate dependencies
-      if (!this.stabilityAIService) {
-        throw new ApiError('StabilityAIService not initialized', 500);
+      if (!this.imageProvider) {
+        throw new ApiError('Image provider not initialized', 500);
       }
       if (!this.cloudinaryService) {
         throw new ApiError('CloudinaryService not initialized', 500);
       }
       
+      // Screen the prompt before reserving credits; throws a 422 if it is blocked
+      await assertPromptAllowed({ userId: options.userId, source: 'thumbnail', prompt: this.createThumbnailPrompt(options) });
+      
+      const thumbnailId = uuidv4();
+      const creditCost = await CreditService.getCreditCost('THUMBNAIL', 'THUMBNAIL', options.userId);
+      
+      // Reserve the credits until the thumbnail has been stored
+      hold = await CreditService.holdCredits(options.userId, creditCost, 'thumbnail_generation', thumbnailId);
+      onProgress('credits_reserved', { creditCost });
+      
       let imageBuffer;
       
       // Check if user has uploaded images
@@ -474,6 +675,7 @@ class ThumbnailService {
         console.log(`Using ${options.userImages.length} user-uploaded images for thumbnail composition`);
         
         // Create a composite image from user uploads
+        onProgress('compositing', { imageCount: options.userImages.length });
         imageBuffer = await this.processUserImages(options.userImages, options);
         console.log(`User image composition complete, buffer size: ${imageBuffer.length} bytes`);
       } else {
@@ -504,16 +706,17 @@ class ThumbnailService {
         };
         
         // Generate the image
-        const result = await this.stabilityAIService.generateImage(imageOptions);
+        onProgress('model_call_started');
+        const result = await this.imageProvider.generate({ ...imageOptions, userId: options.userId });
         
-        if (!result || !result.artifacts || result.artifacts.length === 0) {
+        if (!result || !result.images || result.images.length === 0) {
           throw new ApiError('Failed to generate AI image for thumbnail', 500);
         }
         
-        console.log('Generated image successfully, base64 length:', result.artifacts[0].base64.length);
+        console.log('Generated image successfully, base64 length:', result.images[0].base64.length);
         
         // Convert base64 to buffer
-        const base64Data = result.artifacts[0].base64.replace(/^data:image\/\w+;base64,/, '');
+        const base64Data = result.images[0].base64.replace(/^data:image\/\w+;base64,/, '');
         imageBuffer = Buffer.from(base64Data, 'base64');
         console.log('Converted base64 to buffer of size:', imageBuffer.length, 'bytes');
         
@@ -542,6 +745,8 @@ class ThumbnailService {
       
       // Add text overlay if text is provided
       if (options.title) {
+        onProgress('text_overlay');
+        
         console.log(`Adding text overlay to image buffer of size: ${imageBuffer.length} bytes, type: ${imageBuffer.constructor.name}`);
         
         // Make sure we're working with a proper Buffer
@@ -550,19 +755,15 @@ class ThumbnailService {
           imageBuffer = Buffer.from(imageBuffer);
         }
         
-        // Create simple text overlay
         try {
-          const composition = sharp(imageBuffer)
-            .resize({
-              width: 1280,
-              height: 720,
-              fit: 'cover',
-              position: 'center'
-            });
-            
-          // Return JPEG buffer for now - simplify to isolate the buffer issue
-          imageBuffer = await composition.jpeg().toBuffer();
-          console.log(`Created resized image, new buffer size: ${imageBuffer.length} bytes`);
+          imageBuffer = await ThumbnailService.addTextOverlay(
+            imageBuffer,
+            calculateTextLayout(options.title, options.subtitle),
+            options.title,
+            options.subtitle,
+            getThumbnailParameters(options.category || options.contentCategory)
+          );
+          console.log(`Rendered text overlay, new buffer size: ${imageBuffer.length} bytes`);
         } catch (err) {
           console.error('Error processing image with Sharp:', err);
           throw new ApiError(`Failed to process image: ${err.message}`, 500);
@@ -570,24 +771,58 @@ class ThumbnailService {
       }
       
       // Upload the final image to Cloudinary
+      onProgress('uploading');
       console.log('Uploading image to Cloudinary, buffer type:', Buffer.isBuffer(imageBuffer) ? 'Buffer' : imageBuffer.constructor.name);
       
       const cloudinaryResult = await this.cloudinaryService.uploadImageBuffer(
         imageBuffer,
-        'thumbnails'
+        `orincore-ai-studio/${options.userId}/thumbnails`,
+        thumbnailId
       );
       
       console.log('Thumbnail uploaded to Cloudinary:', cloudinaryResult.secure_url);
       
-      return {
-        url: cloudinaryResult.secure_url,
-        publicId: cloudinaryResult.public_id,
+      // Save the thumbnail so it shows up in the user's history
+      const record = await ThumbnailService.saveThumbnail({
+        id: thumbnailId,
+        user_id: options.userId,
+        title: options.title,
+        subtitle: options.subtitle,
+        content_category: options.category || options.contentCategory,
+        style_preference: options.stylePreference,
+        tags: options.tags || [],
+        custom_prompt: options.prompt,
+        image_url: cloudinaryResult.secure_url,
+        public_id: cloudinaryResult.public_id,
         width: cloudinaryResult.width,
         height: cloudinaryResult.height,
+        text_layout: options.title ? calculateTextLayout(options.title, options.subtitle) : null,
+        user_assets: (options.userImages || []).map(file => ({
+          originalFilename: file.originalname,
+          mimetype: file.mimetype,
+          size: file.size
+        })),
+        credit_cost: creditCost
+      });
+      
+      // Charge the reserved credits now that the thumbnail is stored
+      await CreditService.captureCreditHold(hold);
+      onProgress('saved', { thumbnailId: record.id });
+      
+      return {
+        ...ThumbnailService.formatThumbnail(record),
+        url: cloudinaryResult.secure_url
       };
     } catch (error) {
       console.error('Error generating YouTube thumbnail:', error);
-      throw new ApiError(error.message, error.statusCode || 500);
+      
+      try {
+        await CreditService.releaseCreditHold(hold);
+      } catch (releaseError) {
+        console.error('Error releasing credit hold:', releaseError);
+      }
+      
+      throw error instanceof ApiError ? error : new ApiError(error.message, error.statusCode || 500);
     }
   }
 
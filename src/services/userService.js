@@ -1,8 +1,12 @@
 const { supabase, supabasePublic } = require('../config/supabaseClient');
 const { ApiError } = require('../middlewares/errorMiddleware');
 const { initializeUserCredits } = require('./creditService');
+const EmailService = require('./emailService');
 const axios = require('axios');
 
+// How often the background sweep lifts suspensions that have expired
+const SUSPENSION_SWEEP_INTERVAL_MS = 60 * 1000;
+
 /**
  * Get country and currency information based on IP address
  * @param {string} ip - The IP address
@@ -261,6 +265,262 @@ const setUserRole = async (userId, role) => {
   }
 };
 
+/**
+ * Record a suspension or reactivation in the account history. Failures are logged, never thrown.
+ * @param {Object} event - The event ({ userId, action, reason, suspendedUntil, actorId })
+ */
+const recordAccountStatusEvent = async ({ userId, action, reason = null, suspendedUntil = null, actorId = null }) => {
+  const { error } = await supabase
+    .from('account_status_events')
+    .insert({
+      user_id: userId,
+      action,
+      reason,
+      suspended_until: suspendedUntil,
+      actor_id: actorId
+    });
+  
+  if (error) {
+    console.error('Error recording account status event:', error);
+  }
+};
+
+/**
+ * Email a user about a change to their account status. Failures are logged, never thrown.
+ * @param {Object} profile - The updated profile
+ */
+const notifyAccountStatus = async (profile) => {
+  try {
+    if (profile.is_active) {
+      await EmailService.sendAccountReactivatedEmail(profile.email, profile.first_name);
+    } else {
+      await EmailService.sendAccountSuspendedEmail(profile.email, profile.first_name, profile.suspension_reason, profile.suspended_until);
+    }
+  } catch (error) {
+    console.error(`Error emailing account status to user ${profile.id}:`, error);
+  }
+};
+
+/**
+ * Suspend a user's account (admin only). Suspending an already suspended account
+ * replaces its reason and expiry.
+ * @param {string} userId - The user ID
+ * @param {Object} suspension - Suspension details
+ * @param {string} suspension.reason - Why the account is suspended; shown to the user
+ * @param {string} suspension.until - Optional ISO date when the suspension is lifted automatically
+ * @param {string} suspension.suspendedBy - The admin suspending the account
+ * @returns {Promise<Object>} - Updated profile
+ */
+const suspendUser = async (userId, { reason, until = null, suspendedBy = null } = {}) => {
+  try {
+    if (!reason || typeof reason !== 'string' || !reason.trim()) {
+      throw new ApiError('A reason is required to suspend an account', 400);
+    }
+    
+    let suspendedUntil = null;
+    if (until) {
+      const untilDate = new Date(until);
+      
+      if (Number.isNaN(untilDate.getTime()) || untilDate <= new Date()) {
+        throw new ApiError('until must be a date in the future', 400);
+      }
+      
+      suspendedUntil = untilDate.toISOString();
+    }
+    
+    if (suspendedBy && suspendedBy === userId) {
+      throw new ApiError('You can\'t suspend your own account', 400);
+    }
+    
+    const { data: profile, error: profileError } = await supabase
+      .from('profiles')
+      .select('id, role')
+      .eq('id', userId)
+      .maybeSingle();
+    
+    if (profileError) {
+      throw new ApiError(`Failed to get user profile: ${profileError.message}`, 500);
+    }
+    
+    if (!profile) {
+      throw new ApiError('User not found', 404);
+    }
+    
+    if (profile.role === 'admin') {
+      throw new ApiError('Admin accounts can\'t be suspended. Remove the admin role first', 400);
+    }
+    
+    const { data, error } = await supabase
+      .from('profiles')
+      .update({
+        is_active: false,
+        suspended_at: new Date().toISOString(),
+        suspended_until: suspendedUntil,
+        suspension_reason: reason.trim(),
+        suspended_by: suspendedBy,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', userId)
+      .select()
+      .single();
+    
+    if (error) {
+      throw new ApiError(`Failed to suspend user: ${error.message}`, 500);
+    }
+    
+    await recordAccountStatusEvent({ userId, action: 'suspend', reason: data.suspension_reason, suspendedUntil, actorId: suspendedBy });
+    await notifyAccountStatus(data);
+    
+    return data;
+  } catch (error) {
+    console.error('Error suspending user:', error);
+    throw error instanceof ApiError 
+      ? error 
+      : new ApiError(`Failed to suspend user: ${error.message}`, 500);
+  }
+};
+
+/**
+ * Reactivate a suspended account. Reactivating an active account changes nothing
+ * and sends no email.
+ * @param {string} userId - The user ID
+ * @param {Object} reactivation - Reactivation details
+ * @param {string} reactivation.reason - Optional reason, kept in the account history
+ * @param {string} reactivation.reactivatedBy - The admin reactivating the account (null when a suspension expired)
+ * @returns {Promise<Object>} - Updated profile
+ */
+const reactivateUser = async (userId, { reason = null, reactivatedBy = null } = {}) => {
+  try {
+    // Only update suspended accounts, so a suspension lifted twice at once sends one email
+    const { data, error } = await supabase
+      .from('profiles')
+      .update({
+        is_active: true,
+        suspended_at: null,
+        suspended_until: null,
+        suspension_reason: null,
+        suspended_by: null,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', userId)
+      .eq('is_active', false)
+      .select()
+      .maybeSingle();
+    
+    if (error) {
+      throw new ApiError(`Failed to reactivate user: ${error.message}`, 500);
+    }
+    
+    if (!data) {
+      const { data: profile, error: profileError } = await supabase
+        .from('profiles')
+        .select('*')
+        .eq('id', userId)
+        .maybeSingle();
+      
+      if (profileError) {
+        throw new ApiError(`Failed to get user profile: ${profileError.message}`, 500);
+      }
+      
+      if (!profile) {
+        throw new ApiError('User not found', 404);
+      }
+      
+      return profile;
+    }
+    
+    await recordAccountStatusEvent({ userId, action: 'reactivate', reason, actorId: reactivatedBy });
+    await notifyAccountStatus(data);
+    
+    return data;
+  } catch (error) {
+    console.error('Error reactivating user:', error);
+    throw error instanceof ApiError 
+      ? error 
+      : new ApiError(`Failed to reactivate user: ${error.message}`, 500);
+  }
+};
+
+/**
+ * Make sure a profile may use the API. A suspension that has expired is lifted on the spot.
+ * @param {Object} profile - The user's profile
+ * @returns {Promise<Object>} - The profile, reactivated if its suspension had expired
+ * @throws {ApiError} - 403 with code ACCOUNT_SUSPENDED while the account is suspended
+ */
+const assertAccountActive = async (profile) => {
+  if (!profile || profile.is_active !== false) {
+    return profile;
+  }
+  
+  if (profile.suspended_until && new Date(profile.suspended_until) <= new Date()) {
+    return reactivateUser(profile.id, { reason: 'Suspension expired' });
+  }
+  
+  const message = profile.suspended_until
+    ? `Your account is suspended until ${new Date(profile.suspended_until).toISOString()}`
+    : 'Your account is suspended';
+  
+  const error = new ApiError(message, 403, {
+    reason: profile.suspension_reason || null,
+    suspendedUntil: profile.suspended_until || null
+  });
+  error.code = 'ACCOUNT_SUSPENDED';
+  throw error;
+};
+
+/**
+ * Lift every suspension whose expiry has passed
+ * @returns {Promise<number>} - The number of accounts reactivated
+ */
+const reactivateExpiredSuspensions = async () => {
+  const { data, error } = await supabase
+    .from('profiles')
+    .select('id')
+    .eq('is_active', false)
+    .lte('suspended_until', new Date().toISOString());
+  
+  if (error) {
+    throw new ApiError(`Failed to find expired suspensions: ${error.message}`, 500);
+  }
+  
+  let reactivated = 0;
+  
+  for (const { id } of data) {
+    try {
+      await reactivateUser(id, { reason: 'Suspension expired' });
+      reactivated++;
+    } catch (error) {
+      console.error(`Error lifting expired suspension for user ${id}:`, error);
+    }
+  }
+  
+  return reactivated;
+};
+
+/**
+ * Periodically lift suspensions that have expired, so users are emailed on time
+ * even if they don't sign in
+ * @returns {Object} - The interval handle
+ */
+const startSuspensionExpiry = () => {
+  const timer = setInterval(async () => {
+    try {
+      const reactivated = await reactivateExpiredSuspensions();
+      
+      if (reactivated > 0) {
+        console.log(`Reactivated ${reactivated} account(s) whose suspension expired`);
+      }
+    } catch (error) {
+      console.error('Error lifting expired suspensions:', error);
+    }
+  }, SUSPENSION_SWEEP_INTERVAL_MS);
+  
+  // Don't keep the process alive just for the sweep
+  timer.unref();
+  
+  return timer;
+};
+
 /**
  * Get full user profile data with additional statistics and information
  * @param {string} userId - The user ID
@@ -277,7 +537,7 @@ const getUserFullProfileData = async (userId) => {
       .select('id, created_at, generation_type')
       .eq('user_id', userId)
       .order('created_at', { ascending: false });
-      
+    
     if (statsError) {
       console.error('Error fetching generation stats:', statsError);
     }
@@ -289,7 +549,7 @@ const getUserFullProfileData = async (userId) => {
       .eq('user_id', userId)
       .order('created_at', { ascending: false })
       .limit(10);
-      
+    
     if (creditError) {
       console.error('Error fetching credit transactions:', creditError);
     }
@@ -351,5 +611,10 @@ module.exports = {
   getAllUsers,
   setUserRole,
   getLocationInfo,
-  getUserFullProfileData
+  getUserFullProfileData,
+  suspendUser,
+  reactivateUser,
+  assertAccountActive,
+  reactivateExpiredSuspensions,
+  startSuspensionExpiry
 }; 
\ No newline at end of file
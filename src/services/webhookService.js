@@ -0,0 +1,805 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const axios = require('axios');
+const { v4: uuidv4 } = require('uuid');
+const { supabase } = require('../config/supabaseClient');
+const { ApiError } = require('../middlewares/errorMiddleware');
+
+// Events users can subscribe an endpoint to
+const WEBHOOK_EVENTS = ['image.generated', 'image.failed', 'credits.low', 'payment.succeeded', 'plan.expiring'];
+
+// Delivery lifecycle: pending (waiting for its next attempt) -> succeeded | failed
+const WEBHOOK_DELIVERY_STATUSES = ['pending', 'succeeded', 'failed'];
+
+// Endpoints a user can register at once
+const MAX_WEBHOOK_ENDPOINTS_PER_USER = 10;
+
+// Every endpoint secret starts with this, so secrets are easy to recognize
+const WEBHOOK_SECRET_PREFIX = 'whsec_';
+
+// Attempts before a delivery is given up on. Retries back off exponentially from
+// one minute (1, 2, 4, ... 64 minutes), so the last attempt is about two hours in.
+const WEBHOOK_MAX_ATTEMPTS = 8;
+const WEBHOOK_RETRY_BASE_MS = 60 * 1000;
+
+// How long an endpoint has to respond, and how long a claimed delivery is left
+// alone by other workers (longer than the timeout, so a slow attempt isn't sent twice)
+const WEBHOOK_TIMEOUT_MS = 10 * 1000;
+const WEBHOOK_CLAIM_MS = 60 * 1000;
+
+const WEBHOOK_SWEEP_INTERVAL_MS = 30 * 1000;
+const WEBHOOK_SWEEP_BATCH_SIZE = 25;
+
+// Characters of a successful response kept in the delivery log
+const MAX_RESPONSE_BODY_LENGTH = 1000;
+
+// Host names that resolve to this server or its private network
+const PRIVATE_HOST_PATTERNS = [
+  /^localhost$/i,
+  /\.localhost$/i,
+  /\.internal$/i,
+  /\.local$/i
+];
+
+// Addresses endpoints may not connect to: this host, private networks, link-local
+// (cloud metadata), shared/CGNAT, multicast and reserved ranges. IPv4-mapped IPv6
+// addresses (::ffff:a.b.c.d) are checked against the IPv4 ranges by BlockList.
+const PRIVATE_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4]
+].forEach(([network, prefix]) => PRIVATE_ADDRESSES.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 96],
+  ['64:ff9b::', 96],
+  ['64:ff9b:1::', 48],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8]
+].forEach(([network, prefix]) => PRIVATE_ADDRESSES.addSubnet(network, prefix, 'ipv6'));
+
+/**
+ * Check whether an IP address is one endpoints may not connect to
+ * @param {string} address - An IPv4 or IPv6 address
+ * @returns {boolean} - True for private, loopback, link-local and reserved addresses
+ */
+const isPrivateAddress = (address) => {
+  const family = net.isIP(address);
+  
+  if (family === 0) {
+    return true;
+  }
+  
+  return PRIVATE_ADDRESSES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+};
+
+/**
+ * Host name of a parsed URL without IPv6 brackets or trailing dots, so that
+ * "[::1]" and "metadata.google.internal." are checked like "::1" and "metadata.google.internal"
+ * @param {URL} parsed - The parsed URL
+ * @returns {string} - The bare host name
+ */
+const getBareHostname = (parsed) => {
+  return parsed.hostname
+    .replace(/^\[(.*)\]$/, '$1')
+    .replace(/\.+$/, '')
+    .toLowerCase();
+};
+
+/**
+ * dns.lookup that refuses private addresses. Used by the delivery agents, so the
+ * address checked is the one connected to and a host name that resolves (or is
+ * rebound) to a private network can't be reached.
+ * @param {string} hostname - The host name to resolve
+ * @param {Object} options - dns.lookup options
+ * @param {Function} callback - (error, address, family) or (error, addresses) when options.all is set
+ */
+const publicOnlyLookup = (hostname, options, callback) => {
+  if (typeof options === 'function') {
+    callback = options;
+    options = {};
+  }
+  
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      return callback(error);
+    }
+    
+    if (addresses.length === 0 || addresses.some(entry => isPrivateAddress(entry.address))) {
+      const lookupError = new Error(`${hostname} resolves to a private address`);
+      lookupError.code = 'EPRIVATEADDRESS';
+      return callback(lookupError);
+    }
+    
+    if (options.all) {
+      return callback(null, addresses);
+    }
+    
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+const deliveryHttpAgent = new http.Agent({ lookup: publicOnlyLookup });
+const deliveryHttpsAgent = new https.Agent({ lookup: publicOnlyLookup });
+
+/**
+ * Sign a payload the way receivers verify it: a base64 HMAC-SHA256 of
+ * "<timestamp>.<raw body>" keyed with the endpoint secret
+ * @param {string} secret - The endpoint secret
+ * @param {number|string} timestamp - Unix time in seconds, sent as X-Orincore-Timestamp
+ * @param {string} body - The raw JSON body
+ * @returns {string} - The signature, sent as X-Orincore-Signature
+ */
+const signWebhookPayload = (secret, timestamp, body) => {
+  return crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${body}`)
+    .digest('base64');
+};
+
+/**
+ * Convert a webhook_endpoints row to the API shape. The secret is never returned.
+ * @param {Object} record - The database record
+ * @returns {Object} - Formatted endpoint
+ */
+const formatWebhookEndpoint = (record) => ({
+  id: record.id,
+  url: record.url,
+  description: record.description,
+  events: record.events,
+  isActive: record.is_active,
+  createdAt: record.created_at,
+  updatedAt: record.updated_at
+});
+
+/**
+ * Convert a webhook_deliveries row to the API shape
+ * @param {Object} record - The database record
+ * @returns {Object} - Formatted delivery
+ */
+const formatWebhookDelivery = (record) => ({
+  id: record.id,
+  endpointId: record.endpoint_id,
+  event: record.event,
+  payload: record.payload,
+  status: record.status,
+  attempts: record.attempts,
+  nextAttemptAt: record.status === 'pending' ? record.next_attempt_at : null,
+  lastAttemptAt: record.last_attempt_at,
+  responseStatus: record.response_status,
+  // Bodies of failed responses aren't shown, in case an endpoint echoes something it shouldn't
+  responseBody: record.response_status >= 200 && record.response_status < 300 ? record.response_body : null,
+  error: record.error,
+  redeliveryOf: record.redelivery_of,
+  deliveredAt: record.delivered_at,
+  createdAt: record.created_at
+});
+
+/**
+ * Check an endpoint URL. It must be HTTPS (plain HTTP is allowed outside production)
+ * and must not point at this server or a private network. Host names are checked
+ * again when they are resolved for each delivery (see publicOnlyLookup).
+ * @param {string} url - The endpoint URL
+ * @returns {string} - The normalized URL
+ */
+const validateWebhookUrl = (url) => {
+  let parsed;
+  
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    throw new ApiError('url must be a valid URL', 400);
+  }
+  
+  const allowedProtocols = process.env.NODE_ENV === 'production' ? ['https:'] : ['https:', 'http:'];
+  
+  if (!allowedProtocols.includes(parsed.protocol)) {
+    throw new ApiError('url must use https', 400);
+  }
+  
+  const hostname = getBareHostname(parsed);
+  const isPrivate = net.isIP(hostname)
+    ? isPrivateAddress(hostname)
+    : !hostname || PRIVATE_HOST_PATTERNS.some(pattern => pattern.test(hostname));
+  
+  if (isPrivate) {
+    throw new ApiError('url must be publicly reachable', 400);
+  }
+  
+  if (parsed.username || parsed.password) {
+    throw new ApiError('url must not contain credentials', 400);
+  }
+  
+  return parsed.toString();
+};
+
+/**
+ * Check the events an endpoint subscribes to
+ * @param {Array<string>} events - The requested events
+ * @returns {Array<string>} - The events without duplicates
+ */
+const validateEvents = (events) => {
+  if (!Array.isArray(events) || events.length === 0 || events.some(event => !WEBHOOK_EVENTS.includes(event))) {
+    throw new ApiError(`events must be a non-empty list of: ${WEBHOOK_EVENTS.join(', ')}`, 400);
+  }
+  
+  return [...new Set(events)];
+};
+
+/**
+ * Check an endpoint description
+ * @param {string} description - The description (optional)
+ * @returns {string|null} - The trimmed description
+ */
+const validateDescription = (description) => {
+  if (description === undefined || description === null || description === '') {
+    return null;
+  }
+  
+  if (typeof description !== 'string' || description.trim().length > 200) {
+    throw new ApiError('description must be at most 200 characters', 400);
+  }
+  
+  return description.trim() || null;
+};
+
+/**
+ * Register a webhook endpoint for a user
+ * @param {string} userId - The user ID
+ * @param {Object} options - Endpoint options
+ * @param {string} options.url - Where events are POSTed
+ * @param {Array<string>} options.events - Events to send (from WEBHOOK_EVENTS)
+ * @param {string} options.description - An optional label
+ * @returns {Promise<Object>} - { secret, endpoint }; the secret is only ever returned here
+ */
+const createWebhookEndpoint = async (userId, { url, events, description } = {}) => {
+  const validUrl = validateWebhookUrl(url);
+  const validEvents = validateEvents(events);
+  const validDescription = validateDescription(description);
+  
+  const { count, error: countError } = await supabase
+    .from('webhook_endpoints')
+    .select('id', { count: 'exact', head: true })
+    .eq('user_id', userId);
+  
+  if (countError) {
+    throw new ApiError(`Failed to count webhook endpoints: ${countError.message}`, 500);
+  }
+  
+  if (count >= MAX_WEBHOOK_ENDPOINTS_PER_USER) {
+    throw new ApiError(`You can have at most ${MAX_WEBHOOK_ENDPOINTS_PER_USER} webhook endpoints. Delete one first.`, 400);
+  }
+  
+  const secret = `${WEBHOOK_SECRET_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+  
+  const { data, error } = await supabase
+    .from('webhook_endpoints')
+    .insert({
+      user_id: userId,
+      url: validUrl,
+      events: validEvents,
+      description: validDescription,
+      secret
+    })
+    .select()
+    .single();
+  
+  if (error) {
+    throw new ApiError(`Failed to create webhook endpoint: ${error.message}`, 500);
+  }
+  
+  return { secret, endpoint: formatWebhookEndpoint(data) };
+};
+
+/**
+ * List a user's webhook endpoints, newest first
+ * @param {string} userId - The user ID
+ * @returns {Promise<Array<Object>>} - Formatted endpoints
+ */
+const listWebhookEndpoints = async (userId) => {
+  const { data, error } = await supabase
+    .from('webhook_endpoints')
+    .select('*')
+    .eq('user_id', userId)
+    .order('created_at', { ascending: false });
+  
+  if (error) {
+    throw new ApiError(`Failed to list webhook endpoints: ${error.message}`, 500);
+  }
+  
+  return data.map(formatWebhookEndpoint);
+};
+
+/**
+ * Get one of a user's endpoints
+ * @param {string} endpointId - The endpoint ID
+ * @param {string} userId - The user ID (for ownership check)
+ * @returns {Promise<Object>} - The webhook_endpoints record
+ */
+const getOwnedWebhookEndpoint = async (endpointId, userId) => {
+  const { data, error } = await supabase
+    .from('webhook_endpoints')
+    .select('*')
+    .eq('id', endpointId)
+    .eq('user_id', userId)
+    .maybeSingle();
+  
+  if (error) {
+    throw new ApiError(`Failed to get webhook endpoint: ${error.message}`, 500);
+  }
+  
+  if (!data) {
+    throw new ApiError('Webhook endpoint not found', 404);
+  }
+  
+  return data;
+};
+
+/**
+ * Change an endpoint's URL, events, description or whether it is active
+ * @param {string} endpointId - The endpoint ID
+ * @param {string} userId - The user ID (for ownership check)
+ * @param {Object} changes - { url, events, description, isActive }; omitted fields are unchanged
+ * @returns {Promise<Object>} - The updated endpoint
+ */
+const updateWebhookEndpoint = async (endpointId, userId, changes = {}) => {
+  await getOwnedWebhookEndpoint(endpointId, userId);
+  
+  const updates = {};
+  
+  if (changes.url !== undefined) {
+    updates.url = validateWebhookUrl(changes.url);
+  }
+  
+  if (changes.events !== undefined) {
+    updates.events = validateEvents(changes.events);
+  }
+  
+  if (changes.description !== undefined) {
+    updates.description = validateDescription(changes.description);
+  }
+  
+  if (changes.isActive !== undefined) {
+    if (typeof changes.isActive !== 'boolean') {
+      throw new ApiError('isActive must be a boolean', 400);
+    }
+    updates.is_active = changes.isActive;
+  }
+  
+  if (Object.keys(updates).length === 0) {
+    throw new ApiError('Provide at least one of: url, events, description, isActive', 400);
+  }
+  
+  const { data, error } = await supabase
+    .from('webhook_endpoints')
+    .update({ ...updates, updated_at: new Date().toISOString() })
+    .eq('id', endpointId)
+    .select()
+    .single();
+  
+  if (error) {
+    throw new ApiError(`Failed to update webhook endpoint: ${error.message}`, 500);
+  }
+  
+  return formatWebhookEndpoint(data);
+};
+
+/**
+ * Delete an endpoint and its delivery log
+ * @param {string} endpointId - The endpoint ID
+ * @param {string} userId - The user ID (for ownership check)
+ */
+const deleteWebhookEndpoint = async (endpointId, userId) => {
+  await getOwnedWebhookEndpoint(endpointId, userId);
+  
+  const { error } = await supabase
+    .from('webhook_endpoints')
+    .delete()
+    .eq('id', endpointId);
+  
+  if (error) {
+    throw new ApiError(`Failed to delete webhook endpoint: ${error.message}`, 500);
+  }
+};
+
+/**
+ * List an endpoint's deliveries, newest first
+ * @param {string} endpointId - The endpoint ID
+ * @param {string} userId - The user ID (for ownership check)
+ * @param {Object} filters - { status }
+ * @param {number} page - Page number
+ * @param {number} limit - Items per page
+ * @returns {Promise<Object>} - Deliveries with pagination info
+ */
+const listWebhookDeliveries = async (endpointId, userId, filters = {}, page = 1, limit = 20) => {
+  await getOwnedWebhookEndpoint(endpointId, userId);
+  
+  const from = (page - 1) * limit;
+  const to = from + limit - 1;
+  
+  let query = supabase
+    .from('webhook_deliveries')
+    .select('*', { count: 'exact' })
+    .eq('endpoint_id', endpointId);
+  
+  if (filters.status) {
+    query = query.eq('status', filters.status);
+  }
+  
+  if (filters.event) {
+    query = query.eq('event', filters.event);
+  }
+  
+  const { data, error, count } = await query
+    .order('created_at', { ascending: false })
+    .range(from, to);
+  
+  if (error) {
+    throw new ApiError(`Failed to list webhook deliveries: ${error.message}`, 500);
+  }
+  
+  return {
+    deliveries: data.map(formatWebhookDelivery),
+    page,
+    limit,
+    totalPages: Math.ceil(count / limit),
+    total: count
+  };
+};
+
+/**
+ * How long to wait before retrying a delivery that has failed this many times
+ * @param {number} attempts - Attempts made so far
+ * @returns {number} - Delay in milliseconds
+ */
+const getRetryDelay = (attempts) => {
+  return WEBHOOK_RETRY_BASE_MS * Math.pow(2, attempts - 1);
+};
+
+/**
+ * Claim a due delivery so that no other worker sends it at the same time
+ * @param {Object} delivery - The webhook_deliveries record
+ * @returns {Promise<Object|null>} - The claimed record, or null if another worker has it
+ */
+const claimDelivery = async (delivery) => {
+  let query = supabase
+    .from('webhook_deliveries')
+    .update({ next_attempt_at: new Date(Date.now() + WEBHOOK_CLAIM_MS).toISOString() })
+    .eq('id', delivery.id)
+    .eq('status', 'pending');
+  
+  query = delivery.next_attempt_at
+    ? query.eq('next_attempt_at', delivery.next_attempt_at)
+    : query.is('next_attempt_at', null);
+  
+  const { data, error } = await query.select().maybeSingle();
+  
+  if (error) {
+    console.error(`Error claiming webhook delivery ${delivery.id}:`, error);
+    return null;
+  }
+  
+  return data;
+};
+
+/**
+ * Send a delivery to its endpoint once and record the outcome. A failed attempt is
+ * scheduled for a retry until WEBHOOK_MAX_ATTEMPTS is reached. Never rejects.
+ * @param {Object} delivery - The webhook_deliveries record
+ * @returns {Promise<Object|null>} - The updated record, or null if it wasn't sent
+ */
+const attemptDelivery = async (delivery) => {
+  try {
+    const claimed = await claimDelivery(delivery);
+    
+    if (!claimed) {
+      return null;
+    }
+    
+    const { data: endpoint, error: endpointError } = await supabase
+      .from('webhook_endpoints')
+      .select('*')
+      .eq('id', claimed.endpoint_id)
+      .maybeSingle();
+    
+    if (endpointError) {
+      throw endpointError;
+    }
+    
+    const attempts = claimed.attempts + 1;
+    const now = new Date();
+    const outcome = {
+      attempts,
+      last_attempt_at: now.toISOString(),
+      response_status: null,
+      response_body: null,
+      error: null
+    };
+    
+    if (!endpoint || !endpoint.is_active) {
+      outcome.error = 'Endpoint is disabled';
+    } else {
+      const body = JSON.stringify(claimed.payload);
+      const timestamp = Math.floor(now.getTime() / 1000);
+      
+      try {
+        // URLs saved before a check was added are refused here too
+        validateWebhookUrl(endpoint.url);
+        
+        const response = await axios.post(endpoint.url, body, {
+          headers: {
+            'Content-Type': 'application/json',
+            'User-Agent': 'Orincore-Webhooks/1.0',
+            'X-Orincore-Event': claimed.event,
+            'X-Orincore-Delivery': claimed.id,
+            'X-Orincore-Timestamp': String(timestamp),
+            'X-Orincore-Signature': signWebhookPayload(endpoint.secret, timestamp, body)
+          },
+          timeout: WEBHOOK_TIMEOUT_MS,
+          maxRedirects: 0,
+          httpAgent: deliveryHttpAgent,
+          httpsAgent: deliveryHttpsAgent,
+          proxy: false,
+          responseType: 'text',
+          transformResponse: [data => data],
+          validateStatus: () => true
+        });
+        
+        outcome.response_status = response.status;
+        
+        if (response.status < 200 || response.status >= 300) {
+          outcome.error = `Endpoint responded with HTTP ${response.status}`;
+        } else if (typeof response.data === 'string') {
+          outcome.response_body = response.data.slice(0, MAX_RESPONSE_BODY_LENGTH);
+        }
+      } catch (requestError) {
+        outcome.error = requestError.code === 'ECONNABORTED'
+          ? `Endpoint did not respond within ${WEBHOOK_TIMEOUT_MS / 1000} seconds`
+          : requestError.message;
+      }
+    }
+    
+    if (!outcome.error) {
+      outcome.status = 'succeeded';
+      outcome.delivered_at = now.toISOString();
+      outcome.next_attempt_at = null;
+    } else if (attempts >= WEBHOOK_MAX_ATTEMPTS || !endpoint || !endpoint.is_active) {
+      outcome.status = 'failed';
+      outcome.next_attempt_at = null;
+    } else {
+      outcome.next_attempt_at = new Date(now.getTime() + getRetryDelay(attempts)).toISOString();
+    }
+    
+    const { data, error } = await supabase
+      .from('webhook_deliveries')
+      .update(outcome)
+      .eq('id', claimed.id)
+      .select()
+      .single();
+    
+    if (error) {
+      throw error;
+    }
+    
+    return data;
+  } catch (error) {
+    console.error(`Error delivering webhook ${delivery.id}:`, error);
+    return null;
+  }
+};
+
+/**
+ * Send an event to every active endpoint of a user subscribed to it. The first
+ * attempt is made right away; failures are retried by the delivery sweep.
+ * Failures are logged, never thrown, so a webhook can't fail a generation or a payment.
+ * @param {string} userId - The user the event is about
+ * @param {string} event - The event (one of WEBHOOK_EVENTS)
+ * @param {Object} data - The event data
+ * @param {Object} options - { eventKey } to send an event at most once per endpoint
+ * @returns {Promise<number>} - How many deliveries were created
+ */
+const dispatchWebhookEvent = async (userId, event, data, { eventKey = null } = {}) => {
+  try {
+    if (!userId || !WEBHOOK_EVENTS.includes(event)) {
+      return 0;
+    }
+    
+    const { data: endpoints, error } = await supabase
+      .from('webhook_endpoints')
+      .select('id')
+      .eq('user_id', userId)
+      .eq('is_active', true)
+      .contains('events', [event]);
+    
+    if (error) {
+      throw error;
+    }
+    
+    if (!endpoints || endpoints.length === 0) {
+      return 0;
+    }
+    
+    const payload = {
+      id: uuidv4(),
+      event,
+      createdAt: new Date().toISOString(),
+      data
+    };
+    
+    const rows = endpoints.map(endpoint => ({
+      endpoint_id: endpoint.id,
+      user_id: userId,
+      event,
+      payload,
+      event_key: eventKey
+    }));
+    
+    // Keyed events already sent to an endpoint are skipped
+    const { data: deliveries, error: insertError } = eventKey
+      ? await supabase
+        .from('webhook_deliveries')
+        .upsert(rows, { onConflict: 'endpoint_id,event_key', ignoreDuplicates: true })
+        .select()
+      : await supabase
+        .from('webhook_deliveries')
+        .insert(rows)
+        .select();
+    
+    if (insertError) {
+      throw insertError;
+    }
+    
+    // Not awaited, so callers don't wait on slow endpoints
+    for (const delivery of deliveries || []) {
+      attemptDelivery(delivery);
+    }
+    
+    return (deliveries || []).length;
+  } catch (error) {
+    console.error(`Error dispatching ${event} webhook for user ${userId}:`, error);
+    return 0;
+  }
+};
+
+/**
+ * Resend one of an endpoint's deliveries with the same payload, as a new delivery
+ * @param {string} deliveryId - The delivery to resend
+ * @param {string} endpointId - The endpoint ID
+ * @param {string} userId - The user ID (for ownership check)
+ * @returns {Promise<Object>} - The new delivery, after its first attempt
+ */
+const redeliverWebhook = async (deliveryId, endpointId, userId) => {
+  const endpoint = await getOwnedWebhookEndpoint(endpointId, userId);
+  
+  if (!endpoint.is_active) {
+    throw new ApiError('Webhook endpoint is disabled. Enable it before redelivering.', 400);
+  }
+  
+  const { data: original, error } = await supabase
+    .from('webhook_deliveries')
+    .select('*')
+    .eq('id', deliveryId)
+    .eq('endpoint_id', endpointId)
+    .maybeSingle();
+  
+  if (error) {
+    throw new ApiError(`Failed to get webhook delivery: ${error.message}`, 500);
+  }
+  
+  if (!original) {
+    throw new ApiError('Webhook delivery not found', 404);
+  }
+  
+  const { data: delivery, error: insertError } = await supabase
+    .from('webhook_deliveries')
+    .insert({
+      endpoint_id: endpointId,
+      user_id: userId,
+      event: original.event,
+      payload: original.payload,
+      redelivery_of: original.id
+    })
+    .select()
+    .single();
+  
+  if (insertError) {
+    throw new ApiError(`Failed to redeliver webhook: ${insertError.message}`, 500);
+  }
+  
+  const attempted = await attemptDelivery(delivery);
+  
+  return formatWebhookDelivery(attempted || delivery);
+};
+
+/**
+ * Attempt every pending delivery whose next attempt is due
+ * @returns {Promise<number>} - How many deliveries were attempted
+ */
+const deliverDueWebhooks = async () => {
+  const { data, error } = await supabase
+    .from('webhook_deliveries')
+    .select('*')
+    .eq('status', 'pending')
+    .lte('next_attempt_at', new Date().toISOString())
+    .order('next_attempt_at', { ascending: true })
+    .limit(WEBHOOK_SWEEP_BATCH_SIZE);
+  
+  if (error) {
+    throw new ApiError(`Failed to list due webhook deliveries: ${error.message}`, 500);
+  }
+  
+  let attempted = 0;
+  
+  // One at a time, so a batch of slow endpoints can't pile up requests
+  for (const delivery of data || []) {
+    if (await attemptDelivery(delivery)) {
+      attempted++;
+    }
+  }
+  
+  return attempted;
+};
+
+/**
+ * Periodically retry webhook deliveries that are due
+ * @returns {Object} - The interval handle
+ */
+const startWebhookDelivery = () => {
+  let running = false;
+  
+  const timer = setInterval(async () => {
+    // Skip a tick rather than overlap with a sweep that is still sending
+    if (running) {
+      return;
+    }
+    
+    running = true;
+    
+    try {
+      const attempted = await deliverDueWebhooks();
+      
+      if (attempted > 0) {
+        console.log(`Attempted ${attempted} webhook deliveries`);
+      }
+    } catch (error) {
+      console.error('Error delivering webhooks:', error);
+    } finally {
+      running = false;
+    }
+  }, WEBHOOK_SWEEP_INTERVAL_MS);
+  
+  // Don't keep the process alive just for the sweep
+  timer.unref();
+  
+  return timer;
+};
+
+module.exports = {
+  signWebhookPayload,
+  validateWebhookUrl,
+  createWebhookEndpoint,
+  listWebhookEndpoints,
+  updateWebhookEndpoint,
+  deleteWebhookEndpoint,
+  listWebhookDeliveries,
+  dispatchWebhookEvent,
+  redeliverWebhook,
+  deliverDueWebhooks,
+  startWebhookDelivery,
+  WEBHOOK_EVENTS,
+  WEBHOOK_DELIVERY_STATUSES,
+  WEBHOOK_MAX_ATTEMPTS,
+  MAX_WEBHOOK_ENDPOINTS_PER_USER
+};
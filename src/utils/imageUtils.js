@@ -121,11 +121,85 @@ const calculateAspectRatio = (width, height) => {
   return `${width / divisor}:${height / divisor}`;
 };
 
+/**
+ * Parse a polygon list for an inpainting mask. Accepts a single polygon
+ * ([[x, y], ...]) or a list of polygons, as an array or a JSON string.
+ * @param {Array|string} input - The polygon list
+ * @returns {Array<Array<Array<number>>>|null} - The polygons, or null if the input is invalid
+ */
+const parseMaskPolygons = (input) => {
+  let polygons = input;
+  
+  if (typeof polygons === 'string') {
+    try {
+      polygons = JSON.parse(polygons);
+    } catch (error) {
+      return null;
+    }
+  }
+  
+  if (!Array.isArray(polygons) || polygons.length === 0) {
+    return null;
+  }
+  
+  // A single polygon is a list of points rather than a list of polygons
+  if (Array.isArray(polygons[0]) && typeof polygons[0][0] === 'number') {
+    polygons = [polygons];
+  }
+  
+  const isPoint = (point) => Array.isArray(point) && point.length === 2 && point.every(Number.isFinite);
+  const isValid = polygons.every(polygon => Array.isArray(polygon) && polygon.length >= 3 && polygon.every(isPoint));
+  
+  return isValid ? polygons : null;
+};
+
+/**
+ * Build an SVG mask with the given polygons filled white on a black background
+ * @param {number} width - Mask width
+ * @param {number} height - Mask height
+ * @param {Array<Array<Array<number>>>} polygons - Polygons in image pixel coordinates
+ * @returns {string} - SVG markup
+ */
+const buildPolygonMaskSvg = (width, height, polygons) => {
+  const shapes = polygons
+    .map(polygon => `<polygon points="${polygon.map(([x, y]) => `${x},${y}`).join(' ')}" fill="#ffffff"/>`)
+    .join('');
+  
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}"><rect width="100%" height="100%" fill="#000000"/>${shapes}</svg>`;
+};
+
+/**
+ * Build an SVG mask covering the area added around an image when outpainting.
+ * The mask reaches a few pixels into the original so the seams get blended.
+ * @param {number} width - Width of the extended canvas
+ * @param {number} height - Height of the extended canvas
+ * @param {Object} extension - Pixels added on each side ({ top, right, bottom, left })
+ * @param {number} overlap - Pixels of the original image to include in the mask
+ * @returns {string} - SVG markup
+ */
+const buildOutpaintMaskSvg = (width, height, { top, right, bottom, left }, overlap = 0) => {
+  const rects = [];
+  
+  if (top > 0) rects.push({ x: 0, y: 0, w: width, h: top + overlap });
+  if (bottom > 0) rects.push({ x: 0, y: height - bottom - overlap, w: width, h: bottom + overlap });
+  if (left > 0) rects.push({ x: 0, y: 0, w: left + overlap, h: height });
+  if (right > 0) rects.push({ x: width - right - overlap, y: 0, w: right + overlap, h: height });
+  
+  const shapes = rects
+    .map(({ x, y, w, h }) => `<rect x="${x}" y="${y}" width="${w}" height="${h}" fill="#ffffff"/>`)
+    .join('');
+  
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}"><rect width="100%" height="100%" fill="#000000"/>${shapes}</svg>`;
+};
+
 module.exports = {
   getGenerationCostMultiplier,
   enhancePrompt,
   getSuggestedNegativePrompt,
   getFileExtension,
   getCloudinaryFolder,
-  calculateAspectRatio
+  calculateAspectRatio,
+  parseMaskPolygons,
+  buildPolygonMaskSvg,
+  buildOutpaintMaskSvg
 }; 
\ No newline at end of file
@@ -0,0 +1,52 @@
+/**
+ * Helpers for generation endpoints that can run as background jobs
+ */
+
+/**
+ * Whether the client asked for a background job instead of waiting for the result,
+ * either with `?async=true` or a `Prefer: respond-async` header
+ * @param {Object} req - Express request object
+ * @returns {boolean} - True if the generation should be queued
+ */
+const wantsAsyncResponse = (req) => {
+  return req.query.async === 'true' || /\brespond-async\b/i.test(req.get('Prefer') || '');
+};
+
+/**
+ * Describe an uploaded file for storage with a job (the buffer itself is not stored)
+ * @param {Object} file - Multer file object
+ * @returns {Object} - File metadata
+ */
+const describeUploadedFile = (file) => {
+  return {
+    originalFilename: file.originalname,
+    mimetype: file.mimetype,
+    size: file.size
+  };
+};
+
+/**
+ * Respond with 202 Accepted for a queued generation job
+ * @param {Object} res - Express response object
+ * @param {Object} job - The queued job
+ */
+const sendJobAccepted = (res, job) => {
+  const statusUrl = `/api/jobs/${job.id}`;
+  
+  res.status(202).location(statusUrl).json({
+    success: true,
+    message: 'Generation job queued',
+    data: {
+      jobId: job.id,
+      type: job.type,
+      status: job.status,
+      statusUrl
+    }
+  });
+};
+
+module.exports = {
+  wantsAsyncResponse,
+  describeUploadedFile,
+  sendJobAccepted
+};
@@ -0,0 +1,30 @@
+/**
+ * Request-scoped values that code far from the controller needs, such as the API key a
+ * request was authenticated with, without passing them through every call
+ */
+const { AsyncLocalStorage } = require('async_hooks');
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Run a function with a request context. Everything it awaits or schedules sees the same context.
+ * @param {Object|null} context - The context (e.g. { userId, apiKeyId }); null runs the function without one
+ * @param {Function} fn - The function to run
+ * @returns {*} - Whatever fn returns
+ */
+const runWithRequestContext = (context, fn) => {
+  return storage.run(context || null, fn);
+};
+
+/**
+ * Get the context of the request being handled
+ * @returns {Object|null} - The context, or null outside a request
+ */
+const getRequestContext = () => {
+  return storage.getStore() || null;
+};
+
+module.exports = {
+  runWithRequestContext,
+  getRequestContext
+};
@@ -243,10 +243,362 @@ function getThumbnailParameters(contentCategory = 'tech') {
   return params;
 }
 
+/**
+ * Text regions (as fractions of the thumbnail size) for each text position
+ * produced by calculateTextLayout
+ */
+const TEXT_REGIONS = {
+  center: { left: 0.08, top: 0.22, width: 0.84, height: 0.56 },
+  bottom: { left: 0.06, top: 0.56, width: 0.88, height: 0.38 },
+  right: { left: 0.46, top: 0.08, width: 0.5, height: 0.84 }
+};
+
+// Title font size as a fraction of the thumbnail height for each calculateTextLayout size
+const TITLE_FONT_SCALES = {
+  large: 0.17,
+  medium: 0.13,
+  small: 0.1
+};
+
+// Minimum contrast ratio (WCAG AA for large text is 3, normal text is 4.5)
+const MIN_TEXT_CONTRAST = 4.5;
+
+/**
+ * Translate a category textStyle description (e.g. "bold, large, outlined")
+ * into concrete rendering settings
+ * 
+ * @param {string} textStyle - Category text style description
+ * @param {Array<string>} textEffects - Effects from calculateTextLayout
+ * @return {Object} Rendering settings
+ */
+function getTextRenderStyle(textStyle = '', textEffects = []) {
+  const keywords = textStyle.toLowerCase().split(',').map(keyword => keyword.trim());
+  const has = (...words) => words.some(word => keywords.includes(word));
+  
+  const isBold = has('bold', 'strong');
+  const isCasual = has('casual', 'handcrafted', 'lyrical');
+  const isElegant = has('elegant', 'stylish');
+  
+  let fontFamily = "'Helvetica Neue', Arial, sans-serif";
+  if (isBold) {
+    fontFamily = "Impact, 'Arial Black', 'Helvetica Neue', Arial, sans-serif";
+  } else if (isElegant) {
+    fontFamily = "Georgia, 'Times New Roman', serif";
+  } else if (isCasual) {
+    fontFamily = "'Trebuchet MS', Verdana, sans-serif";
+  }
+  
+  return {
+    fontFamily,
+    fontWeight: isBold ? 900 : (isCasual || isElegant ? 600 : 700),
+    uppercase: isBold,
+    // Uppercase heavy faces are wider per character than mixed-case text
+    charWidthRatio: isBold ? 0.62 : 0.58,
+    sizeScale: has('medium-sized') ? 0.85 : 1,
+    outlined: has('outlined') || textEffects.includes('outline'),
+    dropShadow: textEffects.includes('drop-shadow') || !isCasual
+  };
+}
+
+/**
+ * Greedily wrap text into lines of at most maxChars characters.
+ * Words longer than a line are kept whole on their own line.
+ * 
+ * @param {string} text - Text to wrap
+ * @param {number} maxChars - Maximum characters per line
+ * @return {Array<string>} Wrapped lines
+ */
+function wrapText(text, maxChars) {
+  const words = text.trim().split(/\s+/).filter(Boolean);
+  const lines = [];
+  let current = '';
+  
+  words.forEach(word => {
+    if (!current) {
+      current = word;
+    } else if (current.length + 1 + word.length <= maxChars) {
+      current += ` ${word}`;
+    } else {
+      lines.push(current);
+      current = word;
+    }
+  });
+  
+  if (current) {
+    lines.push(current);
+  }
+  
+  return lines;
+}
+
+/**
+ * Find the largest font size at which text fits a box
+ * 
+ * @param {string} text - Text to fit
+ * @param {Object} options - Fitting options
+ * @param {number} options.maxWidth - Box width in pixels
+ * @param {number} options.maxHeight - Box height in pixels
+ * @param {number} options.maxFontSize - Starting (largest) font size
+ * @param {number} options.minFontSize - Smallest acceptable font size
+ * @param {number} options.maxLines - Maximum number of lines
+ * @param {number} options.charWidthRatio - Average glyph width as a fraction of font size
+ * @param {number} options.lineHeight - Line height as a multiple of font size
+ * @return {{fontSize: number, lines: Array<string>, lineHeight: number}} Fitted text
+ */
+function fitTextToBox(text, {
+  maxWidth,
+  maxHeight,
+  maxFontSize,
+  minFontSize = 18,
+  maxLines = 3,
+  charWidthRatio = 0.55,
+  lineHeight = 1.15
+}) {
+  const longestWord = Math.max(...text.trim().split(/\s+/).map(word => word.length));
+  
+  for (let fontSize = Math.round(maxFontSize); fontSize >= minFontSize; fontSize -= 2) {
+    const maxChars = Math.max(1, Math.floor(maxWidth / (fontSize * charWidthRatio)));
+    
+    // A word that doesn't fit on a line at this size would overflow the box
+    if (longestWord > maxChars) {
+      continue;
+    }
+    
+    const lines = wrapText(text, maxChars);
+    const blockHeight = lines.length * fontSize * lineHeight;
+    
+    if (lines.length <= maxLines && blockHeight <= maxHeight) {
+      return { fontSize, lines, lineHeight };
+    }
+  }
+  
+  // Nothing fits; use the minimum size and truncate the last line
+  const maxChars = Math.max(1, Math.floor(maxWidth / (minFontSize * charWidthRatio)));
+  const lines = wrapText(text, maxChars).map(line => (
+    line.length > maxChars ? `${line.slice(0, maxChars - 1)}…` : line
+  ));
+  
+  if (lines.length > maxLines) {
+    const kept = lines.slice(0, maxLines);
+    const last = kept[maxLines - 1];
+    kept[maxLines - 1] = `${last.slice(0, Math.max(1, maxChars - 1))}…`;
+    return { fontSize: minFontSize, lines: kept, lineHeight };
+  }
+  
+  return { fontSize: minFontSize, lines, lineHeight };
+}
+
+/**
+ * Relative luminance of an sRGB color (0-255 channels), per WCAG 2.x
+ * 
+ * @param {{r: number, g: number, b: number}} color - Color channels
+ * @return {number} Luminance between 0 and 1
+ */
+function getRelativeLuminance({ r, g, b }) {
+  const [lr, lg, lb] = [r, g, b].map(channel => {
+    const c = channel / 255;
+    return c <= 0.03928 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+  });
+  
+  return 0.2126 * lr + 0.7152 * lg + 0.0722 * lb;
+}
+
+/**
+ * Contrast ratio between two luminance values, per WCAG 2.x
+ * 
+ * @param {number} luminanceA - First luminance
+ * @param {number} luminanceB - Second luminance
+ * @return {number} Contrast ratio between 1 and 21
+ */
+function getContrastRatio(luminanceA, luminanceB) {
+  const lighter = Math.max(luminanceA, luminanceB);
+  const darker = Math.min(luminanceA, luminanceB);
+  return (lighter + 0.05) / (darker + 0.05);
+}
+
+/**
+ * Choose text colors that stand out against a background region
+ * 
+ * @param {number} backgroundLuminance - Average luminance of the region behind the text
+ * @return {Object} Fill, stroke and shadow colors, plus whether a backing scrim is needed
+ */
+function pickTextColors(backgroundLuminance) {
+  const white = { fill: '#FFFFFF', stroke: '#000000', shadow: '#000000', luminance: 1 };
+  const dark = { fill: '#111111', stroke: '#FFFFFF', shadow: '#FFFFFF', luminance: getRelativeLuminance({ r: 17, g: 17, b: 17 }) };
+  
+  const whiteContrast = getContrastRatio(white.luminance, backgroundLuminance);
+  const darkContrast = getContrastRatio(dark.luminance, backgroundLuminance);
+  const best = whiteContrast >= darkContrast ? white : dark;
+  const contrast = Math.max(whiteContrast, darkContrast);
+  
+  return {
+    fill: best.fill,
+    stroke: best.stroke,
+    shadow: best.shadow,
+    contrast,
+    // Mid-tone backgrounds can't reach the target with either color alone
+    needsScrim: contrast < MIN_TEXT_CONTRAST,
+    scrim: best === white ? 'rgba(0,0,0,0.45)' : 'rgba(255,255,255,0.55)'
+  };
+}
+
+/**
+ * Escape text for use inside SVG markup
+ * 
+ * @param {string} text - Raw text
+ * @return {string} Escaped text
+ */
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Build the SVG title/subtitle overlay for a thumbnail
+ * 
+ * @param {Object} params - Overlay parameters
+ * @param {number} params.width - Thumbnail width
+ * @param {number} params.height - Thumbnail height
+ * @param {string} params.title - Title text
+ * @param {string} params.subtitle - Optional subtitle text
+ * @param {Object} params.textLayout - Layout from calculateTextLayout
+ * @param {string} params.textStyle - Category text style description
+ * @param {number} params.backgroundLuminance - Average luminance of the text region
+ * @return {string} SVG markup sized to the thumbnail
+ */
+function buildTextOverlaySvg({
+  width,
+  height,
+  title,
+  subtitle = '',
+  textLayout,
+  textStyle,
+  backgroundLuminance
+}) {
+  const style = getTextRenderStyle(textStyle, textLayout.textEffects);
+  const colors = pickTextColors(backgroundLuminance);
+  const region = getTextRegion(textLayout.textPosition, width, height);
+  
+  const titleText = style.uppercase ? title.toUpperCase() : title;
+  const subtitleText = subtitle ? (style.uppercase ? subtitle.toUpperCase() : subtitle) : '';
+  
+  // Reserve roughly a quarter of the region for the subtitle when present
+  const titleBoxHeight = subtitleText ? region.height * 0.72 : region.height;
+  const titleFit = fitTextToBox(titleText, {
+    maxWidth: region.width,
+    maxHeight: titleBoxHeight,
+    maxFontSize: height * (TITLE_FONT_SCALES[textLayout.fontSize] || TITLE_FONT_SCALES.medium) * style.sizeScale,
+    minFontSize: Math.round(height * 0.045),
+    maxLines: Math.max(textLayout.recommendedLines || 1, 3),
+    charWidthRatio: style.charWidthRatio
+  });
+  
+  let subtitleFit = null;
+  if (subtitleText) {
+    subtitleFit = fitTextToBox(subtitleText, {
+      maxWidth: region.width,
+      maxHeight: region.height - titleFit.lines.length * titleFit.fontSize * titleFit.lineHeight,
+      maxFontSize: titleFit.fontSize * 0.5,
+      minFontSize: Math.round(height * 0.03),
+      maxLines: 2,
+      charWidthRatio: 0.55
+    });
+  }
+  
+  const titleHeight = titleFit.lines.length * titleFit.fontSize * titleFit.lineHeight;
+  const subtitleGap = subtitleFit ? titleFit.fontSize * 0.3 : 0;
+  const subtitleHeight = subtitleFit ? subtitleFit.lines.length * subtitleFit.fontSize * subtitleFit.lineHeight : 0;
+  const blockHeight = titleHeight + subtitleGap + subtitleHeight;
+  
+  // Bottom-aligned text hugs the bottom of its region; everything else is vertically centered
+  const blockTop = textLayout.textPosition === 'bottom'
+    ? region.top + region.height - blockHeight
+    : region.top + (region.height - blockHeight) / 2;
+  const centerX = region.left + region.width / 2;
+  
+  const strokeWidth = style.outlined ? Math.max(2, Math.round(titleFit.fontSize * 0.08)) : 0;
+  const shadowFilter = style.dropShadow ? ' filter="url(#textShadow)"' : '';
+  
+  const renderLines = (fit, top, fontWeight, fontSize, stroke) => fit.lines.map((line, index) => {
+    // Baseline sits roughly 80% down each line box
+    const y = top + index * fontSize * fit.lineHeight + fontSize * 0.8 + (fit.lineHeight - 1) * fontSize / 2;
+    const strokeAttrs = stroke
+      ? ` stroke="${colors.stroke}" stroke-width="${stroke}" stroke-linejoin="round" paint-order="stroke"`
+      : '';
+    return `<text x="${centerX.toFixed(1)}" y="${y.toFixed(1)}" font-size="${fontSize}" font-weight="${fontWeight}"${strokeAttrs}>${escapeXml(line)}</text>`;
+  }).join('');
+  
+  const titleSvg = renderLines(titleFit, blockTop, style.fontWeight, titleFit.fontSize, strokeWidth);
+  const subtitleSvg = subtitleFit
+    ? renderLines(
+      subtitleFit,
+      blockTop + titleHeight + subtitleGap,
+      Math.min(style.fontWeight, 700),
+      subtitleFit.fontSize,
+      strokeWidth ? Math.max(1, Math.round(strokeWidth / 2)) : 0
+    )
+    : '';
+  
+  const padding = Math.round(titleFit.fontSize * 0.3);
+  const scrimSvg = colors.needsScrim
+    ? `<rect x="${(region.left - padding).toFixed(1)}" y="${(blockTop - padding).toFixed(1)}" width="${(region.width + padding * 2).toFixed(1)}" height="${(blockHeight + padding * 2).toFixed(1)}" rx="${padding}" fill="${colors.scrim}"/>`
+    : '';
+  
+  const shadowOffset = Math.max(2, Math.round(titleFit.fontSize * 0.05));
+  
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`
+    + '<defs>'
+    + '<filter id="textShadow" x="-20%" y="-20%" width="140%" height="140%">'
+    + `<feGaussianBlur in="SourceAlpha" stdDeviation="${shadowOffset}"/>`
+    + `<feOffset dx="${shadowOffset}" dy="${shadowOffset}" result="offsetBlur"/>`
+    + `<feFlood flood-color="${colors.shadow}" flood-opacity="0.65"/>`
+    + '<feComposite in2="offsetBlur" operator="in"/>'
+    + '<feMerge><feMergeNode/><feMergeNode in="SourceGraphic"/></feMerge>'
+    + '</filter>'
+    + '</defs>'
+    + scrimSvg
+    + `<g font-family="${escapeXml(style.fontFamily)}" fill="${colors.fill}" text-anchor="middle"${shadowFilter}>`
+    + titleSvg
+    + subtitleSvg
+    + '</g>'
+    + '</svg>';
+}
+
+/**
+ * Get the pixel region reserved for text for a text position
+ * 
+ * @param {string} textPosition - Position from calculateTextLayout (center, bottom, right)
+ * @param {number} width - Thumbnail width
+ * @param {number} height - Thumbnail height
+ * @return {{left: number, top: number, width: number, height: number}} Pixel region
+ */
+function getTextRegion(textPosition, width, height) {
+  const region = TEXT_REGIONS[textPosition] || TEXT_REGIONS.center;
+  
+  return {
+    left: Math.round(region.left * width),
+    top: Math.round(region.top * height),
+    width: Math.round(region.width * width),
+    height: Math.round(region.height * height)
+  };
+}
+
 module.exports = {
   generateThumbnailPrompt,
   calculateTextLayout,
   getThumbnailParameters,
+  getTextRenderStyle,
+  wrapText,
+  fitTextToBox,
+  getRelativeLuminance,
+  getContrastRatio,
+  pickTextColors,
+  getTextRegion,
+  buildTextOverlaySvg,
   CONTENT_CATEGORY_STYLES,
   STYLE_MODIFIERS
 }; 
\ No newline at end of file
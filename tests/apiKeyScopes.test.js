@@ -0,0 +1,67 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { API_KEY_SCOPES, getApiKeyScope } = require('../src/config/apiKeyScopes');
+
+test('endpoints map to the scope that unlocks them', () => {
+  const cases = [
+    ['POST', '/api/images/generate', 'images:generate'],
+    ['POST', '/api/images/image-1/upscale', 'images:generate'],
+    ['GET', '/api/images', 'images:read'],
+    ['GET', '/api/images/image-1', 'images:read'],
+    ['GET', '/api/images/image-1/lineage', 'images:read'],
+    ['GET', '/api/images/exports/export-1', 'images:read'],
+    ['POST', '/api/images/export', 'images:read'],
+    ['DELETE', '/api/images/image-1', 'images:delete'],
+    ['POST', '/api/posters/generate', 'posters:generate'],
+    ['GET', '/api/jobs/job-1/events', 'jobs:read'],
+    ['GET', '/api/users/me/credits/history', 'credits:read'],
+    ['GET', '/api/search', 'library:read'],
+    ['POST', '/api/library/collections/collection-1/items/move', 'library:write'],
+    ['DELETE', '/api/library/collections/collection-1', 'library:write']
+  ];
+  
+  for (const [method, url, scope] of cases) {
+    assert.equal(getApiKeyScope(method, url), scope, `${method} ${url}`);
+  }
+});
+
+test('query strings and trailing slashes are ignored', () => {
+  assert.equal(getApiKeyScope('GET', '/api/images?limit=10'), 'images:read');
+  assert.equal(getApiKeyScope('GET', '/api/images/'), 'images:read');
+  assert.equal(getApiKeyScope('GET', '/api/search/?q=cat'), 'library:read');
+});
+
+test('the method has to match as well as the path', () => {
+  assert.equal(getApiKeyScope('GET', '/api/images/generate'), 'images:read');
+  assert.equal(getApiKeyScope('PUT', '/api/images/image-1'), null);
+  assert.equal(getApiKeyScope('DELETE', '/api/posters/poster-1'), null);
+});
+
+test('endpoints outside the list need a session token', () => {
+  const cases = [
+    ['GET', '/api/users/me'],
+    ['POST', '/api/users/me/api-keys'],
+    ['DELETE', '/api/users/me/api-keys/key-1'],
+    ['POST', '/api/payments/checkout'],
+    ['GET', '/api/admin/moderation/flags'],
+    ['GET', '/api/images/image-1/lineage/extra'],
+    ['POST', '/api/images/generate/../../users/me']
+  ];
+  
+  for (const [method, url] of cases) {
+    assert.equal(getApiKeyScope(method, url), null, `${method} ${url}`);
+  }
+});
+
+test('every route unlocks a known scope', () => {
+  const methods = ['GET', 'POST', 'PATCH', 'DELETE'];
+  const urls = ['/api/images/generate', '/api/images/image-1', '/api/posters/generate', '/api/thumbnails/generate', '/api/logos/generate', '/api/library/items', '/api/library/tags'];
+  
+  for (const method of methods) {
+    for (const url of urls) {
+      const scope = getApiKeyScope(method, url);
+      
+      assert.ok(scope === null || API_KEY_SCOPES.includes(scope), `${method} ${url}`);
+    }
+  }
+});
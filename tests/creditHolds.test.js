@@ -0,0 +1,143 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { mockModule, mockPackage, loadModule } = require('./helpers/modules');
+const { createFakeLedger } = require('./helpers/fakeLedger');
+
+const USER_ID = 'user-1';
+
+let ledger;
+let creditService;
+
+beforeEach(() => {
+  ledger = createFakeLedger({ [USER_ID]: 100 });
+  
+  mockModule('config/supabaseClient', { supabase: ledger.supabase });
+  mockModule('services/apiKeyService', { recordApiKeyUsage: async () => {} });
+  mockModule('services/webhookService', { dispatchWebhookEvent: () => {} });
+  mockPackage('sharp', () => {});
+  
+  creditService = loadModule('services/creditService');
+});
+
+const profile = () => ledger.profiles.get(USER_ID);
+
+test('a hold reserves credits and capturing it writes one debit', async () => {
+  const hold = await creditService.holdCredits(USER_ID, 30, 'generation', 'job-1');
+  
+  assert.equal(hold.status, 'held');
+  assert.ok(hold.id);
+  assert.equal(profile().credit_balance, 100);
+  assert.equal(profile().credit_held, 30);
+  
+  const result = await creditService.captureCreditHold(hold);
+  
+  assert.equal(result.status, 'captured');
+  assert.equal(result.previous_balance, 100);
+  assert.equal(result.credit_balance, 70);
+  assert.equal(hold.status, 'captured');
+  assert.equal(profile().credit_held, 0);
+  assert.equal(ledger.transactions.length, 1);
+  assert.equal(ledger.transactions[0].idempotency_key, `hold:${hold.id}`);
+});
+
+test('capturing a hold twice charges once', async () => {
+  const hold = await creditService.holdCredits(USER_ID, 30, 'generation', 'job-1');
+  await creditService.captureCreditHold(hold);
+  
+  // A retry after the first capture's response was lost
+  const retry = await creditService.captureCreditHold({ ...hold, status: 'held' });
+  
+  assert.equal(retry.status, 'already_processed');
+  assert.equal(retry.credit_balance, 70);
+  assert.equal(profile().credit_balance, 70);
+  assert.equal(ledger.transactions.length, 1);
+});
+
+test('a hold can be captured for less than it reserved', async () => {
+  const hold = await creditService.holdCredits(USER_ID, 30, 'generation', 'job-1');
+  const result = await creditService.captureCreditHold(hold, 10);
+  
+  assert.equal(result.credit_balance, 90);
+  assert.equal(profile().credit_held, 0);
+});
+
+test('held credits cannot be spent by a second hold', async () => {
+  await creditService.holdCredits(USER_ID, 80, 'generation', 'job-1');
+  
+  await assert.rejects(
+    creditService.holdCredits(USER_ID, 30, 'generation', 'job-2'),
+    { statusCode: 402 }
+  );
+  assert.equal(profile().credit_held, 80);
+});
+
+test('releasing a hold makes its credits spendable again', async () => {
+  const hold = await creditService.holdCredits(USER_ID, 80, 'generation', 'job-1');
+  await creditService.releaseCreditHold(hold);
+  
+  assert.equal(hold.status, 'released');
+  assert.equal(profile().credit_held, 0);
+  assert.equal(profile().credit_balance, 100);
+  assert.equal(ledger.transactions.length, 0);
+  
+  const second = await creditService.holdCredits(USER_ID, 80, 'generation', 'job-2');
+  assert.equal(second.status, 'held');
+});
+
+test('releasing a captured hold leaves the debit in place', async () => {
+  const hold = await creditService.holdCredits(USER_ID, 30, 'generation', 'job-1');
+  await creditService.captureCreditHold(hold);
+  await creditService.releaseCreditHold(hold);
+  
+  assert.equal(hold.status, 'captured');
+  assert.equal(profile().credit_balance, 70);
+});
+
+test('holds past their TTL are expired by the sweep', async () => {
+  const hold = await creditService.holdCredits(USER_ID, 80, 'generation', 'job-1');
+  ledger.expireHold(hold.id);
+  
+  const expired = await creditService.expireStaleCreditHolds();
+  
+  assert.equal(expired, 1);
+  assert.equal(ledger.holds.get(hold.id).status, 'expired');
+  assert.equal(profile().credit_held, 0);
+});
+
+test('an expired hold is still captured when the balance covers it', async () => {
+  const hold = await creditService.holdCredits(USER_ID, 30, 'generation', 'job-1');
+  ledger.expireHold(hold.id);
+  await creditService.expireStaleCreditHolds();
+  
+  const result = await creditService.captureCreditHold(hold);
+  
+  assert.equal(result.status, 'captured');
+  assert.equal(profile().credit_balance, 70);
+});
+
+test('an expired hold whose credits were spent elsewhere fails to capture', async () => {
+  const hold = await creditService.holdCredits(USER_ID, 80, 'generation', 'job-1');
+  ledger.expireHold(hold.id);
+  await creditService.expireStaleCreditHolds();
+  await creditService.holdCredits(USER_ID, 50, 'generation', 'job-2');
+  
+  await assert.rejects(creditService.captureCreditHold(hold), { statusCode: 402 });
+  assert.equal(profile().credit_balance, 100);
+});
+
+test('free generations hold nothing', async () => {
+  const hold = await creditService.holdCredits(USER_ID, 0, 'generation', 'job-1');
+  
+  assert.equal(hold.id, null);
+  assert.equal(profile().credit_held, 0);
+  
+  const result = await creditService.captureCreditHold(hold);
+  
+  assert.equal(result.status, 'captured');
+  assert.equal(ledger.transactions.length, 0);
+});
+
+test('negative or fractional holds are rejected', async () => {
+  await assert.rejects(creditService.holdCredits(USER_ID, -1, 'generation'), { statusCode: 400 });
+  await assert.rejects(creditService.holdCredits(USER_ID, 1.5, 'generation'), { statusCode: 400 });
+});
@@ -0,0 +1,84 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { mockModule, loadModule } = require('./helpers/modules');
+
+let exportService;
+
+/**
+ * Build a manifest entry with every column filled in
+ * @param {Object} fields - Fields to override
+ * @returns {Object} - The entry
+ */
+const makeEntry = (fields = {}) => ({
+  file: 'images/image-1.png',
+  type: 'image',
+  id: 'image-1',
+  title: 'A cat',
+  prompt: 'A cat',
+  negativePrompt: null,
+  seed: 42,
+  model: 'sdxl',
+  style: null,
+  width: 1024,
+  height: 1024,
+  settings: { steps: 30 },
+  tags: [],
+  isFavorite: false,
+  createdAt: '2026-01-01T00:00:00.000Z',
+  error: null,
+  ...fields
+});
+
+/**
+ * Split a manifest into its header and data lines
+ * @param {string} csv - The manifest
+ * @returns {Array<string>} - The lines, without the trailing line break
+ */
+const getLines = (csv) => csv.replace(/\r\n$/, '').split('\r\n');
+
+before(() => {
+  mockModule('config/supabaseClient', { supabase: {} });
+  mockModule('services/cloudinaryService', {});
+  mockModule('services/emailService', {});
+  mockModule('services/jobService', { enqueueJob: async () => null });
+  mockModule('services/libraryService', { LIBRARY_ITEM_TYPES: {} });
+  mockModule('services/searchService', { parseDate: () => null });
+  
+  exportService = loadModule('services/exportService');
+});
+
+test('the manifest has a header row and CRLF line endings', () => {
+  const csv = exportService.buildManifestCsv([makeEntry()]);
+  const [header, row] = getLines(csv);
+  
+  assert.ok(csv.endsWith('\r\n'));
+  assert.equal(header, 'file,type,id,title,prompt,negative_prompt,seed,model,style,width,height,settings,tags,is_favorite,created_at,error');
+  assert.equal(row, 'images/image-1.png,image,image-1,A cat,A cat,,42,sdxl,,1024,1024,"{""steps"":30}",,false,2026-01-01T00:00:00.000Z,');
+});
+
+test('fields with commas, quotes or line breaks are quoted', () => {
+  const csv = exportService.buildManifestCsv([makeEntry({
+    title: 'Cats, dogs',
+    prompt: 'a "happy" cat',
+    negativePrompt: 'blurry\nlow quality',
+    error: 'line one\r\nline two'
+  })]);
+  const row = csv.slice(csv.indexOf('\r\n') + 2);
+  
+  assert.ok(row.includes(',"Cats, dogs","a ""happy"" cat","blurry\nlow quality",'));
+  assert.ok(row.endsWith(',"line one\r\nline two"\r\n'));
+});
+
+test('tags are joined with semicolons and quoted when one contains a comma', () => {
+  const [, plain, withComma] = getLines(exportService.buildManifestCsv([
+    makeEntry({ tags: ['cats', 'sunset'] }),
+    makeEntry({ tags: ['cats, dogs', 'say "hi"'] })
+  ]));
+  
+  assert.ok(plain.includes(',cats;sunset,'));
+  assert.ok(withComma.includes(',"cats, dogs;say ""hi""",'));
+});
+
+test('an empty export still has the header row', () => {
+  assert.equal(getLines(exportService.buildManifestCsv([])).length, 1);
+});
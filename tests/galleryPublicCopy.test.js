@@ -0,0 +1,86 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { mockModule, loadModule } = require('./helpers/modules');
+const { createFakeTables } = require('./helpers/fakeTables');
+
+const OWNER_ID = 'owner-1';
+const ORIGINAL_PUBLIC_ID = 'orincore-ai-studio/owner-1/general/original';
+
+let store;
+let uploads;
+let deleted;
+let galleryService;
+
+const image = () => store.tables.images[0];
+
+beforeEach(() => {
+  store = createFakeTables({
+    images: [{
+      id: 'image-1',
+      user_id: OWNER_ID,
+      cloudinary_public_id: ORIGINAL_PUBLIC_ID,
+      cloudinary_url: `https://res.cloudinary.com/demo/image/upload/${ORIGINAL_PUBLIC_ID}.png`,
+      visibility: 'private',
+      is_hidden: false,
+      published_at: null,
+      public_cloudinary_url: null,
+      public_cloudinary_public_id: null
+    }]
+  });
+  uploads = [];
+  deleted = [];
+  
+  mockModule('config/supabaseClient', { supabase: { from: store.supabase.from, rpc: async () => ({ data: true, error: null }) } });
+  mockModule('services/watermarkService', {
+    addWatermark: publicId => `https://res.cloudinary.com/demo/image/upload/l_text:Arial_30:ORINCORE%20AI/${publicId}`
+  });
+  mockModule('services/cloudinaryService', {
+    uploadImageFromUrl: async (url, folder, publicId) => {
+      uploads.push({ url, folder, publicId });
+      return { secure_url: `https://res.cloudinary.com/demo/image/upload/${folder}/${publicId}.png`, public_id: `${folder}/${publicId}` };
+    },
+    deleteCloudinaryImage: async (publicId) => {
+      deleted.push(publicId);
+    }
+  });
+  mockModule('services/imageService', {
+    getImageById: async (imageId) => ({ ...store.tables.images.find(row => row.id === imageId) })
+  });
+  
+  galleryService = loadModule('services/galleryService');
+});
+
+test('sharing an image stores a watermarked copy under an unrelated public ID', async () => {
+  await galleryService.updateImageSharing('image-1', OWNER_ID, { visibility: 'public' });
+  
+  assert.equal(uploads.length, 1);
+  assert.ok(uploads[0].url.includes('l_text:'));
+  assert.ok(!uploads[0].publicId.includes('original'));
+  
+  const publicImage = await galleryService.getPublicImage('image-1');
+  
+  assert.equal(publicImage.url, image().public_cloudinary_url);
+  assert.ok(!publicImage.url.includes(ORIGINAL_PUBLIC_ID));
+});
+
+test('the copy is made once and deleted when the image goes private', async () => {
+  await galleryService.updateImageSharing('image-1', OWNER_ID, { visibility: 'unlisted' });
+  await galleryService.updateImageSharing('image-1', OWNER_ID, { visibility: 'public' });
+  const copyId = image().public_cloudinary_public_id;
+  
+  await galleryService.updateImageSharing('image-1', OWNER_ID, { visibility: 'private' });
+  
+  assert.equal(uploads.length, 1);
+  assert.deepEqual(deleted, [copyId]);
+  assert.equal(image().public_cloudinary_url, null);
+});
+
+test('images shared before copies were stored get one when first viewed', async () => {
+  Object.assign(image(), { visibility: 'public', published_at: new Date().toISOString() });
+  
+  const publicImage = await galleryService.getPublicImage('image-1');
+  
+  assert.equal(uploads.length, 1);
+  assert.equal(publicImage.url, image().public_cloudinary_url);
+  assert.ok(publicImage.url);
+});
@@ -0,0 +1,67 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { mockModule, loadModule } = require('./helpers/modules');
+const { createFakeTables } = require('./helpers/fakeTables');
+
+let store;
+let viewCalls;
+let galleryService;
+
+beforeEach(() => {
+  store = createFakeTables({
+    images: [{ id: 'image-1', user_id: 'owner-1', cloudinary_public_id: 'orincore-ai-studio/owner-1/general/image-1', visibility: 'public', is_hidden: false, view_count: 0 }]
+  });
+  viewCalls = [];
+  
+  mockModule('config/supabaseClient', {
+    supabase: {
+      from: store.supabase.from,
+      rpc: async (name, args) => {
+        viewCalls.push({ name, args });
+        return { data: true, error: null };
+      }
+    }
+  });
+  mockModule('services/cloudinaryService', {
+    uploadImageFromUrl: async () => ({ secure_url: 'https://res.cloudinary.com/demo/image/upload/copy.png', public_id: 'copy' }),
+    deleteCloudinaryImage: async () => null
+  });
+  // Synchronous like the real one: it builds a Cloudinary URL
+  mockModule('services/watermarkService', {
+    addWatermark: publicId => `https://res.cloudinary.com/demo/image/upload/l_text:Arial_30:ORINCORE%20AI/${publicId}`
+  });
+  mockModule('services/imageService', { getImageById: async () => null });
+  
+  galleryService = loadModule('services/galleryService');
+});
+
+test('signed-in viewers are counted by user ID', async () => {
+  await galleryService.getPublicImage('image-1', { userId: 'viewer-1', ip: '203.0.113.7' });
+  
+  assert.equal(viewCalls.length, 1);
+  assert.equal(viewCalls[0].name, 'record_image_view');
+  assert.equal(viewCalls[0].args.p_image_id, 'image-1');
+  assert.equal(viewCalls[0].args.p_viewer_key, 'user:viewer-1');
+  assert.ok(viewCalls[0].args.p_window_minutes > 0);
+});
+
+test('signed-out viewers are counted by a hash of their IP address', async () => {
+  await galleryService.getPublicImage('image-1', { ip: '203.0.113.7' });
+  await galleryService.getPublicImage('image-1', { ip: '203.0.113.7' });
+  await galleryService.getPublicImage('image-1', { ip: '203.0.113.8' });
+  
+  const [first, repeat, other] = viewCalls.map(call => call.args.p_viewer_key);
+  
+  assert.match(first, /^ip:[0-9a-f]{32}$/);
+  assert.ok(!first.includes('203.0.113.7'));
+  assert.equal(repeat, first);
+  assert.notEqual(other, first);
+});
+
+test('views are not counted when the viewer is unknown', async () => {
+  const image = await galleryService.getPublicImage('image-1');
+  
+  assert.equal(image.id, 'image-1');
+  assert.equal(typeof image.url, 'string');
+  assert.equal(viewCalls.length, 0);
+});
@@ -0,0 +1,247 @@
+const crypto = require('crypto');
+
+/**
+ * In-memory stand-in for the credit functions in src/db/functions/credit_ledger.sql
+ * and credit_holds.sql, exposed as supabase.rpc(). It follows the same rules: held
+ * credits can't be spent, a plan is only applied together with its debit, a captured
+ * hold writes one debit keyed 'hold:<id>', and releasing or expiring a hold makes its
+ * credits spendable again.
+ * @param {Object} balances - Starting credit balance by user ID
+ * @returns {Object} - { supabase, profiles, holds, transactions, expireHold }
+ */
+const createFakeLedger = (balances = {}) => {
+  const profiles = new Map(Object.entries(balances).map(([id, balance]) => [id, { credit_balance: balance, credit_held: 0 }]));
+  const holds = new Map();
+  const transactions = [];
+  
+  const notFound = (what) => ({ data: null, error: { code: 'P0002', message: `${what} not found` } });
+  
+  const writeTransaction = (userId, amount, type, source, referenceId, idempotencyKey) => {
+    const transaction = {
+      id: crypto.randomUUID(),
+      user_id: userId,
+      amount,
+      type,
+      source,
+      reference_id: referenceId,
+      idempotency_key: idempotencyKey,
+      balance_after: profiles.get(userId).credit_balance
+    };
+    transactions.push(transaction);
+    return transaction;
+  };
+  
+  const expireHolds = (userId = null) => {
+    let count = 0;
+    
+    holds.forEach(hold => {
+      if ((!userId || hold.user_id === userId) && hold.status === 'held' && new Date(hold.expires_at) <= new Date()) {
+        const profile = profiles.get(hold.user_id);
+        profile.credit_held = Math.max(profile.credit_held - hold.amount, 0);
+        hold.status = 'expired';
+        count++;
+      }
+    });
+    
+    return count;
+  };
+  
+  const functions = {
+    add_credits: ({ p_user_id, p_amount, p_source, p_reference_id, p_idempotency_key }) => {
+      const profile = profiles.get(p_user_id);
+      if (!profile) return notFound('User');
+      
+      if (p_idempotency_key && transactions.some(t => t.idempotency_key === p_idempotency_key)) {
+        return { data: { status: 'already_processed', new_balance: profile.credit_balance }, error: null };
+      }
+      
+      profile.credit_balance += p_amount;
+      const transaction = writeTransaction(p_user_id, p_amount, 'credit', p_source, p_reference_id, p_idempotency_key);
+      
+      return {
+        data: {
+          status: 'applied',
+          transaction_id: transaction.id,
+          previous_balance: profile.credit_balance - p_amount,
+          new_balance: profile.credit_balance
+        },
+        error: null
+      };
+    },
+    
+    deduct_credits: ({ p_user_id, p_amount, p_source, p_reference_id, p_idempotency_key }) => {
+      const profile = profiles.get(p_user_id);
+      if (!profile) return notFound('User');
+      
+      if (p_idempotency_key && transactions.some(t => t.idempotency_key === p_idempotency_key)) {
+        return { data: { status: 'already_processed', new_balance: profile.credit_balance }, error: null };
+      }
+      
+      if (profile.credit_balance - profile.credit_held < p_amount) {
+        return { data: { status: 'insufficient_credits', new_balance: profile.credit_balance }, error: null };
+      }
+      
+      profile.credit_balance -= p_amount;
+      const transaction = writeTransaction(p_user_id, p_amount, 'debit', p_source, p_reference_id, p_idempotency_key);
+      
+      return {
+        data: {
+          status: 'applied',
+          transaction_id: transaction.id,
+          previous_balance: profile.credit_balance + p_amount,
+          new_balance: profile.credit_balance
+        },
+        error: null
+      };
+    },
+    
+    subscribe_to_plan: ({ p_user_id, p_amount, p_plan, p_role, p_duration_days, p_reference_id, p_idempotency_key }) => {
+      const profile = profiles.get(p_user_id);
+      if (!profile) return notFound('User');
+      
+      if (p_idempotency_key && transactions.some(t => t.idempotency_key === p_idempotency_key)) {
+        return {
+          data: {
+            status: 'already_processed',
+            new_balance: profile.credit_balance,
+            plan: profile.current_plan,
+            plan_expiry: profile.plan_expiry
+          },
+          error: null
+        };
+      }
+      
+      if (profile.credit_balance - profile.credit_held < p_amount) {
+        return { data: { status: 'insufficient_credits', new_balance: profile.credit_balance }, error: null };
+      }
+      
+      profile.credit_balance -= p_amount;
+      profile.current_plan = p_plan;
+      profile.plan_expiry = new Date(Date.now() + p_duration_days * 24 * 60 * 60 * 1000).toISOString();
+      profile.role = p_role || profile.role;
+      const transaction = p_amount > 0
+        ? writeTransaction(p_user_id, p_amount, 'debit', 'plan_subscription', p_reference_id, p_idempotency_key)
+        : null;
+      
+      return {
+        data: {
+          status: 'applied',
+          transaction_id: transaction ? transaction.id : null,
+          previous_balance: profile.credit_balance + p_amount,
+          new_balance: profile.credit_balance,
+          plan: p_plan,
+          plan_expiry: profile.plan_expiry
+        },
+        error: null
+      };
+    },
+    
+    hold_credits: ({ p_user_id, p_amount, p_source, p_reference_id, p_ttl_seconds }) => {
+      const profile = profiles.get(p_user_id);
+      if (!profile) return notFound('User');
+      
+      expireHolds(p_user_id);
+      
+      if (profile.credit_balance - profile.credit_held < p_amount) {
+        return {
+          data: { status: 'insufficient_credits', available_balance: profile.credit_balance - profile.credit_held },
+          error: null
+        };
+      }
+      
+      profile.credit_held += p_amount;
+      const hold = {
+        id: crypto.randomUUID(),
+        user_id: p_user_id,
+        amount: p_amount,
+        source: p_source,
+        reference_id: p_reference_id,
+        status: 'held',
+        expires_at: new Date(Date.now() + p_ttl_seconds * 1000).toISOString()
+      };
+      holds.set(hold.id, hold);
+      
+      return {
+        data: {
+          status: 'held',
+          hold_id: hold.id,
+          expires_at: hold.expires_at,
+          available_balance: profile.credit_balance - profile.credit_held
+        },
+        error: null
+      };
+    },
+    
+    capture_credit_hold: ({ p_hold_id, p_amount }) => {
+      const hold = holds.get(p_hold_id);
+      if (!hold) return notFound('Credit hold');
+      
+      const profile = profiles.get(hold.user_id);
+      
+      if (hold.status === 'captured') {
+        return { data: { status: 'already_processed', new_balance: profile.credit_balance }, error: null };
+      }
+      
+      const amount = p_amount === null || p_amount === undefined ? hold.amount : p_amount;
+      
+      if (hold.status === 'held') {
+        profile.credit_held = Math.max(profile.credit_held - hold.amount, 0);
+      } else if (profile.credit_balance - profile.credit_held < amount) {
+        return { data: { status: 'insufficient_credits', new_balance: profile.credit_balance }, error: null };
+      }
+      
+      profile.credit_balance -= amount;
+      const transaction = amount > 0
+        ? writeTransaction(hold.user_id, amount, 'debit', hold.source, hold.reference_id, `hold:${hold.id}`)
+        : null;
+      hold.status = 'captured';
+      
+      return {
+        data: {
+          status: 'captured',
+          transaction_id: transaction ? transaction.id : null,
+          previous_balance: profile.credit_balance + amount,
+          new_balance: profile.credit_balance
+        },
+        error: null
+      };
+    },
+    
+    release_credit_hold: ({ p_hold_id }) => {
+      const hold = holds.get(p_hold_id);
+      if (!hold) return notFound('Credit hold');
+      
+      if (hold.status !== 'held') {
+        return { data: { status: hold.status }, error: null };
+      }
+      
+      const profile = profiles.get(hold.user_id);
+      profile.credit_held = Math.max(profile.credit_held - hold.amount, 0);
+      hold.status = 'released';
+      
+      return { data: { status: 'released' }, error: null };
+    },
+    
+    expire_credit_holds: ({ p_user_id = null } = {}) => ({ data: expireHolds(p_user_id), error: null })
+  };
+  
+  const supabase = {
+    rpc: async (name, args = {}) => {
+      if (!functions[name]) {
+        throw new Error(`Unexpected rpc call: ${name}`);
+      }
+      return functions[name](args);
+    }
+  };
+  
+  // Move a hold's expiry into the past, as if its TTL ran out
+  const expireHold = (holdId) => {
+    holds.get(holdId).expires_at = new Date(Date.now() - 1000).toISOString();
+  };
+  
+  return { supabase, profiles, holds, transactions, expireHold };
+};
+
+module.exports = {
+  createFakeLedger
+};
@@ -0,0 +1,125 @@
+const crypto = require('crypto');
+
+/**
+ * In-memory stand-in for supabase.from(): enough of the query builder for the
+ * services under test (insert, update and select with eq, is, in, lt and not-in
+ * filters, order, limit and exact counts). Embedded resources aren't joined: store
+ * them on the row instead.
+ * @param {Object} tables - Starting rows by table name
+ * @returns {Object} - { supabase, tables }
+ */
+const createFakeTables = (tables = {}) => {
+  const rowsOf = (table) => {
+    if (!tables[table]) {
+      tables[table] = [];
+    }
+    return tables[table];
+  };
+  
+  const from = (table) => {
+    const filters = [];
+    const orderings = [];
+    let operation = { type: 'select' };
+    let selectOptions = {};
+    let rowLimit = null;
+    
+    const matching = () => rowsOf(table).filter(row => filters.every(filter => filter(row)));
+    
+    const run = () => {
+      if (operation.type === 'insert') {
+        const inserted = operation.rows.map(row => ({
+          id: crypto.randomUUID(),
+          created_at: new Date().toISOString(),
+          updated_at: new Date().toISOString(),
+          ...row
+        }));
+        rowsOf(table).push(...inserted);
+        return inserted.map(row => ({ ...row }));
+      }
+      
+      const rows = matching().sort((a, b) => {
+        for (const { column, ascending } of orderings) {
+          if (a[column] !== b[column]) {
+            return (a[column] < b[column]) === ascending ? -1 : 1;
+          }
+        }
+        return 0;
+      });
+      
+      if (operation.type === 'update') {
+        rows.forEach(row => Object.assign(row, operation.fields));
+      }
+      
+      return rows.slice(0, rowLimit === null ? rows.length : rowLimit).map(row => ({ ...row }));
+    };
+    
+    const query = {
+      insert: (rows) => {
+        operation = { type: 'insert', rows: Array.isArray(rows) ? rows : [rows] };
+        return query;
+      },
+      update: (fields) => {
+        operation = { type: 'update', fields };
+        return query;
+      },
+      select: (columns, options = {}) => {
+        selectOptions = options;
+        return query;
+      },
+      eq: (column, value) => {
+        filters.push(row => row[column] === value);
+        return query;
+      },
+      is: (column, value) => {
+        filters.push(row => (row[column] === undefined ? null : row[column]) === value);
+        return query;
+      },
+      in: (column, values) => {
+        filters.push(row => values.includes(row[column]));
+        return query;
+      },
+      lt: (column, value) => {
+        filters.push(row => row[column] < value);
+        return query;
+      },
+      not: (column, operator, value) => {
+        if (operator !== 'in') {
+          throw new Error(`Unsupported filter: not.${operator}`);
+        }
+        const values = value.replace(/^\(|\)$/g, '').split(',');
+        filters.push(row => !values.includes(row[column]));
+        return query;
+      },
+      order: (column, { ascending = true } = {}) => {
+        orderings.push({ column, ascending });
+        return query;
+      },
+      limit: (count) => {
+        rowLimit = count;
+        return query;
+      },
+      maybeSingle: async () => ({ data: run()[0] || null, error: null }),
+      single: async () => {
+        const rows = run();
+        return rows.length === 1
+          ? { data: rows[0], error: null }
+          : { data: null, error: { code: 'PGRST116', message: `Expected 1 row, got ${rows.length}` } };
+      },
+      then: (resolve, reject) => {
+        const rows = run();
+        const result = selectOptions.count
+          ? { data: selectOptions.head ? null : rows, count: rows.length, error: null }
+          : { data: rows, error: null };
+        return Promise.resolve(result).then(resolve, reject);
+      }
+    };
+    
+    return query;
+  };
+  
+  return { supabase: { from }, tables };
+};
+
+module.exports = {
+  createFakeTables
+};
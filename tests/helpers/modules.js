@@ -0,0 +1,47 @@
+const path = require('path');
+
+const SRC_DIR = path.join(__dirname, '..', '..', 'src');
+
+/**
+ * Resolve a module under src/
+ * @param {string} modulePath - Path relative to src/ (e.g. 'services/creditService')
+ * @returns {string} - The absolute file name
+ */
+const resolveSource = (modulePath) => require.resolve(path.join(SRC_DIR, modulePath));
+
+/**
+ * Replace a module under src/ with a stub for every later require()
+ * @param {string} modulePath - Path relative to src/
+ * @param {Object} exports - What require() should return
+ */
+const mockModule = (modulePath, exports) => {
+  const filename = resolveSource(modulePath);
+  require.cache[filename] = { id: filename, filename, loaded: true, exports };
+};
+
+/**
+ * Replace an npm package with a stub, as src/ would resolve it. Used for packages
+ * such as sharp whose native binaries the tests don't need.
+ * @param {string} packageName - The package name
+ * @param {Object} exports - What require() should return
+ */
+const mockPackage = (packageName, exports) => {
+  const filename = require.resolve(packageName, { paths: [SRC_DIR] });
+  require.cache[filename] = { id: filename, filename, loaded: true, exports };
+};
+
+/**
+ * Load a module under src/ fresh, so it picks up the stubs registered with mockModule
+ * @param {string} modulePath - Path relative to src/
+ * @returns {Object} - The module's exports
+ */
+const loadModule = (modulePath) => {
+  delete require.cache[resolveSource(modulePath)];
+  return require(resolveSource(modulePath));
+};
+
+module.exports = {
+  mockModule,
+  mockPackage,
+  loadModule
+};
@@ -0,0 +1,56 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { mockModule, mockPackage, loadModule } = require('./helpers/modules');
+const { createFakeTables } = require('./helpers/fakeTables');
+
+const USER_ID = 'user-1';
+
+let store;
+let imageService;
+
+before(() => {
+  store = createFakeTables({
+    image_batches: [{ id: 'batch-1', user_id: USER_ID, status: 'completed', total_count: 3 }],
+    image_batch_items: [
+      { id: 'item-2', batch_id: 'batch-1', position: 1, status: 'succeeded', image_id: 'image-2', images: { id: 'image-2', is_hidden: true } },
+      { id: 'item-1', batch_id: 'batch-1', position: 0, status: 'succeeded', image_id: 'image-1', images: { id: 'image-1', is_hidden: false } },
+      { id: 'item-3', batch_id: 'batch-1', position: 2, status: 'failed', image_id: null, images: null }
+    ]
+  });
+  
+  mockModule('config/supabaseClient', { supabase: store.supabase });
+  mockModule('config/cloudinaryConfig', { cloudinary: {}, uploadImage: async () => null });
+  mockModule('services/planService', {});
+  mockModule('services/watermarkService', { addWatermark: () => null });
+  mockModule('services/creditService', { CREDIT_HOLD_TTL_SECONDS: 900 });
+  mockModule('services/imageProviders', {});
+  mockModule('services/jobService', { enqueueJob: async () => null, JOB_MAX_QUEUE_WAIT_MS: 0 });
+  mockModule('services/moderationService', {});
+  mockModule('services/webhookService', { dispatchWebhookEvent: () => {} });
+  mockModule('services/libraryService', {});
+  mockPackage('sharp', () => {});
+  
+  imageService = loadModule('services/imageService');
+});
+
+test('a batch lists its items in order with their images', async () => {
+  const batch = await imageService.getImageBatch('batch-1', USER_ID);
+  
+  assert.deepEqual(batch.items.map(item => item.position), [0, 1, 2]);
+  assert.equal(batch.items[0].imageId, 'image-1');
+  assert.deepEqual(batch.items[0].image, { id: 'image-1', is_hidden: false });
+  assert.equal(batch.items[2].image, null);
+});
+
+test('images hidden by a moderator are left out of a batch', async () => {
+  const batch = await imageService.getImageBatch('batch-1', USER_ID);
+  const hiddenItem = batch.items[1];
+  
+  assert.equal(hiddenItem.status, 'succeeded');
+  assert.equal(hiddenItem.imageId, null);
+  assert.equal(hiddenItem.image, null);
+});
+
+test('other users get a 404', async () => {
+  await assert.rejects(imageService.getImageBatch('batch-1', 'user-2'), { statusCode: 404 });
+});
@@ -0,0 +1,79 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { mockModule, loadModule } = require('./helpers/modules');
+const { createFakeTables } = require('./helpers/fakeTables');
+
+const REPORTER_ID = 'reporter-1';
+
+let store;
+let moderationService;
+
+const inOneDay = () => new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString();
+
+beforeEach(() => {
+  store = createFakeTables({
+    images: [
+      { id: 'public-1', user_id: 'owner-1', prompt: 'a cat', visibility: 'public', is_hidden: false },
+      { id: 'unlisted-1', user_id: 'owner-1', prompt: 'a dog', visibility: 'unlisted', is_hidden: false },
+      { id: 'unlisted-2', user_id: 'owner-1', prompt: 'a fox', visibility: 'unlisted', is_hidden: false },
+      { id: 'private-1', user_id: 'owner-1', prompt: 'a bird', visibility: 'private', is_hidden: false }
+    ],
+    image_share_links: [
+      { id: 'link-1', image_id: 'unlisted-1', token: 'open-token', expires_at: inOneDay(), revoked_at: null },
+      { id: 'link-2', image_id: 'unlisted-1', token: 'revoked-token', expires_at: null, revoked_at: new Date().toISOString() },
+      { id: 'link-3', image_id: 'unlisted-1', token: 'expired-token', expires_at: new Date(Date.now() - 1000).toISOString(), revoked_at: null },
+      { id: 'link-4', image_id: 'unlisted-2', token: 'other-token', expires_at: null, revoked_at: null },
+      { id: 'link-5', image_id: 'private-1', token: 'private-token', expires_at: null, revoked_at: null }
+    ],
+    image_reports: [],
+    moderation_flags: []
+  });
+  
+  mockModule('config/supabaseClient', { supabase: store.supabase });
+  mockModule('services/creditService', { addCredits: async () => null });
+  mockModule('services/emailService', {});
+  mockModule('services/userService', { suspendUser: async () => null });
+  
+  moderationService = loadModule('services/moderationService');
+});
+
+test('public images can be reported without a share token', async () => {
+  const result = await moderationService.reportImage('public-1', REPORTER_ID, { reason: 'spam' });
+  
+  assert.equal(result.alreadyReported, false);
+  assert.equal(store.tables.image_reports.length, 1);
+  assert.equal(store.tables.moderation_flags.length, 1);
+});
+
+test('unlisted images can be reported through an open share link', async () => {
+  const result = await moderationService.reportImage('unlisted-1', REPORTER_ID, { reason: 'spam', shareToken: 'open-token' });
+  
+  assert.equal(result.alreadyReported, false);
+  assert.equal(store.tables.image_reports.length, 1);
+});
+
+test('unlisted images without a valid share token are reported as not found', async () => {
+  const tokens = [undefined, 'unknown-token', 'revoked-token', 'expired-token', 'other-token', ['open-token']];
+  
+  for (const shareToken of tokens) {
+    await assert.rejects(
+      moderationService.reportImage('unlisted-1', REPORTER_ID, { reason: 'spam', shareToken }),
+      { statusCode: 404, message: 'Image not found' },
+      String(shareToken)
+    );
+  }
+  
+  assert.equal(store.tables.image_reports.length, 0);
+  assert.equal(store.tables.moderation_flags.length, 0);
+});
+
+test('private and missing images get the same 404, even with a share token', async () => {
+  await assert.rejects(
+    moderationService.reportImage('private-1', REPORTER_ID, { reason: 'spam', shareToken: 'private-token' }),
+    { statusCode: 404, message: 'Image not found' }
+  );
+  await assert.rejects(
+    moderationService.reportImage('missing-1', REPORTER_ID, { reason: 'spam' }),
+    { statusCode: 404, message: 'Image not found' }
+  );
+});
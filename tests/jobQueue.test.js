@@ -0,0 +1,121 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { mockModule, loadModule } = require('./helpers/modules');
+const { createFakeTables } = require('./helpers/fakeTables');
+
+let store;
+let jobService;
+
+beforeEach(() => {
+  process.env.GENERATION_JOB_CONCURRENCY = '1';
+  process.env.GENERATION_JOB_QUEUE_LIMIT = '3';
+  process.env.GENERATION_JOB_QUEUE_LIMIT_PER_USER = '2';
+  
+  store = createFakeTables();
+  mockModule('config/supabaseClient', { supabase: store.supabase });
+  mockModule('services/webhookService', { dispatchWebhookEvent: () => {} });
+  
+  jobService = loadModule('services/jobService');
+});
+
+const jobRow = (jobId) => store.tables.generation_jobs.find(row => row.id === jobId);
+
+// A task that only finishes when the test says so
+const blockingTask = () => {
+  let finish;
+  const done = new Promise(resolve => {
+    finish = resolve;
+  });
+  return { task: () => done, finish };
+};
+
+// Let queued promise callbacks run
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+test('runs queued jobs and stores their result', async () => {
+  const job = await jobService.enqueueJob('user-1', 'image', {}, async () => ({ id: 'image-1' }));
+  
+  assert.equal(job.status, 'queued');
+  await settle();
+  
+  assert.equal(jobRow(job.id).status, 'succeeded');
+  assert.deepEqual(jobRow(job.id).result, { id: 'image-1' });
+});
+
+test('caps the jobs a user can have waiting', async () => {
+  const blocker = blockingTask();
+  await jobService.enqueueJob('user-1', 'image', {}, blocker.task);
+  await jobService.enqueueJob('user-1', 'image', {}, async () => null);
+  await jobService.enqueueJob('user-1', 'image', {}, async () => null);
+  
+  await assert.rejects(
+    jobService.enqueueJob('user-1', 'image', {}, async () => null),
+    { statusCode: 429, code: 'JOB_QUEUE_FULL' }
+  );
+  
+  // Other users still have room
+  await jobService.enqueueJob('user-2', 'image', {}, async () => null);
+  
+  blocker.finish();
+});
+
+test('caps the jobs waiting in total', async () => {
+  const blocker = blockingTask();
+  await jobService.enqueueJob('user-1', 'image', {}, blocker.task);
+  await jobService.enqueueJob('user-1', 'image', {}, async () => null);
+  await jobService.enqueueJob('user-2', 'image', {}, async () => null);
+  await jobService.enqueueJob('user-3', 'image', {}, async () => null);
+  
+  await assert.rejects(
+    jobService.enqueueJob('user-4', 'image', {}, async () => null),
+    { statusCode: 429, code: 'JOB_QUEUE_FULL' }
+  );
+  
+  blocker.finish();
+});
+
+test('skips a job that was failed while it waited', async () => {
+  const blocker = blockingTask();
+  await jobService.enqueueJob('user-1', 'image', {}, blocker.task);
+  
+  let ran = false;
+  let cancelled = false;
+  const waiting = await jobService.enqueueJob('user-1', 'image', {}, async () => {
+    ran = true;
+  }, {
+    onCancel: () => {
+      cancelled = true;
+    }
+  });
+  
+  // Another process's sweep fails the job
+  jobRow(waiting.id).status = 'failed';
+  
+  blocker.finish();
+  await settle();
+  await settle();
+  
+  assert.equal(ran, false);
+  assert.equal(cancelled, true);
+  assert.equal(jobRow(waiting.id).status, 'failed');
+});
+
+test('the stale job sweep leaves jobs this process still has queued', async () => {
+  const blocker = blockingTask();
+  const running = await jobService.enqueueJob('user-1', 'image', {}, blocker.task);
+  const waiting = await jobService.enqueueJob('user-1', 'image', {}, async () => null);
+  
+  const longAgo = new Date(Date.now() - 60 * 60 * 1000).toISOString();
+  store.tables.generation_jobs.push({ id: 'orphaned', user_id: 'user-9', type: 'image', status: 'queued', updated_at: longAgo });
+  jobRow(running.id).updated_at = longAgo;
+  jobRow(waiting.id).updated_at = longAgo;
+  
+  const failed = await jobService.failStaleJobs();
+  
+  assert.equal(failed, 1);
+  assert.equal(jobRow('orphaned').status, 'failed');
+  assert.equal(jobRow(running.id).status, 'running');
+  assert.equal(jobRow(waiting.id).status, 'queued');
+  
+  blocker.finish();
+});
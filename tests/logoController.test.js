@@ -0,0 +1,54 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { mockModule, loadModule } = require('./helpers/modules');
+
+let screened;
+let held;
+let logoController;
+
+beforeEach(() => {
+  screened = [];
+  held = [];
+  
+  mockModule('services/logoService', { buildLogoPrompt: ({ name }) => `logo for ${name}` });
+  mockModule('services/creditService', {
+    getCreditCost: async () => 25,
+    holdCredits: async (userId, amount) => {
+      held.push(amount);
+      return { id: 'hold-1' };
+    },
+    captureCreditHold: async () => null,
+    releaseCreditHold: async () => null
+  });
+  mockModule('services/jobService', { enqueueJob: async () => null });
+  mockModule('services/moderationService', {
+    assertPromptAllowed: async (params) => {
+      screened.push(params);
+    }
+  });
+  
+  logoController = loadModule('controllers/logoController');
+});
+
+/**
+ * Call generateLogo with a request body and return the error passed to next()
+ * @param {Object} body - The request body
+ * @returns {Promise<Error|undefined>} - The error
+ */
+const callGenerateLogo = (body) => new Promise(resolve => {
+  const req = { body, user: { id: 'user-1' }, query: {}, get: () => undefined };
+  const res = { status: () => res, json: () => resolve(undefined) };
+  logoController.generateLogo(req, res, resolve);
+});
+
+test('a brand name that is not text is rejected before any moderation or credit work', async () => {
+  for (const name of [123, ['Acme'], { text: 'Acme' }, '   ', undefined]) {
+    const error = await callGenerateLogo({ name });
+    
+    assert.equal(error && error.statusCode, 400, JSON.stringify(name));
+    assert.equal(error.message, 'Brand name is required');
+  }
+  
+  assert.equal(screened.length, 0);
+  assert.equal(held.length, 0);
+});
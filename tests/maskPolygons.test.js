@@ -0,0 +1,75 @@
+const { test, describe, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { mockPackage, loadModule } = require('./helpers/modules');
+
+let imageUtils;
+
+before(() => {
+  mockPackage('sharp', () => {});
+  imageUtils = loadModule('utils/imageUtils');
+});
+
+const TRIANGLE = [[0, 0], [100, 0], [50, 80]];
+const SQUARE = [[10, 10], [60, 10], [60, 60], [10, 60]];
+
+describe('parseMaskPolygons', () => {
+  test('accepts a list of polygons', () => {
+    assert.deepEqual(imageUtils.parseMaskPolygons([TRIANGLE, SQUARE]), [TRIANGLE, SQUARE]);
+  });
+  
+  test('wraps a single polygon in a list', () => {
+    assert.deepEqual(imageUtils.parseMaskPolygons(TRIANGLE), [TRIANGLE]);
+  });
+  
+  test('parses JSON, as sent in multipart form fields', () => {
+    assert.deepEqual(imageUtils.parseMaskPolygons(JSON.stringify([SQUARE])), [SQUARE]);
+    assert.deepEqual(imageUtils.parseMaskPolygons(JSON.stringify(TRIANGLE)), [TRIANGLE]);
+  });
+  
+  test('accepts fractional coordinates', () => {
+    const polygon = [[0.5, 0.5], [10.25, 0], [5, 7.75]];
+    assert.deepEqual(imageUtils.parseMaskPolygons(polygon), [polygon]);
+  });
+  
+  test('rejects input that is not a list of polygons', () => {
+    assert.equal(imageUtils.parseMaskPolygons(undefined), null);
+    assert.equal(imageUtils.parseMaskPolygons(null), null);
+    assert.equal(imageUtils.parseMaskPolygons(''), null);
+    assert.equal(imageUtils.parseMaskPolygons('not json'), null);
+    assert.equal(imageUtils.parseMaskPolygons('{"x":1}'), null);
+    assert.equal(imageUtils.parseMaskPolygons([]), null);
+    assert.equal(imageUtils.parseMaskPolygons({ points: TRIANGLE }), null);
+  });
+  
+  test('rejects polygons with fewer than three points', () => {
+    assert.equal(imageUtils.parseMaskPolygons([[0, 0], [10, 10]]), null);
+    assert.equal(imageUtils.parseMaskPolygons([TRIANGLE, [[0, 0], [10, 10]]]), null);
+  });
+  
+  test('rejects malformed points', () => {
+    assert.equal(imageUtils.parseMaskPolygons([[[0, 0], [10, 0], [5]]]), null);
+    assert.equal(imageUtils.parseMaskPolygons([[[0, 0], [10, 0], [5, 5, 5]]]), null);
+    assert.equal(imageUtils.parseMaskPolygons([[[0, 0], [10, 0], ['5', 5]]]), null);
+    assert.equal(imageUtils.parseMaskPolygons([[[0, 0], [10, 0], [5, null]]]), null);
+    assert.equal(imageUtils.parseMaskPolygons('[[[0,0],[10,0],[5,1e999]]]'), null);
+  });
+});
+
+describe('buildPolygonMaskSvg', () => {
+  test('paints the polygons white on black', () => {
+    const svg = imageUtils.buildPolygonMaskSvg(200, 100, [TRIANGLE]);
+    
+    assert.match(svg, /width="200" height="100"/);
+    assert.match(svg, /<rect width="100%" height="100%" fill="#000000"\/>/);
+    assert.match(svg, /<polygon points="0,0 100,0 50,80" fill="#ffffff"\/>/);
+  });
+});
+
+describe('buildOutpaintMaskSvg', () => {
+  test('marks only the extended sides, overlapping the original by the given margin', () => {
+    const svg = imageUtils.buildOutpaintMaskSvg(1200, 1000, { top: 0, right: 200, bottom: 0, left: 0 }, 16);
+    
+    assert.match(svg, /<rect x="984" y="0" width="216" height="1000" fill="#ffffff"\/>/);
+    assert.equal((svg.match(/fill="#ffffff"/g) || []).length, 1);
+  });
+});
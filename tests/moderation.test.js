@@ -0,0 +1,75 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { mockModule, loadModule } = require('./helpers/modules');
+
+let moderationService;
+
+beforeEach(() => {
+  delete process.env.MODERATION_ENABLED;
+  delete process.env.MODERATION_RULES_PATH;
+  
+  mockModule('config/supabaseClient', { supabase: {} });
+  mockModule('services/creditService', { addCredits: async () => null });
+  mockModule('services/emailService', {});
+  mockModule('services/userService', { suspendUser: async () => null });
+  
+  moderationService = loadModule('services/moderationService');
+});
+
+afterEach(() => {
+  delete process.env.MODERATION_ENABLED;
+});
+
+test('blocklisted words are blocked regardless of case, accents and punctuation', () => {
+  for (const prompt of ['a GORE soaked battlefield', 'nude portrait', 'NSFW!', 'a décapitated statue']) {
+    assert.equal(moderationService.evaluatePrompt(prompt).action, 'block', prompt);
+  }
+  
+  const decision = moderationService.evaluatePrompt('Gore, everywhere');
+  
+  assert.deepEqual(decision.categories, ['graphic_violence']);
+  assert.deepEqual(decision.matches, [{ category: 'graphic_violence', rule: 'gore' }]);
+});
+
+test('benign prompts that contain a blocklisted word inside another word pass', () => {
+  const prompts = [
+    'a hiker in a Gore-Tex jacket',
+    'a rainy afternoon in Essex',
+    'Middlesex cricket ground',
+    'a therapist\'s office',
+    'Scunthorpe at dusk',
+    'a kid\'s birthday party with balloons',
+    'an old sextant on a map'
+  ];
+  
+  for (const prompt of prompts) {
+    assert.equal(moderationService.evaluatePrompt(prompt).action, 'allow', prompt);
+  }
+});
+
+test('multi-word terms match with spaces or hyphens', () => {
+  assert.equal(moderationService.evaluatePrompt('a poster about self harm').action, 'flag');
+  assert.equal(moderationService.evaluatePrompt('a poster about self-harm').action, 'flag');
+  assert.equal(moderationService.evaluatePrompt('an explicit sex scene').action, 'block');
+});
+
+test('flag categories let the prompt through but report the match', () => {
+  const decision = moderationService.evaluatePrompt('an awareness poster for suicide prevention');
+  
+  assert.equal(decision.action, 'flag');
+  assert.deepEqual(decision.categories, ['self_harm']);
+});
+
+test('sexual content involving minors is blocked by pattern', () => {
+  const decision = moderationService.evaluatePrompt('a sexy under-age schoolgirl');
+  
+  assert.equal(decision.action, 'block');
+  assert.ok(decision.categories.includes('sexual_minors'));
+});
+
+test('prompts are allowed when moderation is turned off', () => {
+  process.env.MODERATION_ENABLED = 'false';
+  moderationService = loadModule('services/moderationService');
+  
+  assert.equal(moderationService.evaluatePrompt('gore').action, 'allow');
+});
@@ -0,0 +1,75 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { mockModule, mockPackage, loadModule } = require('./helpers/modules');
+const { createFakeLedger } = require('./helpers/fakeLedger');
+
+const USER_ID = 'user-1';
+
+let ledger;
+let planService;
+
+beforeEach(() => {
+  ledger = createFakeLedger({ [USER_ID]: 5000 });
+  
+  mockModule('config/supabaseClient', { supabase: ledger.supabase });
+  mockModule('services/apiKeyService', { recordApiKeyUsage: async () => {} });
+  mockModule('services/webhookService', { dispatchWebhookEvent: () => {} });
+  mockPackage('sharp', () => {});
+  
+  loadModule('services/creditService');
+  planService = loadModule('services/planService');
+});
+
+const profile = () => ledger.profiles.get(USER_ID);
+
+test('subscribing charges the plan price and applies the plan together', async () => {
+  const result = await planService.subscribeToPlan(USER_ID, 'Creator', 'request-1');
+  
+  assert.equal(result.plan, 'creator');
+  assert.ok(result.expiry > new Date());
+  assert.equal(profile().credit_balance, 3000);
+  assert.equal(profile().current_plan, 'creator');
+  assert.equal(ledger.transactions.length, 1);
+  assert.equal(ledger.transactions[0].reference_id, 'creator');
+  assert.equal(ledger.transactions[0].idempotency_key, `plan_subscription:${USER_ID}:request-1`);
+});
+
+test('a retry with the same Idempotency-Key is neither charged nor extended again', async () => {
+  const first = await planService.subscribeToPlan(USER_ID, 'creator', 'request-1');
+  const retry = await planService.subscribeToPlan(USER_ID, 'creator', 'request-1');
+  
+  assert.equal(retry.message, 'Already subscribed to creator plan');
+  assert.equal(retry.plan, 'creator');
+  assert.equal(retry.expiry.getTime(), first.expiry.getTime());
+  assert.equal(profile().credit_balance, 3000);
+  assert.equal(ledger.transactions.length, 1);
+});
+
+test('a second purchase of the same plan with a new key is charged again', async () => {
+  await planService.subscribeToPlan(USER_ID, 'creator', 'request-1');
+  await planService.subscribeToPlan(USER_ID, 'creator', 'request-2');
+  
+  assert.equal(profile().credit_balance, 1000);
+  assert.equal(ledger.transactions.length, 2);
+});
+
+test('the RS2000 plan gives professional privileges', async () => {
+  const result = await planService.subscribeToPlan(USER_ID, 'rs2000');
+  
+  assert.equal(result.plan, 'professional');
+  assert.equal(profile().current_plan, 'professional');
+  assert.equal(profile().role, 'professional');
+  assert.equal(ledger.transactions[0].reference_id, 'rs2000');
+});
+
+test('without enough credits neither the balance nor the plan changes', async () => {
+  await assert.rejects(planService.subscribeToPlan(USER_ID, 'enterprise'), { statusCode: 402 });
+  
+  assert.equal(profile().credit_balance, 5000);
+  assert.equal(profile().current_plan, undefined);
+  assert.equal(ledger.transactions.length, 0);
+});
+
+test('unknown plans are rejected', async () => {
+  await assert.rejects(planService.subscribeToPlan(USER_ID, 'platinum'), { statusCode: 400 });
+});